@@ -2,17 +2,23 @@
 
 const path = require('path');
 const { spawn } = require('child_process');
+const cli = require('../src/cli');
 
 const serverPath = path.join(__dirname, '..', 'src', 'server', 'index.js');
 const args = process.argv.slice(2);
+const command = args.find((arg) => !arg.startsWith('--'));
 
-const child = spawn('node', [serverPath, ...args], {
-  stdio: 'inherit',
-  env: process.env
-});
+if (command && cli.hasCommand(command)) {
+  cli.run(args).then((code) => process.exit(code));
+} else {
+  const child = spawn('node', [serverPath, ...args], {
+    stdio: 'inherit',
+    env: process.env
+  });
 
-child.on('exit', (code) => process.exit(code));
-child.on('error', (err) => {
-  console.error('启动失败:', err);
-  process.exit(1);
-});
+  child.on('exit', (code) => process.exit(code));
+  child.on('error', (err) => {
+    console.error('启动失败:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,78 @@
+/**
+ * Export CLI Command
+ *
+ * Usage:
+ *   opencode-switch export [provider | provider/model ...] [--format=json|jsonc|yaml|env]
+ *                          [--secrets=redact|env|plain] [--output=file] [--env-output=file]
+ *
+ * Writes to stdout unless `--output` is given. `--env-output` additionally
+ * writes the API keys of the exported providers as a `.env` file, using the
+ * variable names of `--secrets=env`.
+ *
+ * @module cli/export
+ */
+
+const fs = require('fs');
+const exportService = require('../server/services/exportService');
+const Validator = require('../server/utils/validator');
+
+const USAGE = `用法:
+  opencode-switch export [provider | provider/model ...] [--format=json|jsonc|yaml|env]
+                         [--secrets=redact|env|plain] [--output=file] [--env-output=file]`;
+
+/**
+ * Reads a `--name=value` flag from the command line
+ *
+ * @param {string} name - Flag name
+ * @returns {string|undefined}
+ */
+function getFlag(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((candidate) => candidate.startsWith(prefix));
+  return arg && arg.slice(prefix.length);
+}
+
+/**
+ * Writes a file readable only by the owner, since it may contain API keys
+ */
+function writeFile(filePath, content) {
+  fs.writeFileSync(filePath, content, { mode: 0o600 });
+  console.error(`已导出到 ${filePath}`);
+}
+
+/**
+ * Runs the export command
+ *
+ * @param {string[]} args - Provider selectors after `export`
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(args) {
+  const options = {
+    format: getFlag('format'),
+    secrets: getFlag('secrets'),
+    providers: args,
+  };
+  const { valid, errors } = Validator.validateExport(options);
+  if (!valid) {
+    console.error(`${errors.join('\n')}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const { success, missing, file } = exportService.exportConfig(options);
+  if (!success) {
+    console.error(`未找到: ${missing.join(', ')}`);
+    return 1;
+  }
+
+  const output = getFlag('output');
+  if (output) writeFile(output, file.content);
+  else process.stdout.write(file.content);
+
+  const envOutput = getFlag('env-output');
+  if (envOutput) {
+    writeFile(envOutput, exportService.exportConfig({ ...options, format: 'env' }).file.content);
+  }
+  return 0;
+}
+
+module.exports = { run };
@@ -0,0 +1,48 @@
+/**
+ * Command Line Interface Module
+ *
+ * Dispatches `opencode-switch <command>` subcommands. Commands run in the
+ * current process against the same services as the HTTP server; when no
+ * known command is given the caller starts the server instead.
+ *
+ * @module cli
+ */
+
+const commands = {
+  profile: () => require('./profile'),
+  export: () => require('./export'),
+  secrets: () => require('./secrets'),
+};
+
+/**
+ * Checks whether a CLI command exists
+ *
+ * @param {string} name - Command name
+ * @returns {boolean}
+ */
+function hasCommand(name) {
+  return Object.prototype.hasOwnProperty.call(commands, name);
+}
+
+/**
+ * Runs a CLI command
+ *
+ * Option flags (`--name=value`) are left in process.argv for the services
+ * to read and are stripped from the positional arguments.
+ *
+ * @param {string[]} args - Arguments after the executable name
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(args) {
+  const [name, ...rest] = args.filter((arg) => !arg.startsWith('--'));
+  const command = commands[name]();
+
+  try {
+    return await command.run(rest);
+  } catch (error) {
+    console.error('命令执行失败:', error.message);
+    return 1;
+  }
+}
+
+module.exports = { hasCommand, run };
@@ -0,0 +1,82 @@
+/**
+ * Profile CLI Command
+ *
+ * Usage:
+ *   opencode-switch profile list
+ *   opencode-switch profile save <name> [description]
+ *   opencode-switch profile use <name>
+ *   opencode-switch profile delete <name>
+ *
+ * @module cli/profile
+ */
+
+const profileService = require('../server/services/profileService');
+
+const USAGE = `用法:
+  opencode-switch profile list
+  opencode-switch profile save <name> [description]
+  opencode-switch profile use <name>
+  opencode-switch profile delete <name>`;
+
+const actions = {
+  list() {
+    const profiles = profileService.listProfiles();
+    if (profiles.length === 0) {
+      console.log('暂无 Profile');
+      return 0;
+    }
+    for (const profile of profiles) {
+      const marker = profile.active ? '*' : ' ';
+      const description = profile.description ? `  ${profile.description}` : '';
+      console.log(`${marker} ${profile.name}  (${profile.providerCount} 个 Provider)${description}`);
+    }
+    return 0;
+  },
+
+  save(name, ...description) {
+    if (!profileService.saveProfile(name, description.join(' ') || undefined)) {
+      console.error(`保存 Profile "${name}" 失败`);
+      return 1;
+    }
+    console.log(`已将当前配置保存为 Profile "${name}"`);
+    return 0;
+  },
+
+  use(name) {
+    if (!profileService.activateProfile(name)) {
+      console.error(`激活 Profile "${name}" 失败，请确认 Profile 存在`);
+      return 1;
+    }
+    console.log(`已切换到 Profile "${name}"`);
+    return 0;
+  },
+
+  delete(name) {
+    if (!profileService.deleteProfile(name)) {
+      console.error(`Profile "${name}" 不存在`);
+      return 1;
+    }
+    console.log(`已删除 Profile "${name}"`);
+    return 0;
+  },
+};
+
+/**
+ * Runs the profile command
+ *
+ * @param {string[]} args - Positional arguments after `profile`
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(args) {
+  const [action = 'list', ...rest] = args;
+  const handler = actions[action];
+
+  if (!handler || (action !== 'list' && !rest[0])) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  return handler(...rest);
+}
+
+module.exports = { run };
@@ -0,0 +1,154 @@
+/**
+ * Secrets CLI Command
+ *
+ * Usage:
+ *   opencode-switch secrets status
+ *   opencode-switch secrets migrate [--to=plaintext|keyfile|passphrase|command] [--rotate]
+ *
+ * `migrate` re-encrypts every stored API key (config, history and profiles)
+ * with the target backend, or with a new key when `--rotate` is given. The
+ * current backend is the one selected with `--secret-backend` /
+ * `OCS_SECRET_BACKEND`. Passphrases are read from `OCS_PASSPHRASE` and
+ * `OCS_NEW_PASSPHRASE`, or asked for on the terminal. Unknown flags are
+ * rejected with the usage, so a typo can't silently migrate to the wrong
+ * backend.
+ *
+ * @module cli/secrets
+ */
+
+const encryptionService = require('../server/services/encryptionService');
+const secretMigrationService = require('../server/services/secretMigrationService');
+const Validator = require('../server/utils/validator');
+const { askHidden } = require('../server/utils/prompt');
+
+const USAGE = `用法:
+  opencode-switch secrets status
+  opencode-switch secrets migrate [--to=plaintext|keyfile|passphrase|command] [--rotate]`;
+
+/**
+ * Flags accepted by every action: the config path and the current backend
+ * @constant {string[]}
+ */
+const GLOBAL_FLAGS = ['--config=', '--secret-backend='];
+
+/**
+ * Flags accepted by each action; entries ending in `=` take a value
+ * @constant {Object.<string, string[]>}
+ */
+const ACTION_FLAGS = {
+  status: [],
+  migrate: ['--to=', '--rotate'],
+};
+
+/**
+ * Lists the command line flags an action doesn't accept
+ *
+ * @param {string} action - Action name
+ * @returns {string[]} Unknown flags, as given
+ */
+function getUnknownFlags(action) {
+  const known = [...GLOBAL_FLAGS, ...ACTION_FLAGS[action]];
+  return process.argv
+    .slice(2)
+    .filter((arg) => arg.startsWith('--'))
+    .filter(
+      (arg) => !known.some((flag) => (flag.endsWith('=') ? arg.startsWith(flag) : arg === flag))
+    );
+}
+
+/**
+ * Reads a `--name=value` flag from the command line
+ *
+ * @param {string} name - Flag name
+ * @returns {string|undefined}
+ */
+function getFlag(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((candidate) => candidate.startsWith(prefix));
+  return arg && arg.slice(prefix.length);
+}
+
+/**
+ * Reads a passphrase from an environment variable or the terminal
+ *
+ * @param {string} variable - Environment variable
+ * @param {string} question - Prompt text
+ * @param {boolean} [confirm=false] - Ask twice
+ * @returns {Promise<string>}
+ * @throws {Error} If there is no terminal or the answers differ
+ */
+async function readPassphrase(variable, question, confirm = false) {
+  if (process.env[variable]) return process.env[variable];
+  if (!process.stdin.isTTY) throw new Error(`需要口令：请设置 ${variable} 环境变量或在终端中运行`);
+
+  const passphrase = await askHidden(question);
+  if (confirm && (await askHidden('🔒 再次输入口令: ')) !== passphrase) {
+    throw new Error('两次输入的口令不一致');
+  }
+  return passphrase;
+}
+
+const actions = {
+  status() {
+    const locked = encryptionService.isLocked() ? '（未解锁）' : '';
+    console.log(`当前密钥存储方式: ${encryptionService.backend}${locked}`);
+    return 0;
+  },
+
+  async migrate() {
+    const configured = encryptionService.backend;
+    const options = { backend: getFlag('to') || configured, rotate: process.argv.includes('--rotate') };
+    const { valid, errors } = Validator.validateSecretMigration(options);
+    if (!valid) {
+      console.error(`${errors.join('\n')}\n\n${USAGE}`);
+      return 1;
+    }
+
+    if (configured === 'passphrase' && encryptionService.isLocked()) {
+      encryptionService.unlock(await readPassphrase('OCS_PASSPHRASE', '🔒 当前口令: '));
+    }
+    if (options.backend === 'passphrase') {
+      if (options.rotate || !encryptionService.hasPassphrase()) {
+        options.passphrase = await readPassphrase('OCS_NEW_PASSPHRASE', '🔒 新口令: ', true);
+      } else if (configured !== 'passphrase') {
+        options.passphrase = await readPassphrase('OCS_PASSPHRASE', '🔒 口令: ');
+      }
+    }
+
+    const result = secretMigrationService.migrate(options);
+    const rotated = result.rotated ? '，并已轮换密钥' : '';
+    console.log(`已将 ${result.keys} 个 API Key 以 ${result.backend} 方式重新存储${rotated}`);
+    console.log(`涉及文件: ${result.files.join(', ') || '无'}`);
+    if (result.backend !== configured) {
+      console.log(`请使用 --secret-backend=${result.backend} 或 OCS_SECRET_BACKEND=${result.backend} 启动服务器`);
+    }
+    console.log('如服务器正在运行，请重新启动');
+    return 0;
+  },
+};
+
+/**
+ * Runs the secrets command
+ *
+ * @param {string[]} args - Positional arguments after `secrets`
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(args) {
+  const [action = 'status'] = args;
+  const handler = Object.prototype.hasOwnProperty.call(actions, action) ? actions[action] : null;
+
+  if (!handler) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const unknown = getUnknownFlags(action);
+  if (unknown.length > 0) {
+    console.error(`未知参数: ${unknown.join(', ')}\n\n${USAGE}`);
+    return 1;
+  }
+
+  return handler();
+}
+
+module.exports = { run };
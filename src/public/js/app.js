@@ -22,12 +22,23 @@
  * @typedef {Object} ProviderOptions
  * @property {string} baseURL - Base URL for API requests
  * @property {string} apiKey - API key for authentication
+ * @property {Object.<string, string>} [headers] - Extra HTTP headers sent with every request
+ * @property {number|false} [timeout] - Request timeout in milliseconds, false for none
  */
 
 /**
  * Model information object
  * @typedef {Object} ModelInfo
  * @property {string} name - Name/ID of the model
+ * @property {{context?: number, output?: number}} [limit] - Token limits
+ * @property {{input?: number, output?: number, cache_read?: number, cache_write?: number}} [cost] - USD per million tokens
+ * @property {boolean} [tool_call] - Supports tool calls
+ * @property {boolean} [reasoning] - Reasoning model
+ * @property {boolean} [attachment] - Accepts attachments
+ * @property {boolean} [temperature] - Supports the temperature parameter
+ * @property {{input?: string[], output?: string[]}} [modalities] - Supported input/output types
+ * @property {Object} [options] - Model-specific options (e.g. temperature, reasoningEffort)
+ * @property {{family?: string, parameterSize?: string, quantization?: string, contextLength?: number}} [details] - Facts reported during discovery (Ollama)
  */
 
 /**
@@ -51,6 +62,7 @@
  * @property {string} [error] - Error message if test failed
  * @property {string} model - Model ID that was tested
  * @property {number} [latency] - Response latency in milliseconds
+ * @property {number} [attempts] - Requests sent, including retries
  * @property {string} [provider] - Provider ID (when testing all)
  */
 
@@ -64,7 +76,28 @@
 /**
  * Import result
  * @typedef {Object} ImportResult
- * @property {number} count - Number of providers imported
+ * @property {boolean} success - Whether the import was applied (or previewed)
+ * @property {string} revision - ETag of the config the report refers to
+ * @property {Object} report - Added/updated/skipped providers and conflicts
+ */
+
+/**
+ * Status of an {env:...} / {file:...} reference of a provider
+ * @typedef {Object} ReferenceStatus
+ * @property {string} path - Dotted path of the value (e.g. 'options.apiKey')
+ * @property {string} reference - The reference
+ * @property {boolean} resolved - Whether the server can currently resolve it
+ * @property {string} [error] - Why it doesn't resolve
+ */
+
+/**
+ * Profile summary
+ * @typedef {Object} ProfileSummary
+ * @property {string} name - Profile name
+ * @property {string} [description] - Optional description
+ * @property {number} providerCount - Number of providers in the profile
+ * @property {string} updatedAt - ISO timestamp of the latest snapshot
+ * @property {boolean} active - Whether the profile is currently active
  */
 
 /**
@@ -82,12 +115,54 @@ const App = {
   /** @type {AppConfig} */
   config: { provider: {} },
 
+  /**
+   * ETag of the loaded configuration
+   * @type {string|null}
+   */
+  revision: null,
+
   /** @type {Object.<string, ModelInfo>} */
   discoveredModels: {},
 
   /** @type {Set<string>} */
   selectedModels: new Set(),
 
+  /** @type {ProfileSummary[]} */
+  profiles: [],
+
+  /**
+   * Status of the {env:...} / {file:...} references per provider ID
+   * @type {Object.<string, ReferenceStatus[]>}
+   */
+  references: {},
+
+  /**
+   * Provider open in the edit form, its config and the config revision when editing started
+   * @type {{id: string, snapshot: string, revision: string|null}|null}
+   */
+  editingProvider: null,
+
+  /** @type {boolean} */
+  saving: false,
+
+  /**
+   * Base URL of the selected template while its placeholders are being filled
+   * @type {string|null}
+   */
+  baseURLTemplate: null,
+
+  /**
+   * Cancels the running discovery; aborted when discovery restarts or the form is reset
+   * @type {AbortController|null}
+   */
+  discoveryController: null,
+
+  /**
+   * Cancels the tests shown in the test modal; aborted when the modal is closed
+   * @type {AbortController|null}
+   */
+  testController: null,
+
   /**
    * Initializes the application
    *
@@ -100,14 +175,75 @@ const App = {
   async init() {
     this.bindEvents();
     this.initTemplates();
-    await this.loadConfig();
+    await Promise.all([this.loadConfig(), this.loadProfiles()]);
+    this.subscribeEvents();
+  },
+
+  /**
+   * Subscribes to server-sent configuration change events
+   *
+   * The browser reconnects automatically when the connection drops.
+   */
+  subscribeEvents() {
+    if (typeof EventSource === 'undefined') return;
+
+    const source = new EventSource('/api/events');
+    source.addEventListener('config-changed', (e) => {
+      this.handleConfigChanged(JSON.parse(e.data));
+    });
+  },
+
+  /**
+   * Handles a configuration change pushed by the server
+   *
+   * Refreshes the provider list and warns when the provider open in the
+   * edit form was changed or removed underneath it.
+   *
+   * @async
+   * @param {{source: string, summary: {added: string[], removed: string[], changed: string[]}}} event - Change event
+   * @returns {Promise<void>}
+   */
+  async handleConfigChanged(event) {
+    await this.loadConfig(true);
+
+    if (event.source === 'external') {
+      UI.showMessage('配置文件已被外部修改，列表已刷新', 'info');
+    }
+
+    this.checkEditConflict();
+  },
+
+  /**
+   * Shows a warning if the provider being edited differs from the server
+   */
+  checkEditConflict() {
+    const warning = document.getElementById('editConflictWarning');
+    if (this.saving) return;
+    if (!this.editingProvider) {
+      warning.style.display = 'none';
+      return;
+    }
+
+    const { id, snapshot } = this.editingProvider;
+    const current = this.config.provider?.[id];
+    if (current && JSON.stringify(current) === snapshot) return;
+
+    warning.innerHTML = current
+      ? `⚠️ Provider "${EscapeUtils.escapeHtml(id)}" 已在其他地方被修改，保存将覆盖这些修改。
+         <button type="button" class="btn btn-secondary" data-action="reload-edit">载入最新</button>`
+      : `⚠️ Provider "${EscapeUtils.escapeHtml(id)}" 已在其他地方被删除，保存将重新创建它。`;
+    warning.style.display = 'block';
+
+    const reload = warning.querySelector('[data-action="reload-edit"]');
+    if (reload) reload.onclick = () => this.editProvider(id);
   },
 
   /**
    * Initializes provider template dropdown
    *
    * Populates the template select element with available provider templates
-   * and sets up the change event handler to auto-fill form fields.
+   * and sets up the change event handler to auto-fill form fields. The npm
+   * packages of the templates are offered as suggestions for the npm field.
    */
   initTemplates() {
     const select = document.getElementById('templateSelect');
@@ -118,12 +254,53 @@ const App = {
       select.appendChild(option);
     });
 
+    const packages = document.getElementById('npmPackages');
+    new Set(Object.values(ProviderTemplates).map((template) => template.npm)).forEach((npm) => {
+      const option = document.createElement('option');
+      option.value = npm;
+      packages.appendChild(option);
+    });
+
     select.addEventListener('change', (e) => {
       const template = ProviderTemplates[e.target.value];
       if (template) {
         document.getElementById('baseURL').value = template.baseURL;
         document.getElementById('providerName').value = template.name;
+        document.getElementById('providerNpm').value = template.npm;
       }
+      this.renderPlaceholderFields(template);
+    });
+    document.getElementById('baseURL').addEventListener('input', () => this.renderPlaceholderFields());
+  },
+
+  /**
+   * Shows an input for each placeholder in a template's Base URL
+   *
+   * Typing in the inputs fills the placeholders (e.g. Azure's `{resource}`
+   * and `{deployment}`) in the Base URL field. Editing the Base URL directly
+   * hides them.
+   *
+   * @param {Object} [template] - Provider template; hides the inputs if omitted
+   */
+  renderPlaceholderFields(template) {
+    const container = document.getElementById('baseURLPlaceholders');
+    const names = template ? ProviderOptionsEditor.findPlaceholders(template.baseURL) : [];
+
+    this.baseURLTemplate = names.length ? template.baseURL : null;
+    container.style.display = names.length ? '' : 'none';
+    container.innerHTML = names
+      .map((name) => {
+        const label = EscapeUtils.escapeHtml((template.placeholders && template.placeholders[name]) || name);
+        return `<label>${label}<input type="text" data-placeholder="${EscapeUtils.escapeHtml(name)}" required></label>`;
+      })
+      .join('');
+
+    container.querySelectorAll('input').forEach((input) => {
+      input.addEventListener('input', () => {
+        const values = {};
+        container.querySelectorAll('input').forEach((field) => (values[field.dataset.placeholder] = field.value.trim()));
+        document.getElementById('baseURL').value = ProviderOptionsEditor.fillPlaceholders(this.baseURLTemplate, values);
+      });
     });
   },
 
@@ -134,6 +311,11 @@ const App = {
    */
   bindEvents() {
     document.getElementById('providerForm').addEventListener('submit', (e) => this.handleSubmit(e));
+    document.getElementById('apiKeyMode').addEventListener('change', (e) => {
+      document.getElementById('apiKey').value = '';
+      ProviderOptionsEditor.setApiKeyMode(e.target.value);
+    });
+    document.getElementById('apiKeyReveal').addEventListener('click', () => this.revealApiKey());
     document.getElementById('discoverBtn').addEventListener('click', () => this.discoverModels());
     document.getElementById('manualAddBtn').addEventListener('click', () => this.showManualAdd());
     document
@@ -143,9 +325,18 @@ const App = {
       .getElementById('addManualModelsBtn')
       .addEventListener('click', () => this.addManualModels());
     document.getElementById('testAllBtn').addEventListener('click', () => this.testAll());
-    document.getElementById('exportBtn').addEventListener('click', () => API.exportConfig());
+    document.getElementById('exportBtn').addEventListener('click', () => this.showExport());
     document.getElementById('importBtn').addEventListener('change', (e) => this.importConfig(e));
     document.getElementById('historyBtn').addEventListener('click', () => this.showHistory());
+    document
+      .getElementById('activateProfileBtn')
+      .addEventListener('click', () => this.activateProfile());
+    document.getElementById('saveProfileBtn').addEventListener('click', () => this.saveProfile());
+    document
+      .getElementById('deleteProfileBtn')
+      .addEventListener('click', () => this.deleteProfile());
+
+    document.getElementById('formModels').addEventListener('click', (e) => this.handleModelAction(e));
 
     document.getElementById('providersList').addEventListener('click', (e) => {
       const btn = e.target.closest('[data-action]');
@@ -167,6 +358,12 @@ const App = {
         case 'delete':
           this.deleteProvider(id);
           break;
+        case 'rename':
+          this.renameProvider(id);
+          break;
+        case 'clone':
+          this.cloneProvider(id);
+          break;
       }
     });
   },
@@ -174,21 +371,144 @@ const App = {
   /**
    * Loads configuration from the server
    *
-   * Fetches current configuration and renders the providers list.
+   * Fetches current configuration and the status of its references, and
+   * renders the providers list.
    *
    * @async
+   * @param {boolean} [quiet=false] - Skip the success message (background refresh)
    * @returns {Promise<void>}
    */
-  async loadConfig() {
+  async loadConfig(quiet = false) {
     try {
-      this.config = await API.getConfig();
+      const [{ config, revision }, references] = await Promise.all([
+        API.getConfig(),
+        API.getReferences().catch(() => ({})),
+      ]);
+      this.config = config;
+      this.revision = revision;
+      this.references = references;
       this.renderProviders();
-      UI.showMessage('配置加载成功', 'success');
+      if (!quiet) UI.showMessage('配置加载成功', 'success');
     } catch (error) {
       UI.showMessage('加载配置失败: ' + error.message, 'error');
     }
   },
 
+  /**
+   * Loads the profile list from the server
+   *
+   * Fetches saved profiles and renders the profile selector.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async loadProfiles() {
+    try {
+      const result = await API.getProfiles();
+      this.profiles = result.profiles || [];
+      this.renderProfiles();
+    } catch (error) {
+      UI.showMessage('加载 Profile 失败: ' + error.message, 'error');
+    }
+  },
+
+  /**
+   * Renders the profile selector
+   *
+   * Preselects the active profile, if any.
+   */
+  renderProfiles() {
+    const select = document.getElementById('profileSelect');
+    const options = this.profiles
+      .map(
+        (p) => `
+            <option value="${EscapeUtils.escapeHtml(p.name)}" ${p.active ? 'selected' : ''}>
+                ${EscapeUtils.escapeHtml(p.name)}${p.active ? ' ✓' : ''} (${p.providerCount})
+            </option>
+        `
+      )
+      .join('');
+
+    select.innerHTML = `<option value="">无 Profile</option>${options}`;
+  },
+
+  /**
+   * Activates the selected profile
+   *
+   * Replaces the live provider configuration with the selected profile.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async activateProfile() {
+    const name = document.getElementById('profileSelect').value;
+    if (!name) {
+      UI.showMessage('请选择要切换的 Profile', 'warning');
+      return;
+    }
+
+    if (!confirm(`确定要切换到 Profile "${name}" 吗？当前 Provider 配置将被替换。`)) return;
+
+    try {
+      await API.activateProfile(name);
+      UI.showMessage(`已切换到 Profile "${name}"`, 'success');
+      await Promise.all([this.loadConfig(), this.loadProfiles()]);
+      this.resetForm();
+    } catch (error) {
+      UI.showMessage('切换失败: ' + error.message, 'error');
+    }
+  },
+
+  /**
+   * Saves the current configuration as a profile
+   *
+   * Prompts for the profile name, defaulting to the selected profile.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async saveProfile() {
+    const selected = document.getElementById('profileSelect').value;
+    const name = prompt('Profile 名称（字母、数字、下划线和连字符）', selected || '');
+    if (!name) return;
+
+    if (this.profiles.some((p) => p.name === name) && !confirm(`Profile "${name}" 已存在，确定要覆盖吗？`)) {
+      return;
+    }
+
+    try {
+      await API.saveProfile(name.trim());
+      UI.showMessage(`已保存 Profile "${name}"`, 'success');
+      await this.loadProfiles();
+    } catch (error) {
+      UI.showMessage('保存 Profile 失败: ' + error.message, 'error');
+    }
+  },
+
+  /**
+   * Deletes the selected profile
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async deleteProfile() {
+    const name = document.getElementById('profileSelect').value;
+    if (!name) {
+      UI.showMessage('请选择要删除的 Profile', 'warning');
+      return;
+    }
+
+    if (!confirm(`确定要删除 Profile "${name}" 吗？`)) return;
+
+    try {
+      await API.deleteProfile(name);
+      UI.showMessage('Profile 已删除', 'success');
+      await this.loadProfiles();
+    } catch (error) {
+      UI.showMessage('删除 Profile 失败: ' + error.message, 'error');
+    }
+  },
+
   /**
    * Renders the providers list in the UI
    *
@@ -204,7 +524,9 @@ const App = {
     }
 
     container.innerHTML = Object.entries(providers)
-      .map(([id, provider]) => UI.renderProviderCard(id, provider))
+      .map(([id, provider]) =>
+        UI.renderProviderCard(id, provider, this.references[id], this.config.$apiKeyFingerprints?.[id])
+      )
       .join('');
   },
 
@@ -212,6 +534,8 @@ const App = {
    * Handles provider form submission
    *
    * Validates form data, constructs provider config, and saves to server.
+   * When editing, keys of the provider that the form doesn't show are kept.
+   * A model without an output limit opens its settings instead of saving.
    *
    * @async
    * @param {Event} e - Form submit event
@@ -223,20 +547,50 @@ const App = {
     const id = document.getElementById('providerId').value.trim();
     const isEdit = document.getElementById('isEditMode').value === 'true';
 
+    let options;
+    try {
+      options = ProviderOptionsEditor.read();
+    } catch (error) {
+      UI.showMessage(error.message, 'warning');
+      return;
+    }
+
+    const models = this.getFormModels();
+    const incomplete = Object.keys(models).find((modelId) => ModelEditor.needsOutputLimit(models[modelId]));
+    if (incomplete) {
+      UI.showMessage(`模型 ${incomplete} 只有上下文长度，请填写最大输出`, 'warning');
+      this.editModel(incomplete);
+      return;
+    }
+
+    const existing = isEdit && this.editingProvider ? JSON.parse(this.editingProvider.snapshot) : {};
     const config = {
-      npm: '@ai-sdk/openai-compatible',
+      ...existing,
+      npm: ProviderOptionsEditor.readNpm(),
       name: document.getElementById('providerName').value.trim() || id,
-      options: {
-        baseURL: document.getElementById('baseURL').value.trim(),
-        apiKey: document.getElementById('apiKey').value.trim(),
-      },
-      models: JSON.parse(document.getElementById('existingModels').value || '{}'),
+      options,
+      models,
     };
 
+    const revision = this.editingProvider ? this.editingProvider.revision : this.revision;
+    await this.submitProvider(id, config, revision, isEdit);
+  },
+
+  /**
+   * Saves a provider, guarded by the config revision it is based on
+   *
+   * @async
+   * @param {string} id - Provider ID
+   * @param {ProviderConfig} config - Provider configuration to save
+   * @param {string|null} revision - Config revision the edit is based on
+   * @param {boolean} isEdit - Whether an existing provider is being edited
+   * @returns {Promise<void>}
+   */
+  async submitProvider(id, config, revision, isEdit) {
+    this.saving = true;
     try {
-      const result = await API.saveProvider(id, config);
+      const result = await API.saveProvider(id, config, revision);
       if (result.success) {
-        ConfigHistory.save(this.config);
         UI.showMessage(isEdit ? '更新成功' : '添加成功', 'success');
         await this.loadConfig();
         this.resetForm();
@@ -244,8 +598,69 @@ const App = {
         UI.showMessage('保存失败', 'error');
       }
     } catch (error) {
-      UI.showMessage('保存失败: ' + error.message, 'error');
+      if (error.conflict) {
+        await this.resolveSaveConflict(id, config, isEdit);
+      } else {
+        UI.showMessage('保存失败: ' + error.message, 'error');
+      }
+    } finally {
+      this.saving = false;
+    }
+  },
+
+  /**
+   * Handles a save rejected because the config changed in the meantime
+   *
+   * Reloads the config. If the provider itself is unchanged the save is
+   * retried against the new revision; otherwise a dialog offers to merge
+   * both changes, overwrite with the local version, or discard it.
+   *
+   * @async
+   * @param {string} id - Provider ID
+   * @param {ProviderConfig} local - Provider configuration from the form
+   * @param {boolean} isEdit - Whether an existing provider is being edited
+   * @returns {Promise<void>}
+   */
+  async resolveSaveConflict(id, local, isEdit) {
+    await this.loadConfig(true);
+
+    const base =
+      this.editingProvider && this.editingProvider.id === id ? JSON.parse(this.editingProvider.snapshot) : undefined;
+    const remote = this.config.provider?.[id];
+
+    // 冲突来自其他 Provider 的修改，直接基于最新版本重试
+    if (JSON.stringify(remote) === JSON.stringify(base)) {
+      await this.submitProvider(id, local, this.revision, isEdit);
+      return;
     }
+
+    const modal = UI.createModal(
+      '保存冲突',
+      `
+            <p>Provider "${EscapeUtils.escapeHtml(id)}" 在你编辑期间已在其他地方被${remote ? '修改' : '删除'}。</p>
+            <div class="conflict-actions">
+                ${remote ? '<button class="btn btn-primary" data-action="merge">🔀 合并修改</button>' : ''}
+                <button class="btn btn-secondary" data-action="overwrite">使用我的版本</button>
+                <button class="btn btn-secondary" data-action="discard">放弃我的修改</button>
+            </div>
+        `
+    );
+
+    modal.querySelector('.conflict-actions').addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+      modal.remove();
+
+      if (btn.dataset.action === 'merge') {
+        await this.submitProvider(id, MergeUtils.threeWayMerge(base, local, remote), this.revision, isEdit);
+      } else if (btn.dataset.action === 'overwrite') {
+        await this.submitProvider(id, local, this.revision, isEdit);
+      } else if (remote) {
+        this.editProvider(id);
+      } else {
+        this.resetForm();
+      }
+    });
   },
 
   /**
@@ -257,18 +672,30 @@ const App = {
    * @returns {Promise<void>}
    */
   async discoverModels() {
-    const baseURL = document.getElementById('baseURL').value.trim();
-    const apiKey = document.getElementById('apiKey').value.trim();
+    let options;
+    try {
+      options = ProviderOptionsEditor.read();
+    } catch (error) {
+      UI.showMessage(error.message, 'warning');
+      return;
+    }
 
-    if (!baseURL || !apiKey) {
+    if (!options.baseURL || !options.apiKey) {
       UI.showMessage('请填写 Base URL 和 API Key', 'warning');
       return;
     }
 
     UI.showMessage('正在探查模型...', 'info');
+    this.discoveryController?.abort();
+    const { signal } = (this.discoveryController = new AbortController());
 
     try {
-      const result = await API.discoverModels(baseURL, apiKey);
+      const result = await API.discoverModels(options.baseURL, options.apiKey, {
+        ...options,
+        providerId: this.editingProvider?.id,
+        npm: ProviderOptionsEditor.readNpm(),
+        signal,
+      });
 
       if (result.error) {
         UI.showMessage('探查失败: ' + result.error, 'error');
@@ -279,10 +706,29 @@ const App = {
       this.showModelsSelection();
       UI.showMessage(`发现 ${Object.keys(this.discoveredModels).length} 个模型`, 'success');
     } catch (error) {
+      if (signal.aborted) return;
       UI.showMessage('探查失败: ' + error.message, 'error');
     }
   },
 
+  /**
+   * Short description of the details a provider reported for a discovered model
+   *
+   * @param {ModelInfo} info - Discovered model
+   * @returns {string} E.g. `8.0B · Q4_K_M · llama · 上下文 128K` or
+   *   `openai · 上下文 128K · $2.5/$10 每百万 token · 支持图像`, '' without details
+   */
+  formatModelDetails(info) {
+    const details = info.details || {};
+    const parts = [details.parameterSize, details.quantization, details.family, details.owner].filter(Boolean);
+    if (details.contextLength) parts.push('上下文 ' + ModelEditor.formatTokens(details.contextLength));
+    if (info.cost && info.cost.input !== undefined) {
+      parts.push(`$${info.cost.input}/$${info.cost.output ?? '-'} 每百万 token`);
+    }
+    if (details.vision) parts.push('支持图像');
+    return parts.join(' · ');
+  },
+
   /**
    * Displays discovered models for selection
    *
@@ -294,13 +740,18 @@ const App = {
 
     const models = Object.entries(this.discoveredModels)
       .map(
-        ([id, info]) => `
+        ([id, info]) => {
+          const details = this.formatModelDetails(info);
+          return `
             <div class="model-item">
                 <input type="checkbox" id="model-${EscapeUtils.escapeHtml(id)}" 
                        value="${EscapeUtils.escapeHtml(id)}" class="model-checkbox">
-                <label for="model-${EscapeUtils.escapeHtml(id)}">${EscapeUtils.escapeHtml(id)}</label>
+                <label for="model-${EscapeUtils.escapeHtml(id)}">${EscapeUtils.escapeHtml(id)}
+                    ${details ? `<div class="model-summary">${EscapeUtils.escapeHtml(details)}</div>` : ''}
+                </label>
             </div>
-        `
+        `;
+        }
       )
       .join('');
 
@@ -333,15 +784,25 @@ const App = {
    * Confirms selected models from discovery
    *
    * Adds selected models to the existing models list and updates the form.
+   * Token limits, prices and modalities reported by the provider are
+   * pre-filled; models already in the list are left as they are. A context
+   * length without an output limit is kept, and the output limit is asked
+   * for before the provider is saved.
    */
   confirmModels() {
-    const existing = JSON.parse(document.getElementById('existingModels').value || '{}');
+    const existing = this.getFormModels();
 
     this.selectedModels.forEach((id) => {
-      existing[id] = { name: id };
+      if (existing[id]) return;
+      const model = { name: id };
+      const info = this.discoveredModels[id] || {};
+      ['limit', 'cost', 'modalities'].forEach((field) => {
+        if (info[field]) model[field] = { ...info[field] };
+      });
+      existing[id] = model;
     });
 
-    document.getElementById('existingModels').value = JSON.stringify(existing);
+    this.setFormModels(existing);
     document.getElementById('modelsSelection').style.display = 'none';
     this.selectedModels.clear();
 
@@ -360,23 +821,88 @@ const App = {
       return;
     }
 
-    const existing = JSON.parse(document.getElementById('existingModels').value || '{}');
+    const existing = this.getFormModels();
     const newIds = input
       .split('\n')
       .map((l) => l.trim())
       .filter((l) => l);
 
     newIds.forEach((id) => {
-      existing[id] = { name: id };
+      existing[id] = existing[id] || { name: id };
     });
 
-    document.getElementById('existingModels').value = JSON.stringify(existing);
+    this.setFormModels(existing);
     document.getElementById('manualModelsInput').value = '';
     document.getElementById('manualModelsSection').style.display = 'none';
 
     UI.showMessage(`已添加 ${newIds.length} 个模型`, 'success');
   },
 
+  /**
+   * Gets the models of the provider form
+   *
+   * @returns {Object.<string, ModelInfo>}
+   */
+  getFormModels() {
+    return JSON.parse(document.getElementById('existingModels').value || '{}');
+  },
+
+  /**
+   * Sets the models of the provider form and renders the model list
+   *
+   * @param {Object.<string, ModelInfo>} models - Model configurations
+   */
+  setFormModels(models) {
+    document.getElementById('existingModels').value = JSON.stringify(models);
+    document.getElementById('formModels').innerHTML = ModelEditor.renderList(models);
+  },
+
+  /**
+   * Handles the settings and remove buttons of the form's model list
+   *
+   * @param {Event} e - Click event
+   */
+  handleModelAction(e) {
+    const btn = e.target.closest('[data-model-action]');
+    if (!btn) return;
+
+    const id = btn.closest('.model-entry').dataset.model;
+    if (btn.dataset.modelAction === 'edit') {
+      this.editModel(id);
+      return;
+    }
+
+    const models = this.getFormModels();
+    delete models[id];
+    this.setFormModels(models);
+  },
+
+  /**
+   * Opens the settings dialog of a model
+   *
+   * Changes are applied to the form and saved with the provider.
+   *
+   * @param {string} id - Model ID
+   */
+  editModel(id) {
+    const models = this.getFormModels();
+    const modal = UI.createModal('模型设置: ' + id, ModelEditor.renderForm(id, models[id] || {}));
+    const form = modal.querySelector('.model-form');
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      try {
+        models[id] = ModelEditor.readForm(form, models[id] || {});
+      } catch (error) {
+        UI.showMessage(error.message, 'error');
+        return;
+      }
+      this.setFormModels(models);
+      modal.remove();
+      UI.showMessage('模型设置已更新，保存 Provider 后生效', 'info');
+    });
+  },
+
   /**
    * Tests connection for a specific provider's models
    *
@@ -405,13 +931,18 @@ const App = {
       return;
     }
 
-    this.showTestModal();
+    const signal = this.showTestModal();
     this.updateTestProgress(`准备测试 ${modelIds.length} 个模型...`);
 
     const results = [];
     const promises = modelIds.map(async (modelId) => {
       try {
-        const result = await API.testModel(options.baseURL, options.apiKey, modelId);
+        const result = await API.testModel(
+          options.baseURL,
+          options.apiKey,
+          modelId,
+          { ...this.modelRequestOptions(options, provider.models[modelId]), providerId: id, npm: provider.npm, signal }
+        );
         results.push(result);
       } catch (error) {
         results.push({
@@ -420,12 +951,13 @@ const App = {
           model: modelId,
         });
       }
+      if (signal.aborted) return;
       this.updateTestProgress(`测试中... (${results.length}/${modelIds.length})`);
       this.renderTestResults(results);
     });
 
     await Promise.all(promises);
-    this.updateTestProgress('测试完成');
+    if (!signal.aborted) this.updateTestProgress('测试完成');
   },
 
   /**
@@ -443,7 +975,7 @@ const App = {
       return;
     }
 
-    this.showTestModal();
+    const signal = this.showTestModal();
 
     const tasks = [];
     for (const [id, provider] of providers) {
@@ -452,7 +984,16 @@ const App = {
         continue;
       }
       for (const modelId of Object.keys(provider.models)) {
-        tasks.push({ providerId: id, modelId, options });
+        tasks.push({
+          providerId: id,
+          modelId,
+          options: {
+            ...this.modelRequestOptions(options, provider.models[modelId]),
+            providerId: id,
+            npm: provider.npm,
+            signal,
+          },
+        });
       }
     }
 
@@ -466,7 +1007,7 @@ const App = {
 
     const promises = tasks.map(async (task) => {
       try {
-        const result = await API.testModel(task.options.baseURL, task.options.apiKey, task.modelId);
+        const result = await API.testModel(task.options.baseURL, task.options.apiKey, task.modelId, task.options);
         results.push({ ...result, provider: task.providerId });
       } catch (error) {
         results.push({
@@ -476,18 +1017,36 @@ const App = {
           provider: task.providerId,
         });
       }
+      if (signal.aborted) return;
       this.updateTestProgress(`测试中... (${results.length}/${tasks.length})`);
       this.renderTestResults(results);
     });
 
     await Promise.all(promises);
-    this.updateTestProgress(`测试完成，共 ${results.length} 个模型`);
+    if (!signal.aborted) this.updateTestProgress(`测试完成，共 ${results.length} 个模型`);
+  },
+
+  /**
+   * Provider options for requests to one model
+   *
+   * Model headers are sent on top of the provider headers, as opencode does.
+   *
+   * @param {ProviderOptions} options - Provider options
+   * @param {ModelInfo} [model] - Model configuration
+   * @returns {ProviderOptions}
+   */
+  modelRequestOptions(options, model) {
+    if (!model || !model.headers) return options;
+    return { ...options, headers: { ...options.headers, ...model.headers } };
   },
 
   /**
    * Displays the test results modal
    *
-   * Opens the modal dialog and initializes close button handler.
+   * Opens the modal dialog and initializes close button handler. Closing
+   * the modal, or opening it for another test, cancels the running tests.
+   *
+   * @returns {AbortSignal} Signal for the test requests
    */
   showTestModal() {
     const modal = document.getElementById('testModal');
@@ -495,9 +1054,15 @@ const App = {
     document.getElementById('testProgress').textContent = '';
     document.getElementById('testResults').innerHTML = '';
 
+    this.testController?.abort();
+    const controller = (this.testController = new AbortController());
+
     modal.querySelector('.close-btn').onclick = () => {
+      controller.abort();
       modal.style.display = 'none';
     };
+
+    return controller.signal;
   },
 
   /**
@@ -526,6 +1091,7 @@ const App = {
                     ${r.success ? '✓' : '✗'}
                 </span>
                 ${r.latency ? `<span>${r.latency}ms</span>` : ''}
+                ${r.attempts > 1 ? `<span>重试 ${r.attempts - 1} 次</span>` : ''}
                 ${r.error ? `<div class="error-msg">${EscapeUtils.escapeHtml(r.error)}</div>` : ''}
             </div>
         `
@@ -549,14 +1115,47 @@ const App = {
     document.getElementById('providerId').value = id;
     document.getElementById('providerName').value = provider.name || '';
     document.getElementById('baseURL').value = options.baseURL || '';
-    document.getElementById('apiKey').value = options.apiKey || '';
-    document.getElementById('existingModels').value = JSON.stringify(provider.models || {});
+    ProviderOptionsEditor.fill(provider);
+    this.setFormModels(provider.models || {});
     document.getElementById('isEditMode').value = 'true';
     document.getElementById('formTitle').textContent = '✏️ 编辑 Provider';
+    document.getElementById('editConflictWarning').style.display = 'none';
+    this.renderPlaceholderFields();
+    this.editingProvider = { id, snapshot: JSON.stringify(provider), revision: this.revision };
 
     window.scrollTo({ top: 0, behavior: 'smooth' });
   },
 
+  /**
+   * Shows the API Key in the form
+   *
+   * The server only sends masked keys, so a mask of the provider being edited
+   * is replaced with the stored key after the user confirms. Other values are
+   * shown or hidden again.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async revealApiKey() {
+    const input = document.getElementById('apiKey');
+    const id = this.editingProvider?.id;
+
+    if (!id || !input.value.startsWith('••••') || input.value !== this.config.provider?.[id]?.options?.apiKey) {
+      input.type = input.type === 'password' ? 'text' : 'password';
+      return;
+    }
+
+    if (!confirm(`确定要显示 Provider "${id}" 的 API Key 吗？`)) return;
+
+    try {
+      const { apiKey } = await API.revealApiKey(id);
+      input.value = apiKey;
+      input.type = 'text';
+    } catch (error) {
+      UI.showMessage('显示 API Key 失败: ' + error.message, 'error');
+    }
+  },
+
   /**
    * Deletes a provider configuration
    *
@@ -570,9 +1169,9 @@ const App = {
     if (!confirm(`确定要删除 Provider "${id}" 吗？`)) return;
 
     try {
-      const result = await API.deleteProvider(id);
+      const result = await this.deleteProviderAtRevision(id);
+      if (!result) return;
       if (result.success) {
-        ConfigHistory.save(this.config);
         UI.showMessage('删除成功', 'success');
         await this.loadConfig();
       } else {
@@ -583,10 +1182,154 @@ const App = {
     }
   },
 
+  /**
+   * Sends a delete request, confirming again if the config changed meanwhile
+   *
+   * @async
+   * @param {string} id - Provider ID to delete
+   * @returns {Promise<SaveResult|null>} Server result, or null if cancelled
+   */
+  async deleteProviderAtRevision(id) {
+    const snapshot = JSON.stringify(this.config.provider?.[id]);
+
+    try {
+      return await API.deleteProvider(id, this.revision);
+    } catch (error) {
+      if (!error.conflict) throw error;
+    }
+
+    await this.loadConfig(true);
+    const current = this.config.provider?.[id];
+    if (!current) {
+      UI.showMessage(`Provider "${id}" 已在其他地方被删除`, 'info');
+      return null;
+    }
+    if (JSON.stringify(current) !== snapshot && !confirm(`Provider "${id}" 已在其他地方被修改，仍要删除吗？`)) {
+      return null;
+    }
+    return API.deleteProvider(id, this.revision);
+  },
+
+  /**
+   * Renames a provider
+   *
+   * The server also rewrites `provider/model` references such as the
+   * default model. An open edit of the provider is closed, since saving it
+   * would recreate the old ID.
+   *
+   * @async
+   * @param {string} id - Provider ID to rename
+   * @returns {Promise<void>}
+   */
+  async renameProvider(id) {
+    const newId = prompt(`将 Provider "${id}" 重命名为`, id);
+    if (!newId || newId.trim() === id) return;
+
+    try {
+      await this.copyProviderAtRevision(id, (revision) => API.renameProvider(id, newId.trim(), revision));
+      if (this.editingProvider && this.editingProvider.id === id) this.resetForm();
+      UI.showMessage(`已重命名为 "${newId.trim()}"`, 'success');
+      await this.loadConfig(true);
+    } catch (error) {
+      UI.showMessage('重命名失败: ' + error.message, 'error');
+    }
+  },
+
+  /**
+   * Copies a provider under a new ID
+   *
+   * @async
+   * @param {string} id - Provider ID to copy
+   * @returns {Promise<void>}
+   */
+  async cloneProvider(id) {
+    const newId = prompt(`复制 Provider "${id}"，新的 Provider ID`, id + '-copy');
+    if (!newId) return;
+
+    const source = this.config.provider?.[id] || {};
+    const name = source.name ? source.name + ' (副本)' : undefined;
+
+    try {
+      await this.copyProviderAtRevision(id, (revision) => API.cloneProvider(id, newId.trim(), name, revision));
+      UI.showMessage(`已复制为 "${newId.trim()}"`, 'success');
+      await this.loadConfig(true);
+    } catch (error) {
+      UI.showMessage('复制失败: ' + error.message, 'error');
+    }
+  },
+
+  /**
+   * Runs a rename/clone request, retrying once if the config changed meanwhile
+   *
+   * The server applies the operation to the latest config, so a conflict
+   * only needs a retry as long as the provider still exists.
+   *
+   * @async
+   * @param {string} id - Provider ID
+   * @param {function(string|null): Promise<SaveResult>} request - Sends the request for a revision
+   * @returns {Promise<SaveResult>}
+   */
+  async copyProviderAtRevision(id, request) {
+    try {
+      return await request(this.revision);
+    } catch (error) {
+      if (!error.conflict) throw error;
+    }
+
+    await this.loadConfig(true);
+    if (!this.config.provider?.[id]) {
+      throw new Error(`Provider "${id}" 已在其他地方被删除`);
+    }
+    return request(this.revision);
+  },
+
+  /**
+   * Displays the export dialog
+   *
+   * Lets the user pick providers and models, the format and how API keys
+   * are exported, and downloads the export from the server. API keys can
+   * be downloaded separately as a `.env` file.
+   */
+  showExport() {
+    const modal = UI.createModal('导出配置', ExportDialog.render(this.config));
+    const form = modal.querySelector('.export-form');
+
+    form.addEventListener('change', (e) => {
+      if (e.target.type === 'checkbox') ExportDialog.syncSelection(form, e.target);
+    });
+
+    const download = async (format) => {
+      const providers = ExportDialog.getSelectors(form);
+      if (providers.length === 0) {
+        UI.showMessage('请选择要导出的 Provider', 'warning');
+        return;
+      }
+
+      const secrets = form.elements.secrets.value;
+      if ((format === 'env' || secrets === 'plain') && !confirm('导出的文件将包含明文 API Key，确定要继续吗？')) {
+        return;
+      }
+
+      try {
+        await API.exportConfig({ format, secrets, providers });
+      } catch (error) {
+        UI.showMessage('导出失败: ' + error.message, 'error');
+      }
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      download(form.elements.format.value);
+    });
+    form.querySelector('[data-action="env"]').addEventListener('click', () => download('env'));
+  },
+
   /**
    * Imports configuration from a file
    *
-   * Reads the selected file and sends to server for import.
+   * Reads the selected file, converts it to an opencode config on the
+   * server (opencode, LiteLLM, Continue or .env) and shows a preview of the
+   * import.
    *
    * @async
    * @param {Event} e - File input change event
@@ -597,9 +1340,9 @@ const App = {
     if (!file) return;
 
     try {
-      const result = await API.importConfig(file);
-      UI.showMessage(`成功导入 ${result.count} 个 Provider`, 'success');
-      await this.loadConfig();
+      const { content, filename } = await API.readImportFile(file);
+      const { config, name, warnings } = await API.convertImport(content, filename);
+      await this.showImportPreview(config, { name, warnings });
     } catch (error) {
       UI.showMessage('导入失败: ' + error.message, 'error');
     }
@@ -607,41 +1350,121 @@ const App = {
     e.target.value = '';
   },
 
+  /**
+   * Shows the dry-run report of an import and applies it on confirmation
+   *
+   * The report is refreshed whenever a strategy changes. The import is
+   * applied against the revision of the previewed config; if the config
+   * changed meanwhile the preview is refreshed instead.
+   *
+   * @async
+   * @param {AppConfig} config - Configuration to import
+   * @param {{name: string, warnings: string[]}} [source] - Detected file format and conversion warnings
+   * @returns {Promise<void>}
+   */
+  async showImportPreview(config, source = { name: 'opencode', warnings: [] }) {
+    const options = { strategy: 'merge', modelStrategy: 'merge' };
+    let preview = await API.importConfig(config, { ...options, dryRun: true });
+
+    const modal = UI.createModal(
+      '导入预览',
+      `
+            ${ImportPreview.renderSource(source)}
+            ${ImportPreview.renderOptions(options)}
+            <div class="import-report">${ImportPreview.renderReport(preview.report)}</div>
+            <div class="conflict-actions">
+                <button class="btn btn-primary" data-action="apply">📥 确认导入</button>
+            </div>
+        `
+    );
+    const report = modal.querySelector('.import-report');
+
+    const refresh = async () => {
+      preview = await API.importConfig(config, { ...options, dryRun: true });
+      report.innerHTML = ImportPreview.renderReport(preview.report);
+    };
+
+    modal.querySelector('.import-options').addEventListener('change', async (e) => {
+      options[e.target.name] = e.target.value;
+      try {
+        await refresh();
+      } catch (error) {
+        UI.showMessage('预览失败: ' + error.message, 'error');
+      }
+    });
+
+    modal.querySelector('[data-action="apply"]').addEventListener('click', async () => {
+      try {
+        const result = await API.importConfig(config, options, preview.revision);
+        const { summary } = result.report;
+        UI.showMessage(`导入完成：新增 ${summary.added} 个，更新 ${summary.updated} 个 Provider`, 'success');
+        modal.remove();
+        await this.loadConfig(true);
+      } catch (error) {
+        if (!error.conflict) {
+          UI.showMessage('导入失败: ' + error.message, 'error');
+          return;
+        }
+        UI.showMessage('配置已在其他地方被修改，预览已更新，请重新确认', 'warning');
+        await refresh().catch(() => {});
+      }
+    });
+  },
+
   /**
    * Displays configuration history modal
    *
-   * Shows previous configuration states and allows restoration.
+   * Lists the server-side configuration versions and allows comparing a
+   * version with its predecessor or restoring it.
+   *
+   * @async
+   * @returns {Promise<void>}
    */
-  showHistory() {
-    const content = ConfigHistory.renderHistoryList();
+  async showHistory() {
+    let versions;
+    try {
+      ({ versions } = await API.getHistory());
+    } catch (error) {
+      UI.showMessage('加载历史失败: ' + error.message, 'error');
+      return;
+    }
+
     const modal = UI.createModal(
       '配置历史',
       `
             <div class="history-list">
-                ${content}
+                ${ConfigHistory.renderHistoryList(versions)}
             </div>
         `
     );
 
-    modal.querySelectorAll('[data-action="restore"]').forEach((btn) => {
-      btn.addEventListener('click', async (e) => {
-        const item = e.target.closest('.history-item');
-        const timestamp = parseInt(item.dataset.timestamp);
-        const config = ConfigHistory.restore(timestamp);
-
-        if (config && confirm('确定要恢复到这个时间点的配置吗？')) {
-          try {
-            for (const [id, providerConfig] of Object.entries(config.provider || {})) {
-              await API.saveProvider(id, providerConfig);
-            }
-            UI.showMessage('配置已恢复', 'success');
-            await this.loadConfig();
-            modal.remove();
-          } catch (error) {
-            UI.showMessage('恢复失败: ' + error.message, 'error');
-          }
+    modal.querySelector('.history-list').addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+
+      const item = btn.closest('.history-item');
+      const version = parseInt(item.dataset.version);
+
+      if (btn.dataset.action === 'diff') {
+        try {
+          const result = await API.getHistoryDiff(parseInt(item.dataset.previous), version);
+          UI.createModal('版本差异', ConfigHistory.renderDiff(result));
+        } catch (error) {
+          UI.showMessage('加载差异失败: ' + error.message, 'error');
         }
-      });
+        return;
+      }
+
+      if (btn.dataset.action === 'restore' && confirm(`确定要恢复到版本 #${version} 吗？`)) {
+        try {
+          await API.restoreHistory(version);
+          UI.showMessage('配置已恢复', 'success');
+          await this.loadConfig();
+          modal.remove();
+        } catch (error) {
+          UI.showMessage('恢复失败: ' + error.message, 'error');
+        }
+      }
     });
   },
 
@@ -652,11 +1475,17 @@ const App = {
    */
   resetForm() {
     document.getElementById('providerForm').reset();
-    document.getElementById('existingModels').value = '{}';
+    document.getElementById('providerAdvanced').open = false;
+    ProviderOptionsEditor.setApiKeyMode('plain');
+    this.setFormModels({});
     document.getElementById('isEditMode').value = 'false';
     document.getElementById('formTitle').textContent = '➕ 添加 Provider';
     document.getElementById('modelsSelection').style.display = 'none';
     document.getElementById('manualModelsSection').style.display = 'none';
+    document.getElementById('editConflictWarning').style.display = 'none';
+    this.renderPlaceholderFields();
+    this.discoveryController?.abort();
+    this.editingProvider = null;
     this.selectedModels.clear();
   },
 };
@@ -0,0 +1,123 @@
+/**
+ * Export Dialog Module
+ *
+ * Renders the export options (format, API key handling and the providers
+ * and models to include) and turns the selection into export selectors.
+ *
+ * @module components/exportDialog
+ */
+const ExportDialog = {
+    FORMAT_LABELS: {
+        'json': 'JSON',
+        'jsonc': 'JSONC（带注释）',
+        'yaml': 'YAML'
+    },
+
+    SECRET_LABELS: {
+        'redact': '隐藏 API Key',
+        'env': '替换为 {env:VAR} 引用',
+        'plain': '包含明文 API Key'
+    },
+
+    renderSelect(name, labels) {
+        const options = Object.entries(labels).map(([key, label]) =>
+            `<option value="${key}">${EscapeUtils.escapeHtml(label)}</option>`
+        ).join('');
+        return `<select name="${name}">${options}</select>`;
+    },
+
+    renderProviders(providers) {
+        const ids = Object.keys(providers);
+        if (ids.length === 0) {
+            return '<p class="empty">暂无 Provider</p>';
+        }
+
+        return ids.map(id => {
+            const models = Object.keys(providers[id].models || {}).map(modelId => `
+                <label class="export-model">
+                    <input type="checkbox" data-provider="${EscapeUtils.escapeHtml(id)}"
+                           value="${EscapeUtils.escapeHtml(modelId)}" checked>
+                    ${EscapeUtils.escapeHtml(modelId)}
+                </label>
+            `).join('');
+
+            return `
+                <div class="export-provider">
+                    <label>
+                        <input type="checkbox" data-select-provider="${EscapeUtils.escapeHtml(id)}" checked>
+                        <strong>${EscapeUtils.escapeHtml(providers[id].name || id)}</strong>
+                    </label>
+                    ${models}
+                </div>
+            `;
+        }).join('');
+    },
+
+    render(config) {
+        return `
+            <form class="export-form">
+                <div class="import-options">
+                    <label>格式 ${this.renderSelect('format', this.FORMAT_LABELS)}</label>
+                    <label>API Key ${this.renderSelect('secrets', this.SECRET_LABELS)}</label>
+                </div>
+                <div class="export-providers">${this.renderProviders(config.provider || {})}</div>
+                <div class="conflict-actions">
+                    <button type="button" class="btn btn-secondary" data-action="env">🔑 导出 .env</button>
+                    <button type="submit" class="btn btn-primary">📤 导出配置</button>
+                </div>
+            </form>
+        `;
+    },
+
+    /**
+     * Keeps provider checkboxes in sync with their models
+     *
+     * @param {HTMLFormElement} form - Export form
+     * @param {HTMLInputElement} input - Changed checkbox
+     */
+    syncSelection(form, input) {
+        const providerId = input.dataset.selectProvider;
+        if (providerId !== undefined) {
+            form.querySelectorAll('input[data-provider]').forEach(model => {
+                if (model.dataset.provider === providerId) model.checked = input.checked;
+            });
+            return;
+        }
+
+        const models = [...form.querySelectorAll('input[data-provider]')]
+            .filter(model => model.dataset.provider === input.dataset.provider);
+        const provider = [...form.querySelectorAll('input[data-select-provider]')]
+            .find(candidate => candidate.dataset.selectProvider === input.dataset.provider);
+        provider.checked = models.some(model => model.checked);
+    },
+
+    /**
+     * Builds export selectors from the checked providers and models
+     *
+     * A provider with all of its models checked is exported whole.
+     *
+     * @param {HTMLFormElement} form - Export form
+     * @returns {string[]} `provider` or `provider/model` selectors
+     */
+    getSelectors(form) {
+        const selectors = [];
+
+        form.querySelectorAll('input[data-select-provider]').forEach(provider => {
+            if (!provider.checked) return;
+
+            const id = provider.dataset.selectProvider;
+            const models = [...form.querySelectorAll('input[data-provider]')]
+                .filter(model => model.dataset.provider === id);
+            const checked = models.filter(model => model.checked);
+
+            if (checked.length === models.length) selectors.push(id);
+            else checked.forEach(model => selectors.push(id + '/' + model.value));
+        });
+
+        return selectors;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.ExportDialog = ExportDialog;
+}
@@ -1,76 +1,89 @@
 /**
  * Configuration History Module
  *
- * Manages local storage of configuration history for rollback functionality.
- * Stores up to 20 historical snapshots with timestamps.
+ * Renders the server-side configuration history: the version list with
+ * per-version provider changes, and structural diffs between versions.
  *
  * @module components/history
  */
 const ConfigHistory = {
-    STORAGE_KEY: 'opencode_config_history',
-    MAX_HISTORY: 20,
-
-    save(config) {
-        try {
-            const history = this.getHistory();
-            const entry = {
-                timestamp: Date.now(),
-                date: new Date().toISOString(),
-                config: JSON.parse(JSON.stringify(config))
-            };
-
-            history.unshift(entry);
-            
-            if (history.length > this.MAX_HISTORY) {
-                history.pop();
-            }
+    ACTION_LABELS: {
+        'initial': '初始配置',
+        'write': '写入配置',
+        'save-provider': '保存 Provider',
+        'delete-provider': '删除 Provider',
+        'rename-provider': '重命名 Provider',
+        'clone-provider': '复制 Provider',
+        'activate-profile': '切换 Profile',
+        'restore': '恢复版本',
+        'replace-config': '替换配置',
+        'patch-config': '修改配置',
+        'import': '导入'
+    },
 
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(history));
-        } catch (e) {
-            console.error('保存历史失败:', e);
-        }
+    formatSummary(summary = {}) {
+        const parts = [];
+        if (summary.added?.length) parts.push('+' + summary.added.join(', +'));
+        if (summary.removed?.length) parts.push('-' + summary.removed.join(', -'));
+        if (summary.changed?.length) parts.push('~' + summary.changed.join(', ~'));
+        return parts.join('  ');
     },
 
-    getHistory() {
-        try {
-            const stored = localStorage.getItem(this.STORAGE_KEY);
-            return stored ? JSON.parse(stored) : [];
-        } catch (e) {
-            return [];
+    renderHistoryList(versions) {
+        if (!versions || versions.length === 0) {
+            return '<p class="empty">暂无历史记录</p>';
         }
-    },
 
-    restore(timestamp) {
-        const history = this.getHistory();
-        const entry = history.find(h => h.timestamp === timestamp);
-        return entry ? entry.config : null;
-    },
+        return versions.map((entry, index) => {
+            const date = new Date(entry.timestamp).toLocaleString();
+            const label = this.ACTION_LABELS[entry.action] || entry.action;
+            const target = entry.target ? ` ${entry.target}` : '';
+            const summary = this.formatSummary(entry.summary);
+            const previous = versions[index + 1];
 
-    clear() {
-        localStorage.removeItem(this.STORAGE_KEY);
+            return `
+                <div class="history-item" data-version="${entry.version}"
+                     data-previous="${previous ? previous.version : ''}">
+                    <div class="history-info">
+                        <strong>#${entry.version} ${EscapeUtils.escapeHtml(label + target)}</strong>
+                        <span>${date} · ${entry.providerCount} 个 Provider</span>
+                        ${summary ? `<span class="history-summary">${EscapeUtils.escapeHtml(summary)}</span>` : ''}
+                    </div>
+                    <div class="actions">
+                        ${previous ? '<button class="btn btn-secondary" data-action="diff">差异</button>' : ''}
+                        ${index > 0 ? '<button class="btn btn-restore" data-action="restore">恢复</button>' : '<span class="badge">当前</span>'}
+                    </div>
+                </div>
+            `;
+        }).join('');
     },
 
-    renderHistoryList() {
-        const history = this.getHistory();
-        
-        if (history.length === 0) {
-            return '<p class="empty">暂无历史记录</p>';
+    renderDiff(result) {
+        if (!result.changes || result.changes.length === 0) {
+            return '<p class="empty">两个版本没有差异</p>';
         }
 
-        return history.map(entry => {
-            const date = new Date(entry.date).toLocaleString();
-            const providerCount = Object.keys(entry.config.provider || {}).length;
-            
+        const format = (value) => EscapeUtils.escapeHtml(JSON.stringify(value));
+
+        const rows = result.changes.map(change => {
+            const path = EscapeUtils.escapeHtml(change.path.join('.'));
+            let detail = '';
+            if (change.type === 'added') detail = format(change.to);
+            if (change.type === 'removed') detail = format(change.from);
+            if (change.type === 'changed') detail = `${format(change.from)} → ${format(change.to)}`;
+
             return `
-                <div class="history-item" data-timestamp="${entry.timestamp}">
-                    <div class="history-info">
-                        <strong>${date}</strong>
-                        <span>${providerCount} 个 Provider</span>
-                    </div>
-                    <button class="btn btn-restore" data-action="restore">恢复</button>
+                <div class="diff-row diff-${change.type}">
+                    <code>${path}</code>
+                    <span>${detail}</span>
                 </div>
             `;
         }).join('');
+
+        return `
+            <p class="diff-title">#${result.from} → #${result.to}</p>
+            <div class="diff-list">${rows}</div>
+        `;
     }
 };
 
@@ -0,0 +1,94 @@
+/**
+ * Import Preview Module
+ *
+ * Renders the dry-run report of an import: the detected file format and
+ * conversion warnings, strategy selectors and what happens to each incoming
+ * provider and its models.
+ *
+ * @module components/importPreview
+ */
+const ImportPreview = {
+    STRATEGY_LABELS: {
+        'merge': '合并（导入的值优先）',
+        'replace': '替换',
+        'skip-existing': '跳过已存在的'
+    },
+
+    ACTION_LABELS: {
+        'add': '新增',
+        'update': '更新',
+        'skip': '跳过',
+        'unchanged': '无变化'
+    },
+
+    renderStrategySelect(name, value) {
+        const options = Object.entries(this.STRATEGY_LABELS).map(([key, label]) =>
+            `<option value="${key}" ${key === value ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        return `<select name="${name}">${options}</select>`;
+    },
+
+    renderSource(source) {
+        const warnings = source.warnings.map(warning =>
+            `<li>${EscapeUtils.escapeHtml(warning)}</li>`
+        ).join('');
+        return `
+            <p class="import-source">文件格式：${EscapeUtils.escapeHtml(source.name)}</p>
+            ${warnings ? `<ul class="import-warnings">${warnings}</ul>` : ''}
+        `;
+    },
+
+    renderOptions(options) {
+        return `
+            <div class="import-options">
+                <label>已存在的 Provider ${this.renderStrategySelect('strategy', options.strategy)}</label>
+                <label>已存在的模型 ${this.renderStrategySelect('modelStrategy', options.modelStrategy)}</label>
+            </div>
+        `;
+    },
+
+    renderModels(models) {
+        const parts = [];
+        if (models.added.length) parts.push('+' + models.added.join(', +'));
+        if (models.updated.length) parts.push('~' + models.updated.join(', ~'));
+        if (models.removed.length) parts.push('-' + models.removed.join(', -'));
+        if (models.skipped.length) parts.push('跳过 ' + models.skipped.join(', '));
+        return parts.join('  ');
+    },
+
+    renderReport(report) {
+        const { summary } = report;
+        if (report.providers.length === 0) {
+            return '<p class="empty">文件中没有 Provider</p>';
+        }
+
+        const rows = report.providers.map(entry => {
+            const models = this.renderModels(entry.models);
+            const conflicts = entry.conflicts.map(conflict =>
+                `<code>${EscapeUtils.escapeHtml(conflict.path)}</code> 保留${conflict.resolution === 'incoming' ? '导入的值' : '当前值'}`
+            ).join('<br>');
+
+            return `
+                <div class="import-row import-${entry.action}">
+                    <div>
+                        <strong>${EscapeUtils.escapeHtml(entry.id)}</strong>
+                        <span class="badge">${this.ACTION_LABELS[entry.action]}</span>
+                    </div>
+                    ${models ? `<span class="history-summary">模型: ${EscapeUtils.escapeHtml(models)}</span>` : ''}
+                    ${conflicts ? `<span class="import-conflicts">冲突: ${conflicts}</span>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <p class="diff-title">
+                新增 ${summary.added} · 更新 ${summary.updated} · 跳过 ${summary.skipped} · 无变化 ${summary.unchanged} · 冲突 ${summary.conflicts}
+            </p>
+            <div class="import-list">${rows}</div>
+        `;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.ImportPreview = ImportPreview;
+}
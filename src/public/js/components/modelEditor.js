@@ -0,0 +1,241 @@
+/**
+ * Model Editor Module
+ *
+ * Renders the models of the provider form and the per-model settings
+ * dialog: token limits, cost, capability flags, modalities and
+ * model-specific options. Settings the editor doesn't know are kept.
+ *
+ * @module components/modelEditor
+ */
+const ModelEditor = {
+    FLAG_LABELS: {
+        'tool_call': '工具调用',
+        'reasoning': '推理',
+        'attachment': '附件',
+        'temperature': '支持 temperature'
+    },
+
+    MODALITIES: ['text', 'image', 'audio', 'video', 'pdf'],
+
+    COST_LABELS: {
+        'input': '输入',
+        'output': '输出',
+        'cache_read': '缓存读取',
+        'cache_write': '缓存写入'
+    },
+
+    /**
+     * Short description of a model's settings for the model list
+     *
+     * @param {Object} model - Model configuration
+     * @returns {string}
+     */
+    summarize(model) {
+        const parts = [];
+        const limit = model.limit || {};
+        if (limit.context) parts.push('上下文 ' + this.formatTokens(limit.context));
+        if (limit.output) parts.push('输出 ' + this.formatTokens(limit.output));
+        if (this.needsOutputLimit(model)) parts.push('⚠️ 需填写最大输出');
+        if (model.cost && model.cost.input !== undefined) {
+            parts.push(`$${model.cost.input}/$${model.cost.output ?? '-'}`);
+        }
+        Object.keys(this.FLAG_LABELS).forEach(flag => {
+            if (model[flag]) parts.push(this.FLAG_LABELS[flag]);
+        });
+        if (model.options && Object.keys(model.options).length) {
+            parts.push(Object.keys(model.options).join(', '));
+        }
+        return parts.join(' · ');
+    },
+
+    /**
+     * Whether a model has a context length but no output limit, as
+     * discovery fills in when the provider doesn't report one; opencode
+     * needs both, so it has to be completed before saving
+     *
+     * @param {Object} model - Model configuration
+     * @returns {boolean}
+     */
+    needsOutputLimit(model) {
+        return Boolean(model && model.limit && model.limit.output === undefined);
+    },
+
+    formatTokens(value) {
+        return value >= 1000 ? Math.round(value / 1000) + 'K' : String(value);
+    },
+
+    renderList(models) {
+        const ids = Object.keys(models);
+        if (ids.length === 0) {
+            return '<p class="empty">暂无模型，可通过探查或手动添加</p>';
+        }
+
+        return ids.map(id => {
+            const model = models[id] || {};
+            const summary = this.summarize(model);
+            const name = model.name && model.name !== id ? ` <small>${EscapeUtils.escapeHtml(model.name)}</small>` : '';
+
+            return `
+                <div class="model-entry" data-model="${EscapeUtils.escapeHtml(id)}">
+                    <div>
+                        <span>${EscapeUtils.escapeHtml(id)}</span>${name}
+                        ${summary ? `<div class="model-summary">${EscapeUtils.escapeHtml(summary)}</div>` : ''}
+                    </div>
+                    <div class="actions">
+                        <button type="button" class="btn btn-secondary" data-model-action="edit">⚙️</button>
+                        <button type="button" class="btn btn-secondary" data-model-action="remove">✕</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    renderNumber(name, label, value, step) {
+        return `
+            <label>${label}
+                <input type="number" name="${name}" min="0" step="${step}" value="${value ?? ''}">
+            </label>
+        `;
+    },
+
+    renderModalities(direction, selected = []) {
+        return this.MODALITIES.map(modality => `
+            <label class="checkbox-inline">
+                <input type="checkbox" name="modalities.${direction}" value="${modality}"
+                       ${selected.includes(modality) ? 'checked' : ''}>
+                ${modality}
+            </label>
+        `).join('');
+    },
+
+    renderForm(id, model) {
+        const limit = model.limit || {};
+        const cost = model.cost || {};
+        const modalities = model.modalities || {};
+        const flags = Object.entries(this.FLAG_LABELS).map(([flag, label]) => `
+            <label class="checkbox-inline">
+                <input type="checkbox" name="${flag}" ${model[flag] ? 'checked' : ''}> ${label}
+            </label>
+        `).join('');
+        const costs = Object.entries(this.COST_LABELS)
+            .map(([key, label]) => this.renderNumber('cost.' + key, label, cost[key], 'any'))
+            .join('');
+        const options = model.options ? JSON.stringify(model.options, null, 2) : '';
+
+        return `
+            <form class="model-form">
+                <div class="form-group">
+                    <label>显示名称
+                        <input type="text" name="name" value="${EscapeUtils.escapeHtml(model.name || '')}"
+                               placeholder="${EscapeUtils.escapeHtml(id)}">
+                    </label>
+                </div>
+                <fieldset>
+                    <legend>Token 限制</legend>
+                    ${this.renderNumber('limit.context', '上下文', limit.context, 1)}
+                    ${this.renderNumber('limit.output', '最大输出', limit.output, 1)}
+                </fieldset>
+                <fieldset>
+                    <legend>价格（美元 / 百万 token）</legend>
+                    ${costs}
+                </fieldset>
+                <fieldset>
+                    <legend>能力</legend>
+                    ${flags}
+                </fieldset>
+                <fieldset>
+                    <legend>输入类型</legend>
+                    ${this.renderModalities('input', modalities.input)}
+                </fieldset>
+                <fieldset>
+                    <legend>输出类型</legend>
+                    ${this.renderModalities('output', modalities.output)}
+                </fieldset>
+                <div class="form-group">
+                    <label>模型参数 options（JSON，如 temperature、reasoningEffort）
+                        <textarea name="options" rows="4"
+                                  placeholder='{ "temperature": 0.7 }'>${EscapeUtils.escapeHtml(options)}</textarea>
+                    </label>
+                </div>
+                <div class="conflict-actions">
+                    <button type="submit" class="btn btn-primary">保存模型设置</button>
+                </div>
+            </form>
+        `;
+    },
+
+    /**
+     * Applies the form values to a model configuration
+     *
+     * Empty fields remove the setting; settings not shown in the form are kept.
+     * opencode needs both token limits and both the input and output price.
+     *
+     * @param {HTMLFormElement} form - Model settings form
+     * @param {Object} model - Current model configuration
+     * @returns {Object} Updated model configuration
+     * @throws {Error} If a limit or price is missing its counterpart, or the options are not a JSON object
+     */
+    readForm(form, model) {
+        const result = { ...model };
+        const elements = form.elements;
+
+        const setSection = (section, keys) => {
+            const values = {};
+            keys.forEach(key => {
+                const raw = elements[section + '.' + key].value;
+                if (raw !== '') values[key] = Number(raw);
+            });
+            if (Object.keys(values).length) result[section] = { ...(model[section] || {}), ...values };
+            else delete result[section];
+        };
+
+        const name = elements.name.value.trim();
+        if (name) result.name = name;
+        else delete result.name;
+
+        setSection('limit', ['context', 'output']);
+        setSection('cost', Object.keys(this.COST_LABELS));
+        if (result.limit && (result.limit.context === undefined || result.limit.output === undefined)) {
+            throw new Error('上下文和最大输出需要同时填写');
+        }
+        if (result.cost && (result.cost.input === undefined || result.cost.output === undefined)) {
+            throw new Error('输入和输出价格需要同时填写');
+        }
+
+        Object.keys(this.FLAG_LABELS).forEach(flag => {
+            if (elements[flag].checked) result[flag] = true;
+            else if (model[flag] !== undefined) result[flag] = false;
+        });
+
+        const modalities = {};
+        ['input', 'output'].forEach(direction => {
+            const checked = [...form.querySelectorAll(`input[name="modalities.${direction}"]:checked`)]
+                .map(input => input.value);
+            if (checked.length) modalities[direction] = checked;
+        });
+        if (Object.keys(modalities).length) result.modalities = modalities;
+        else delete result.modalities;
+
+        const options = elements.options.value.trim();
+        if (options) {
+            let parsed;
+            try {
+                parsed = JSON.parse(options);
+            } catch (error) {
+                throw new Error('options 不是有效的 JSON');
+            }
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new Error('options 必须是 JSON 对象');
+            }
+            result.options = parsed;
+        } else {
+            delete result.options;
+        }
+
+        return result;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.ModelEditor = ModelEditor;
+}
@@ -0,0 +1,290 @@
+/**
+ * Provider Options Module
+ *
+ * Reads and fills the provider fields of the form: the Base URL, which must
+ * not contain unfilled template placeholders such as `{resource}`, the API
+ * Key, stored as plaintext, as an `{env:VAR}` / `{file:path}` reference or
+ * as the name of a secret held by an external command (`enc:command:name`),
+ * the npm package, extra HTTP headers, the request timeout, the proxy and
+ * TLS settings used for discovery and tests, and any other `options` keys,
+ * which are edited as JSON and passed to the SDK.
+ *
+ * @module components/providerOptions
+ */
+const ProviderOptionsEditor = {
+    DEFAULT_NPM: '@ai-sdk/openai-compatible',
+
+    /** options keys that have their own form field */
+    FIELDS: ['baseURL', 'apiKey', 'headers', 'timeout', 'proxy', 'tls'],
+
+    /** Form inputs of the options.tls file paths */
+    TLS_FILE_INPUTS: { ca: 'providerTlsCa', cert: 'providerTlsCert', key: 'providerTlsKey' },
+
+    /** Template placeholders such as {resource}; {env:...} references contain a colon and don't match */
+    PLACEHOLDER_PATTERN: /\{([A-Za-z][A-Za-z0-9_]*)\}/g,
+
+    /** How the API Key field is stored */
+    API_KEY_MODES: {
+        plain: { type: 'password', placeholder: 'sk-xxx', hint: '' },
+        env: {
+            type: 'text',
+            placeholder: 'OPENAI_API_KEY',
+            hint: '保存为 {env:变量名}，由 opencode 从环境变量读取'
+        },
+        file: {
+            type: 'text',
+            placeholder: '~/.secrets/openai-key',
+            hint: '保存为 {file:路径}，相对路径基于配置文件所在目录'
+        },
+        secret: {
+            type: 'text',
+            placeholder: 'openai',
+            hint: '只能保留已保存的名称；新名称请写入配置文件，或以明文保存（服务器使用 command 方式时存为 Provider ID）'
+        }
+    },
+
+    /**
+     * Switches the API Key input between plaintext and reference modes
+     *
+     * @param {'plain'|'env'|'file'|'secret'} mode - Storage mode
+     */
+    setApiKeyMode(mode) {
+        const settings = this.API_KEY_MODES[mode];
+        const input = document.getElementById('apiKey');
+        const hint = document.getElementById('apiKeyHint');
+
+        document.getElementById('apiKeyMode').value = mode;
+        input.type = settings.type;
+        input.placeholder = settings.placeholder;
+        document.getElementById('apiKeyReveal').style.display = mode === 'plain' ? '' : 'none';
+        hint.textContent = settings.hint;
+        hint.style.display = settings.hint ? '' : 'none';
+    },
+
+    /**
+     * Fills the API Key field, detecting references
+     *
+     * @param {string} [apiKey] - Stored API Key
+     */
+    fillApiKey(apiKey) {
+        const reference = /^\{(env|file):([^}]+)\}$/.exec(apiKey || '');
+        const secret = /^enc:command:(\S+)$/.exec(apiKey || '');
+
+        if (reference) {
+            this.setApiKeyMode(reference[1]);
+            document.getElementById('apiKey').value = reference[2];
+        } else {
+            this.setApiKeyMode(secret ? 'secret' : 'plain');
+            document.getElementById('apiKey').value = secret ? secret[1] : apiKey || '';
+        }
+    },
+
+    /**
+     * Reads the API Key field in its storage mode
+     *
+     * @returns {string} Plaintext key or reference
+     * @throws {Error} If the variable name, path or secret name is invalid
+     */
+    readApiKey() {
+        const mode = document.getElementById('apiKeyMode').value;
+        const value = document.getElementById('apiKey').value.trim();
+
+        if (mode === 'plain' || !value) return value;
+        if (mode === 'env' && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(value)) {
+            throw new Error('环境变量名只能包含字母、数字和下划线，且不能以数字开头');
+        }
+        if (mode === 'file' && value.includes('}')) {
+            throw new Error('文件路径不能包含 "}"');
+        }
+        if (mode === 'secret') {
+            if (!/^[\u4e00-\u9fa5A-Za-z0-9][\u4e00-\u9fa5A-Za-z0-9._/@-]{0,127}$/.test(value)) {
+                throw new Error('Secret 名称只能包含中文、字母、数字和 . _ / @ -，且不能以 _ 或 - 开头');
+            }
+            return `enc:command:${value}`;
+        }
+        return `{${mode}:${value}}`;
+    },
+
+    /**
+     * Formats headers as one `Name: value` line per header
+     *
+     * @param {Object.<string, string>} [headers] - Headers
+     * @returns {string}
+     */
+    formatHeaders(headers) {
+        return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+    },
+
+    /**
+     * Parses `Name: value` lines into a headers object
+     *
+     * @param {string} text - Header lines (blank lines are ignored)
+     * @returns {Object.<string, string>}
+     * @throws {Error} If a line is not `Name: value`
+     */
+    parseHeaders(text) {
+        const headers = {};
+        text.split(/\r?\n/).forEach(line => {
+            if (!line.trim()) return;
+            const match = /^\s*([^:\s]+)\s*:\s*(.*?)\s*$/.exec(line);
+            if (!match) throw new Error(`Header 格式应为 "名称: 值": ${line.trim()}`);
+            headers[match[1]] = match[2];
+        });
+        return headers;
+    },
+
+    /**
+     * Parses the timeout field: empty for the SDK default, 0 to disable
+     *
+     * @param {string} text - Timeout in milliseconds
+     * @returns {number|false|undefined}
+     */
+    parseTimeout(text) {
+        if (text.trim() === '') return undefined;
+        const value = Number(text);
+        if (!Number.isInteger(value) || value < 0) throw new Error('超时必须是非负整数（毫秒）');
+        return value === 0 ? false : value;
+    },
+
+    /**
+     * Fills the proxy and TLS fields
+     *
+     * @param {Object} options - Provider options
+     */
+    fillNetwork(options) {
+        const tls = options.tls || {};
+        document.getElementById('providerProxy').value = options.proxy || '';
+        document.getElementById('providerNoProxy').checked = options.proxy === false;
+        Object.entries(this.TLS_FILE_INPUTS).forEach(([name, input]) => {
+            document.getElementById(input).value = tls[name] || '';
+        });
+        document.getElementById('providerTlsInsecure').checked = tls.insecure === true;
+    },
+
+    /**
+     * Reads the proxy and TLS fields into options
+     *
+     * @param {Object} options - Provider options, modified in place
+     * @throws {Error} If only one of the client certificate and key is set
+     */
+    readNetwork(options) {
+        const proxy = document.getElementById('providerProxy').value.trim();
+        if (document.getElementById('providerNoProxy').checked) options.proxy = false;
+        else if (proxy) options.proxy = proxy;
+
+        const tls = {};
+        Object.entries(this.TLS_FILE_INPUTS).forEach(([name, input]) => {
+            const value = document.getElementById(input).value.trim();
+            if (value) tls[name] = value;
+        });
+        if (Boolean(tls.cert) !== Boolean(tls.key)) throw new Error('客户端证书和私钥必须同时填写');
+        if (document.getElementById('providerTlsInsecure').checked) tls.insecure = true;
+        if (Object.keys(tls).length) options.tls = tls;
+    },
+
+    /**
+     * Fills the form with a provider's API Key, npm package and options
+     *
+     * @param {Object} provider - Provider configuration
+     */
+    fill(provider) {
+        const options = provider.options || {};
+        const extra = Object.fromEntries(Object.entries(options).filter(([key]) => !this.FIELDS.includes(key)));
+
+        this.fillApiKey(options.apiKey);
+        document.getElementById('providerNpm').value = provider.npm || '';
+        document.getElementById('providerHeaders').value = this.formatHeaders(options.headers);
+        document.getElementById('providerTimeout').value =
+            options.timeout === false ? '0' : options.timeout !== undefined ? String(options.timeout) : '';
+        this.fillNetwork(options);
+        document.getElementById('providerExtraOptions').value =
+            Object.keys(extra).length ? JSON.stringify(extra, null, 2) : '';
+        document.getElementById('providerAdvanced').open = Boolean(
+            options.headers || options.timeout !== undefined || options.proxy !== undefined || options.tls ||
+            Object.keys(extra).length
+        );
+    },
+
+    /**
+     * Reads the provider options from the form
+     *
+     * Fields with their own input take precedence over the same keys in the
+     * extra options JSON.
+     *
+     * @returns {Object} Provider options
+     * @throws {Error} If a field is invalid
+     */
+    read() {
+        const options = {
+            baseURL: document.getElementById('baseURL').value.trim(),
+            apiKey: this.readApiKey()
+        };
+
+        const placeholders = this.findPlaceholders(options.baseURL);
+        if (placeholders.length) {
+            throw new Error(`Base URL 包含未填写的占位符: ${placeholders.map((name) => `{${name}}`).join(', ')}`);
+        }
+
+        const headers = this.parseHeaders(document.getElementById('providerHeaders').value);
+        if (Object.keys(headers).length) options.headers = headers;
+
+        const timeout = this.parseTimeout(document.getElementById('providerTimeout').value);
+        if (timeout !== undefined) options.timeout = timeout;
+
+        this.readNetwork(options);
+
+        const extraText = document.getElementById('providerExtraOptions').value.trim();
+        if (extraText) {
+            let extra;
+            try {
+                extra = JSON.parse(extraText);
+            } catch (error) {
+                throw new Error('其他 options 不是有效的 JSON');
+            }
+            if (!extra || typeof extra !== 'object' || Array.isArray(extra)) {
+                throw new Error('其他 options 必须是 JSON 对象');
+            }
+            Object.entries(extra).forEach(([key, value]) => {
+                if (!this.FIELDS.includes(key)) options[key] = value;
+            });
+        }
+
+        return options;
+    },
+
+    /**
+     * Lists the template placeholders in a value
+     *
+     * @param {string} value - Base URL or template
+     * @returns {string[]} Placeholder names without braces, each once
+     */
+    findPlaceholders(value) {
+        return [...new Set([...(value || '').matchAll(this.PLACEHOLDER_PATTERN)].map((match) => match[1]))];
+    },
+
+    /**
+     * Fills the placeholders of a template
+     *
+     * @param {string} template - Base URL template
+     * @param {Object.<string, string>} values - Values by placeholder name; empty ones are left unfilled
+     * @returns {string}
+     */
+    fillPlaceholders(template, values) {
+        return template.replace(this.PLACEHOLDER_PATTERN, (match, name) =>
+            values[name] ? encodeURIComponent(values[name]) : match
+        );
+    },
+
+    /**
+     * Reads the npm package field
+     *
+     * @returns {string} Package name, the OpenAI-compatible SDK if empty
+     */
+    readNpm() {
+        return document.getElementById('providerNpm').value.trim() || this.DEFAULT_NPM;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.ProviderOptionsEditor = ProviderOptionsEditor;
+}
@@ -3,6 +3,8 @@
  *
  * Predefined configuration templates for popular AI providers.
  * Used to quickly populate provider settings with sensible defaults.
+ * `{name}` placeholders in a base URL get their own form field, labelled
+ * from `placeholders`.
  *
  * @module components/templates
  */
@@ -17,6 +19,7 @@ const ProviderTemplates = {
         name: 'Azure OpenAI',
         npm: '@ai-sdk/azure',
         baseURL: 'https://{resource}.openai.azure.com/openai/deployments/{deployment}',
+        placeholders: { resource: 'Azure 资源名称', deployment: '部署名称' },
         description: 'Microsoft Azure OpenAI 服务'
     },
     anthropic: {
@@ -69,6 +72,12 @@ const ProviderTemplates = {
     }
 };
 
+// 导出到全局（浏览器环境）
 if (typeof window !== 'undefined') {
     window.ProviderTemplates = ProviderTemplates;
 }
+
+// 导出（Node.js 环境，供服务端导入器使用）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProviderTemplates;
+}
@@ -46,12 +46,14 @@ const UI = {
         return modal;
     },
 
-    renderProviderCard(id, provider) {
+    renderProviderCard(id, provider, references = [], fingerprint = '') {
         const modelCount = Object.keys(provider.models || {}).length;
         const modelNames = Object.keys(provider.models || {}).join(', ') || '无';
         const options = provider.options || {};
         const apiKey = options.apiKey || '';
         const name = EscapeUtils.escapeHtml(provider.name || id);
+        // 服务器只返回掩码；引用本身不是密钥，原样显示
+        const apiKeyText = fingerprint ? `${apiKey} (${fingerprint})` : apiKey;
         
         return `
             <div class="provider-card" data-id="${EscapeUtils.escapeHtml(id)}">
@@ -63,19 +65,33 @@ const UI = {
                     <div class="actions">
                         <button class="btn btn-test" data-action="test">⚡ 测试</button>
                         <button class="btn btn-edit" data-action="edit">✏️ 编辑</button>
+                        <button class="btn btn-secondary" data-action="rename">🏷️ 重命名</button>
+                        <button class="btn btn-secondary" data-action="clone">📋 复制</button>
                         <button class="btn btn-delete" data-action="delete">🗑️ 删除</button>
                     </div>
                 </div>
                 <div class="provider-info">
                     <span>ID: ${EscapeUtils.escapeHtml(id)}</span>
                     <span>Base URL: ${EscapeUtils.escapeHtml(options.baseURL || '未设置')}</span>
-                    <span>API Key: ${apiKey ? EscapeUtils.escapeHtml(apiKey.substring(0, 20)) + '...' : '未设置'}</span>
+                    <span>API Key: ${apiKey ? EscapeUtils.escapeHtml(apiKeyText) : '未设置'}</span>
+                    ${options.tls && options.tls.insecure ? '<span class="tls-insecure">⚠️ 不验证 TLS 证书</span>' : ''}
+                    ${references.map(reference => this.renderReferenceStatus(reference)).join('')}
                     ${modelCount > 0 ? `<span>模型: ${EscapeUtils.escapeHtml(modelNames)}</span>` : ''}
                 </div>
             </div>
         `;
     },
 
+    renderReferenceStatus(reference) {
+        const status = reference.resolved ? '✓ 可解析' : '✗ ' + reference.error;
+        return `
+            <span class="reference-status ${reference.resolved ? 'resolved' : 'unresolved'}"
+                  title="${EscapeUtils.escapeHtml(reference.path)}">
+                🔗 ${EscapeUtils.escapeHtml(reference.reference)} ${EscapeUtils.escapeHtml(status)}
+            </span>
+        `;
+    },
+
     renderTemplateSelector() {
         const templates = Object.entries(ProviderTemplates).map(([key, template]) => `
             <div class="template-item" data-template="${key}">
@@ -4,89 +4,262 @@
  * Provides functions for communicating with the backend server.
  * Includes methods for configuration management, model discovery, and testing.
  *
+ * Config mutations accept the revision (ETag) the change is based on. When
+ * the server reports that the config changed since, they throw an error with
+ * `conflict: true` and the current `revision`.
+ *
  * @module utils/api
  */
+
+/**
+ * Builds request headers, adding If-Match when a revision is known
+ * @param {string|null} revision - ETag the change is based on
+ * @param {Object} [headers={}] - Other headers
+ * @returns {Object}
+ */
+function withIfMatch(revision, headers = {}) {
+    return revision ? { ...headers, 'If-Match': revision } : headers;
+}
+
+/**
+ * Throws a conflict error if the server rejected a stale revision
+ * @param {Response} response - Fetch response
+ */
+async function checkConflict(response) {
+    if (response.status !== 412) return;
+
+    const result = await response.json();
+    const error = new Error('配置已在其他地方被修改');
+    error.conflict = true;
+    error.revision = response.headers.get('ETag') || `"${result.revision}"`;
+    throw error;
+}
+
 const API = {
     async getConfig() {
         const response = await fetch('/api/config');
-        if (!response.ok) throw new Error('获取配置失败');
-        return response.json();
+        if (!response.ok) throw new Error((await response.json().catch(() => ({}))).error || '获取配置失败');
+        return { config: await response.json(), revision: response.headers.get('ETag') };
     },
 
-    async saveProvider(providerId, config) {
+    async saveProvider(providerId, config, revision = null) {
         const response = await fetch('/api/config', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: withIfMatch(revision, { 'Content-Type': 'application/json' }),
             body: JSON.stringify({ providerId, config })
         });
-        if (!response.ok) throw new Error('保存失败');
+        await checkConflict(response);
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error((result.errors || []).join('; ') || '保存失败');
+        }
         return response.json();
     },
 
-    async deleteProvider(id) {
+    /**
+     * Fetches the plaintext API key of a provider; only call after the user confirmed
+     * @param {string} id - Provider ID
+     * @returns {Promise<{apiKey: string, fingerprint: string}>}
+     */
+    async revealApiKey(id) {
+        const response = await fetch('/api/config/' + encodeURIComponent(id) + '/reveal-key', {
+            method: 'POST',
+            headers: { 'X-Confirm-Reveal': 'true' }
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || '显示 API Key 失败');
+        return result;
+    },
+
+    async deleteProvider(id, revision = null) {
         const response = await fetch('/api/config/' + id, {
-            method: 'DELETE'
+            method: 'DELETE',
+            headers: withIfMatch(revision)
         });
+        await checkConflict(response);
         if (!response.ok) throw new Error('删除失败');
         return response.json();
     },
 
-    async discoverModels(baseURL, apiKey) {
+    async renameProvider(id, newId, revision = null) {
+        return this.copyProvider(id, 'rename', { newId }, revision);
+    },
+
+    async cloneProvider(id, newId, name, revision = null) {
+        return this.copyProvider(id, 'clone', { newId, name }, revision);
+    },
+
+    async copyProvider(id, operation, body, revision) {
+        const response = await fetch('/api/config/' + encodeURIComponent(id) + '/' + operation, {
+            method: 'POST',
+            headers: withIfMatch(revision, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify(body)
+        });
+        await checkConflict(response);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || (result.errors || []).join('; ') || '操作失败');
+        return result;
+    },
+
+    async getReferences() {
+        const response = await fetch('/api/references');
+        if (!response.ok) throw new Error('检查引用失败');
+        return (await response.json()).references;
+    },
+
+    async discoverModels(baseURL, apiKey, options = {}) {
         const response = await fetch('/api/discover-models', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ baseURL, apiKey })
+            body: JSON.stringify({
+                providerId: options.providerId,
+                npm: options.npm,
+                apiVersion: options.apiVersion,
+                baseURL,
+                apiKey,
+                headers: options.headers,
+                timeout: options.timeout,
+                proxy: options.proxy,
+                tls: options.tls
+            }),
+            signal: options.signal
         });
-        if (!response.ok) throw new Error('探查失败');
+        if (!response.ok) throw new Error((await response.json().catch(() => ({}))).error || '探查失败');
         return response.json();
     },
 
-    async testModel(baseURL, apiKey, modelId) {
+    async testModel(baseURL, apiKey, modelId, options = {}) {
         const response = await fetch('/api/test-model', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ baseURL, apiKey, modelId })
+            body: JSON.stringify({
+                providerId: options.providerId,
+                npm: options.npm,
+                apiVersion: options.apiVersion,
+                baseURL,
+                apiKey,
+                modelId,
+                headers: options.headers,
+                timeout: options.timeout,
+                proxy: options.proxy,
+                tls: options.tls
+            }),
+            signal: options.signal
         });
-        if (!response.ok) throw new Error('测试失败');
+        if (!response.ok) throw new Error((await response.json().catch(() => ({}))).error || '测试失败');
+        return response.json();
+    },
+
+    async getProfiles() {
+        const response = await fetch('/api/profiles');
+        if (!response.ok) throw new Error('获取 Profile 列表失败');
         return response.json();
     },
 
-    async exportConfig() {
-        const config = await this.getConfig();
-        const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+    async saveProfile(name, description) {
+        const response = await fetch('/api/profiles', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, description })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || '保存 Profile 失败');
+        return result;
+    },
+
+    async activateProfile(name) {
+        const response = await fetch('/api/profiles/' + encodeURIComponent(name) + '/activate', {
+            method: 'POST'
+        });
+        if (!response.ok) throw new Error('切换 Profile 失败');
+        return response.json();
+    },
+
+    async deleteProfile(name) {
+        const response = await fetch('/api/profiles/' + encodeURIComponent(name), {
+            method: 'DELETE'
+        });
+        if (!response.ok) throw new Error('删除 Profile 失败');
+        return response.json();
+    },
+
+    async getHistory() {
+        const response = await fetch('/api/history');
+        if (!response.ok) throw new Error('获取历史失败');
+        return response.json();
+    },
+
+    async getHistoryDiff(from, to) {
+        const query = 'from=' + from + (to ? '&to=' + to : '');
+        const response = await fetch('/api/history/diff?' + query);
+        if (!response.ok) throw new Error('获取差异失败');
+        return response.json();
+    },
+
+    async restoreHistory(version) {
+        const response = await fetch('/api/history/' + version + '/restore', {
+            method: 'POST'
+        });
+        if (!response.ok) throw new Error('恢复失败');
+        return response.json();
+    },
+
+    async exportConfig(options = {}) {
+        const params = new URLSearchParams();
+        if (options.format) params.set('format', options.format);
+        if (options.secrets) params.set('secrets', options.secrets);
+        if (options.providers && options.providers.length) params.set('providers', options.providers.join(','));
+
+        const revealsKeys = options.secrets === 'plain' || options.format === 'env';
+        const response = await fetch('/api/export?' + params, {
+            headers: revealsKeys ? { 'X-Confirm-Reveal': 'true' } : {}
+        });
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || (result.errors || []).join('; ') || '导出失败');
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = (/filename="([^"]+)"/.exec(disposition) || [])[1] || 'opencode.json';
+        const url = URL.createObjectURL(await response.blob());
         const a = document.createElement('a');
         a.href = url;
-        a.download = `opencode-config-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     },
 
-    async importConfig(file) {
+    async readImportFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = async (e) => {
-                try {
-                    const config = JSON.parse(e.target.result);
-                    
-                    if (!config.provider || typeof config.provider !== 'object') {
-                        throw new Error('无效的配置文件格式');
-                    }
-
-                    let successCount = 0;
-                    for (const [id, providerConfig] of Object.entries(config.provider)) {
-                        const result = await this.saveProvider(id, providerConfig);
-                        if (result.success) successCount++;
-                    }
-
-                    resolve({ success: true, count: successCount });
-                } catch (error) {
-                    reject(error);
-                }
-            };
+            reader.onload = (e) => resolve({ content: e.target.result, filename: file.name });
             reader.onerror = () => reject(new Error('读取文件失败'));
             reader.readAsText(file);
         });
+    },
+
+    async convertImport(content, filename, format) {
+        const response = await fetch('/api/import/convert', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content, filename, format })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || (result.errors || []).join('; ') || '无法识别的配置文件');
+        return result;
+    },
+
+    async importConfig(config, options = {}, revision = null) {
+        const response = await fetch('/api/import', {
+            method: 'POST',
+            headers: withIfMatch(revision, { 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ ...options, config })
+        });
+        await checkConflict(response);
+        const result = await response.json();
+        if (!response.ok) throw new Error((result.errors || []).join('; ') || result.error || '导入失败');
+        result.revision = response.headers.get('ETag');
+        return result;
     }
 };
 
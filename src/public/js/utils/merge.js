@@ -0,0 +1,54 @@
+/**
+ * Merge Utility
+ *
+ * Three-way merge of JSON values, used to combine local edits with changes
+ * made elsewhere since the edit started.
+ *
+ * @module utils/merge
+ */
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merges local and remote changes made to a common base
+ *
+ * Values changed only on one side take that side's value. When both sides
+ * changed the same object they are merged key by key; for any other value
+ * changed on both sides the local value wins.
+ *
+ * @param {*} base - Value both sides started from (undefined if unknown)
+ * @param {*} local - Locally edited value
+ * @param {*} remote - Value currently stored on the server
+ * @returns {*} Merged value (undefined means removed)
+ */
+function threeWayMerge(base, local, remote) {
+    if (isEqual(local, base)) return remote;
+    if (isEqual(remote, base)) return local;
+    if (!isPlainObject(local) || !isPlainObject(remote)) return local;
+
+    const baseObject = isPlainObject(base) ? base : {};
+    const merged = {};
+    const keys = new Set([...Object.keys(remote), ...Object.keys(local)]);
+
+    for (const key of keys) {
+        const value = threeWayMerge(baseObject[key], local[key], remote[key]);
+        if (value !== undefined) merged[key] = value;
+    }
+    return merged;
+}
+
+// 导出到全局（浏览器环境）
+if (typeof window !== 'undefined') {
+    window.MergeUtils = { threeWayMerge };
+}
+
+// 导出（Node.js 环境）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { threeWayMerge };
+}
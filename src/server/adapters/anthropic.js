@@ -0,0 +1,68 @@
+/**
+ * Anthropic Adapter
+ *
+ * Native Anthropic API as used by `@ai-sdk/anthropic`: the key is sent in
+ * `x-api-key` with an `anthropic-version` header, models are listed with
+ * `GET /v1/models` and tested with `POST /v1/messages`.
+ *
+ * @module adapters/anthropic
+ */
+
+/** @constant {string} */
+const API_VERSION = '2023-06-01';
+
+module.exports = {
+  id: 'anthropic',
+  name: 'Anthropic',
+  packages: ['@ai-sdk/anthropic'],
+  modelEndpoints: ['/v1/models?limit=1000'],
+
+  authHeaders(apiKey) {
+    return { 'x-api-key': apiKey, 'anthropic-version': API_VERSION };
+  },
+
+  /**
+   * Parses `{data: [{id, display_name}]}`
+   *
+   * @param {Object} data - Response body
+   * @returns {Object.<string, {name: string}>}
+   */
+  parseModels(data) {
+    const models = {};
+
+    (data.data || []).forEach((model) => {
+      if (model.id) {
+        models[model.id] = { name: model.display_name || model.id };
+      }
+    });
+
+    return models;
+  },
+
+  testRequest(modelId) {
+    return {
+      endpoint: '/v1/messages',
+      body: {
+        model: modelId,
+        messages: [{ role: 'user', content: 'Hi' }],
+        max_tokens: 10,
+      },
+    };
+  },
+
+  /**
+   * Extracts the text blocks of a message, or the text of a streamed
+   * `message_start` / `content_block_delta` event
+   *
+   * @param {Object} data - Response body (or one streamed event)
+   * @returns {string|null}
+   */
+  extractContent(data) {
+    const blocks = data.content || data.message?.content || [];
+    const text = blocks
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+    return text || data.delta?.text || null;
+  },
+};
@@ -0,0 +1,81 @@
+/**
+ * Azure OpenAI Adapter
+ *
+ * Azure OpenAI as used by `@ai-sdk/azure`: the key is sent in the `api-key`
+ * header and every request carries an `api-version` query parameter.
+ * Deployments are listed with `GET /openai/deployments` and each model ID
+ * is tested as a deployment name with
+ * `POST /openai/deployments/{deployment}/chat/completions`.
+ *
+ * @module adapters/azure
+ */
+
+const openai = require('./openai');
+
+/** @constant {string} */
+const DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * Last GA version that can list deployments
+ * @constant {string}
+ */
+const DEPLOYMENTS_API_VERSION = '2022-12-01';
+
+module.exports = {
+  id: 'azure',
+  name: 'Azure OpenAI',
+  packages: ['@ai-sdk/azure'],
+  modelEndpoints: [`/deployments?api-version=${DEPLOYMENTS_API_VERSION}`],
+
+  /**
+   * Reduces a base URL to the `/openai` root of the resource
+   *
+   * Accepts `https://{resource}.openai.azure.com`, `…/openai` and
+   * `…/openai/deployments/{deployment}`.
+   *
+   * @param {string} baseURL - Base URL from the provider options
+   * @returns {string}
+   */
+  resolveBaseURL(baseURL) {
+    const trimmed = baseURL.trim().replace(/\/+$/, '');
+    const match = /^(.*?\/openai)(\/|$)/.exec(trimmed);
+    return match ? match[1] : `${trimmed}/openai`;
+  },
+
+  authHeaders(apiKey) {
+    return { 'api-key': apiKey };
+  },
+
+  /**
+   * Parses `{data: [{id, model, status}]}`, skipping deployments that
+   * aren't ready
+   *
+   * @param {Object} data - Response body
+   * @returns {Object.<string, {name: string}>}
+   */
+  parseModels(data) {
+    const models = {};
+
+    (data.data || []).forEach((deployment) => {
+      if (deployment.id && (!deployment.status || deployment.status === 'succeeded')) {
+        models[deployment.id] = { name: deployment.id };
+      }
+    });
+
+    return models;
+  },
+
+  testRequest(modelId, connection = {}) {
+    const apiVersion = encodeURIComponent(connection.apiVersion || DEFAULT_API_VERSION);
+    return {
+      endpoint: `/deployments/${encodeURIComponent(modelId)}/chat/completions?api-version=${apiVersion}`,
+      body: {
+        messages: [{ role: 'user', content: 'Hi' }],
+        max_tokens: 10,
+        stream: false,
+      },
+    };
+  },
+
+  extractContent: openai.extractContent,
+};
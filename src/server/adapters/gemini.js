@@ -0,0 +1,84 @@
+/**
+ * Google Gemini Adapter
+ *
+ * Native Gemini API as used by `@ai-sdk/google`: the key is sent as the
+ * `key` query parameter, models are listed with `GET /models` (only those
+ * supporting `generateContent`) and tested with
+ * `POST /models/{model}:generateContent`.
+ *
+ * @module adapters/gemini
+ */
+
+/** @constant {string} */
+const GENERATE_METHOD = 'generateContent';
+
+/**
+ * Model ID without the `models/` prefix Gemini uses in resource names
+ *
+ * @param {string} name - Model resource name or ID
+ * @returns {string}
+ */
+function modelIdOf(name) {
+  return name.replace(/^models\//, '');
+}
+
+module.exports = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  packages: ['@ai-sdk/google'],
+  modelEndpoints: ['/models?pageSize=1000'],
+
+  authHeaders() {
+    return {};
+  },
+
+  authQuery(apiKey) {
+    return { key: apiKey };
+  },
+
+  /**
+   * Parses `{models: [{name, displayName, supportedGenerationMethods}]}`,
+   * skipping models that can't generate content (embeddings, AQA…)
+   *
+   * @param {Object} data - Response body
+   * @returns {Object.<string, {name: string}>}
+   */
+  parseModels(data) {
+    const models = {};
+
+    (data.models || []).forEach((model) => {
+      const methods = model.supportedGenerationMethods || [];
+      if (model.name && methods.includes(GENERATE_METHOD)) {
+        const id = modelIdOf(model.name);
+        models[id] = { name: model.displayName || id };
+      }
+    });
+
+    return models;
+  },
+
+  testRequest(modelId) {
+    return {
+      endpoint: `/models/${modelIdOf(modelId)}:${GENERATE_METHOD}`,
+      body: {
+        contents: [{ role: 'user', parts: [{ text: 'Hi' }] }],
+        generationConfig: { maxOutputTokens: 10 },
+      },
+    };
+  },
+
+  /**
+   * Extracts the text parts of the first candidate
+   *
+   * @param {Object} data - Response body
+   * @returns {string|null}
+   */
+  extractContent(data) {
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    const text = parts
+      .filter((part) => typeof part.text === 'string')
+      .map((part) => part.text)
+      .join('');
+    return text || null;
+  },
+};
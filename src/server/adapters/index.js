@@ -0,0 +1,63 @@
+/**
+ * Provider Adapters Module
+ *
+ * Registry of the API dialects used for model discovery and connection
+ * tests. The adapter is chosen from the provider's npm package; providers
+ * without a matching adapter are treated as OpenAI-compatible.
+ *
+ * @module adapters
+ */
+
+const openai = require('./openai');
+
+/**
+ * Test request sent to a model
+ * @typedef {Object} TestRequest
+ * @property {string} endpoint - Path appended to the base URL
+ * @property {Object} body - JSON request body
+ */
+
+/**
+ * Provider API adapter
+ * @typedef {Object} Adapter
+ * @property {string} id - Adapter identifier
+ * @property {string} name - Display name
+ * @property {string[]} packages - npm packages that speak this API
+ * @property {string[]} modelEndpoints - Discovery endpoints, tried in order
+ * @property {function(string): string} [resolveBaseURL] - Rewrites the configured base URL before endpoints are appended
+ * @property {function(string): Object.<string, string>} authHeaders - Authentication headers for an API key
+ * @property {function(string): Object.<string, string>} [authQuery] - Authentication query parameters for an API key
+ * @property {function(Object): Object.<string, import('../services/modelService').ModelInfo>} parseModels - Parses a discovery response
+ * @property {function(Object, function(string, Object): Promise<Object>): Promise<void>} [describeModels] - Adds
+ *   details to the parsed models with further requests (endpoint and JSON body)
+ * @property {function(string, Object): TestRequest} testRequest - Builds the connection test request for a model
+ *   (and the connection options)
+ * @property {function(Object): (string|null)} extractContent - Extracts the reply text from a test response
+ */
+
+/**
+ * Adapters with their own API; the OpenAI adapter is the fallback
+ * @type {Adapter[]}
+ */
+const adapters = [
+  require('./anthropic'),
+  require('./gemini'),
+  require('./azure'),
+  require('./ollama'),
+  openai,
+];
+
+/** @constant {string[]} */
+const ADAPTERS = adapters.map((adapter) => adapter.id);
+
+/**
+ * Adapter for a provider's npm package
+ *
+ * @param {string} [npm] - npm package from the provider config
+ * @returns {Adapter} Matching adapter, or the OpenAI-compatible one
+ */
+function adapterFor(npm) {
+  return adapters.find((adapter) => adapter.packages.includes(npm)) || openai;
+}
+
+module.exports = { ADAPTERS, adapterFor };
@@ -0,0 +1,140 @@
+/**
+ * Ollama Adapter
+ *
+ * Native Ollama API: models are listed with `GET /api/tags` and described
+ * one by one with `POST /api/show`, which reports the family, parameter
+ * size, quantization and context length. The context length is always
+ * filled into `limit`; the output limit only when the Modelfile caps it with
+ * `num_predict`, otherwise the model editor asks for it, since opencode needs
+ * both. Connections are tested with
+ * `POST /api/chat`. Base URLs ending in `/v1` (the OpenAI-compatible API)
+ * are reduced to the server root.
+ *
+ * @module adapters/ollama
+ */
+
+const openai = require('./openai');
+
+/**
+ * Positive integer parameter set in the Modelfile
+ *
+ * @param {Object} data - `/api/show` response body
+ * @param {string} name - Parameter name
+ * @returns {number|undefined}
+ */
+function parameterOf(data, name) {
+  const match = new RegExp(`^${name}\\s+(\\d+)$`, 'm').exec(data.parameters || '');
+  const value = match ? parseInt(match[1], 10) : 0;
+  return value > 0 ? value : undefined;
+}
+
+/**
+ * Context length from an `/api/show` response
+ *
+ * A `num_ctx` parameter set in the Modelfile wins, since Ollama truncates
+ * prompts to it; otherwise the model's trained context length is used.
+ *
+ * @param {Object} data - Response body
+ * @returns {number|undefined}
+ */
+function contextLengthOf(data) {
+  const numCtx = parameterOf(data, 'num_ctx');
+  if (numCtx) return numCtx;
+
+  const info = data.model_info || {};
+  const architecture = info['general.architecture'];
+  const length = architecture ? info[`${architecture}.context_length`] : undefined;
+  return Number.isInteger(length) ? length : undefined;
+}
+
+module.exports = {
+  id: 'ollama',
+  name: 'Ollama',
+  packages: ['@ai-sdk/ollama', 'ollama-ai-provider', 'ollama-ai-provider-v2'],
+  modelEndpoints: ['/api/tags'],
+
+  resolveBaseURL(baseURL) {
+    return baseURL
+      .trim()
+      .replace(/\/+$/, '')
+      .replace(/\/(v1|api)$/, '');
+  },
+
+  authHeaders: openai.authHeaders,
+
+  /**
+   * Parses `{models: [{name, details}]}`
+   *
+   * @param {Object} data - Response body
+   * @returns {Object.<string, import('../services/modelService').ModelInfo>}
+   */
+  parseModels(data) {
+    const models = {};
+
+    (data.models || []).forEach((model) => {
+      if (!model.name) return;
+      const details = model.details || {};
+      models[model.name] = {
+        name: model.name,
+        details: {
+          family: details.family,
+          parameterSize: details.parameter_size,
+          quantization: details.quantization_level,
+        },
+      };
+    });
+
+    return models;
+  },
+
+  /**
+   * Adds the context length of each model from `/api/show` to its details and
+   * `limit`, and the output limit when `num_predict` gives it
+   *
+   * Models that can't be described keep the details from `/api/tags`.
+   *
+   * @param {Object.<string, import('../services/modelService').ModelInfo>} models - Parsed models, modified in place
+   * @param {function(string, Object): Promise<Object>} request - Sends a POST request to an endpoint
+   * @returns {Promise<void>}
+   */
+  async describeModels(models, request) {
+    await Promise.all(
+      Object.entries(models).map(async ([id, model]) => {
+        let data;
+        try {
+          data = await request('/api/show', { model: id, name: id });
+        } catch {
+          return;
+        }
+
+        const details = data.details || {};
+        const contextLength = contextLengthOf(data);
+        Object.assign(model.details, {
+          family: details.family || model.details.family,
+          parameterSize: details.parameter_size || model.details.parameterSize,
+          quantization: details.quantization_level || model.details.quantization,
+          contextLength,
+        });
+        const output = parameterOf(data, 'num_predict');
+        if (contextLength) model.limit = { context: contextLength };
+        if (contextLength && output) model.limit.output = output;
+      })
+    );
+  },
+
+  testRequest(modelId) {
+    return {
+      endpoint: '/api/chat',
+      body: {
+        model: modelId,
+        messages: [{ role: 'user', content: 'Hi' }],
+        stream: false,
+        options: { num_predict: 10 },
+      },
+    };
+  },
+
+  extractContent(data) {
+    return data.message?.content || data.response || null;
+  },
+};
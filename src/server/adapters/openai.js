@@ -0,0 +1,206 @@
+/**
+ * OpenAI-Compatible Adapter
+ *
+ * Bearer authentication, `GET /models` and `POST /chat/completions`. Used
+ * for every provider whose npm package has no adapter of its own.
+ *
+ * Many compatible services list more than IDs in `/models`. The fields of
+ * OpenRouter (`context_length`, `pricing` in USD per token,
+ * `architecture.input_modalities`, `top_provider`), Together (`pricing` in
+ * USD per million tokens), Mistral (`max_context_length`, `capabilities`),
+ * Groq (`context_window`), vLLM (`max_model_len`) and the standard
+ * `owned_by` are normalized into the model's details, limit, cost and
+ * modalities. opencode needs both token limits and both the input and
+ * output price, so `limit` and `cost` are only set when they are complete.
+ *
+ * @module adapters/openai
+ */
+
+/** Modalities the model config accepts, with the names services use for them @constant {Object.<string, string>} */
+const MODALITIES = {
+  text: 'text',
+  image: 'image',
+  audio: 'audio',
+  video: 'video',
+  pdf: 'pdf',
+  file: 'pdf',
+};
+
+/**
+ * First value that is a positive integer
+ *
+ * @param {...*} values - Candidates
+ * @returns {number|undefined}
+ */
+function firstCount(...values) {
+  return values.find((value) => Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Price in USD per million tokens
+ *
+ * @param {*} value - Price as a number or numeric string
+ * @param {number} scale - Factor to per million tokens (1e6 for per-token prices)
+ * @returns {number|undefined} Undefined for missing and negative (unknown) prices
+ */
+function priceOf(value, scale) {
+  const price = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) return undefined;
+  return Math.round(price * scale * 1e6) / 1e6;
+}
+
+/**
+ * Normalized prices of a model
+ *
+ * OpenRouter names prices `prompt` / `completion` and gives them per token;
+ * Together names them `input` / `output` and gives them per million tokens.
+ *
+ * @param {Object} [pricing] - `pricing` field of the model
+ * @returns {{input: number, output: number, cache_read?: number, cache_write?: number}|undefined}
+ *   Undefined unless both the input and output price are known
+ */
+function costOf(pricing) {
+  if (!pricing || typeof pricing !== 'object') return undefined;
+
+  const perToken = pricing.prompt !== undefined || pricing.completion !== undefined;
+  const scale = perToken ? 1e6 : 1;
+  const cost = {
+    input: priceOf(perToken ? pricing.prompt : pricing.input, scale),
+    output: priceOf(perToken ? pricing.completion : pricing.output, scale),
+    cache_read: priceOf(pricing.input_cache_read, scale),
+    cache_write: priceOf(pricing.input_cache_write, scale),
+  };
+  if (cost.input === undefined || cost.output === undefined) return undefined;
+  Object.keys(cost).forEach((key) => cost[key] === undefined && delete cost[key]);
+  return cost;
+}
+
+/**
+ * Known modalities of a list, in config names
+ *
+ * @param {*} list - Modality names reported by the service
+ * @returns {string[]|undefined}
+ */
+function modalitiesOf(list) {
+  if (!Array.isArray(list)) return undefined;
+  const known = [...new Set(list.map((name) => MODALITIES[name]).filter(Boolean))];
+  return known.length ? known : undefined;
+}
+
+/**
+ * Model information from one entry of a `/models` list
+ *
+ * Only the fields the service reported are set, so a bare `{id}` entry
+ * gives `{name}`.
+ *
+ * @param {string} id - Model ID
+ * @param {Object} model - Entry of the list
+ * @returns {import('../services/modelService').ModelInfo}
+ */
+function describeModel(id, model) {
+  const info = { name: id };
+  const architecture = model.architecture || {};
+  const topProvider = model.top_provider || {};
+
+  const context = firstCount(
+    model.context_length,
+    topProvider.context_length,
+    model.context_window,
+    model.max_context_length,
+    model.max_model_len
+  );
+  const output = firstCount(
+    topProvider.max_completion_tokens,
+    model.max_completion_tokens,
+    model.max_output_tokens
+  );
+  const vision = model.capabilities?.vision;
+  const input =
+    modalitiesOf(architecture.input_modalities) ||
+    (vision === true ? ['text', 'image'] : undefined);
+
+  const details = {};
+  if (typeof model.owned_by === 'string' && model.owned_by) details.owner = model.owned_by;
+  if (context) details.contextLength = context;
+  if (input) details.vision = input.includes('image');
+  else if (typeof vision === 'boolean') details.vision = vision;
+  if (Object.keys(details).length) info.details = details;
+
+  if (context && output) info.limit = { context, output };
+
+  const cost = costOf(model.pricing);
+  if (cost) info.cost = cost;
+
+  const outputModalities = modalitiesOf(architecture.output_modalities);
+  if (input || outputModalities) {
+    info.modalities = {};
+    if (input) info.modalities.input = input;
+    if (outputModalities) info.modalities.output = outputModalities;
+  }
+
+  return info;
+}
+
+module.exports = {
+  id: 'openai',
+  name: 'OpenAI 兼容',
+  packages: ['@ai-sdk/openai', '@ai-sdk/openai-compatible'],
+  modelEndpoints: ['/v1/models', '/models'],
+
+  authHeaders(apiKey) {
+    return { Authorization: `Bearer ${apiKey}` };
+  },
+
+  /**
+   * Parses `{data: [{id, ...}]}` or a bare list of models, keeping the
+   * metadata the service reports
+   *
+   * @param {Object|Array} data - Response body
+   * @returns {Object.<string, import('../services/modelService').ModelInfo>}
+   */
+  parseModels(data) {
+    const models = {};
+    const list = data.data || (Array.isArray(data) ? data : []);
+
+    list.forEach((model) => {
+      const id = model.id || model.name;
+      if (id) {
+        models[id] = describeModel(id, model);
+      }
+    });
+
+    return models;
+  },
+
+  testRequest(modelId) {
+    return {
+      endpoint: '/v1/chat/completions',
+      body: {
+        model: modelId,
+        messages: [{ role: 'user', content: 'Hi' }],
+        max_tokens: 10,
+        stream: false,
+      },
+    };
+  },
+
+  /**
+   * Extracts the reply from a chat completion, or from the `response` /
+   * `output` / `result` fields some compatible servers use
+   *
+   * @param {Object} data - Response body (or one streamed chunk)
+   * @returns {string|null}
+   */
+  extractContent(data) {
+    if (data.choices?.[0]) {
+      const choice = data.choices[0];
+      return (
+        choice.message?.content ||
+        choice.text ||
+        choice.delta?.content ||
+        JSON.stringify(choice.message)
+      );
+    }
+    return data.response || data.output || data.result || null;
+  },
+};
@@ -0,0 +1,122 @@
+/**
+ * Importer Helpers
+ *
+ * Shared building blocks for the config importers: parsing structured
+ * files and collecting opencode providers from per-model entries.
+ *
+ * @module importers/common
+ */
+
+const ProviderTemplates = require('../../public/js/components/templates');
+const jsonc = require('../utils/jsonc');
+const yaml = require('../utils/yaml');
+
+/** @constant {string} */
+const DEFAULT_NPM = '@ai-sdk/openai-compatible';
+
+/**
+ * Provider types that usually run locally without an API key
+ * @constant {string[]}
+ */
+const LOCAL_TYPES = ['ollama', 'lmstudio'];
+
+/**
+ * Names other tools use for provider types that have a template under another key
+ * @constant {Object.<string, string>}
+ */
+const TYPE_ALIASES = {
+  gemini: 'google',
+  vertex_ai: 'google',
+  ollama_chat: 'ollama',
+  lm_studio: 'lmstudio',
+  azure_openai: 'azure',
+};
+
+/**
+ * Parses JSON, JSONC or YAML into an object
+ *
+ * @param {string} content - File content
+ * @returns {Object|null} Parsed object, or null if the content is neither or not an object
+ */
+function parseStructured(content) {
+  for (const parser of [jsonc.parse, yaml.parse]) {
+    try {
+      const value = parser(content);
+      if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+    } catch (error) {
+      // 尝试下一种格式
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalizes a provider type to a template key and valid provider ID
+ *
+ * @param {string} type - Provider type as named by the source tool
+ * @returns {string}
+ */
+function normalizeType(type) {
+  const key = String(type || 'openai').toLowerCase();
+  return (TYPE_ALIASES[key] || key).replace(/[^a-z0-9_-]/g, '-');
+}
+
+/**
+ * Collects providers from model entries
+ *
+ * Entries with the same provider type, base URL and API key end up in one
+ * provider; others of the same type get a numbered ID (`openai-2`).
+ *
+ * @returns {{add: function(Object): string, providers: Object, warnings: string[]}}
+ */
+function createCollector() {
+  const providers = {};
+  const groups = new Map();
+  const warnings = [];
+
+  const uniqueId = (base) => {
+    let id = base;
+    for (let n = 2; providers[id]; n++) id = `${base}-${n}`;
+    return id;
+  };
+
+  /**
+   * Adds a model entry, creating its provider if needed
+   *
+   * @param {{type: string, baseURL?: string, apiKey?: string, modelId?: string, modelName?: string}} entry
+   * @returns {string} Provider ID
+   */
+  const add = ({ type, baseURL, apiKey, modelId, modelName }) => {
+    const normalized = normalizeType(type);
+    const key = [normalized, baseURL || '', apiKey || ''].join('\n');
+    let id = groups.get(key);
+
+    if (!id) {
+      const template = Object.prototype.hasOwnProperty.call(ProviderTemplates, normalized)
+        ? ProviderTemplates[normalized]
+        : null;
+      // 模板中带占位符的地址（如 Azure）无法直接使用
+      const templateURL = template && !template.baseURL.includes('{') ? template.baseURL : undefined;
+      const url = baseURL || templateURL;
+      id = uniqueId(normalized);
+      groups.set(key, id);
+
+      const options = {};
+      if (url) options.baseURL = url;
+      if (apiKey) options.apiKey = apiKey;
+      providers[id] = { npm: (template && template.npm) || DEFAULT_NPM, name: template ? template.name : id, options, models: {} };
+
+      if (!url) warnings.push(`Provider "${id}" 没有 Base URL，请导入后补充`);
+      if (!apiKey && !LOCAL_TYPES.includes(normalized)) warnings.push(`Provider "${id}" 没有 API Key`);
+    }
+
+    if (modelId) {
+      providers[id].models[modelId] = modelName && modelName !== modelId ? { name: modelName } : {};
+    }
+    return id;
+  };
+
+  return { add, providers, warnings };
+}
+
+module.exports = { parseStructured, normalizeType, createCollector };
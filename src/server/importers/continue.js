@@ -0,0 +1,50 @@
+/**
+ * Continue Importer
+ *
+ * Imports model entries from a Continue `config.json` or `config.yaml`
+ * (`models` and `tabAutocompleteModel`).
+ *
+ * @module importers/continue
+ */
+
+const { parseStructured, createCollector } = require('./common');
+
+function modelEntries(parsed) {
+  const autocomplete = parsed.tabAutocompleteModel;
+  return [
+    ...(Array.isArray(parsed.models) ? parsed.models : []),
+    ...(Array.isArray(autocomplete) ? autocomplete : autocomplete ? [autocomplete] : []),
+  ].filter((entry) => entry && typeof entry === 'object');
+}
+
+module.exports = {
+  id: 'continue',
+  name: 'Continue',
+
+  detect(content) {
+    const parsed = parseStructured(content);
+    return Boolean(parsed && Array.isArray(parsed.models) && parsed.models.some((entry) => entry && entry.provider));
+  },
+
+  convert(content) {
+    const collector = createCollector();
+
+    for (const entry of modelEntries(parseStructured(content))) {
+      if (!entry.provider || !entry.model) continue;
+      if (entry.provider === 'free-trial') {
+        collector.warnings.push(`跳过 Continue 免费试用模型 "${entry.title || entry.model}"`);
+        continue;
+      }
+
+      collector.add({
+        type: entry.provider,
+        baseURL: entry.apiBase,
+        apiKey: entry.apiKey,
+        modelId: entry.model,
+        modelName: entry.title || entry.name,
+      });
+    }
+
+    return { config: { provider: collector.providers }, warnings: collector.warnings };
+  },
+};
@@ -0,0 +1,89 @@
+/**
+ * dotenv Importer
+ *
+ * Imports providers from `.env` files as used by aider and many SDKs:
+ * `<PREFIX>_API_KEY` with an optional `<PREFIX>_API_BASE` / `<PREFIX>_BASE_URL`
+ * defines a provider, and aider's `AIDER_MODEL`-style variables add models.
+ *
+ * @module importers/dotenv
+ */
+
+const { createCollector, normalizeType } = require('./common');
+
+/** @constant {string[]} */
+const BASE_SUFFIXES = ['_API_BASE', '_BASE_URL', '_API_BASE_URL'];
+
+/** @constant {string[]} */
+const MODEL_VARIABLES = ['AIDER_MODEL', 'AIDER_WEAK_MODEL', 'AIDER_EDITOR_MODEL'];
+
+/**
+ * Parses dotenv content
+ *
+ * @param {string} content - File content
+ * @returns {Object.<string, string>} Variables
+ */
+function parseEnv(content) {
+  const variables = {};
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (!match) continue;
+
+    const raw = match[2];
+    const quoted = /^(["'])((?:\\.|(?!\1).)*)\1(\s+#.*)?$/.exec(raw);
+    if (quoted && quoted[1] === '"') {
+      variables[match[1]] = quoted[2].replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+    } else if (quoted) {
+      variables[match[1]] = quoted[2];
+    } else {
+      variables[match[1]] = raw.replace(/(^|\s+)#.*$/, '');
+    }
+  }
+
+  return variables;
+}
+
+module.exports = {
+  id: 'dotenv',
+  name: '.env',
+
+  detect(content, filename = '') {
+    if (/(^|[\\/])\.env(\.[\w-]+)?$|\.env$/.test(filename)) return true;
+    return /^\s*(export\s+)?[A-Z0-9_]+_API_KEY\s*=/m.test(content) && !/^\s*[{[]/.test(content);
+  },
+
+  convert(content) {
+    const variables = parseEnv(content);
+    const collector = createCollector();
+    const idsByType = {};
+
+    for (const [name, value] of Object.entries(variables)) {
+      const match = /^([A-Z0-9_]+?)_API_KEY$/.exec(name);
+      if (!match || !value) continue;
+
+      const prefix = match[1];
+      const baseVariable = BASE_SUFFIXES.map((suffix) => prefix + suffix).find((key) => variables[key]);
+      idsByType[normalizeType(prefix)] = collector.add({
+        type: prefix,
+        baseURL: baseVariable && variables[baseVariable],
+        apiKey: value,
+      });
+    }
+
+    for (const name of MODEL_VARIABLES) {
+      const model = variables[name];
+      if (!model) continue;
+
+      const slash = model.indexOf('/');
+      const type = normalizeType(slash === -1 ? 'openai' : model.slice(0, slash));
+      const id = idsByType[type];
+      if (!id) {
+        collector.warnings.push(`${name}=${model}: 没有找到 ${type} 的 API Key，已跳过`);
+        continue;
+      }
+      collector.providers[id].models[slash === -1 ? model : model.slice(slash + 1)] = {};
+    }
+
+    return { config: { provider: collector.providers }, warnings: collector.warnings };
+  },
+};
@@ -0,0 +1,67 @@
+/**
+ * Importers Module
+ *
+ * Registry of converters that turn other AI tools' config files into
+ * opencode providers. Each importer recognises its format and converts it
+ * to a config that can be previewed and applied with `POST /api/import`.
+ *
+ * @module importers
+ */
+
+/**
+ * Config importer
+ * @typedef {Object} Importer
+ * @property {string} id - Format identifier
+ * @property {string} name - Display name
+ * @property {function(string, string=): boolean} detect - Whether content (and file name) look like this format
+ * @property {function(string): {config: Object, warnings: string[]}} convert - Converts content to an opencode config
+ */
+
+/**
+ * Importers in detection order, most specific first
+ * @type {Importer[]}
+ */
+const importers = [
+  require('./opencode'),
+  require('./continue'),
+  require('./litellm'),
+  require('./dotenv'),
+];
+
+/** @constant {string[]} */
+const FORMATS = importers.map((importer) => importer.id);
+
+/**
+ * Detects the format of a file
+ *
+ * @param {string} content - File content
+ * @param {string} [filename] - Original file name
+ * @returns {Importer|null} Matching importer, or null if unrecognised
+ */
+function detect(content, filename) {
+  return importers.find((importer) => importer.detect(content, filename)) || null;
+}
+
+/**
+ * Converts a file to an opencode config
+ *
+ * @param {string} content - File content
+ * @param {{format?: string, filename?: string}} [options={}] - Explicit format, or file name to help detection
+ * @returns {{format: string, name: string, config: Object, warnings: string[]}}
+ * @throws {Error} If the format is unknown or the content can't be converted
+ */
+function convert(content, { format, filename } = {}) {
+  const importer = format ? importers.find((candidate) => candidate.id === format) : detect(content, filename);
+  if (!importer) {
+    throw new Error(format ? `不支持的导入格式: ${format}` : '无法识别的配置文件格式');
+  }
+
+  try {
+    const { config, warnings } = importer.convert(content);
+    return { format: importer.id, name: importer.name, config, warnings };
+  } catch (error) {
+    throw new Error(`无法解析 ${importer.name} 配置: ${error.message}`);
+  }
+}
+
+module.exports = { FORMATS, detect, convert };
@@ -0,0 +1,54 @@
+/**
+ * LiteLLM Importer
+ *
+ * Imports the `model_list` of a LiteLLM proxy `config.yaml`. The provider
+ * type comes from the `litellm_params.model` prefix (`azure/gpt-4`), and
+ * `os.environ/VAR` keys become `{env:VAR}` references.
+ *
+ * @module importers/litellm
+ */
+
+const { parseStructured, createCollector } = require('./common');
+
+/**
+ * Converts a LiteLLM secret reference to an opencode one
+ *
+ * @param {*} value - `api_key` value
+ * @returns {string|undefined}
+ */
+function convertSecret(value) {
+  if (typeof value !== 'string' || value === '') return undefined;
+  const match = /^os\.environ\/(.+)$/.exec(value);
+  return match ? `{env:${match[1]}}` : value;
+}
+
+module.exports = {
+  id: 'litellm',
+  name: 'LiteLLM',
+
+  detect(content) {
+    const parsed = parseStructured(content);
+    return Boolean(parsed && Array.isArray(parsed.model_list));
+  },
+
+  convert(content) {
+    const collector = createCollector();
+
+    for (const entry of parseStructured(content).model_list) {
+      const params = (entry && entry.litellm_params) || {};
+      const model = String(params.model || (entry && entry.model_name) || '');
+      if (!model) continue;
+
+      const slash = model.indexOf('/');
+      collector.add({
+        type: slash === -1 ? 'openai' : model.slice(0, slash),
+        baseURL: params.api_base || params.base_url,
+        apiKey: convertSecret(params.api_key),
+        modelId: slash === -1 ? model : model.slice(slash + 1),
+        modelName: entry.model_name,
+      });
+    }
+
+    return { config: { provider: collector.providers }, warnings: collector.warnings };
+  },
+};
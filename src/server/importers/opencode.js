@@ -0,0 +1,28 @@
+/**
+ * opencode Importer
+ *
+ * Imports providers from another opencode `opencode.json` / `opencode.jsonc`.
+ *
+ * @module importers/opencode
+ */
+
+const { parseStructured } = require('./common');
+
+function isProviderMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  id: 'opencode',
+  name: 'opencode',
+
+  detect(content) {
+    const parsed = parseStructured(content);
+    return Boolean(parsed && isProviderMap(parsed.provider));
+  },
+
+  convert(content) {
+    const parsed = parseStructured(content);
+    return { config: { provider: parsed.provider }, warnings: [] };
+  },
+};
@@ -2,7 +2,9 @@
  * OpenCode Switch Server
  *
  * Main HTTP server entry point. Configures middleware, routes, and static
- * file serving. Implements graceful shutdown and error handling.
+ * file serving. Implements graceful shutdown and error handling. The server
+ * only listens when this file is run; requiring it returns the server
+ * without starting it.
  *
  * @module server/index
  */
@@ -11,9 +13,19 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const Logger = require('./utils/logger');
+const configService = require('./services/configService');
+const encryptionService = require('./services/encryptionService');
+const { askHidden } = require('./utils/prompt');
+const { acquireFileLock } = require('./utils/atomicFile');
 const middleware = require('./middleware/validation');
 const configRoutes = require('./routes/config');
 const modelRoutes = require('./routes/models');
+const profileRoutes = require('./routes/profiles');
+const historyRoutes = require('./routes/history');
+const eventRoutes = require('./routes/events');
+const importRoutes = require('./routes/import');
+const exportRoutes = require('./routes/export');
+const secretRoutes = require('./routes/secrets');
 
 const logger = new Logger();
 const PORT = process.env.PORT || 3456;
@@ -78,12 +90,57 @@ const serveStatic = (req, res) => {
   }
 };
 
+/** @constant {string[]} Methods of requests that may write the config */
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/** @constant {string[]} Requests that only call provider APIs, so they never hold the config lock */
+const UNLOCKED_PATHS = ['/api/discover-models', '/api/test-model'];
+
+/**
+ * Takes the config lock for a request that may write the config
+ *
+ * The lock is waited for without blocking the event loop and held until
+ * the response is done; the locking inside configService then re-enters it
+ * instead of blocking while another process writes.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @returns {Promise<boolean>} False if the lock timed out and a 503 response was sent
+ */
+const lockConfig = async (req, res) => {
+  if (!WRITE_METHODS.includes(req.method) || UNLOCKED_PATHS.includes(req.url)) return true;
+
+  try {
+    const release = await acquireFileLock(configService.configPath);
+    if (res.destroyed) {
+      // 客户端在等待锁时已断开
+      release();
+      return false;
+    }
+    res.on('finish', release);
+    res.on('close', release);
+    return true;
+  } catch (error) {
+    logger.warn('获取配置文件锁失败', { error: error.message });
+    res.writeHead(503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: '配置文件正被其他进程修改，请稍后重试' }));
+    return false;
+  }
+};
+
 const mainHandler = async (req, res) => {
   try {
     if (serveStatic(req, res)) return;
+    if (!(await lockConfig(req, res))) return;
     
     const handled = configRoutes.handleRequest(req, res) || 
-                   modelRoutes.handleRequest(req, res);
+                   modelRoutes.handleRequest(req, res) ||
+                   profileRoutes.handleRequest(req, res) ||
+                   historyRoutes.handleRequest(req, res) ||
+                   importRoutes.handleRequest(req, res) ||
+                   exportRoutes.handleRequest(req, res) ||
+                   secretRoutes.handleRequest(req, res) ||
+                   eventRoutes.handleRequest(req, res);
     
     if (!handled) {
       res.writeHead(404, { 'Content-Type': 'text/plain' });
@@ -97,8 +154,15 @@ const mainHandler = async (req, res) => {
 const handler = composeMiddleware([
     middleware.cors,
     middleware.validateProvider,
+    middleware.validateProviderCopy,
+    middleware.validateConfigDocument,
+    middleware.validatePatch,
+    middleware.validateImport,
+    middleware.validateImportConvert,
     middleware.validateDiscover,
     middleware.validateTest,
+    middleware.validateProfile,
+    middleware.validateSecretMigration,
     mainHandler
 ]);
 
@@ -106,8 +170,37 @@ const server = http.createServer((req, res) => {
     handler(req, res, () => {});
 });
 
-server.listen(PORT, () => {
-    logger.info('服务器启动', { port: PORT });
+/**
+ * Unlocks the passphrase secret backend before serving requests
+ *
+ * Uses `OCS_PASSPHRASE` when set, otherwise asks on the terminal (twice
+ * when the passphrase is being set up).
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} If no passphrase is available or it is wrong
+ */
+const unlockSecrets = async () => {
+    if (!encryptionService.isLocked()) return;
+
+    let passphrase = process.env.OCS_PASSPHRASE;
+    if (!passphrase) {
+        if (!process.stdin.isTTY) {
+            throw new Error('passphrase 模式需要口令：请设置 OCS_PASSPHRASE 环境变量或在终端中启动');
+        }
+        const initialized = encryptionService.hasPassphrase();
+        passphrase = await askHidden(initialized ? '🔒 请输入口令: ' : '🔒 设置口令: ');
+        if (!initialized && (await askHidden('🔒 再次输入口令: ')) !== passphrase) {
+            throw new Error('两次输入的口令不一致');
+        }
+    }
+
+    encryptionService.unlock(passphrase);
+    logger.info('密钥存储已解锁', { backend: encryptionService.backend });
+};
+
+const start = () => server.listen(PORT, () => {
+    logger.info('服务器启动', { port: PORT, secretBackend: encryptionService.backend });
+    configService.watch();
     console.log(`
 ╔════════════════════════════════════════════╗
 ║   🛠️  OpenCode 配置管理器已启动！         ║
@@ -119,8 +212,19 @@ server.listen(PORT, () => {
 `);
 });
 
-process.on('SIGINT', () => {
-    logger.info('服务器关闭');
-    console.log('\n👋 服务器已关闭');
-    process.exit(0);
-});
+if (require.main === module) {
+    unlockSecrets().then(start).catch((error) => {
+        logger.error('启动失败', { error: error.message });
+        console.error('启动失败:', error.message);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', () => {
+        logger.info('服务器关闭');
+        configService.unwatch();
+        console.log('\n👋 服务器已关闭');
+        process.exit(0);
+    });
+}
+
+module.exports = { server };
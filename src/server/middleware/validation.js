@@ -40,6 +40,141 @@ const validateProvider = (req, res, next) => {
     }
 };
 
+const validateProviderCopy = (req, res, next) => {
+    if (/^\/api\/config\/[^/]+\/(rename|clone)$/.test(req.url) && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                const data = JSON.parse(body);
+                const { valid, errors } = Validator.validateProviderCopy(data);
+                
+                if (!valid) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, errors }));
+                    return;
+                }
+                
+                req.body = data;
+                next();
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: '无效的 JSON' }));
+            }
+        });
+    } else {
+        next();
+    }
+};
+
+const validateConfigDocument = (req, res, next) => {
+    if (req.url === '/api/config' && req.method === 'PUT') {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                const data = JSON.parse(body);
+                const { valid, errors } = Validator.validateConfig(data);
+                
+                if (!valid) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, errors }));
+                    return;
+                }
+                
+                req.body = data;
+                next();
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: '无效的 JSON' }));
+            }
+        });
+    } else {
+        next();
+    }
+};
+
+const validatePatch = (req, res, next) => {
+    if (req.url === '/api/config' && req.method === 'PATCH') {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                const data = JSON.parse(body);
+                const { valid, errors } = Validator.validatePatch(data);
+                
+                if (!valid) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, errors }));
+                    return;
+                }
+                
+                req.body = data;
+                next();
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: '无效的 JSON' }));
+            }
+        });
+    } else {
+        next();
+    }
+};
+
+const validateImport = (req, res, next) => {
+    if (req.url === '/api/import' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                const data = JSON.parse(body);
+                const { valid, errors } = Validator.validateImport(data);
+                
+                if (!valid) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, errors }));
+                    return;
+                }
+                
+                req.body = data;
+                next();
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: '无效的 JSON' }));
+            }
+        });
+    } else {
+        next();
+    }
+};
+
+const validateImportConvert = (req, res, next) => {
+    if (req.url === '/api/import/convert' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                const data = JSON.parse(body);
+                const { valid, errors } = Validator.validateImportConvert(data);
+                
+                if (!valid) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, errors }));
+                    return;
+                }
+                
+                req.body = data;
+                next();
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: '无效的 JSON' }));
+            }
+        });
+    } else {
+        next();
+    }
+};
+
 const validateDiscover = (req, res, next) => {
     if (req.url === '/api/discover-models' && req.method === 'POST') {
         let body = '';
@@ -48,6 +183,13 @@ const validateDiscover = (req, res, next) => {
             try {
                 const data = JSON.parse(body);
                 
+                const placeholders = Validator.findPlaceholders(data.baseURL);
+                if (placeholders.length > 0) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: `Base URL 包含未填写的占位符: ${placeholders.join(', ')}` }));
+                    return;
+                }
+                
                 if (!Validator.isValidBaseURL(data.baseURL)) {
                     res.writeHead(400, { 'Content-Type': 'application/json' });
                     res.end(JSON.stringify({ success: false, error: '无效的 Base URL' }));
@@ -60,6 +202,37 @@ const validateDiscover = (req, res, next) => {
                     return;
                 }
                 
+                if (data.providerId !== undefined && !Validator.isValidProviderId(data.providerId)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: '无效的 Provider ID' }));
+                    return;
+                }
+                
+                if (data.npm !== undefined && !Validator.isValidNpmPackage(data.npm)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: '无效的 npm 包名' }));
+                    return;
+                }
+                
+                const optionErrors = [
+                    ...Validator.validateProviderOptions({
+                        headers: data.headers,
+                        timeout: data.timeout,
+                        apiVersion: data.apiVersion,
+                        proxy: data.proxy,
+                        tls: data.tls
+                    }),
+                    ...Validator.validateRequestSettings({
+                        connectTimeout: data.connectTimeout,
+                        retries: data.retries
+                    })
+                ];
+                if (optionErrors.length > 0) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: optionErrors.join('; ') }));
+                    return;
+                }
+                
                 req.body = data;
                 next();
             } catch (error) {
@@ -80,6 +253,13 @@ const validateTest = (req, res, next) => {
             try {
                 const data = JSON.parse(body);
                 
+                const placeholders = Validator.findPlaceholders(data.baseURL);
+                if (placeholders.length > 0) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: `Base URL 包含未填写的占位符: ${placeholders.join(', ')}` }));
+                    return;
+                }
+                
                 if (!Validator.isValidBaseURL(data.baseURL)) {
                     res.writeHead(400, { 'Content-Type': 'application/json' });
                     res.end(JSON.stringify({ success: false, error: '无效的 Base URL' }));
@@ -92,12 +272,102 @@ const validateTest = (req, res, next) => {
                     return;
                 }
                 
+                if (data.providerId !== undefined && !Validator.isValidProviderId(data.providerId)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: '无效的 Provider ID' }));
+                    return;
+                }
+                
+                if (data.npm !== undefined && !Validator.isValidNpmPackage(data.npm)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: '无效的 npm 包名' }));
+                    return;
+                }
+                
                 if (!Validator.isValidModelId(data.modelId)) {
                     res.writeHead(400, { 'Content-Type': 'application/json' });
                     res.end(JSON.stringify({ success: false, error: '无效的模型 ID' }));
                     return;
                 }
                 
+                const optionErrors = [
+                    ...Validator.validateProviderOptions({
+                        headers: data.headers,
+                        timeout: data.timeout,
+                        apiVersion: data.apiVersion,
+                        proxy: data.proxy,
+                        tls: data.tls
+                    }),
+                    ...Validator.validateRequestSettings({
+                        connectTimeout: data.connectTimeout,
+                        retries: data.retries
+                    })
+                ];
+                if (optionErrors.length > 0) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: optionErrors.join('; ') }));
+                    return;
+                }
+                
+                req.body = data;
+                next();
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: '无效的 JSON' }));
+            }
+        });
+    } else {
+        next();
+    }
+};
+
+const validateProfile = (req, res, next) => {
+    if (req.url === '/api/profiles' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                const data = JSON.parse(body);
+                
+                if (!Validator.isValidProfileName(data.name)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: 'Profile 名称只能包含字母、数字、下划线和连字符，长度1-64字符' }));
+                    return;
+                }
+                
+                if (data.description !== undefined && typeof data.description !== 'string') {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: 'description 必须是字符串' }));
+                    return;
+                }
+                
+                req.body = data;
+                next();
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: '无效的 JSON' }));
+            }
+        });
+    } else {
+        next();
+    }
+};
+
+const validateSecretMigration = (req, res, next) => {
+    if (req.url === '/api/secrets/migrate' && req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                const data = body ? JSON.parse(body) : {};
+                const { valid, errors } = Validator.validateSecretMigration(data);
+                
+                if (!valid) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, errors }));
+                    return;
+                }
+                
                 req.body = data;
                 next();
             } catch (error) {
@@ -112,8 +382,9 @@ const validateTest = (req, res, next) => {
 
 const cors = (req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
     
     if (req.method === 'OPTIONS') {
         res.writeHead(200);
@@ -132,8 +403,15 @@ const errorHandler = (error, req, res) => {
 
 module.exports = {
     validateProvider,
+    validateProviderCopy,
+    validateConfigDocument,
+    validatePatch,
+    validateImport,
+    validateImportConvert,
     validateDiscover,
     validateTest,
+    validateProfile,
+    validateSecretMigration,
     cors,
     errorHandler
 };
@@ -2,18 +2,73 @@
  * Configuration Routes Module
  *
  * Defines HTTP routes for configuration management including serving the UI,
- * reading, saving, and deleting provider configurations.
+ * reading, saving, renaming, cloning and deleting provider configurations.
+ *
+ * Responses carry an `ETag` with the config file revision. Mutating routes
+ * honor `If-Match` and answer 412 with the current revision when the file
+ * changed since the client read it.
+ * 
+ * API keys are returned masked, with fingerprints in `$apiKeyFingerprints`.
+ * Masks sent back unchanged keep the stored key; the plaintext key is only
+ * returned by the reveal route.
  *
  * @module routes/config
  */
 
 const configService = require('../services/configService');
+const { parseIfMatch, formatETag } = require('../utils/etag');
+const { maskConfig, isSecret, fingerprint } = require('../utils/masking');
 const fs = require('fs');
 const path = require('path');
 
 const PUBLIC_PATH = path.join(__dirname, '../../public');
 const HTML_PATH = path.join(PUBLIC_PATH, 'index.html');
 
+/**
+ * Header that confirms revealing an API key. It is deliberately not listed in
+ * Access-Control-Allow-Headers, so browsers don't let other sites send it.
+ * @constant {string}
+ */
+const REVEAL_HEADER = 'x-confirm-reveal';
+
+/**
+ * Describes why a guarded write did not happen
+ * @typedef {Object} WriteFailure
+ * @property {number} status - HTTP status code
+ * @property {string} error - Error message
+ * @property {string[]} [errors] - Detailed errors
+ * @property {string[]} [warnings] - Problems left after a successful write (status 200)
+ */
+
+/**
+ * Runs a mutation guarded by the request's If-Match header and sends the result
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {function(): (boolean|WriteFailure)} write - Performs the write; returns true on success, or false/a failure description
+ *   (a 200 status with `warnings` reports a success with warnings)
+ */
+function sendGuardedWrite(req, res, write) {
+    const { conflict, result, revision } = configService.writeIfRevision(parseIfMatch(req.headers['if-match']), write);
+    const headers = { 'Content-Type': 'application/json', ETag: formatETag(revision) };
+    
+    if (conflict) {
+        res.writeHead(412, headers);
+        res.end(JSON.stringify({ success: false, conflict: true, error: 'Config has been modified', revision }));
+        return;
+    }
+    
+    if (result === true || (result && result.status === 200)) {
+        res.writeHead(200, headers);
+        res.end(JSON.stringify({ success: true, revision, warnings: result.warnings }));
+        return;
+    }
+    
+    const failure = result || { status: 500, error: 'Failed to write config' };
+    res.writeHead(failure.status, headers);
+    res.end(JSON.stringify({ success: false, revision, error: failure.error, errors: failure.errors }));
+}
+
 const routes = [
     {
         path: '/',
@@ -33,9 +88,14 @@ const routes = [
         path: '/api/config',
         method: 'GET',
         handler: (req, res) => {
-            const config = configService.readConfig();
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(config));
+            try {
+                const { config, revision } = configService.readConfigWithRevision();
+                res.writeHead(200, { 'Content-Type': 'application/json', ETag: formatETag(revision) });
+                res.end(JSON.stringify(maskConfig(config)));
+            } catch (error) {
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: false, error: error.message, details: error.details }));
+            }
         }
     },
     {
@@ -43,10 +103,83 @@ const routes = [
         method: 'POST',
         handler: (req, res) => {
             const { providerId, config: providerConfig } = req.body;
-            const success = configService.addOrUpdateProvider(providerId, providerConfig);
+            sendGuardedWrite(req, res, () => {
+                const errors = configService.unmaskApiKeys({ provider: { [providerId]: providerConfig } });
+                if (errors.length > 0) return { status: 422, error: 'API key does not match the stored key', errors };
+                return configService.addOrUpdateProvider(providerId, providerConfig);
+            });
+        }
+    },
+    {
+        path: '/api/config',
+        method: 'PUT',
+        handler: (req, res) => {
+            sendGuardedWrite(req, res, () => {
+                const errors = configService.unmaskApiKeys(req.body);
+                if (errors.length > 0) return { status: 422, error: 'API key does not match the stored key', errors };
+                return configService.writeConfig(req.body, { action: 'replace-config' });
+            });
+        }
+    },
+    {
+        path: '/api/config',
+        method: 'PATCH',
+        handler: (req, res) => {
+            sendGuardedWrite(req, res, () => {
+                const { success, errors, warnings } = configService.patchConfig(req.body);
+                if (success && warnings.length > 0) return { status: 200, warnings };
+                if (success || errors.length === 0) return success;
+                return { status: 422, error: 'Patch could not be applied', errors };
+            });
+        }
+    },
+    {
+        path: /^\/api\/config\/[^/]+\/reveal-key$/,
+        method: 'POST',
+        handler: (req, res) => {
+            const providerId = decodeURIComponent(req.url.split('/')[3]);
+            const headers = { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' };
             
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success }));
+            if (req.headers[REVEAL_HEADER] !== 'true') {
+                res.writeHead(403, headers);
+                res.end(JSON.stringify({ success: false, error: 'Revealing an API key requires the X-Confirm-Reveal: true header' }));
+                return;
+            }
+            
+            try {
+                const provider = configService.loadConfig(false).provider?.[providerId];
+                const apiKey = provider?.options?.apiKey;
+                if (!isSecret(apiKey)) {
+                    res.writeHead(404, headers);
+                    res.end(JSON.stringify({ success: false, error: 'Provider has no stored API key' }));
+                    return;
+                }
+                
+                res.writeHead(200, headers);
+                res.end(JSON.stringify({ success: true, apiKey, fingerprint: fingerprint(apiKey) }));
+            } catch (error) {
+                res.writeHead(500, headers);
+                res.end(JSON.stringify({ success: false, error: error.message, details: error.details }));
+            }
+        }
+    },
+    {
+        path: /^\/api\/config\/[^/]+\/(rename|clone)$/,
+        method: 'POST',
+        handler: (req, res) => {
+            const [, , , encodedId, operation] = req.url.split('/');
+            const providerId = decodeURIComponent(encodedId);
+            const { newId, name } = req.body;
+            
+            sendGuardedWrite(req, res, () => {
+                const { success, error } = operation === 'rename'
+                    ? configService.renameProvider(providerId, newId)
+                    : configService.cloneProvider(providerId, newId, name);
+                
+                if (error === 'not-found') return { status: 404, error: 'Provider not found' };
+                if (error === 'exists') return { status: 409, error: 'Provider already exists' };
+                return success;
+            });
         }
     },
     {
@@ -54,13 +187,7 @@ const routes = [
         method: 'DELETE',
         handler: (req, res) => {
             const providerId = req.url.split('/api/config/')[1];
-            const success = configService.deleteProvider(providerId);
-            
-            res.writeHead(success ? 200 : 404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ 
-                success, 
-                error: success ? undefined : 'Provider not found' 
-            }));
+            sendGuardedWrite(req, res, () => configService.deleteProvider(providerId) || { status: 404, error: 'Provider not found' });
         }
     }
 ];
@@ -0,0 +1,56 @@
+/**
+ * Event Routes Module
+ *
+ * Streams configuration change events to the browser using Server-Sent
+ * Events, so the UI can refresh when the config file changes.
+ *
+ * @module routes/events
+ */
+
+const configService = require('../services/configService');
+
+/** @constant {number} */
+const KEEPALIVE_INTERVAL = 25000;
+
+const routes = [
+  {
+    path: '/api/events',
+    method: 'GET',
+    handler: (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      res.write('retry: 3000\n\n');
+
+      const onChange = (event) => {
+        res.write(`event: config-changed\ndata: ${JSON.stringify(event)}\n\n`);
+      };
+      const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+
+      configService.on('change', onChange);
+      req.on('close', () => {
+        clearInterval(keepalive);
+        configService.off('change', onChange);
+      });
+    },
+  },
+];
+
+function matchRoute(url, method) {
+  return routes.find((route) => route.path === url && route.method === method);
+}
+
+function handleRequest(req, res) {
+  const route = matchRoute(req.url, req.method);
+
+  if (route) {
+    route.handler(req, res);
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = { routes, handleRequest };
@@ -0,0 +1,115 @@
+/**
+ * Export Routes Module
+ *
+ * Defines the HTTP route for downloading a redacted or selective export of
+ * the configuration. Options are passed as query parameters:
+ * `format` (json, jsonc, yaml, env), `secrets` (redact, env, plain) and
+ * `providers` (comma-separated provider IDs or `provider/model` selectors).
+ *
+ * Exports with plaintext API keys (`secrets=plain` or `format=env`) need the
+ * same `X-Confirm-Reveal: true` header as revealing a single key.
+ *
+ * @module routes/export
+ */
+
+const exportService = require('../services/exportService');
+const Validator = require('../utils/validator');
+
+/**
+ * Header that confirms exporting plaintext API keys. Like the reveal route's
+ * header, it is not listed in Access-Control-Allow-Headers.
+ * @constant {string}
+ */
+const REVEAL_HEADER = 'x-confirm-reveal';
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Reads export options from the query string
+ *
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {Object} Export options
+ */
+function parseOptions(searchParams) {
+  const providers = searchParams.get('providers');
+  return {
+    format: searchParams.get('format') || undefined,
+    secrets: searchParams.get('secrets') || undefined,
+    providers: providers ? providers.split(',').filter(Boolean) : undefined,
+  };
+}
+
+/**
+ * Whether an export contains plaintext API keys
+ *
+ * @param {Object} options - Export options
+ * @returns {boolean}
+ */
+function revealsKeys(options) {
+  return options.secrets === 'plain' || options.format === 'env';
+}
+
+const routes = [
+  {
+    path: /^\/api\/export(\?.*)?$/,
+    method: 'GET',
+    handler: (req, res) => {
+      const options = parseOptions(new URL(req.url, 'http://localhost').searchParams);
+      const { valid, errors } = Validator.validateExport(options);
+
+      if (!valid) {
+        sendJson(res, 400, { success: false, errors });
+        return;
+      }
+
+      if (revealsKeys(options) && req.headers[REVEAL_HEADER] !== 'true') {
+        sendJson(res, 403, {
+          success: false,
+          error: 'Exporting plaintext API keys requires the X-Confirm-Reveal: true header',
+        });
+        return;
+      }
+
+      let result;
+      try {
+        result = exportService.exportConfig(options);
+      } catch (error) {
+        sendJson(res, 500, { success: false, error: error.message, details: error.details });
+        return;
+      }
+
+      const { success, missing, file } = result;
+      if (!success) {
+        sendJson(res, 404, { success: false, error: 'Provider not found', missing });
+        return;
+      }
+
+      res.writeHead(200, {
+        'Content-Type': `${file.contentType}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="${file.filename}"`,
+        'Cache-Control': 'no-store',
+      });
+      res.end(file.content);
+    },
+  },
+];
+
+function matchRoute(url, method) {
+  return routes.find((route) => route.method === method && route.path.test(url));
+}
+
+function handleRequest(req, res) {
+  const route = matchRoute(req.url, req.method);
+
+  if (route) {
+    route.handler(req, res);
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = { routes, handleRequest };
@@ -0,0 +1,112 @@
+/**
+ * History Routes Module
+ *
+ * Defines HTTP routes for listing configuration versions, comparing two
+ * versions and restoring a previous version. API keys in versions and diffs
+ * are masked; a changed key shows up as a changed fingerprint.
+ *
+ * @module routes/history
+ */
+
+const configService = require('../services/configService');
+const { diff } = require('../utils/diff');
+const { maskConfig } = require('../utils/masking');
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+const routes = [
+  {
+    path: '/api/history',
+    method: 'GET',
+    handler: (req, res) => {
+      sendJson(res, 200, { versions: configService.history.listVersions() });
+    },
+  },
+  {
+    path: /^\/api\/history\/diff(\?.*)?$/,
+    method: 'GET',
+    handler: (req, res) => {
+      const { searchParams } = new URL(req.url, 'http://localhost');
+      const latest = configService.history.getLatest();
+      const fromVersion = parseInt(searchParams.get('from'), 10);
+      const toVersion = searchParams.has('to')
+        ? parseInt(searchParams.get('to'), 10)
+        : latest && latest.version;
+
+      const from = configService.history.getVersion(fromVersion);
+      const to = configService.history.getVersion(toVersion);
+
+      if (!from || !to) {
+        sendJson(res, 404, { success: false, error: 'Version not found' });
+        return;
+      }
+
+      sendJson(res, 200, {
+        from: from.version,
+        to: to.version,
+        changes: diff(maskConfig(from.config), maskConfig(to.config)),
+      });
+    },
+  },
+  {
+    path: /^\/api\/history\/\d+$/,
+    method: 'GET',
+    handler: (req, res) => {
+      const version = parseInt(req.url.split('/')[3], 10);
+      const entry = configService.history.getVersion(version);
+
+      if (!entry) {
+        sendJson(res, 404, { success: false, error: 'Version not found' });
+        return;
+      }
+
+      sendJson(res, 200, { ...entry, config: maskConfig(entry.config) });
+    },
+  },
+  {
+    path: /^\/api\/history\/\d+\/restore$/,
+    method: 'POST',
+    handler: (req, res) => {
+      const version = parseInt(req.url.split('/')[3], 10);
+
+      if (!configService.history.getVersion(version)) {
+        sendJson(res, 404, { success: false, error: 'Version not found' });
+        return;
+      }
+
+      const success = configService.restoreVersion(version);
+      sendJson(res, success ? 200 : 500, {
+        success,
+        error: success ? undefined : '恢复配置失败',
+      });
+    },
+  },
+];
+
+function matchRoute(url, method) {
+  return routes.find((route) => {
+    if (route.method !== method) return false;
+
+    if (typeof route.path === 'string') {
+      return route.path === url;
+    }
+
+    return route.path.test(url);
+  });
+}
+
+function handleRequest(req, res) {
+  const route = matchRoute(req.url, req.method);
+
+  if (route) {
+    route.handler(req, res);
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = { routes, handleRequest };
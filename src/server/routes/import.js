@@ -0,0 +1,107 @@
+/**
+ * Import Routes Module
+ *
+ * Defines the HTTP routes for importing providers from a full configuration,
+ * either as a dry run that only reports the outcome or applied in a single
+ * write. Applying honors `If-Match`, so a client can make sure the config
+ * didn't change since its dry run. Config files of other tools are first
+ * converted with `/api/import/convert`.
+ *
+ * @module routes/import
+ */
+
+const configService = require('../services/configService');
+const importService = require('../services/importService');
+const importers = require('../importers');
+const { parseIfMatch, formatETag } = require('../utils/etag');
+
+/** @constant {string} */
+const KEY_ERROR = 'Imported API keys could not be restored';
+
+function sendJson(res, status, data, revision) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ETag: formatETag(revision) });
+  res.end(JSON.stringify(data));
+}
+
+const routes = [
+  {
+    path: '/api/import',
+    method: 'POST',
+    handler: (req, res) => {
+      const { config: incoming, dryRun, ...options } = req.body;
+
+      if (dryRun) {
+        try {
+          const { config, revision } = configService.readConfigWithRevision();
+          const { report, errors } = importService.planImport(config, incoming, options);
+          if (errors.length > 0) {
+            sendJson(res, 422, { success: false, dryRun: true, error: KEY_ERROR, errors }, revision);
+            return;
+          }
+          sendJson(res, 200, { success: true, dryRun: true, revision, report }, revision);
+        } catch (error) {
+          sendJson(res, 500, { success: false, error: error.message }, configService.getRevision());
+        }
+        return;
+      }
+
+      let report = null;
+      let errors = [];
+      const { conflict, result, revision } = configService.writeIfRevision(parseIfMatch(req.headers['if-match']), () => {
+        const outcome = importService.importConfig(incoming, options);
+        ({ report, errors } = outcome);
+        return outcome.success;
+      });
+
+      if (conflict) {
+        sendJson(res, 412, { success: false, conflict: true, error: 'Config has been modified', revision }, revision);
+        return;
+      }
+
+      if (errors.length > 0) {
+        sendJson(res, 422, { success: false, error: KEY_ERROR, errors, revision }, revision);
+        return;
+      }
+
+      sendJson(
+        res,
+        result ? 200 : 500,
+        { success: result, revision, report, error: result ? undefined : 'Failed to import config' },
+        revision
+      );
+    },
+  },
+  {
+    path: '/api/import/convert',
+    method: 'POST',
+    handler: (req, res) => {
+      const { content, filename, format } = req.body;
+
+      try {
+        const converted = importers.convert(content, { filename, format });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, ...converted }));
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: error.message }));
+      }
+    },
+  },
+];
+
+function matchRoute(url, method) {
+  return routes.find((route) => route.path === url && route.method === method);
+}
+
+function handleRequest(req, res) {
+  const route = matchRoute(req.url, req.method);
+
+  if (route) {
+    route.handler(req, res);
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = { routes, handleRequest };
@@ -1,23 +1,60 @@
 /**
  * Model Routes Module
  *
- * Defines HTTP routes for model discovery and connection testing.
- * Provides endpoints for auto-discovering available models and testing
- * API connectivity.
+ * Defines HTTP routes for model discovery and connection testing. The
+ * provider's npm package, when sent, selects the API adapter.
+ * Provides endpoints for auto-discovering available models, testing
+ * API connectivity and checking `{env:...}` / `{file:...}` references.
+ * 
+ * Clients that only have a masked API key send it together with the
+ * provider ID; the stored key is used in its place. Masks, `{env:...}` /
+ * `{file:...}` references and `enc:` keys are only accepted as the stored
+ * settings of that provider, and only for requests to its stored base URL,
+ * headers and proxy (see modelService.clientConnection).
+ *
+ * When the client disconnects before the response is sent (it closed the
+ * test dialog or aborted the fetch), the upstream request is cancelled.
  *
  * @module routes/models
  */
 
 const modelService = require('../services/modelService');
 
+/**
+ * Signal that is aborted when the client disconnects before the response is sent
+ * 
+ * @param {http.ServerResponse} res - Response to the client
+ * @returns {AbortSignal}
+ */
+function abortOnDisconnect(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    return controller.signal;
+}
+
 const routes = [
+    {
+        path: '/api/references',
+        method: 'GET',
+        handler: (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+            res.end(JSON.stringify({ references: modelService.checkReferences() }));
+        }
+    },
     {
         path: '/api/discover-models',
         method: 'POST',
         handler: async (req, res) => {
             try {
-                const { baseURL, apiKey } = req.body;
-                const models = await modelService.discoverModels(baseURL, apiKey);
+                const { providerId, headers, timeout, connectTimeout, retries, npm, apiVersion, proxy, tls } = req.body;
+                const settings = modelService.clientConnection(req.body.baseURL, req.body.apiKey, {
+                    headers, timeout, connectTimeout, retries, npm, apiVersion, proxy, tls
+                }, { providerId });
+                const models = await modelService.discoverModels(settings.baseURL, settings.apiKey, {
+                    ...settings.connection, signal: abortOnDisconnect(res)
+                });
                 
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ models }));
@@ -32,8 +69,23 @@ const routes = [
         method: 'POST',
         handler: async (req, res) => {
             try {
-                const { baseURL, apiKey, modelId } = req.body;
-                const result = await modelService.testConnection(baseURL, apiKey, modelId);
+                const {
+                    providerId, modelId, headers, timeout, connectTimeout, retries, npm, apiVersion, proxy, tls
+                } = req.body;
+                let settings;
+                try {
+                    settings = modelService.clientConnection(req.body.baseURL, req.body.apiKey, {
+                        headers, timeout, connectTimeout, retries, npm, apiVersion, proxy, tls
+                    }, { providerId, modelId });
+                } catch (error) {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ success: false, error: error.message, model: modelId }));
+                    return;
+                }
+                
+                const result = await modelService.testConnection(settings.baseURL, settings.apiKey, modelId, {
+                    ...settings.connection, signal: abortOnDisconnect(res)
+                });
                 
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify(result));
@@ -0,0 +1,90 @@
+/**
+ * Profile Routes Module
+ *
+ * Defines HTTP routes for listing, saving, activating and deleting named
+ * configuration profiles.
+ *
+ * @module routes/profiles
+ */
+
+const profileService = require('../services/profileService');
+
+const routes = [
+  {
+    path: '/api/profiles',
+    method: 'GET',
+    handler: (req, res) => {
+      const profiles = profileService.listProfiles();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ profiles, active: profileService.getActiveProfile() }));
+    },
+  },
+  {
+    path: '/api/profiles',
+    method: 'POST',
+    handler: (req, res) => {
+      const { name, description } = req.body;
+      const success = profileService.saveProfile(name, description);
+
+      res.writeHead(success ? 200 : 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success, error: success ? undefined : '保存 Profile 失败' }));
+    },
+  },
+  {
+    path: /^\/api\/profiles\/[^/]+\/activate$/,
+    method: 'POST',
+    handler: (req, res) => {
+      const name = decodeURIComponent(req.url.split('/')[3]);
+      const success = profileService.activateProfile(name);
+
+      res.writeHead(success ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          success,
+          error: success ? undefined : 'Profile not found',
+        })
+      );
+    },
+  },
+  {
+    path: /^\/api\/profiles\/[^/]+$/,
+    method: 'DELETE',
+    handler: (req, res) => {
+      const name = decodeURIComponent(req.url.split('/')[3]);
+      const success = profileService.deleteProfile(name);
+
+      res.writeHead(success ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          success,
+          error: success ? undefined : 'Profile not found',
+        })
+      );
+    },
+  },
+];
+
+function matchRoute(url, method) {
+  return routes.find((route) => {
+    if (route.method !== method) return false;
+
+    if (typeof route.path === 'string') {
+      return route.path === url;
+    }
+
+    return route.path.test(url);
+  });
+}
+
+function handleRequest(req, res) {
+  const route = matchRoute(req.url, req.method);
+
+  if (route) {
+    route.handler(req, res);
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = { routes, handleRequest };
@@ -0,0 +1,59 @@
+/**
+ * Secret Routes Module
+ *
+ * Defines HTTP routes for the secret backend status and for migrating all
+ * stored API keys to another backend or a new key.
+ *
+ * @module routes/secrets
+ */
+
+const encryptionService = require('../services/encryptionService');
+const secretMigrationService = require('../services/secretMigrationService');
+const { BACKENDS } = require('../secrets');
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(data));
+}
+
+const routes = [
+  {
+    path: '/api/secrets',
+    method: 'GET',
+    handler: (req, res) => {
+      sendJson(res, 200, {
+        backend: encryptionService.backend,
+        backends: BACKENDS,
+        locked: encryptionService.isLocked(),
+      });
+    },
+  },
+  {
+    path: '/api/secrets/migrate',
+    method: 'POST',
+    handler: (req, res) => {
+      try {
+        sendJson(res, 200, secretMigrationService.migrate(req.body));
+      } catch (error) {
+        sendJson(res, 500, { success: false, error: error.message, details: error.details });
+      }
+    },
+  },
+];
+
+function matchRoute(url, method) {
+  return routes.find((route) => route.method === method && route.path === url);
+}
+
+function handleRequest(req, res) {
+  const route = matchRoute(req.url, req.method);
+
+  if (route) {
+    route.handler(req, res);
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = { routes, handleRequest };
@@ -0,0 +1,95 @@
+/**
+ * AES-256-GCM Helpers
+ *
+ * Seals secrets into self-describing stored values of the form
+ * `enc:<backend>:<iv>:<tag>:<ciphertext>` (base64 parts), so a value can be
+ * decrypted by the backend that produced it whichever backend is active.
+ *
+ * @module secrets/aes
+ */
+
+const crypto = require('crypto');
+const SecretError = require('./secretError');
+
+/** @constant {string} */
+const ALGORITHM = 'aes-256-gcm';
+
+/** @constant {number} */
+const IV_LENGTH = 12;
+
+/** @constant {RegExp} */
+const SEALED_PATTERN = /^enc:([a-z]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+
+/**
+ * Format written before backends existed: hex `salt:iv:tag:ciphertext`,
+ * encrypted with the key file
+ * @constant {RegExp}
+ */
+const LEGACY_PATTERN = /^[0-9a-f]{128}:([0-9a-f]{32}):([0-9a-f]{32}):([0-9a-f]*)$/;
+
+/**
+ * Encrypts a secret
+ *
+ * @param {Buffer} key - 32-byte key
+ * @param {string} text - Plaintext
+ * @param {string} backend - Backend ID recorded in the value
+ * @returns {string} Stored value
+ */
+function seal(key, text, backend) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+  return ['enc', backend, iv, cipher.getAuthTag(), encrypted]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+}
+
+function decipher(key, iv, tag, encrypted) {
+  try {
+    const aes = crypto.createDecipheriv(ALGORITHM, key, iv);
+    aes.setAuthTag(tag);
+    return Buffer.concat([aes.update(encrypted), aes.final()]).toString('utf8');
+  } catch (error) {
+    throw new SecretError('认证失败，密钥不匹配或数据已损坏');
+  }
+}
+
+/**
+ * Decrypts a value produced by `seal` or the legacy format
+ *
+ * @param {Buffer} key - 32-byte key
+ * @param {string} value - Stored value
+ * @returns {string} Plaintext
+ * @throws {SecretError} If the value is malformed or the key doesn't match
+ */
+function open(key, value) {
+  const sealed = SEALED_PATTERN.exec(value);
+  if (sealed) {
+    const [iv, tag, encrypted] = sealed.slice(2).map((part) => Buffer.from(part, 'base64'));
+    return decipher(key, iv, tag, encrypted);
+  }
+
+  const legacy = LEGACY_PATTERN.exec(value);
+  if (legacy) {
+    const [iv, tag, encrypted] = legacy.slice(1).map((part) => Buffer.from(part, 'hex'));
+    return decipher(key, iv, tag, encrypted);
+  }
+
+  throw new SecretError('加密数据格式无效');
+}
+
+/**
+ * Backend that produced a stored value
+ *
+ * @param {*} value - Stored value
+ * @returns {string|null} Backend ID ('keyfile' for the legacy format), or null for plaintext
+ */
+function backendOf(value) {
+  if (typeof value !== 'string') return null;
+  const sealed = SEALED_PATTERN.exec(value);
+  if (sealed) return sealed[1];
+  return LEGACY_PATTERN.test(value) ? 'keyfile' : null;
+}
+
+module.exports = { seal, open, backendOf };
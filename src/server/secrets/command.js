@@ -0,0 +1,154 @@
+/**
+ * External Command Secret Backend
+ *
+ * Keeps API keys out of the config file entirely: the config stores a secret
+ * name (`enc:command:<name>`) and the key is read and written by invoking
+ * user-configured commands, e.g. `pass show opencode/{name}`. Values are
+ * cached in memory only.
+ *
+ * Stored values are references rather than ciphertext: they are kept as they
+ * are when the config is read and only resolved when the key is needed.
+ * Only names read from the stored config are resolved; discovery and test
+ * requests can't name a secret of their own (see modelService.clientConnection).
+ *
+ * @module secrets/command
+ */
+
+const { execFileSync } = require('child_process');
+const SecretError = require('./secretError');
+
+/**
+ * Secret names: the characters of provider IDs (see Validator.isValidProviderId,
+ * including Chinese) plus `.`, `/` and `@` for paths such as `opencode/openai`.
+ * Names can't start with `_` or `-`, so they are never taken for a command
+ * option; providers whose IDs do can't store keys with this backend.
+ *
+ * @constant {string}
+ */
+const NAME = '[\\u4e00-\\u9fa5A-Za-z0-9][\\u4e00-\\u9fa5A-Za-z0-9._/@-]{0,127}';
+
+/** @constant {RegExp} */
+const NAME_PATTERN = new RegExp(`^${NAME}$`);
+
+/** @constant {RegExp} */
+const VALUE_PATTERN = new RegExp(`^enc:command:(${NAME})$`);
+
+/** @constant {number} */
+const COMMAND_TIMEOUT = 10000;
+
+/**
+ * Secret name referenced by a stored value
+ *
+ * @param {*} value - Stored value
+ * @returns {string|null} Secret name, or null if the value isn't a command secret
+ */
+function nameOf(value) {
+  const match = typeof value === 'string' ? VALUE_PATTERN.exec(value) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Splits a command template into arguments
+ *
+ * Arguments are separated by whitespace and may be quoted with single or
+ * double quotes. `{name}` is replaced with the secret name; if the template
+ * doesn't contain it the name is appended as the last argument. The command
+ * runs without a shell.
+ *
+ * @param {string} template - Command template
+ * @param {string} name - Secret name
+ * @returns {string[]} Command and arguments
+ */
+function buildArgs(template, name) {
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(template)) !== null) {
+    args.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+
+  if (!template.includes('{name}')) return [...args, name];
+  return args.map((arg) => arg.split('{name}').join(name));
+}
+
+/**
+ * Runs a command template for a secret
+ *
+ * @param {string} template - Command template (see buildArgs)
+ * @param {string} name - Secret name
+ * @param {string} [input] - Text written to the command's stdin
+ * @returns {string} Output of the command
+ * @throws {SecretError} If the command fails, times out or can't be started
+ */
+function run(template, name, input) {
+  const [command, ...args] = buildArgs(template, name);
+  try {
+    return execFileSync(command, args, {
+      input,
+      encoding: 'utf8',
+      timeout: COMMAND_TIMEOUT,
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+  } catch (error) {
+    const reason = (error.stderr && String(error.stderr).trim()) || error.message;
+    throw new SecretError(`命令 "${template}" 执行失败 (Secret "${name}"): ${reason}`);
+  }
+}
+
+module.exports = {
+  id: 'command',
+  name: '外部命令',
+  nameOf,
+  buildArgs,
+
+  /**
+   * @param {{getCommand?: string, setCommand?: string}} options - Command templates
+   * @returns {import('./index').SecretBackend}
+   */
+  create({ getCommand, setCommand }) {
+    /** @type {Map<string, string>} */
+    const cache = new Map();
+
+    return {
+      locked: false,
+      reference: true,
+
+      /**
+       * Stores a key under a secret name with the set command (key on stdin)
+       *
+       * @param {string} text - API key
+       * @param {string} name - Secret name (the provider ID)
+       * @returns {string} `enc:command:<name>`
+       * @throws {SecretError} If the name is invalid, no set command is configured or it fails
+       */
+      encrypt(text, name) {
+        if (!name || !NAME_PATTERN.test(name)) throw new SecretError(`Secret 名称 "${name}" 无效`);
+        if (cache.get(name) !== text) {
+          if (!setCommand) throw new SecretError(`未设置 OCS_SECRET_SET_COMMAND，无法保存 Secret "${name}"`);
+          run(setCommand, name, `${text}\n`);
+          cache.set(name, text);
+        }
+        return `enc:command:${name}`;
+      },
+
+      /**
+       * Reads a key with the get command (first line of its output)
+       *
+       * @param {string} value - `enc:command:<name>`
+       * @returns {string} API key
+       * @throws {SecretError} If no get command is configured, it fails or prints nothing
+       */
+      decrypt(value) {
+        const name = nameOf(value);
+        if (!name) throw new SecretError('Secret 引用格式无效');
+        if (cache.has(name)) return cache.get(name);
+        if (!getCommand) throw new SecretError(`未设置 OCS_SECRET_GET_COMMAND，无法读取 Secret "${name}"`);
+
+        const secret = run(getCommand, name).split(/\r?\n/)[0].trim();
+        if (!secret) throw new SecretError(`Secret "${name}" 为空`);
+        cache.set(name, secret);
+        return secret;
+      },
+    };
+  },
+};
@@ -0,0 +1,58 @@
+/**
+ * Secret Backends Module
+ *
+ * Registry of the ways API keys can be stored at rest. The active backend
+ * encrypts new values; stored values record the backend that produced
+ * them, so switching backends only affects values written afterwards.
+ * Reference backends (command) store a name instead of ciphertext.
+ *
+ * @module secrets
+ */
+
+const aes = require('./aes');
+const command = require('./command');
+const SecretError = require('./secretError');
+
+/**
+ * Secret backend instance
+ * @typedef {Object} SecretBackend
+ * @property {boolean} locked - Whether the backend still needs to be unlocked
+ * @property {boolean} [reference] - Whether stored values are references, resolved only when needed (command)
+ * @property {function(string, string): string} encrypt - Turns a secret (and its provider ID) into its stored value
+ * @property {function(string): string} decrypt - Turns a stored value back into the secret
+ * @property {function(string): void} [unlock] - Unlocks the backend (passphrase)
+ * @property {function(): boolean} [isInitialized] - Whether the backend has been set up (passphrase)
+ * @property {function(string=): void} [rotate] - Replaces the key (keyfile, passphrase)
+ */
+
+/**
+ * Backend factories
+ * @type {{id: string, name: string, create: function(Object): SecretBackend}[]}
+ */
+const backends = [require('./plaintext'), require('./keyfile'), require('./passphrase'), command];
+
+/** @constant {string[]} */
+const BACKENDS = backends.map((backend) => backend.id);
+
+/**
+ * Creates an instance of every backend
+ *
+ * @param {{keyPath: string, passphrasePath: string, getCommand?: string, setCommand?: string}} options - File
+ *   locations and command templates
+ * @returns {Object.<string, SecretBackend>} Instances by backend ID
+ */
+function createBackends(options) {
+  return Object.fromEntries(backends.map((backend) => [backend.id, backend.create(options)]));
+}
+
+/**
+ * Backend that produced a stored value
+ *
+ * @param {*} value - Stored value
+ * @returns {string|null} Backend ID, or null for plaintext
+ */
+function backendOf(value) {
+  return command.nameOf(value) ? command.id : aes.backendOf(value);
+}
+
+module.exports = { BACKENDS, createBackends, backendOf, SecretError };
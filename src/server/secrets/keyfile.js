@@ -0,0 +1,68 @@
+/**
+ * Key File Secret Backend
+ *
+ * Encrypts API keys with AES-256-GCM using a random 32-byte key stored in a
+ * file readable only by the current user. The key file is created on the
+ * first encryption, never just for reading, and replaced by `rotate`.
+ *
+ * @module secrets/keyfile
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { seal, open } = require('./aes');
+const SecretError = require('./secretError');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+/** @constant {number} */
+const KEY_LENGTH = 32;
+
+module.exports = {
+  id: 'keyfile',
+  name: 'AES-256-GCM 密钥文件',
+
+  /**
+   * @param {{keyPath: string}} options - Location of the key file
+   * @returns {import('./index').SecretBackend}
+   */
+  create({ keyPath }) {
+    let key = null;
+
+    const loadKey = (createIfMissing) => {
+      if (key) return key;
+
+      if (fs.existsSync(keyPath)) {
+        const content = fs.readFileSync(keyPath);
+        if (content.length !== KEY_LENGTH) {
+          throw new SecretError(`密钥文件 ${keyPath} 无效（应为 ${KEY_LENGTH} 字节）`);
+        }
+        key = content;
+      } else if (createIfMissing) {
+        const created = crypto.randomBytes(KEY_LENGTH);
+        fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+        fs.writeFileSync(keyPath, created, { mode: 0o600, flag: 'wx' });
+        key = created;
+      } else {
+        throw new SecretError(`密钥文件 ${keyPath} 不存在`);
+      }
+      return key;
+    };
+
+    return {
+      locked: false,
+      encrypt: (text) => seal(loadKey(true), text, 'keyfile'),
+      decrypt: (value) => open(loadKey(false), value),
+
+      /**
+       * Replaces the key file with a new random key
+       */
+      rotate() {
+        const created = crypto.randomBytes(KEY_LENGTH);
+        fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+        writeFileAtomic(keyPath, created, { mode: 0o600 });
+        key = created;
+      },
+    };
+  },
+};
@@ -0,0 +1,132 @@
+/**
+ * Passphrase Secret Backend
+ *
+ * Encrypts API keys with AES-256-GCM using a key derived from a passphrase
+ * with scrypt. The salt, scrypt parameters and a check value that detects
+ * a wrong passphrase are stored next to the key file; the passphrase itself
+ * is never written. The backend stays locked until `unlock` is called;
+ * `rotate` sets up a new passphrase.
+ *
+ * @module secrets/passphrase
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { seal, open } = require('./aes');
+const SecretError = require('./secretError');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+/**
+ * scrypt parameters for new passphrase files
+ * @constant {{N: number, r: number, p: number}}
+ */
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+/** @constant {string} */
+const CHECK_VALUE = 'opencode-switch';
+
+/**
+ * Stored passphrase parameters
+ * @typedef {Object} PassphraseFile
+ * @property {number} version - File format version
+ * @property {string} salt - Base64 salt
+ * @property {number} N - scrypt cost
+ * @property {number} r - scrypt block size
+ * @property {number} p - scrypt parallelization
+ * @property {string} check - CHECK_VALUE sealed with the derived key
+ */
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+module.exports = {
+  id: 'passphrase',
+  name: '口令派生密钥 (scrypt)',
+
+  /**
+   * @param {{passphrasePath: string}} options - Location of the passphrase parameters
+   * @returns {import('./index').SecretBackend}
+   */
+  create({ passphrasePath }) {
+    let key = null;
+
+    const setUp = (passphrase) => {
+      if (!passphrase) throw new SecretError('口令不能为空');
+
+      const salt = crypto.randomBytes(16);
+      const derived = deriveKey(passphrase, salt, SCRYPT_PARAMS);
+      /** @type {PassphraseFile} */
+      const file = {
+        version: 1,
+        salt: salt.toString('base64'),
+        ...SCRYPT_PARAMS,
+        check: seal(derived, CHECK_VALUE, 'passphrase'),
+      };
+      fs.mkdirSync(path.dirname(passphrasePath), { recursive: true });
+      writeFileAtomic(passphrasePath, JSON.stringify(file, null, 2), { mode: 0o600 });
+      key = derived;
+    };
+
+    const requireKey = () => {
+      if (!key) throw new SecretError('passphrase 尚未解锁：请设置 OCS_PASSPHRASE 或在启动服务器时输入口令');
+      return key;
+    };
+
+    return {
+      get locked() {
+        return key === null;
+      },
+
+      /**
+       * Whether a passphrase has been set up already
+       * @returns {boolean}
+       */
+      isInitialized() {
+        return fs.existsSync(passphrasePath);
+      },
+
+      /**
+       * Derives the key, setting up the passphrase on first use
+       *
+       * @param {string} passphrase - Passphrase
+       * @throws {SecretError} If the passphrase is empty or wrong
+       */
+      unlock(passphrase) {
+        if (!passphrase) throw new SecretError('口令不能为空');
+
+        if (!fs.existsSync(passphrasePath)) {
+          setUp(passphrase);
+          return;
+        }
+
+        let file;
+        try {
+          file = JSON.parse(fs.readFileSync(passphrasePath, 'utf8'));
+        } catch (error) {
+          throw new SecretError(`口令参数文件 ${passphrasePath} 无法读取: ${error.message}`);
+        }
+
+        const derived = deriveKey(passphrase, Buffer.from(file.salt, 'base64'), file);
+        try {
+          open(derived, file.check);
+        } catch (error) {
+          throw new SecretError('口令错误');
+        }
+        key = derived;
+      },
+
+      /**
+       * Sets up a new passphrase, replacing the stored parameters
+       *
+       * @param {string} passphrase - New passphrase
+       * @throws {SecretError} If the passphrase is empty
+       */
+      rotate: setUp,
+
+      encrypt: (text) => seal(requireKey(), text, 'passphrase'),
+      decrypt: (value) => open(requireKey(), value),
+    };
+  },
+};
@@ -0,0 +1,23 @@
+/**
+ * Plaintext Secret Backend
+ *
+ * Stores API keys as they are, so opencode can read them directly.
+ *
+ * @module secrets/plaintext
+ */
+
+module.exports = {
+  id: 'plaintext',
+  name: '明文',
+
+  /**
+   * @returns {import('./index').SecretBackend}
+   */
+  create() {
+    return {
+      locked: false,
+      encrypt: (text) => text,
+      decrypt: (value) => value,
+    };
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * Secret Error Module
+ *
+ * Error raised when a secret can't be encrypted or decrypted: missing or
+ * wrong key file, wrong passphrase, locked backend or corrupt data.
+ *
+ * @module secrets/secretError
+ */
+
+class SecretError extends Error {
+  /**
+   * @param {string} message - Human-readable reason
+   * @param {string[]} [details=[]] - Individual failures (e.g. one per provider)
+   */
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'SecretError';
+
+    /** @type {string[]} */
+    this.details = details;
+  }
+}
+
+module.exports = SecretError;
@@ -2,19 +2,106 @@
  * Configuration Service Module
  * 
  * Manages OpenCode configuration file operations including reading, writing,
- * and provider management. Implements caching for performance optimization
- * and integrates with encryption service for secure API key storage.
+ * and provider management. Implements caching for performance optimization,
+ * watches the file for external edits and integrates with encryption service
+ * for secure API key storage.
  * 
  * @module services/configService
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const encryptionService = require('./encryptionService');
+const HistoryService = require('./historyService');
+const { SecretError } = require('../secrets');
+const { writeFileAtomic, withFileLock } = require('../utils/atomicFile');
+const { diff, summarizeProviders } = require('../utils/diff');
+const jsonc = require('../utils/jsonc');
+const { FINGERPRINTS_KEY, maskConfig, unmaskConfig } = require('../utils/masking');
+const { applyPatch } = require('../utils/jsonPatch');
+const Validator = require('../utils/validator');
 const Logger = require('../utils/logger');
 
 const logger = new Logger();
 
+/**
+ * Where a patch applied to the stored config put a stored API key that the
+ * same patch applied to the masked config didn't
+ *
+ * Keys may only end up at a provider's `options.apiKey`, which is masked
+ * when the config is returned to clients.
+ *
+ * @param {Config} visible - Patched masked config
+ * @param {Config} patched - Patched stored config
+ * @returns {string[]} JSON Pointers of the other places a key was copied to
+ */
+function leakedKeyPaths(visible, patched) {
+    return diff(visible, patched)
+        .map(change => change.path)
+        .filter(path => !(path.length === 4 && path[0] === 'provider' && path[2] === 'options' && path[3] === 'apiKey'))
+        .map(path => '/' + path.map(key => key.replace(/~/g, '~0').replace(/\//g, '~1')).join('/'));
+}
+
+/**
+ * Computes the revision of raw configuration content
+ * 
+ * @param {string|null} content - File content, null if the file doesn't exist
+ * @returns {string} Content hash, or '0' for a missing file
+ */
+function revisionOf(content) {
+    if (content === null) return '0';
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Resolves the configuration file, accepting either extension
+ * 
+ * opencode reads both `opencode.json` and `opencode.jsonc`. If the given
+ * path doesn't exist but its `.json`/`.jsonc` sibling does, the sibling is used.
+ * 
+ * @param {string} candidate - Configured or default path
+ * @returns {string} Path of the configuration file
+ */
+function resolveConfigPath(candidate) {
+    if (fs.existsSync(candidate)) return candidate;
+    
+    const sibling = candidate.endsWith('.jsonc')
+        ? candidate.slice(0, -1)
+        : candidate.endsWith('.json') ? candidate + 'c' : null;
+    
+    return sibling && fs.existsSync(sibling) ? sibling : candidate;
+}
+
+/**
+ * Rewrites `provider/model` references after a provider ID changed
+ * 
+ * Covers the top-level `model` / `small_model`, the `model` of agents and
+ * modes, and the `enabled_providers` / `disabled_providers` lists.
+ * 
+ * @param {Object} config - Configuration (modified in place)
+ * @param {string} from - Old provider ID
+ * @param {string} to - New provider ID
+ */
+function rewriteProviderReferences(config, from, to) {
+    const rewrite = (value) => (typeof value === 'string' && value.startsWith(from + '/')
+        ? to + value.slice(from.length)
+        : value);
+    
+    for (const key of ['model', 'small_model']) {
+        if (key in config) config[key] = rewrite(config[key]);
+    }
+    for (const section of ['agent', 'mode']) {
+        for (const entry of Object.values(config[section] || {})) {
+            if (entry && typeof entry === 'object' && 'model' in entry) entry.model = rewrite(entry.model);
+        }
+    }
+    for (const key of ['enabled_providers', 'disabled_providers']) {
+        if (Array.isArray(config[key])) config[key] = config[key].map(id => (id === from ? to : id));
+    }
+}
+
 /**
  * Provider configuration object
  * @typedef {Object} ProviderConfig
@@ -32,6 +119,28 @@ const logger = new Logger();
  * @property {string} name - Name/ID of the model
  */
 
+/**
+ * Object key renamed in the file text
+ * @typedef {Object} KeyRename
+ * @property {string[]} path - Current key path
+ * @property {string} key - New key
+ */
+
+/**
+ * Options for writing the configuration
+ * @typedef {Object} WriteOptions
+ * @property {KeyRename[]} [renames] - Keys to rename in place instead of removing and re-adding them
+ */
+
+/**
+ * Configuration change event payload
+ * @typedef {Object} ConfigChangeEvent
+ * @property {'internal'|'external'} source - Whether the change was written by this service or by another program
+ * @property {string} [action] - Write action for internal changes
+ * @property {string} [target] - Write target for internal changes
+ * @property {{added: string[], removed: string[], changed: string[]}} summary - Changed provider IDs
+ */
+
 /**
  * Complete configuration object structure
  * @typedef {Object} Config
@@ -42,11 +151,14 @@ const logger = new Logger();
  * Service for managing OpenCode configuration files
  * 
  * Handles all configuration-related operations including file I/O,
- * caching, and encryption/decryption of sensitive data.
+ * caching, and encryption/decryption of sensitive data. Emits a `change`
+ * event with a {@link ConfigChangeEvent} after every write and, while
+ * watching, after every external edit of the file.
  * 
  * @class ConfigService
+ * @extends EventEmitter
  */
-class ConfigService {
+class ConfigService extends EventEmitter {
     /**
      * Creates a new ConfigService instance
      * 
@@ -54,11 +166,13 @@ class ConfigService {
      * environment variable, or default location. Sets up caching mechanism.
      */
     constructor() {
+        super();
+        
         const args = process.argv.slice(2);
         const configPathArg = args.find(arg => arg.startsWith('--config='));
-        this.configPath = configPathArg
+        this.configPath = resolveConfigPath(configPathArg
             ? configPathArg.replace('--config=', '')
-            : process.env.OPENCODE_CONFIG_PATH || path.join(process.env.HOME || process.env.USERPROFILE, '.config/opencode/opencode.json');
+            : process.env.OPENCODE_CONFIG_PATH || path.join(process.env.HOME || process.env.USERPROFILE, '.config/opencode/opencode.json'));
         
         /** @type {Config|null} */
         this.cache = null;
@@ -68,6 +182,27 @@ class ConfigService {
         
         /** @type {number} */
         this.cacheTTL = 5000;
+        
+        /** @type {HistoryService} */
+        this.history = new HistoryService(path.join(path.dirname(this.configPath), 'history'));
+        
+        /** @type {fs.FSWatcher|null} */
+        this.watcher = null;
+        
+        /** @type {NodeJS.Timeout|null} */
+        this.watchTimer = null;
+        
+        /**
+         * Raw file content last written or observed, to tell own writes from external edits
+         * @type {string|null}
+         */
+        this.knownContent = null;
+        
+        /**
+         * Last known configuration, used to summarize changes
+         * @type {Config|null}
+         */
+        this.snapshot = null;
     }
 
     /**
@@ -80,59 +215,96 @@ class ConfigService {
      * @returns {Config} The configuration object (empty provider object if file doesn't exist or on error)
      */
     readConfig(useCache = true) {
+        try {
+            return this.loadConfig(useCache);
+        } catch (error) {
+            logger.error('读取配置文件失败', { error: error.message, path: this.configPath });
+            return { provider: {} };
+        }
+    }
+
+    /**
+     * Reads the configuration file, failing on unreadable content
+     * 
+     * Like readConfig, but throws instead of falling back to an empty
+     * configuration, so that read-modify-write cycles never overwrite a
+     * file they could not parse.
+     * 
+     * @param {boolean} [useCache=true] - Whether to use cached configuration
+     * @returns {Config} The configuration object (empty provider object if file doesn't exist)
+     * @throws {SyntaxError} If the file is not valid JSON/JSONC
+     * @throws {SecretError} If an API key can't be decrypted
+     */
+    loadConfig(useCache = true) {
         const now = Date.now();
         
         if (useCache && this.cache && (now - this.lastRead) < this.cacheTTL) {
             return JSON.parse(JSON.stringify(this.cache));
         }
 
-        try {
-            if (!fs.existsSync(this.configPath)) {
-                logger.info('配置文件不存在，使用默认配置', { path: this.configPath });
-                return { provider: {} };
-            }
-
-            const content = fs.readFileSync(this.configPath, 'utf-8');
-            const parsed = JSON.parse(content);
-            
-            const decrypted = encryptionService.decryptConfig(parsed);
-            
-            this.cache = decrypted;
-            this.lastRead = now;
-            
-            logger.debug('读取配置文件成功', { path: this.configPath });
-            return JSON.parse(JSON.stringify(decrypted));
-        } catch (error) {
-            logger.error('读取配置文件失败', { error: error.message, path: this.configPath });
+        const content = this.readRawContent();
+        if (content === null) {
+            logger.info('配置文件不存在，使用默认配置', { path: this.configPath });
             return { provider: {} };
         }
+
+        const parsed = jsonc.parse(content);
+        const decrypted = encryptionService.decryptConfig(parsed);
+        
+        this.cache = decrypted;
+        this.lastRead = now;
+        
+        logger.debug('读取配置文件成功', { path: this.configPath });
+        return JSON.parse(JSON.stringify(decrypted));
     }
 
     /**
      * Writes configuration to file
      * 
-     * Encrypts sensitive data, ensures directory exists, writes to file,
-     * and updates the cache.
+     * Encrypts sensitive data, ensures directory exists, atomically replaces
+     * the file while holding the config lock, updates the cache and records
+     * the result as a new history version. The mode and ownership of an
+     * existing file are preserved, and changes are applied to the existing
+     * text as minimal edits so comments and key order survive.
      * 
      * @param {Config} config - Configuration object to write
+     * @param {import('./historyService').WriteMeta} [meta={}] - What caused the write, stored in history
+     * @param {WriteOptions} [options={}] - Text edits to apply before the diff
      * @returns {boolean} True if write was successful, false otherwise
      */
-    writeConfig(config) {
+    writeConfig(config, meta = {}, options = {}) {
         try {
             const dir = path.dirname(this.configPath);
             if (!fs.existsSync(dir)) {
                 fs.mkdirSync(dir, { recursive: true });
             }
-
-            const encrypted = encryptionService.encryptConfig(config);
-            const content = JSON.stringify(encrypted, null, 2);
             
-            fs.writeFileSync(this.configPath, content, 'utf-8');
+            let written;
+            withFileLock(this.configPath, () => {
+                if (this.history.isEmpty() && fs.existsSync(this.configPath)) {
+                    // 首次写入前保留原始配置，保证第一次修改也可以回滚
+                    this.history.record(this.readConfig(false), { action: 'initial' });
+                }
+
+                const encrypted = encryptionService.encryptConfig(config);
+                const content = this.formatContent(encrypted, options.renames);
+                
+                writeFileAtomic(this.configPath, content);
+                this.knownContent = content;
+                
+                // 与重新读取文件的结果一致：外部命令存储的 API Key 保留为引用
+                written = encryptionService.decryptConfig(encrypted);
+                this.cache = JSON.parse(JSON.stringify(written));
+                this.lastRead = Date.now();
+                
+                this.history.record(written, meta);
+            });
             
-            this.cache = JSON.parse(JSON.stringify(config));
-            this.lastRead = Date.now();
+            const summary = summarizeProviders(this.snapshot || {}, written);
+            this.snapshot = JSON.parse(JSON.stringify(written));
             
             logger.info('配置文件写入成功', { path: this.configPath });
+            this.emit('change', { source: 'internal', action: meta.action, target: meta.target, summary });
             return true;
         } catch (error) {
             logger.error('写入配置文件失败', { error: error.message, path: this.configPath });
@@ -140,6 +312,125 @@ class ConfigService {
         }
     }
 
+    /**
+     * Renders the file content for a configuration
+     * 
+     * Edits the current file text in place when it can be parsed; otherwise
+     * (new or corrupt file) serializes the configuration from scratch.
+     * 
+     * @param {Config} config - Configuration in its on-disk (encrypted) form
+     * @param {KeyRename[]} [renames=[]] - Keys renamed in place first, so they keep their position
+     * @returns {string} File content
+     */
+    formatContent(config, renames = []) {
+        const current = this.readRawContent();
+        
+        try {
+            const renamed = current && renames.reduce((text, { path, key }) => jsonc.renameKey(text, path, key), current);
+            return jsonc.update(renamed, config);
+        } catch (error) {
+            logger.warn('无法保留原配置文件格式，将整体重写', { error: error.message, path: this.configPath });
+            return JSON.stringify(config, null, 2);
+        }
+    }
+
+    /**
+     * Applies a read-modify-write cycle to the configuration
+     * 
+     * Holds the config lock from the fresh read until the write completes, so
+     * concurrent writers in other processes are serialized instead of
+     * overwriting each other's changes.
+     * 
+     * @param {function(Config): (boolean|void)} mutate - Modifies the config in place; return false to abort without writing
+     * @param {import('./historyService').WriteMeta} [meta={}] - What caused the write, stored in history
+     * @param {WriteOptions} [options={}] - Passed on to writeConfig
+     * @returns {boolean} True if the config was written, false if aborted or on error
+     */
+    updateConfig(mutate, meta = {}, options = {}) {
+        try {
+            return withFileLock(this.configPath, () => {
+                const config = this.loadConfig(false);
+                if (!config.provider) {
+                    config.provider = {};
+                }
+                
+                if (mutate(config) === false) return false;
+                return this.writeConfig(config, meta, options);
+            });
+        } catch (error) {
+            logger.error('更新配置文件失败', { error: error.message, path: this.configPath });
+            return false;
+        }
+    }
+
+    /**
+     * Computes the revision of the configuration file
+     * 
+     * Derived from the raw file content, so edits made by other processes or
+     * by hand change the revision as well.
+     * 
+     * @returns {string} Content hash, or '0' if the file doesn't exist
+     */
+    getRevision() {
+        return revisionOf(this.readRawContent());
+    }
+
+    /**
+     * Reads the configuration together with its revision
+     * 
+     * Both are derived from a single read of the file, so the revision always
+     * describes exactly the returned configuration. Bypasses the cache.
+     * 
+     * @returns {{config: Config, revision: string}}
+     * @throws {SecretError} If an API key can't be decrypted, rather than hiding the providers
+     */
+    readConfigWithRevision() {
+        const content = this.readRawContent();
+        const revision = revisionOf(content);
+        
+        if (content === null) {
+            return { config: { provider: {} }, revision };
+        }
+        
+        try {
+            return { config: encryptionService.decryptConfig(jsonc.parse(content)), revision };
+        } catch (error) {
+            logger.error('读取配置文件失败', { error: error.message, path: this.configPath });
+            if (error instanceof SecretError) throw error;
+            return { config: { provider: {} }, revision };
+        }
+    }
+
+    /**
+     * Runs a write only if the file is still at the expected revision
+     * 
+     * Holds the config lock across the revision check and the write, so no
+     * other process can modify the file in between.
+     * 
+     * @param {string[]|null} expected - Acceptable revisions ('*' for any existing file), or null to skip the check
+     * @param {function(): *} write - Performs the write
+     * @returns {{conflict: boolean, result: *, revision: string}} Whether the revision check failed, what `write` returned (false if it didn't run or threw) and the revision after the call
+     */
+    writeIfRevision(expected, write) {
+        try {
+            return withFileLock(this.configPath, () => {
+                const current = this.getRevision();
+                const matches = !expected || expected.some((tag) => tag === current || (tag === '*' && current !== '0'));
+                
+                if (!matches) {
+                    logger.warn('配置版本不匹配，拒绝写入', { expected, current });
+                    return { conflict: true, result: false, revision: current };
+                }
+                
+                const result = write();
+                return { conflict: false, result, revision: this.getRevision() };
+            });
+        } catch (error) {
+            logger.error('写入配置文件失败', { error: error.message, path: this.configPath });
+            return { conflict: false, result: false, revision: this.getRevision() };
+        }
+    }
+
     /**
      * Gets a specific provider configuration by ID
      * 
@@ -159,14 +450,9 @@ class ConfigService {
      * @returns {boolean} True if operation was successful
      */
     addOrUpdateProvider(id, providerConfig) {
-        const config = this.readConfig(false);
-        
-        if (!config.provider) {
-            config.provider = {};
-        }
-        
-        config.provider[id] = providerConfig;
-        return this.writeConfig(config);
+        return this.updateConfig((config) => {
+            config.provider[id] = providerConfig;
+        }, { action: 'save-provider', target: id });
     }
 
     /**
@@ -176,14 +462,154 @@ class ConfigService {
      * @returns {boolean} True if provider was deleted, false if not found
      */
     deleteProvider(id) {
-        const config = this.readConfig(false);
-        
-        if (config.provider && config.provider[id]) {
+        return this.updateConfig((config) => {
+            if (!config.provider[id]) return false;
             delete config.provider[id];
-            return this.writeConfig(config);
-        }
+        }, { action: 'delete-provider', target: id });
+    }
+
+    /**
+     * Renames a provider
+     * 
+     * The provider keeps its position in the file, and model references
+     * (`model`, `small_model`, agent and mode models) are rewritten to the new ID.
+     * 
+     * @param {string} id - Current provider ID
+     * @param {string} newId - New provider ID
+     * @returns {{success: boolean, error?: 'not-found'|'exists'}} Outcome; error tells why nothing was written
+     */
+    renameProvider(id, newId) {
+        let error;
+        
+        const success = this.updateConfig((config) => {
+            if (!Object.prototype.hasOwnProperty.call(config.provider, id)) {
+                error = 'not-found';
+                return false;
+            }
+            if (newId !== id && Object.prototype.hasOwnProperty.call(config.provider, newId)) {
+                error = 'exists';
+                return false;
+            }
+            
+            config.provider = Object.fromEntries(Object.entries(config.provider)
+                .map(([key, provider]) => [key === id ? newId : key, provider]));
+            rewriteProviderReferences(config, id, newId);
+        }, { action: 'rename-provider', target: `${id} → ${newId}` }, { renames: [{ path: ['provider', id], key: newId }] });
         
-        return false;
+        return { success, error };
+    }
+
+    /**
+     * Copies a provider under a new ID
+     * 
+     * @param {string} id - Source provider ID
+     * @param {string} newId - ID of the copy
+     * @param {string} [name] - Display name of the copy (defaults to the source's)
+     * @returns {{success: boolean, error?: 'not-found'|'exists'}} Outcome; error tells why nothing was written
+     */
+    cloneProvider(id, newId, name) {
+        let error;
+        
+        const success = this.updateConfig((config) => {
+            if (!Object.prototype.hasOwnProperty.call(config.provider, id)) {
+                error = 'not-found';
+                return false;
+            }
+            if (Object.prototype.hasOwnProperty.call(config.provider, newId)) {
+                error = 'exists';
+                return false;
+            }
+            
+            const copy = JSON.parse(JSON.stringify(config.provider[id]));
+            if (name) copy.name = name;
+            config.provider[newId] = copy;
+        }, { action: 'clone-provider', target: `${id} → ${newId}` });
+        
+        return { success, error };
+    }
+
+    /**
+     * Applies JSON Patch operations to the configuration
+     * 
+     * The patch is applied to a fresh read under the config lock. Nothing is
+     * written unless every operation applies and the result passes validation.
+     * Validation errors the stored config already had don't block the patch;
+     * they are returned as warnings, so a bad entry elsewhere doesn't stop
+     * unrelated changes.
+     * 
+     * Operations see the config with masked API keys, as `GET /api/config`
+     * returns it, so `test` compares against masks. `copy` and `move` may
+     * carry a stored key only to another `options.apiKey`; a patch that would
+     * put one anywhere else (where `GET /api/config` would return it
+     * unmasked) is rejected.
+     * 
+     * @param {import('../utils/jsonPatch').PatchOperation[]} operations - RFC 6902 operations
+     * @returns {{success: boolean, errors: string[], warnings: string[]}} Outcome; errors explain a
+     *   rejected patch, warnings list the validation errors left in the config
+     */
+    patchConfig(operations) {
+        let errors = [];
+        let warnings = [];
+        
+        const success = this.updateConfig((config) => {
+            const masked = maskConfig(config);
+            delete masked[FINGERPRINTS_KEY];
+            let patched;
+            try {
+                const visible = applyPatch(masked, operations);
+                patched = applyPatch(config, operations.filter(operation => operation.op !== 'test'));
+                errors = leakedKeyPaths(visible, patched).map(path => `操作会把 API Key 复制到 ${path}，只能复制到 options.apiKey`);
+            } catch (error) {
+                errors = [error.message];
+            }
+            if (errors.length > 0) return false;
+            
+            const unmaskErrors = unmaskConfig(patched, config);
+            if (unmaskErrors.length > 0) {
+                errors = unmaskErrors;
+                return false;
+            }
+            
+            const result = Validator.validateConfig(patched);
+            const existing = new Set(Validator.validateConfig(config).errors);
+            errors = result.errors.filter(error => !existing.has(error));
+            if (errors.length > 0) return false;
+            warnings = result.errors;
+            
+            Object.keys(config).forEach(key => delete config[key]);
+            Object.assign(config, patched);
+        }, { action: 'patch-config' });
+        
+        return { success, errors, warnings: success ? warnings : [] };
+    }
+
+    /**
+     * Replaces masked API keys sent by a client with the stored keys
+     * 
+     * Reads the stored keys fresh from the file; call it inside
+     * writeIfRevision so the file can't change before the write.
+     * 
+     * @param {Config} config - Configuration (or `{provider}` subset) sent by the client, modified in place
+     * @returns {string[]} Errors for masks that don't match the stored key
+     */
+    unmaskApiKeys(config) {
+        return unmaskConfig(config, this.loadConfig(false));
+    }
+
+    /**
+     * Restores a configuration version from history
+     * 
+     * Replaces the whole configuration with the stored version in a single
+     * write, so providers added after that version are removed as well.
+     * 
+     * @param {number} version - History version to restore
+     * @returns {boolean} True if restored, false if the version doesn't exist or the write failed
+     */
+    restoreVersion(version) {
+        const entry = this.history.getVersion(version);
+        if (!entry) return false;
+        
+        return this.writeConfig(entry.config, { action: 'restore', target: String(version) });
     }
 
     /**
@@ -205,6 +631,105 @@ class ConfigService {
         this.cache = null;
         this.lastRead = 0;
     }
+
+    /**
+     * Starts watching the configuration file for external edits
+     * 
+     * Watches the containing directory, since atomic writes (ours and those
+     * of other programs) replace the file. On an external edit the cache is
+     * invalidated and a `change` event is emitted.
+     */
+    watch() {
+        if (this.watcher) return;
+        
+        const dir = path.dirname(this.configPath);
+        const fileName = path.basename(this.configPath);
+        fs.mkdirSync(dir, { recursive: true });
+        
+        this.knownContent = this.readRawContent();
+        this.snapshot = this.readConfig(false);
+        
+        this.watcher = fs.watch(dir, (eventType, changed) => {
+            if (changed && changed !== fileName) return;
+            
+            clearTimeout(this.watchTimer);
+            this.watchTimer = setTimeout(() => this.handleFileChange(), 100);
+        });
+        this.watcher.on('error', (error) => {
+            logger.error('监听配置文件失败', { error: error.message, path: this.configPath });
+        });
+        
+        logger.info('开始监听配置文件', { path: this.configPath });
+    }
+
+    /**
+     * Stops watching the configuration file
+     */
+    unwatch() {
+        clearTimeout(this.watchTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Handles a file system event on the configuration file
+     * 
+     * Ignores events caused by this service's own writes.
+     */
+    handleFileChange() {
+        const content = this.readRawContent();
+        if (content === this.knownContent) return;
+        
+        this.knownContent = content;
+        this.clearCache();
+        
+        let config;
+        try {
+            config = this.loadConfig(false);
+        } catch (error) {
+            // 文件可能正在被编辑，等待下一次修改
+            logger.warn('外部修改后的配置文件无法解析', { error: error.message, path: this.configPath });
+            return;
+        }
+        const summary = summarizeProviders(this.snapshot || {}, config);
+        this.snapshot = config;
+        
+        logger.info('检测到配置文件外部修改', { path: this.configPath, summary });
+        this.emit('change', { source: 'external', summary });
+    }
+
+    /**
+     * Replaces the raw configuration file content
+     * 
+     * Used when only the stored form of the API keys changes (re-encryption
+     * or rolling it back), so no history version is recorded and the
+     * watcher doesn't report an external edit.
+     * 
+     * @param {string} content - File content
+     * @throws {Error} If the file can't be written
+     */
+    writeRawContent(content) {
+        withFileLock(this.configPath, () => {
+            writeFileAtomic(this.configPath, content);
+            this.knownContent = content;
+            this.clearCache();
+        });
+    }
+
+    /**
+     * Reads the raw configuration file content
+     * 
+     * @returns {string|null} File content, or null if the file doesn't exist or can't be read
+     */
+    readRawContent() {
+        try {
+            return fs.readFileSync(this.configPath, 'utf-8');
+        } catch (error) {
+            return null;
+        }
+    }
 }
 
 module.exports = new ConfigService();
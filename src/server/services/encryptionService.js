@@ -1,27 +1,23 @@
 /**
  * Encryption Service Module
  *
- * Provides AES-256-GCM encryption for sensitive configuration data,
- * specifically API keys. Manages master key generation and storage.
+ * Encrypts API keys at rest through a configurable secret backend:
+ * plaintext (default, so opencode can read the config directly), AES-256-GCM
+ * with a local key file, AES-256-GCM with a key derived from a passphrase
+ * that is unlocked when the server starts, or an external command (such as
+ * `pass`) that keeps the keys out of the config file.
+ *
+ * The backend is chosen with `--secret-backend=<id>` or the
+ * `OCS_SECRET_BACKEND` environment variable; the key file location with
+ * `OCS_KEY_FILE`; the commands with `OCS_SECRET_GET_COMMAND` and
+ * `OCS_SECRET_SET_COMMAND`.
  *
  * @module services/encryptionService
  */
 
-const crypto = require('crypto');
-const fs = require('fs');
 const path = require('path');
-
-/** @constant {string} */
-const ALGORITHM = 'aes-256-gcm';
-
-/** @constant {number} */
-const IV_LENGTH = 16;
-
-/** @constant {number} */
-const SALT_LENGTH = 64;
-
-/** @constant {number} */
-const TAG_LENGTH = 16;
+const { BACKENDS, createBackends, backendOf, SecretError } = require('../secrets');
+const { isReference } = require('../utils/references');
 
 /**
  * Provider configuration with encrypted API key
@@ -30,7 +26,7 @@ const TAG_LENGTH = 16;
  * @property {string} name - Display name
  * @property {Object} options - Provider options
  * @property {string} options.baseURL - Base URL
- * @property {string} options.apiKey - Encrypted API key (format: salt:iv:tag:ciphertext)
+ * @property {string} options.apiKey - Stored API key (format: enc:backend:iv:tag:ciphertext, or plaintext)
  * @property {Object.<string, Object>} models - Model configurations
  */
 
@@ -57,11 +53,21 @@ const TAG_LENGTH = 16;
  * @property {Object.<string, DecryptedProviderConfig>} provider - Map of decrypted provider configs
  */
 
+/**
+ * Secret backend settings
+ * @typedef {Object} EncryptionSettings
+ * @property {string} [backend='plaintext'] - Backend used for new values: plaintext, keyfile, passphrase or command
+ * @property {string} [keyPath] - Key file; the passphrase parameters are stored next to it as `.passphrase`
+ * @property {string} [getCommand] - Command printing the secret named `{name}` (command backend)
+ * @property {string} [setCommand] - Command storing the secret named `{name}` from stdin (command backend)
+ */
+
 /**
  * Service for encrypting and decrypting sensitive configuration data
  *
- * Uses AES-256-GCM algorithm for authenticated encryption. Manages
- * a master key stored in the user's home directory for encryption operations.
+ * Values are encrypted with the active backend and decrypted by the
+ * backend recorded in the value, so configs written with another backend
+ * stay readable as long as its key is available.
  *
  * @class EncryptionService
  */
@@ -69,104 +75,215 @@ class EncryptionService {
   /**
    * Creates a new EncryptionService instance
    *
-   * Initializes the service by loading or creating a master encryption key.
+   * Reads the backend from the command line or environment. No files are
+   * created until a backend needs them.
    */
   constructor() {
+    const args = process.argv.slice(2);
+    const backendArg = args.find((arg) => arg.startsWith('--secret-backend='));
+
+    this.configure({
+      backend: backendArg ? backendArg.replace('--secret-backend=', '') : process.env.OCS_SECRET_BACKEND || 'plaintext',
+      keyPath: process.env.OCS_KEY_FILE || path.join(process.env.HOME || process.env.USERPROFILE, '.config/opencode/.key'),
+      getCommand: process.env.OCS_SECRET_GET_COMMAND,
+      setCommand: process.env.OCS_SECRET_SET_COMMAND,
+    });
+  }
+
+  /**
+   * Selects the secret backend
+   *
+   * @param {EncryptionSettings} [settings={}] - Backend settings
+   * @throws {SecretError} If the backend is unknown or the command backend has no get command
+   */
+  configure({
+    backend = 'plaintext',
+    keyPath = this.keyPath,
+    getCommand = this.getCommand,
+    setCommand = this.setCommand,
+  } = {}) {
     /** @type {string} */
-    this.keyPath = path.join(process.env.HOME || process.env.USERPROFILE, '.config/opencode/.key');
+    this.keyPath = keyPath;
+
+    /** @type {string|undefined} */
+    this.getCommand = getCommand;
+
+    /** @type {string|undefined} */
+    this.setCommand = setCommand;
 
-    /** @type {Buffer} */
-    this.masterKey = this.getOrCreateMasterKey();
+    /** @type {Object.<string, import('../secrets').SecretBackend>} */
+    this.backends = createBackends(this.getBackendOptions());
+
+    this.setBackend(backend);
   }
 
   /**
-   * Retrieves existing master key or creates a new one
+   * File locations and commands the backends are created with
    *
-   * Attempts to read the key from the key file. If not found or on error,
-   * generates a new random key and attempts to save it securely.
+   * @returns {{keyPath: string, passphrasePath: string, getCommand?: string, setCommand?: string}}
+   */
+  getBackendOptions() {
+    return {
+      keyPath: this.keyPath,
+      passphrasePath: path.join(path.dirname(this.keyPath), '.passphrase'),
+      getCommand: this.getCommand,
+      setCommand: this.setCommand,
+    };
+  }
+
+  /**
+   * Switches the backend used for new values, keeping unlocked backends
    *
-   * @returns {Buffer} 32-byte master key
+   * @param {string} id - Backend ID
+   * @throws {SecretError} If the backend is unknown or the command backend has no get command
    */
-  getOrCreateMasterKey() {
-    try {
-      if (fs.existsSync(this.keyPath)) {
-        return fs.readFileSync(this.keyPath);
-      }
-    } catch (e) {}
-
-    const key = crypto.randomBytes(32);
-    try {
-      fs.mkdirSync(path.dirname(this.keyPath), { recursive: true });
-      fs.writeFileSync(this.keyPath, key, { mode: 0o600 });
-    } catch (e) {
-      console.warn('无法创建加密密钥文件，将使用派生密钥');
+  setBackend(id) {
+    if (!BACKENDS.includes(id)) {
+      throw new SecretError(`未知的密钥存储方式: ${id}（可选 ${BACKENDS.join('/')}）`);
+    }
+    if (id === 'command' && !this.getCommand) {
+      throw new SecretError('command 模式需要设置 OCS_SECRET_GET_COMMAND');
     }
-    return key;
+
+    /** @type {string} */
+    this.backend = id;
   }
 
   /**
-   * Encrypts a plaintext string
+   * Replaces the key of the active backend
    *
-   * NOTE: Currently returns plaintext as-is to support plaintext API key storage.
-   * To re-enable encryption, restore the AES-256-GCM implementation below.
+   * The key file gets a new random key; the passphrase backend is set up
+   * again with the given passphrase. Values encrypted with the old key can
+   * no longer be decrypted afterwards, so re-encrypt them first in memory.
    *
-   * @param {string|null} text - Plaintext to encrypt
-   * @returns {string|null} Original text (plaintext storage mode)
+   * @param {string} [passphrase] - New passphrase (passphrase backend)
+   * @throws {SecretError} If the backend has no key or the passphrase is empty
+   */
+  rotateKey(passphrase) {
+    const rotated = createBackends(this.getBackendOptions())[this.backend];
+    if (!rotated.rotate) throw new SecretError(`${this.backend} 方式没有可轮换的密钥`);
+
+    rotated.rotate(passphrase);
+    this.backends = { ...this.backends, [this.backend]: rotated };
+  }
+
+  /**
+   * Captures the active backend and backend instances (including unlocked keys)
+   *
+   * @returns {{backend: string, backends: Object.<string, import('../secrets').SecretBackend>}}
+   */
+  saveState() {
+    return { backend: this.backend, backends: this.backends };
+  }
+
+  /**
+   * Restores a state captured with saveState
+   *
+   * @param {{backend: string, backends: Object.<string, import('../secrets').SecretBackend>}} state
    */
-  encrypt(text) {
-    // Plaintext storage mode - return as-is
-    return text;
+  restoreState(state) {
+    this.backend = state.backend;
+    this.backends = state.backends;
+  }
 
-    /* Original AES-256-GCM encryption (disabled):
-        if (!text) return null;
-        
-        try {
-            const iv = crypto.randomBytes(IV_LENGTH);
-            const salt = crypto.randomBytes(SALT_LENGTH);
-            const cipher = crypto.createCipheriv(ALGORITHM, this.masterKey, iv);
-            
-            let encrypted = cipher.update(text, 'utf8', 'hex');
-            encrypted += cipher.final('hex');
-            
-            const tag = cipher.getAuthTag();
-            
-            return salt.toString('hex') + ':' + iv.toString('hex') + ':' + tag.toString('hex') + ':' + encrypted;
-        } catch (error) {
-            console.error('加密失败:', error);
-            return null;
-        }
-        */
+  /**
+   * Whether the active backend needs a passphrase before it can be used
+   *
+   * @returns {boolean}
+   */
+  isLocked() {
+    return this.backends[this.backend].locked;
   }
 
   /**
-   * Decrypts an encrypted string
+   * Whether a passphrase has been set up (otherwise unlocking sets it)
    *
-   * Expects encrypted data in format: salt:iv:tag:ciphertext
-   * Returns original plaintext or the input unchanged if not encrypted.
+   * @returns {boolean}
+   */
+  hasPassphrase() {
+    return this.backends.passphrase.isInitialized();
+  }
+
+  /**
+   * Unlocks the passphrase backend
    *
-   * @param {string|null} encryptedText - Encrypted string to decrypt
-   * @returns {string|null} Decrypted plaintext, original text if not encrypted, or null on error
+   * @param {string} passphrase - Passphrase
+   * @throws {SecretError} If the passphrase is wrong
    */
-  decrypt(encryptedText) {
-    if (!encryptedText || !encryptedText.includes(':')) return encryptedText;
+  unlock(passphrase) {
+    this.backends.passphrase.unlock(passphrase);
+  }
 
-    try {
-      const parts = encryptedText.split(':');
-      if (parts.length !== 4) return encryptedText;
+  /**
+   * Gets a backend, unlocking the passphrase backend from `OCS_PASSPHRASE` if needed
+   *
+   * @param {string} id - Backend ID
+   * @returns {import('../secrets').SecretBackend}
+   */
+  getBackend(id) {
+    const backend = this.backends[id];
+    if (!backend) throw new SecretError(`未知的密钥存储方式: ${id}`);
+    if (backend.locked && process.env.OCS_PASSPHRASE) backend.unlock(process.env.OCS_PASSPHRASE);
+    return backend;
+  }
 
-      const [salt, iv, tag, encrypted] = parts.map((p) => Buffer.from(p, 'hex'));
+  /**
+   * Encrypts a secret with the active backend
+   *
+   * Empty values, `{env:...}` / `{file:...}` references and values that are
+   * already encrypted are returned unchanged.
+   *
+   * @param {string|null} text - Plaintext to encrypt
+   * @param {string} [name] - Provider ID, used as the secret name by the command backend
+   * @returns {string|null} Stored value
+   * @throws {SecretError} If the backend can't encrypt (e.g. locked)
+   */
+  encrypt(text, name) {
+    if (!text || typeof text !== 'string' || isReference(text) || backendOf(text)) return text;
+    return this.getBackend(this.backend).encrypt(text, name);
+  }
 
-      const decipher = crypto.createDecipheriv(ALGORITHM, this.masterKey, iv);
-      decipher.setAuthTag(tag);
+  /**
+   * Decrypts a stored value
+   *
+   * Values that aren't encrypted, and references to secrets held outside the
+   * config (`enc:command:<name>`), are returned unchanged; use `resolve` to
+   * fetch the latter.
+   *
+   * @param {string|null} value - Stored value
+   * @returns {string|null} Plaintext or secret reference
+   * @throws {SecretError} If the key is missing or wrong, or the value is corrupt
+   */
+  decrypt(value) {
+    const id = backendOf(value);
+    if (!id || this.isSecretReference(value)) return value;
+    return this.getBackend(id).decrypt(value);
+  }
 
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
+  /**
+   * Whether a value references a secret held outside the config
+   *
+   * @param {*} value - Stored or decrypted value
+   * @returns {boolean}
+   */
+  isSecretReference(value) {
+    const id = backendOf(value);
+    return Boolean(id && this.backends[id] && this.backends[id].reference);
+  }
 
-      return decrypted;
-    } catch (error) {
-      console.error('解密失败:', error);
-      return null;
-    }
+  /**
+   * Decrypts a stored value, fetching secret references as well
+   *
+   * Used where the actual key is needed (discovery, connection tests,
+   * plaintext export).
+   *
+   * @param {string|null} value - Stored value
+   * @returns {string|null} Plaintext
+   * @throws {SecretError} If the secret can't be fetched or decrypted
+   */
+  resolve(value) {
+    const id = backendOf(value);
+    return id ? this.getBackend(id).decrypt(value) : value;
   }
 
   /**
@@ -177,15 +294,16 @@ class EncryptionService {
    *
    * @param {DecryptedConfig} config - Configuration with plaintext API keys
    * @returns {EncryptedConfig} Configuration with encrypted API keys
+   * @throws {SecretError} If the backend can't encrypt
    */
   encryptConfig(config) {
     if (!config || !config.provider) return config;
 
     const encrypted = JSON.parse(JSON.stringify(config));
 
-    for (const provider of Object.values(encrypted.provider || {})) {
-      if (provider.options && provider.options.apiKey) {
-        provider.options.apiKey = this.encrypt(provider.options.apiKey);
+    for (const [id, provider] of Object.entries(encrypted.provider || {})) {
+      if (provider && provider.options && provider.options.apiKey) {
+        provider.options.apiKey = this.encrypt(provider.options.apiKey, id);
       }
     }
 
@@ -200,21 +318,49 @@ class EncryptionService {
    *
    * @param {EncryptedConfig} config - Configuration with encrypted API keys
    * @returns {DecryptedConfig} Configuration with decrypted API keys
+   * @throws {SecretError} Listing every provider whose key can't be decrypted
    */
   decryptConfig(config) {
+    return this.mapKeys(config, (value) => this.decrypt(value));
+  }
+
+  /**
+   * Decrypts API keys in a configuration object, fetching secret references
+   *
+   * @param {EncryptedConfig} config - Configuration with encrypted API keys
+   * @returns {DecryptedConfig} Configuration with plaintext API keys
+   * @throws {SecretError} Listing every provider whose key can't be decrypted or fetched
+   */
+  resolveConfig(config) {
+    return this.mapKeys(config, (value) => this.resolve(value));
+  }
+
+  /**
+   * Applies a transformation to every API key of a copy of a configuration
+   *
+   * @param {Object} config - Configuration
+   * @param {function(string, string): string} transform - Transformation of a stored key, given the provider ID
+   * @returns {Object} Transformed copy
+   * @throws {SecretError} Listing every provider whose key can't be transformed
+   */
+  mapKeys(config, transform) {
     if (!config || !config.provider) return config;
 
     const decrypted = JSON.parse(JSON.stringify(config));
+    const failures = [];
 
-    for (const provider of Object.values(decrypted.provider || {})) {
-      if (provider.options && provider.options.apiKey) {
-        const decryptedKey = this.decrypt(provider.options.apiKey);
-        if (decryptedKey) {
-          provider.options.apiKey = decryptedKey;
-        }
+    for (const [id, provider] of Object.entries(decrypted.provider || {})) {
+      if (!provider || !provider.options || !provider.options.apiKey) continue;
+      try {
+        provider.options.apiKey = transform(provider.options.apiKey, id);
+      } catch (error) {
+        failures.push(`Provider "${id}": ${error.message}`);
       }
     }
 
+    if (failures.length > 0) {
+      throw new SecretError(`无法解密 API Key — ${failures.join('; ')}`, failures);
+    }
     return decrypted;
   }
 }
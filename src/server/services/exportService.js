@@ -0,0 +1,249 @@
+/**
+ * Export Service Module
+ *
+ * Produces shareable exports of the configuration: a subset of providers
+ * and models, with API keys redacted, replaced by `{env:VAR}` references or
+ * kept, serialized as JSON, JSONC or YAML. The keys themselves can be
+ * exported separately as a `.env` file matching the references.
+ *
+ * @module services/exportService
+ */
+
+const configService = require('./configService');
+const encryptionService = require('./encryptionService');
+const { isReference } = require('../utils/references');
+const { REDACTED } = require('../utils/masking');
+const yaml = require('../utils/yaml');
+
+/**
+ * Export options
+ * @typedef {Object} ExportOptions
+ * @property {'json'|'jsonc'|'yaml'|'env'} [format='json'] - Output format; `env` exports only the API keys
+ * @property {'redact'|'env'|'plain'} [secrets='redact'] - How API keys appear in the config
+ * @property {string[]} [providers] - Provider IDs or `provider/model` selectors (all providers if empty)
+ */
+
+/**
+ * Exported file
+ * @typedef {Object} ExportFile
+ * @property {string} content - File content
+ * @property {string} filename - Suggested file name
+ * @property {string} contentType - MIME type
+ */
+
+/**
+ * Serializers per output format
+ * @type {Object.<string, {filename: string, contentType: string, serialize: function(Object, string): string}>}
+ */
+const FORMATS = {
+  json: {
+    filename: 'opencode.json',
+    contentType: 'application/json',
+    serialize: (config) => `${JSON.stringify(config, null, 2)}\n`,
+  },
+  jsonc: {
+    filename: 'opencode.jsonc',
+    contentType: 'application/json',
+    serialize: (config, header) => `${header}\n${JSON.stringify(config, null, 2)}\n`,
+  },
+  yaml: {
+    filename: 'opencode.yaml',
+    contentType: 'application/yaml',
+    serialize: (config, header) => `${header.replace(/^\/\//gm, '#')}\n${yaml.stringify(config)}`,
+  },
+};
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Builds the environment variable name for a provider's API key
+ *
+ * @param {string} providerId - Provider ID
+ * @returns {string} e.g. `OPENROUTER_API_KEY`
+ */
+function envVariable(providerId) {
+  const name = providerId.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  return `${/^[0-9]/.test(name) ? '_' : ''}${name}_API_KEY`;
+}
+
+/**
+ * Quotes a .env value when needed
+ */
+function formatEnvValue(value) {
+  return /^[\w./:@+-]*$/.test(value) ? value : `"${value.replace(/(["\\])/g, '\\$1').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Parses selectors into a map of provider ID to selected model IDs
+ *
+ * @param {string[]} selectors - `provider` or `provider/model` entries
+ * @returns {Map<string, Set<string>|null>} Null means all models of the provider
+ */
+function parseSelectors(selectors) {
+  const selection = new Map();
+
+  for (const selector of selectors) {
+    const slash = selector.indexOf('/');
+    const id = slash === -1 ? selector : selector.slice(0, slash);
+
+    if (slash === -1) {
+      selection.set(id, null);
+    } else if (selection.get(id) !== null) {
+      const models = selection.get(id) || new Set();
+      models.add(selector.slice(slash + 1));
+      selection.set(id, models);
+    }
+  }
+
+  return selection;
+}
+
+class ExportService {
+  /**
+   * Lists selectors that don't match a provider or model of the config
+   *
+   * @param {Object} config - Configuration
+   * @param {string[]} [selectors=[]] - Provider IDs or `provider/model` selectors
+   * @returns {string[]} Unknown selectors
+   */
+  findMissing(config, selectors = []) {
+    const providers = config.provider || {};
+
+    return selectors.filter((selector) => {
+      const slash = selector.indexOf('/');
+      const id = slash === -1 ? selector : selector.slice(0, slash);
+      if (!hasOwn(providers, id)) return true;
+      return slash !== -1 && !hasOwn(providers[id].models || {}, selector.slice(slash + 1));
+    });
+  }
+
+  /**
+   * Reduces a config to the selected providers and models
+   *
+   * `model` / `small_model` are dropped when they point to a provider that
+   * isn't exported; other top-level keys are kept.
+   *
+   * @param {Object} config - Configuration
+   * @param {string[]} [selectors=[]] - Provider IDs or `provider/model` selectors
+   * @returns {Object} Selected copy of the config
+   */
+  select(config, selectors = []) {
+    const result = clone(config);
+    if (selectors.length === 0) return result;
+
+    const selection = parseSelectors(selectors);
+    result.provider = {};
+
+    for (const [id, models] of selection) {
+      const provider = clone((config.provider || {})[id]);
+      if (models && provider.models) {
+        provider.models = Object.fromEntries(Object.entries(provider.models).filter(([modelId]) => models.has(modelId)));
+      }
+      result.provider[id] = provider;
+    }
+
+    for (const key of ['model', 'small_model']) {
+      if (typeof result[key] === 'string' && !selection.has(result[key].split('/')[0])) {
+        delete result[key];
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Replaces the API keys of a config according to the secrets mode
+   *
+   * References (`{env:...}`, `{file:...}`) are never secrets and are kept.
+   * Keys held by the command secret backend are fetched for plain exports.
+   *
+   * @param {Object} config - Configuration (modified in place)
+   * @param {'redact'|'env'|'plain'} secrets - Secrets mode
+   * @returns {Object} The config
+   * @throws {SecretError} If a plain export needs a secret that can't be fetched
+   */
+  applySecrets(config, secrets) {
+    for (const [id, provider] of Object.entries(config.provider || {})) {
+      const options = provider && provider.options;
+      if (!options || !options.apiKey || isReference(options.apiKey)) continue;
+      if (secrets === 'plain') {
+        options.apiKey = encryptionService.resolve(options.apiKey);
+      } else {
+        options.apiKey = secrets === 'env' ? `{env:${envVariable(id)}}` : REDACTED;
+      }
+    }
+    return config;
+  }
+
+  /**
+   * Builds a `.env` file with the literal API keys of a config
+   *
+   * Variable names match the references written with `secrets: 'env'`.
+   *
+   * @param {Object} config - Configuration
+   * @returns {string} dotenv content
+   * @throws {SecretError} If a key held by the command secret backend can't be fetched
+   */
+  toEnv(config) {
+    const lines = ['# opencode-switch 导出的 API Key，请勿提交到版本库'];
+
+    for (const [id, provider] of Object.entries(config.provider || {})) {
+      const apiKey = provider && provider.options && provider.options.apiKey;
+      if (!apiKey || isReference(apiKey)) continue;
+      lines.push(`${envVariable(id)}=${formatEnvValue(encryptionService.resolve(apiKey))}`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Serializes an export of a configuration
+   *
+   * @param {Object} config - Configuration
+   * @param {ExportOptions} [options={}] - Export options
+   * @returns {ExportFile}
+   */
+  buildExport(config, options = {}) {
+    const { format = 'json', secrets = 'redact', providers = [] } = options;
+    const selected = this.select(config, providers);
+
+    if (format === 'env') {
+      return { content: this.toEnv(selected), filename: 'opencode.env', contentType: 'text/plain' };
+    }
+
+    const header = [
+      `// 由 opencode-switch 导出于 ${new Date().toISOString()}`,
+      secrets === 'env' ? '// API Key 以 {env:VAR} 引用，请在环境变量中设置对应的值' : null,
+      secrets === 'redact' ? '// API Key 已隐藏，导入时保留已有的 Key，新 Provider 请填写' : null,
+    ]
+      .filter(Boolean)
+      .join('\n');
+    const { filename, contentType, serialize } = FORMATS[format];
+
+    return { content: serialize(this.applySecrets(selected, secrets), header), filename, contentType };
+  }
+
+  /**
+   * Exports the live configuration
+   *
+   * @param {ExportOptions} [options={}] - Export options
+   * @returns {{success: boolean, missing: string[], file: ExportFile|null}} Export, or the unknown selectors
+   * @throws {SyntaxError} If the config file can't be parsed, rather than exporting an empty config
+   * @throws {SecretError} If an API key can't be decrypted
+   */
+  exportConfig(options = {}) {
+    const config = configService.loadConfig();
+    const missing = this.findMissing(config, options.providers);
+
+    if (missing.length > 0) {
+      return { success: false, missing, file: null };
+    }
+    return { success: true, missing, file: this.buildExport(config, options) };
+  }
+}
+
+module.exports = new ExportService();
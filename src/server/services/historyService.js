@@ -0,0 +1,208 @@
+/**
+ * History Service Module
+ *
+ * Keeps numbered snapshots of every configuration write on disk so that
+ * changes can be listed, compared and restored independently of the browser.
+ *
+ * @module services/historyService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const encryptionService = require('./encryptionService');
+const { summarizeProviders, isEqual } = require('../utils/diff');
+const { writeFileAtomic } = require('../utils/atomicFile');
+const Logger = require('../utils/logger');
+
+const logger = new Logger();
+
+/** @constant {number} */
+const MAX_VERSIONS = 50;
+
+/**
+ * Metadata describing what caused a write
+ * @typedef {Object} WriteMeta
+ * @property {string} [action='write'] - Action identifier (e.g. 'save-provider', 'delete-provider')
+ * @property {string} [target] - Affected provider ID, profile name or version
+ */
+
+/**
+ * History entry metadata
+ * @typedef {Object} HistoryEntry
+ * @property {number} version - Monotonic version number
+ * @property {string} timestamp - ISO timestamp of the write
+ * @property {string} action - Action identifier
+ * @property {string} [target] - Affected provider ID, profile name or version
+ * @property {{added: string[], removed: string[], changed: string[]}} summary - Provider changes vs. previous version
+ * @property {number} providerCount - Number of providers in this version
+ * @property {Object} [config] - Full configuration (only when fetched individually)
+ */
+
+/**
+ * Service for storing versioned configuration snapshots
+ *
+ * @class HistoryService
+ */
+class HistoryService {
+  /**
+   * Creates a new HistoryService instance
+   *
+   * @param {string} historyDir - Directory holding the version files
+   * @param {number} [maxVersions=MAX_VERSIONS] - Number of versions to retain
+   */
+  constructor(historyDir, maxVersions = MAX_VERSIONS) {
+    /** @type {string} */
+    this.historyDir = historyDir;
+
+    /** @type {number} */
+    this.maxVersions = maxVersions;
+  }
+
+  /**
+   * Lists stored version numbers in ascending order
+   *
+   * @returns {number[]}
+   */
+  getVersionNumbers() {
+    if (!fs.existsSync(this.historyDir)) return [];
+
+    return fs
+      .readdirSync(this.historyDir)
+      .map((file) => /^(\d+)\.json$/.exec(file))
+      .filter(Boolean)
+      .map((match) => parseInt(match[1], 10))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Lists history entries, newest first, without their configs
+   *
+   * @returns {HistoryEntry[]}
+   */
+  listVersions() {
+    return this.getVersionNumbers()
+      .reverse()
+      .map((version) => this.readEntry(version))
+      .filter(Boolean)
+      .map(({ config, ...entry }) => ({
+        ...entry,
+        providerCount: Object.keys(config.provider || {}).length,
+      }));
+  }
+
+  /**
+   * Gets a version including its decrypted configuration
+   *
+   * @param {number} version - Version number
+   * @returns {HistoryEntry|null} The entry or null if not found
+   */
+  getVersion(version) {
+    const entry = this.readEntry(version);
+    if (!entry) return null;
+
+    return {
+      ...entry,
+      providerCount: Object.keys(entry.config.provider || {}).length,
+      config: encryptionService.decryptConfig(entry.config),
+    };
+  }
+
+  /**
+   * Gets the latest version including its decrypted configuration
+   *
+   * @returns {HistoryEntry|null} The latest entry or null if history is empty
+   */
+  getLatest() {
+    const versions = this.getVersionNumbers();
+    return versions.length ? this.getVersion(versions[versions.length - 1]) : null;
+  }
+
+  /**
+   * Records a configuration as a new version
+   *
+   * Skips the write when the configuration is identical to the latest
+   * version, and prunes versions beyond the retention limit.
+   *
+   * @param {Object} config - Configuration with plaintext API keys
+   * @param {WriteMeta} [meta={}] - What caused the write
+   * @returns {number|null} The new version number, the latest version if unchanged, or null on error
+   */
+  record(config, meta = {}) {
+    try {
+      const latest = this.getLatest();
+      if (latest && isEqual(latest.config, config)) {
+        return latest.version;
+      }
+
+      const version = latest ? latest.version + 1 : 1;
+      const entry = {
+        version,
+        timestamp: new Date().toISOString(),
+        action: meta.action || 'write',
+        target: meta.target,
+        summary: summarizeProviders(latest ? latest.config : {}, config),
+        config: encryptionService.encryptConfig(config),
+      };
+
+      fs.mkdirSync(this.historyDir, { recursive: true });
+      writeFileAtomic(this.getEntryPath(version), JSON.stringify(entry, null, 2));
+
+      this.prune();
+      logger.debug('记录配置历史', { version, action: entry.action });
+      return version;
+    } catch (error) {
+      logger.error('记录配置历史失败', { error: error.message, dir: this.historyDir });
+      return null;
+    }
+  }
+
+  /**
+   * Removes the oldest versions beyond the retention limit
+   */
+  prune() {
+    const versions = this.getVersionNumbers();
+    for (const version of versions.slice(0, Math.max(0, versions.length - this.maxVersions))) {
+      fs.unlinkSync(this.getEntryPath(version));
+    }
+  }
+
+  /**
+   * Checks whether any version has been recorded
+   *
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.getVersionNumbers().length === 0;
+  }
+
+  /**
+   * Resolves the file path of a version
+   *
+   * @param {number} version - Version number
+   * @returns {string}
+   */
+  getEntryPath(version) {
+    return path.join(this.historyDir, `${version}.json`);
+  }
+
+  /**
+   * Reads a raw (encrypted) version entry
+   *
+   * @param {number} version - Version number
+   * @returns {Object|null} The raw entry or null if not found or unreadable
+   */
+  readEntry(version) {
+    if (!Number.isInteger(version) || version < 1) return null;
+
+    try {
+      const filePath = this.getEntryPath(version);
+      if (!fs.existsSync(filePath)) return null;
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      logger.error('读取配置历史失败', { version, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = HistoryService;
@@ -0,0 +1,257 @@
+/**
+ * Import Service Module
+ *
+ * Merges providers from an imported configuration into the live config.
+ * Produces a report of what would be added, updated or skipped so the
+ * import can be previewed, and applies the whole import in a single write.
+ *
+ * @module services/importService
+ */
+
+const configService = require('./configService');
+const { diff, isEqual } = require('../utils/diff');
+const { REDACTED, unmaskConfig } = require('../utils/masking');
+const Logger = require('../utils/logger');
+
+const logger = new Logger();
+
+/**
+ * Import options
+ *
+ * A strategy decides how an incoming provider or model is combined with an
+ * existing one: `replace` takes the incoming one, `merge` combines both
+ * (incoming values win), `skip-existing` keeps the existing one untouched.
+ *
+ * @typedef {Object} ImportOptions
+ * @property {string} [strategy='merge'] - Strategy for providers that already exist
+ * @property {string} [modelStrategy='merge'] - Strategy for models that already exist (when merging a provider)
+ * @property {Object.<string, {strategy?: string, modelStrategy?: string}>} [overrides] - Per-provider strategies
+ */
+
+/**
+ * Conflicting value between the existing and the incoming config
+ * @typedef {Object} ImportConflict
+ * @property {string} path - Dotted path inside the provider (e.g. 'options.baseURL')
+ * @property {'current'|'incoming'} resolution - Which value the result keeps
+ */
+
+/**
+ * Per-provider import result
+ * @typedef {Object} ProviderImportReport
+ * @property {string} id - Provider ID
+ * @property {'add'|'update'|'skip'|'unchanged'} action - What happens to the provider
+ * @property {string} strategy - Strategy applied
+ * @property {{added: string[], updated: string[], removed: string[], skipped: string[]}} models - Model IDs per outcome
+ * @property {ImportConflict[]} conflicts - Values that differ on both sides
+ */
+
+/**
+ * Import report
+ * @typedef {Object} ImportReport
+ * @property {ProviderImportReport[]} providers - Result per incoming provider
+ * @property {{added: number, updated: number, skipped: number, unchanged: number, conflicts: number}} summary - Counts
+ */
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merges two objects, values of `incoming` win
+ */
+function mergeObjects(current, incoming) {
+  const result = clone(current);
+  for (const [key, value] of Object.entries(incoming)) {
+    result[key] = isPlainObject(result[key]) && isPlainObject(value) ? mergeObjects(result[key], value) : clone(value);
+  }
+  return result;
+}
+
+function getPath(value, path) {
+  return path.reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), value);
+}
+
+/**
+ * Combines an existing and an incoming model map
+ */
+function mergeModels(current, incoming, strategy) {
+  const result = clone(current);
+  for (const [id, model] of Object.entries(incoming)) {
+    if (!(id in result) || strategy === 'replace') {
+      result[id] = clone(model);
+    } else if (strategy === 'merge' && isPlainObject(result[id]) && isPlainObject(model)) {
+      result[id] = mergeObjects(result[id], model);
+    }
+  }
+  return result;
+}
+
+/**
+ * Combines an existing and an incoming provider
+ */
+function combineProvider(current, incoming, strategy, modelStrategy) {
+  if (strategy === 'skip-existing') return clone(current);
+  if (strategy === 'replace') return clone(incoming);
+
+  const { models: incomingModels, ...incomingRest } = incoming;
+  const { models: currentModels, ...currentRest } = current;
+  const result = mergeObjects(currentRest, incomingRest);
+
+  if (currentModels || incomingModels) {
+    result.models = mergeModels(currentModels || {}, incomingModels || {}, modelStrategy);
+  }
+  return result;
+}
+
+/**
+ * Replaces redacted API keys of an incoming config with the existing keys
+ *
+ * Exports leave keys out as `<redacted>`; importing such an export keeps
+ * the keys that are already configured.
+ *
+ * @param {Object} incoming - Configuration to import, modified in place
+ * @param {Object} providers - Existing providers
+ * @returns {string[]} Errors for redacted keys of providers without a key to keep
+ */
+function keepRedactedKeys(incoming, providers) {
+  const errors = [];
+
+  for (const [id, provider] of Object.entries(incoming.provider || {})) {
+    if (!provider || !provider.options || provider.options.apiKey !== REDACTED) continue;
+
+    const existing = providers[id] && providers[id].options && providers[id].options.apiKey;
+    if (existing) {
+      provider.options.apiKey = existing;
+    } else {
+      errors.push(`Provider "${id}": API Key 已隐藏（${REDACTED}），且没有已保存的 Key 可保留，请填写 API Key`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Classifies models of a provider after the import
+ */
+function reportModels(current, incoming, result) {
+  const before = (current && current.models) || {};
+  const after = result.models || {};
+  const imported = incoming.models || {};
+  const report = { added: [], updated: [], removed: [], skipped: [] };
+
+  for (const id of Object.keys(after)) {
+    if (!(id in before)) report.added.push(id);
+    else if (!isEqual(before[id], after[id])) report.updated.push(id);
+  }
+  for (const id of Object.keys(before)) {
+    if (!(id in after)) report.removed.push(id);
+    else if (id in imported && !isEqual(imported[id], before[id]) && isEqual(after[id], before[id])) {
+      report.skipped.push(id);
+    }
+  }
+  return report;
+}
+
+class ImportService {
+  /**
+   * Computes the result of importing providers into a config
+   *
+   * Only the `provider` section of the incoming config is imported.
+   * Masked API keys (as returned by `GET /api/config`) are replaced with the
+   * stored key of the same provider, as POST and PUT /api/config do, and
+   * `<redacted>` keys of exports keep the existing key.
+   *
+   * @param {Object} current - Current configuration
+   * @param {Object} incoming - Configuration to import
+   * @param {ImportOptions} [options={}] - Import options
+   * @returns {{provider: Object, report: ImportReport, errors: string[]}} Resulting providers, the report,
+   *   and errors for masks and redacted keys that can't be restored (nothing may be imported then)
+   */
+  planImport(current, incoming, options = {}) {
+    const providers = clone((current && current.provider) || {});
+    incoming = clone(incoming);
+    const errors = [...unmaskConfig(incoming, current || {}), ...keepRedactedKeys(incoming, providers)];
+    const overrides = options.overrides || {};
+    const report = {
+      providers: [],
+      summary: { added: 0, updated: 0, skipped: 0, unchanged: 0, conflicts: 0 },
+    };
+
+    for (const [id, provider] of Object.entries(incoming.provider || {})) {
+      const override = overrides[id] || {};
+      const strategy = override.strategy || options.strategy || 'merge';
+      const modelStrategy = override.modelStrategy || options.modelStrategy || 'merge';
+      const existing = providers[id];
+
+      if (!existing) {
+        providers[id] = clone(provider);
+        report.providers.push({
+          id,
+          action: 'add',
+          strategy,
+          models: reportModels(undefined, provider, provider),
+          conflicts: [],
+        });
+        report.summary.added++;
+        continue;
+      }
+
+      const result = combineProvider(existing, provider, strategy, modelStrategy);
+      const conflicts = diff(existing, provider)
+        .filter((change) => change.type === 'changed')
+        .map((change) => ({
+          path: change.path.join('.'),
+          resolution: isEqual(getPath(result, change.path), change.to) ? 'incoming' : 'current',
+        }));
+
+      let action = isEqual(result, existing) ? 'unchanged' : 'update';
+      if (strategy === 'skip-existing' && !isEqual(existing, provider)) action = 'skip';
+
+      providers[id] = result;
+      report.providers.push({ id, action, strategy, models: reportModels(existing, provider, result), conflicts });
+      report.summary[action === 'update' ? 'updated' : action === 'skip' ? 'skipped' : 'unchanged']++;
+      report.summary.conflicts += conflicts.length;
+    }
+
+    return { provider: providers, report, errors };
+  }
+
+  /**
+   * Imports providers into the live configuration in a single write
+   *
+   * The import is planned against a fresh read under the config lock, so
+   * the report describes exactly what was written. Nothing is written if a
+   * masked or redacted API key can't be restored.
+   *
+   * @param {Object} incoming - Configuration to import
+   * @param {ImportOptions} [options={}] - Import options
+   * @returns {{success: boolean, report: ImportReport|null, errors: string[]}} Outcome, report and
+   *   errors that prevented the import
+   */
+  importConfig(incoming, options = {}) {
+    let report = null;
+    let errors = [];
+
+    const success = configService.updateConfig(
+      (config) => {
+        const plan = this.planImport(config, incoming, options);
+        report = plan.report;
+        errors = plan.errors;
+        if (errors.length > 0) return false;
+        config.provider = plan.provider;
+      },
+      { action: 'import', target: Object.keys(incoming.provider || {}).join(', ') }
+    );
+
+    if (success) {
+      logger.info('导入配置成功', report.summary);
+    }
+    return { success, report, errors };
+  }
+}
+
+module.exports = new ImportService();
@@ -1,23 +1,104 @@
 /**
  * Model Service Module
  *
- * Provides functionality for discovering and testing AI models from
- * OpenAI-compatible API endpoints. Handles HTTP/HTTPS requests,
- * URL normalization, and response parsing.
+ * Provides functionality for discovering and testing AI models. Handles
+ * HTTP/HTTPS requests and URL normalization; authentication, endpoints and
+ * response formats come from the adapter for the provider's npm package
+ * (OpenAI-compatible by default). `{env:...}` / `{file:...}` references in
+ * the connection settings are resolved before sending.
+ *
+ * Requests time out when the connection isn't established within the
+ * connect timeout (`OCS_CONNECT_TIMEOUT`, 10 s by default) or the response
+ * stalls for longer than the provider's `timeout`. Responses with status
+ * 408, 429, 502, 503 or 504 and reset connections are retried
+ * (`OCS_RETRIES`, 2 by default) with exponential backoff, waiting as long
+ * as `Retry-After` asks if that is at most 30 s. Requests can be cancelled
+ * with an AbortSignal.
+ *
+ * Requests go through the provider's `proxy` or the HTTPS_PROXY /
+ * HTTP_PROXY environment proxy and use its `tls` settings (see
+ * utils/network).
  *
  * @module services/modelService
  */
 
 const http = require('http');
 const https = require('https');
+const path = require('path');
+const { adapterFor } = require('../adapters');
+const configService = require('./configService');
+const encryptionService = require('./encryptionService');
+const references = require('../utils/references');
+const network = require('../utils/network');
+const { backendOf } = require('../secrets');
+const { isMasked, unmaskKey } = require('../utils/masking');
+const { isEqual } = require('../utils/diff');
 const Logger = require('../utils/logger');
 
 const logger = new Logger();
 
+/** Default time to establish a connection, in milliseconds @constant {number} */
+const DEFAULT_CONNECT_TIMEOUT = 10000;
+
+/** Default number of retries after a retryable failure @constant {number} */
+const DEFAULT_RETRIES = 2;
+
+/** Delay before the first retry; doubled for each further one @constant {number} */
+const RETRY_BASE_DELAY = 500;
+
+/** Longest `Retry-After` that is waited for; longer ones fail right away @constant {number} */
+const MAX_RETRY_DELAY = 30000;
+
+/** Response statuses that are retried @constant {number[]} */
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+/** @constant {string} */
+const CANCELLED = '请求已取消';
+
+/** @constant {string} */
+const UNSAVED_SETTINGS = '引用、掩码和 enc: 开头的 API Key 只能来自已保存的 Provider，请先保存';
+
+/** @constant {string} */
+const CHANGED_DESTINATION =
+  '使用引用或已保存的 API Key 时，Base URL、Headers、代理和 TLS 设置必须与已保存的一致，请先保存';
+
+/** @constant {string} */
+const CHANGED_API_KEY = 'API Key 与已保存的不一致，请先保存';
+
+/** @constant {string} */
+const MASK_MISMATCH = 'API Key 是掩码，但与已保存的 Key 不一致，请重新输入';
+
+/**
+ * Reads a non-negative integer from an environment variable
+ *
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value if the variable is unset or invalid
+ * @returns {number}
+ */
+function envInteger(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Facts about a discovered model reported by the provider
+ * @typedef {Object} ModelDetails
+ * @property {string} [family] - Model family, e.g. 'llama'
+ * @property {string} [parameterSize] - Parameter count, e.g. '8.0B'
+ * @property {string} [quantization] - Quantization level, e.g. 'Q4_K_M'
+ * @property {number} [contextLength] - Context window in tokens
+ * @property {string} [owner] - Organization that owns the model (`owned_by`)
+ * @property {boolean} [vision] - Accepts image input
+ */
+
 /**
  * Model information object
  * @typedef {Object} ModelInfo
  * @property {string} name - Name/ID of the model
+ * @property {ModelDetails} [details] - Extra facts, shown when selecting models
+ * @property {{context?: number, output?: number}} [limit] - Token limits to pre-fill in the model config
+ * @property {{input?: number, output?: number, cache_read?: number, cache_write?: number}} [cost] - USD per million tokens, to pre-fill
+ * @property {{input?: string[], output?: string[]}} [modalities] - Supported input/output types, to pre-fill
  */
 
 /**
@@ -33,9 +114,47 @@ const logger = new Logger();
  * @property {string} [error] - Error message if test failed
  * @property {string} model - Model ID that was tested
  * @property {number} [latency] - Response latency in milliseconds
+ * @property {number} [attempts] - Number of requests sent, including retries
  * @property {string} [provider] - Provider ID (when testing all providers)
  */
 
+/**
+ * Provider options that apply to discovery and test requests
+ * @typedef {Object} ConnectionOptions
+ * @property {Object.<string, string>} [headers] - Extra HTTP headers (override the defaults)
+ * @property {number|false} [timeout] - Request timeout in milliseconds, false for none
+ * @property {number|false} [connectTimeout] - Connect timeout in milliseconds, false for none
+ * @property {number} [retries] - Number of retries after a retryable failure
+ * @property {AbortSignal} [signal] - Cancels the request, including pending retries
+ * @property {string|false} [proxy] - Proxy URL, false to ignore the environment proxy
+ * @property {import('../utils/network').TLSSettings} [tls] - CA, client certificate and verification settings
+ * @property {string} [npm] - npm package of the provider; selects the API adapter
+ * @property {string} [apiVersion] - Azure OpenAI `api-version` for connection tests
+ */
+
+/**
+ * Whether a value sent by a client holds `{env:...}` / `{file:...}` references
+ *
+ * @param {*} value - String, or map of strings such as headers
+ * @returns {boolean}
+ */
+function holdsReferences(value) {
+  if (typeof value === 'string') return references.findReferences(value).length > 0;
+  return Boolean(value) && typeof value === 'object' && Object.values(value).some(holdsReferences);
+}
+
+/**
+ * Treats empty strings and empty maps as absent settings
+ *
+ * @param {*} value - Connection setting
+ * @returns {*} The value, or undefined if it is empty
+ */
+function settingOf(value) {
+  if (value === '' || value === null) return undefined;
+  if (typeof value === 'object' && Object.keys(value).length === 0) return undefined;
+  return value;
+}
+
 /**
  * HTTP request options
  * @typedef {Object} RequestOptions
@@ -44,6 +163,16 @@ const logger = new Logger();
  * @property {number} [headers.Content-Length] - Content length for POST requests
  */
 
+/**
+ * Response of a request that completed
+ * @typedef {Object} RawResponse
+ * @property {number} statusCode - HTTP status
+ * @property {Object.<string, string>} headers - Response headers
+ * @property {string} body - Response body
+ * @property {number} latency - Duration of the last attempt in milliseconds
+ * @property {number} attempts - Number of requests sent, including retries
+ */
+
 /**
  * Service for discovering and testing AI models
  *
@@ -53,6 +182,18 @@ const logger = new Logger();
  * @class ModelService
  */
 class ModelService {
+  /**
+   * Creates a new ModelService instance
+   *
+   * Reads the default connect timeout and retry count from the environment.
+   */
+  constructor() {
+    this.defaults = {
+      connectTimeout: envInteger('OCS_CONNECT_TIMEOUT', DEFAULT_CONNECT_TIMEOUT),
+      retries: envInteger('OCS_RETRIES', DEFAULT_RETRIES),
+    };
+  }
+
   /**
    * Normalizes a base URL by adding/removing version paths and endpoints
    *
@@ -86,17 +227,31 @@ class ModelService {
   /**
    * Builds HTTP request options with authentication
    *
+   * The adapter decides how the key is sent (`Authorization: Bearer` for
+   * OpenAI-compatible APIs). Extra headers from the provider options are
+   * sent as well and win over the defaults, so providers that authenticate
+   * differently can override them.
+   *
    * @param {string} apiKey - API key for authentication
    * @param {string} [method='GET'] - HTTP method
    * @param {string|null} [payload=null] - Request body for POST requests
+   * @param {Object.<string, string>} [headers={}] - Extra HTTP headers
+   * @param {import('../adapters').Adapter} [adapter] - API adapter (OpenAI-compatible by default)
    * @returns {RequestOptions} Request options object
    */
-  buildRequestOptions(apiKey, method = 'GET', payload = null) {
+  buildRequestOptions(
+    apiKey,
+    method = 'GET',
+    payload = null,
+    headers = {},
+    adapter = adapterFor()
+  ) {
     const options = {
       method,
       headers: {
-        Authorization: `Bearer ${apiKey}`,
+        ...adapter.authHeaders(apiKey),
         'Content-Type': 'application/json',
+        ...headers,
       },
     };
 
@@ -107,28 +262,358 @@ class ModelService {
     return options;
   }
 
+  /**
+   * Lets the adapter rewrite the base URL (Azure strips the deployment path)
+   *
+   * @param {string} baseURL - Resolved base URL
+   * @param {import('../adapters').Adapter} adapter - API adapter
+   * @returns {string}
+   */
+  resolveBaseURL(baseURL, adapter) {
+    return adapter.resolveBaseURL ? adapter.resolveBaseURL(baseURL) : baseURL;
+  }
+
+  /**
+   * Adds the adapter's authentication query parameters (Gemini's `key`) to a URL
+   *
+   * Only the returned URL carries the key; log the URL it was built from.
+   *
+   * @param {string} url - Request URL
+   * @param {string} apiKey - API key for authentication
+   * @param {import('../adapters').Adapter} adapter - API adapter
+   * @returns {string} URL to request
+   */
+  authorizeURL(url, apiKey, adapter) {
+    if (!adapter.authQuery) return url;
+
+    const authorized = new URL(url);
+    for (const [name, value] of Object.entries(adapter.authQuery(apiKey))) {
+      authorized.searchParams.set(name, value);
+    }
+    return authorized.toString();
+  }
+
+  /**
+   * Resolves `{env:...}` / `{file:...}` references in connection settings
+   *
+   * Relative file paths are resolved against the directory of the config
+   * file, as opencode does. An API key stored with the command secret
+   * backend (`enc:command:<name>`) is fetched first. The files named in the
+   * TLS settings are read, so `tls` holds the options for tls.connect.
+   *
+   * Only pass settings from the stored config here; settings sent by a
+   * client go through clientConnection first.
+   *
+   * @param {string} baseURL - Base URL of the API
+   * @param {string} apiKey - API key for authentication
+   * @param {ConnectionOptions} [connection={}] - Headers and timeout from the provider options
+   * @returns {{baseURL: string, apiKey: string, connection: ConnectionOptions}} Resolved settings
+   * @throws {Error} If a reference doesn't resolve or a TLS file can't be read
+   */
+  resolveConnection(baseURL, apiKey, connection = {}) {
+    const baseDir = path.dirname(configService.configPath);
+    return {
+      baseURL: references.resolveString(baseURL, baseDir),
+      apiKey: references.resolveString(encryptionService.resolve(apiKey), baseDir),
+      connection: {
+        ...connection,
+        headers: references.resolveMap(connection.headers, baseDir),
+        proxy: references.resolveString(connection.proxy, baseDir),
+        tls: network.loadTLS(references.resolveMap(connection.tls, baseDir), baseDir),
+      },
+    };
+  }
+
+  /**
+   * Connection settings of a saved provider
+   *
+   * Model headers are sent on top of the provider headers, as opencode does.
+   *
+   * @param {string} providerId - Provider ID
+   * @param {string} [modelId] - Model whose headers are included
+   * @returns {{baseURL: string, apiKey: string, headers: Object, proxy: string, tls: Object}|null}
+   *   Stored settings, null if there is no such provider
+   */
+  storedConnection(providerId, modelId) {
+    const providers = configService.readConfig(false).provider || {};
+    if (!providerId || !Object.prototype.hasOwnProperty.call(providers, providerId)) return null;
+
+    const provider = providers[providerId] || {};
+    const options = provider.options || {};
+    const model = (modelId && provider.models && provider.models[modelId]) || {};
+    return {
+      baseURL: settingOf(options.baseURL),
+      apiKey: options.apiKey,
+      headers: settingOf({ ...options.headers, ...model.headers }),
+      proxy: settingOf(options.proxy),
+      tls: settingOf(options.tls),
+    };
+  }
+
+  /**
+   * Connection settings for a discovery or test request sent by a client
+   *
+   * `{env:...}` / `{file:...}` references and `enc:` API keys are only
+   * resolved, and masked API keys only replaced with the stored key, when
+   * they come from the stored config: a request holding any must name the
+   * provider (and, for tests, the model) it was read from, and its base URL,
+   * headers, proxy and TLS settings must be the stored ones. Otherwise a
+   * client could have stored keys, local files, environment variables or the
+   * output of the secret command sent to a host of its choosing.
+   *
+   * @param {string} baseURL - Base URL sent by the client
+   * @param {string} apiKey - API key sent by the client
+   * @param {ConnectionOptions} [connection={}] - Connection settings sent by the client
+   * @param {{providerId: string, modelId: string}} [source={}] - Provider and model the settings were read from
+   * @returns {{baseURL: string, apiKey: string, connection: ConnectionOptions}} Settings to discover or test with
+   * @throws {Error} If the request holds references, masks or `enc:` keys that aren't the stored settings
+   */
+  clientConnection(baseURL, apiKey, connection = {}, { providerId, modelId } = {}) {
+    const { headers, proxy, tls } = connection;
+    const destination = { baseURL, headers, proxy, tls };
+    const storedKey = isMasked(apiKey) || holdsReferences(apiKey) || Boolean(backendOf(apiKey));
+    if (!storedKey && !holdsReferences(destination)) return { baseURL, apiKey, connection };
+
+    const stored = this.storedConnection(providerId, modelId);
+    if (!stored) throw new Error(UNSAVED_SETTINGS);
+    for (const [key, value] of Object.entries(destination)) {
+      if (!isEqual(settingOf(value), stored[key])) throw new Error(CHANGED_DESTINATION);
+    }
+    const key = unmaskKey(apiKey, stored.apiKey);
+    if (key === undefined) throw new Error(MASK_MISMATCH);
+    if (storedKey && key !== stored.apiKey) throw new Error(CHANGED_API_KEY);
+
+    return {
+      baseURL: stored.baseURL,
+      apiKey: key,
+      connection: { ...connection, headers: stored.headers, proxy: stored.proxy, tls: stored.tls },
+    };
+  }
+
+  /**
+   * Checks whether the references in the saved providers currently resolve
+   *
+   * Includes API keys held by the command secret backend.
+   *
+   * @returns {Object.<string, references.ReferenceStatus[]>} Statuses per provider ID
+   */
+  checkReferences() {
+    const config = configService.readConfig();
+    const result = references.checkReferences(config, path.dirname(configService.configPath));
+
+    for (const [id, provider] of Object.entries(config.provider || {})) {
+      const apiKey = provider && provider.options && provider.options.apiKey;
+      if (!encryptionService.isSecretReference(apiKey)) continue;
+
+      const status = { path: 'options.apiKey', reference: apiKey, resolved: true };
+      try {
+        encryptionService.resolve(apiKey);
+      } catch (error) {
+        Object.assign(status, { resolved: false, error: error.message });
+      }
+      result[id] = [status, ...(result[id] || [])];
+    }
+
+    return result;
+  }
+
+  /**
+   * Aborts a request that can't connect within the connect timeout or
+   * stalls for longer than the timeout
+   *
+   * @param {http.ClientRequest} req - Pending request
+   * @param {ConnectionOptions} connection - Timeouts from the connection options
+   */
+  applyTimeouts(req, { timeout, connectTimeout = this.defaults.connectTimeout }) {
+    if (timeout) {
+      req.setTimeout(timeout, () => req.destroy(new Error(`请求超时 (${timeout}ms)`)));
+    }
+    if (!connectTimeout) return;
+
+    const timer = setTimeout(
+      () => req.destroy(new Error(`连接超时 (${connectTimeout}ms)`)),
+      connectTimeout
+    );
+    req.on('socket', (socket) => {
+      if (socket.connecting) socket.once('connect', () => clearTimeout(timer));
+      else clearTimeout(timer);
+    });
+    req.on('close', () => clearTimeout(timer));
+  }
+
+  /**
+   * Sends one request and collects the response
+   *
+   * Aborting the signal destroys the request and the response stream and
+   * rejects right away, whether or not the response has started (the
+   * `signal` option of http.request doesn't stop responses on every
+   * supported Node version).
+   *
+   * @param {string} url - Request URL
+   * @param {RequestOptions} options - Request options
+   * @param {string|null} payload - Request body
+   * @param {ConnectionOptions} connection - Timeouts, abort signal, proxy and loaded TLS options
+   * @returns {Promise<RawResponse>} Response (`attempts` is 1)
+   * @throws {Error} On network errors, timeouts and cancellation
+   */
+  send(url, options, payload, connection) {
+    const { signal } = connection;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new Error(CANCELLED));
+        return;
+      }
+
+      const client = url.startsWith('https') ? https : http;
+      const startTime = Date.now();
+      let response = null;
+
+      const settle = (callback, value) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      const onAbort = () => {
+        const error = new Error(CANCELLED);
+        if (response) response.destroy(error);
+        req.destroy(error);
+        settle(reject, error);
+      };
+
+      const requestOptions = { ...options, ...network.requestOptions(url, connection) };
+      const req = client.request(url, requestOptions, (res) => {
+        let data = '';
+        response = res;
+
+        res.on('data', (chunk) => (data += chunk));
+        res.on('error', (error) => settle(reject, error));
+        res.on('end', () =>
+          settle(resolve, {
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: data,
+            latency: Date.now() - startTime,
+            attempts: 1,
+          })
+        );
+      });
+
+      req.on('error', (error) => settle(reject, error));
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      this.applyTimeouts(req, connection);
+      req.end(payload || undefined);
+    });
+  }
+
+  /**
+   * Sends a request, retrying retryable failures with exponential backoff
+   *
+   * @param {string} url - Request URL
+   * @param {RequestOptions} options - Request options
+   * @param {string|null} payload - Request body
+   * @param {ConnectionOptions} [connection={}] - Timeouts, retry count and abort signal
+   * @returns {Promise<RawResponse>} Last response, which may still have a retryable status
+   * @throws {Error} On network errors, timeouts and cancellation
+   */
+  async sendWithRetries(url, options, payload, connection = {}) {
+    const retries = connection.retries ?? this.defaults.retries;
+
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      let error;
+      try {
+        response = await this.send(url, options, payload, connection);
+      } catch (sendError) {
+        if (sendError.code !== 'ECONNRESET') throw sendError;
+        error = sendError;
+      }
+
+      const retryable = error || RETRYABLE_STATUSES.includes(response.statusCode);
+      const delay =
+        retryable && attempt <= retries
+          ? this.retryDelay(attempt, response && response.headers['retry-after'])
+          : null;
+
+      if (delay === null) {
+        if (error) throw error;
+        return { ...response, attempts: attempt };
+      }
+
+      const reason = error ? error.message : `HTTP ${response.statusCode}`;
+      logger.info('请求失败，稍后重试', { reason, attempt, delay });
+      await this.wait(delay, connection.signal);
+    }
+  }
+
+  /**
+   * Time to wait before a retry
+   *
+   * @param {number} attempt - Number of the attempt that failed, from 1
+   * @param {string} [retryAfter] - `Retry-After` header (seconds or HTTP date)
+   * @returns {number|null} Delay in milliseconds, or null if Retry-After asks for longer than 30 s
+   */
+  retryDelay(attempt, retryAfter) {
+    const backoff = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+    if (!retryAfter) return backoff;
+
+    const seconds = Number(retryAfter);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isNaN(delay)) return backoff;
+    return delay <= MAX_RETRY_DELAY ? Math.max(delay, 0) : null;
+  }
+
+  /**
+   * Waits before a retry
+   *
+   * @param {number} delay - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Ends the wait early
+   * @returns {Promise<void>}
+   * @throws {Error} If the signal is aborted
+   */
+  wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new Error(CANCELLED));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error(CANCELLED));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
   /**
    * Discovers available models from an API endpoint
    *
-   * Attempts to fetch models from multiple standard endpoints (/v1/models, /models)
-   * and returns the first successful result.
+   * Attempts to fetch models from the adapter's endpoints (/v1/models and
+   * /models for OpenAI-compatible APIs) and returns the first successful result.
    *
    * @param {string} baseURL - Base URL of the API
    * @param {string} apiKey - API key for authentication
+   * @param {ConnectionOptions} [connection={}] - Headers and timeout from the provider options
    * @returns {Promise<ModelsMap>} Promise resolving to map of discovered models
-   * @throws {Error} If all endpoints fail
+   * @throws {Error} If a reference doesn't resolve or all endpoints fail
    */
-  async discoverModels(baseURL, apiKey) {
+  async discoverModels(baseURL, apiKey, connection = {}) {
     logger.info('开始探查模型', { baseURL });
+    ({ baseURL, apiKey, connection } = this.resolveConnection(baseURL, apiKey, connection));
 
-    const endpoints = ['/v1/models', '/models'];
+    const endpoints = adapterFor(connection.npm).modelEndpoints;
 
     for (const endpoint of endpoints) {
       try {
-        const models = await this.tryEndpoint(baseURL, apiKey, endpoint);
+        const models = await this.tryEndpoint(baseURL, apiKey, endpoint, connection);
         logger.info('探查成功', { endpoint, count: Object.keys(models).length });
         return models;
       } catch (error) {
+        if (connection.signal && connection.signal.aborted) throw error;
         logger.info(`端点 ${endpoint} 失败`, { error: error.message });
       }
     }
@@ -136,87 +621,99 @@ class ModelService {
     throw new Error('无法探查模型，已尝试: ' + endpoints.join(', '));
   }
 
+  /**
+   * Sends a request to the API and parses the JSON response
+   *
+   * @param {string} baseURL - Base URL of the API
+   * @param {string} apiKey - API key for authentication
+   * @param {string} endpoint - Endpoint path
+   * @param {ConnectionOptions} [connection={}] - Headers, timeouts, retries and npm package
+   * @param {Object|null} [body=null] - JSON body; sent as POST, otherwise the request is a GET
+   * @returns {Promise<Object>} Parsed response body
+   * @throws {Error} On network errors, a status other than 200 or a body that isn't JSON
+   */
+  async requestJSON(baseURL, apiKey, endpoint, connection = {}, body = null) {
+    const adapter = adapterFor(connection.npm);
+    const url = this.normalizeURL(this.resolveBaseURL(baseURL, adapter), endpoint);
+    const payload = body ? JSON.stringify(body) : null;
+    const method = payload ? 'POST' : 'GET';
+    const options = this.buildRequestOptions(apiKey, method, payload, connection.headers, adapter);
+
+    logger.info('发送请求', { url });
+
+    const response = await this.sendWithRetries(
+      this.authorizeURL(url, apiKey, adapter),
+      options,
+      payload,
+      connection
+    );
+    if (response.statusCode !== 200) {
+      throw new Error(`HTTP ${response.statusCode}`);
+    }
+
+    try {
+      return JSON.parse(response.body);
+    } catch (error) {
+      throw new Error('解析失败: ' + error.message);
+    }
+  }
+
   /**
    * Attempts to fetch models from a specific endpoint
    *
+   * Adapters that describe models with further requests (Ollama's
+   * `/api/show`) add their details before the result is returned.
+   *
    * @param {string} baseURL - Base URL of the API
    * @param {string} apiKey - API key for authentication
    * @param {string} endpoint - Endpoint path to try
+   * @param {ConnectionOptions} [connection={}] - Headers and timeout from the provider options
    * @returns {Promise<ModelsMap>} Promise resolving to map of models
+   * @throws {Error} If the request fails or returns no models
    */
-  tryEndpoint(baseURL, apiKey, endpoint) {
-    return new Promise((resolve, reject) => {
-      const url = this.normalizeURL(baseURL, endpoint);
-      const client = url.startsWith('https') ? https : http;
-      const options = this.buildRequestOptions(apiKey);
-
-      logger.info('发送请求', { url });
+  async tryEndpoint(baseURL, apiKey, endpoint, connection = {}) {
+    const adapter = adapterFor(connection.npm);
+    const data = await this.requestJSON(baseURL, apiKey, endpoint, connection);
+    const models = this.parseModels(data, adapter);
 
-      client
-        .get(url, options, (res) => {
-          let data = '';
+    if (Object.keys(models).length === 0) {
+      throw new Error('未找到模型');
+    }
 
-          res.on('data', (chunk) => (data += chunk));
+    if (adapter.describeModels) {
+      await adapter.describeModels(models, (path, body) =>
+        this.requestJSON(baseURL, apiKey, path, connection, body)
+      );
+    }
 
-          res.on('end', () => {
-            try {
-              if (res.statusCode !== 200) {
-                reject(new Error(`HTTP ${res.statusCode}`));
-                return;
-              }
-
-              const parsed = JSON.parse(data);
-              const models = this.parseModels(parsed);
-
-              if (Object.keys(models).length === 0) {
-                reject(new Error('未找到模型'));
-                return;
-              }
-
-              resolve(models);
-            } catch (error) {
-              reject(new Error('解析失败: ' + error.message));
-            }
-          });
-        })
-        .on('error', (error) => reject(error));
-    });
+    return models;
   }
 
   /**
    * Parses model data from API response
    *
-   * Handles various response formats from different API providers.
-   *
    * @param {Object|Array} data - Raw API response data
+   * @param {import('../adapters').Adapter} [adapter] - API adapter (OpenAI-compatible by default)
    * @returns {ModelsMap} Parsed map of models
    */
-  parseModels(data) {
-    const models = {};
-    const list = data.data || (Array.isArray(data) ? data : []);
-
-    list.forEach((model) => {
-      const id = model.id || model.name;
-      if (id) {
-        models[id] = { name: id };
-      }
-    });
-
-    return models;
+  parseModels(data, adapter = adapterFor()) {
+    return adapter.parseModels(data);
   }
 
   /**
    * Tests connection to a specific model
    *
-   * Sends a minimal chat completion request to verify the model
-   * is accessible and responding correctly.
+   * Sends a minimal request in the adapter's format (a chat completion for
+   * OpenAI-compatible APIs) to verify the model is accessible and responding
+   * correctly.
    *
    * @param {string} baseURL - Base URL of the API
    * @param {string} apiKey - API key for authentication
    * @param {string} modelId - ID of the model to test
+   * @param {ConnectionOptions} [connection={}] - Headers and timeout from the provider options
    * @returns {Promise<TestResult>} Promise resolving to test result
    */
-  async testConnection(baseURL, apiKey, modelId) {
+  async testConnection(baseURL, apiKey, modelId, connection = {}) {
     const errors = [];
     if (!baseURL) errors.push('缺少 Base URL');
     if (!apiKey) errors.push('缺少 API Key');
@@ -228,113 +725,99 @@ class ModelService {
 
     logger.info('测试模型连接', { baseURL, modelId });
 
-    return new Promise((resolve) => {
-      const url = this.normalizeURL(baseURL, '/v1/chat/completions');
-      const client = url.startsWith('https') ? https : http;
+    try {
+      ({ baseURL, apiKey, connection } = this.resolveConnection(baseURL, apiKey, connection));
+    } catch (error) {
+      return { success: false, error: error.message, model: modelId };
+    }
 
-      const payload = JSON.stringify({
+    const adapter = adapterFor(connection.npm);
+    const { endpoint, body } = adapter.testRequest(modelId, connection);
+    const url = this.normalizeURL(this.resolveBaseURL(baseURL, adapter), endpoint);
+    const payload = JSON.stringify(body);
+    const options = this.buildRequestOptions(apiKey, 'POST', payload, connection.headers, adapter);
+    const startTime = Date.now();
+
+    let response;
+    try {
+      response = await this.sendWithRetries(
+        this.authorizeURL(url, apiKey, adapter),
+        options,
+        payload,
+        connection
+      );
+    } catch (error) {
+      return {
+        success: false,
+        error: '请求失败: ' + error.message,
         model: modelId,
-        messages: [{ role: 'user', content: 'Hi' }],
-        max_tokens: 10,
-        stream: false,
-      });
-
-      const options = this.buildRequestOptions(apiKey, 'POST', payload);
-      const startTime = Date.now();
-
-      const req = client.request(url, options, (res) => {
-        let data = '';
+        latency: Date.now() - startTime,
+      };
+    }
 
-        res.on('data', (chunk) => (data += chunk));
+    const { latency, attempts } = response;
 
-        res.on('end', () => {
-          const latency = Date.now() - startTime;
-
-          try {
-            if (res.statusCode !== 200) {
-              resolve({
-                success: false,
-                error: `HTTP ${res.statusCode}`,
-                model: modelId,
-                latency,
-              });
-              return;
-            }
+    if (response.statusCode !== 200) {
+      return {
+        success: false,
+        error: `HTTP ${response.statusCode}`,
+        model: modelId,
+        latency,
+        attempts,
+      };
+    }
 
-            let parsed;
+    try {
+      let parsed;
+      try {
+        parsed = JSON.parse(response.body);
+      } catch (e) {
+        // 尝试解析 SSE 格式 (有些 Provider 强制流式返回)
+        const lines = response.body.split('\n');
+        for (const line of lines) {
+          if (line.trim().startsWith('data: ')) {
+            const jsonStr = line.trim().substring(6);
+            if (jsonStr.trim() === '[DONE]') continue;
             try {
-              parsed = JSON.parse(data);
-            } catch (e) {
-              // 尝试解析 SSE 格式 (有些 Provider 强制流式返回)
-              const lines = data.split('\n');
-              for (const line of lines) {
-                if (line.trim().startsWith('data: ')) {
-                  const jsonStr = line.trim().substring(6);
-                  if (jsonStr.trim() === '[DONE]') continue;
-                  try {
-                    parsed = JSON.parse(jsonStr);
-                    break;
-                  } catch (inner) {
-                    // 忽略单个解析错误，继续尝试下一行
-                  }
-                }
-              }
-              if (!parsed) throw e;
+              parsed = JSON.parse(jsonStr);
+              break;
+            } catch (inner) {
+              // 忽略单个解析错误，继续尝试下一行
             }
-
-            const content = this.extractContent(parsed);
-
-            resolve({
-              success: true,
-              message: content || '连接成功',
-              model: modelId,
-              latency,
-            });
-          } catch (error) {
-            resolve({
-              success: false,
-              error: '解析失败: ' + error.message,
-              model: modelId,
-              latency,
-            });
           }
-        });
-      });
+        }
+        if (!parsed) throw e;
+      }
 
-      req.on('error', (error) => {
-        const latency = Date.now() - startTime;
-        resolve({
-          success: false,
-          error: '请求失败: ' + error.message,
-          model: modelId,
-          latency,
-        });
-      });
+      const content = this.extractContent(parsed, adapter);
 
-      req.write(payload);
-      req.end();
-    });
+      return {
+        success: true,
+        message: content || '连接成功',
+        model: modelId,
+        latency,
+        attempts,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: '解析失败: ' + error.message,
+        model: modelId,
+        latency,
+        attempts,
+      };
+    }
   }
 
   /**
    * Extracts content from API response
    *
-   * Handles various response formats from different providers.
-   *
    * @param {Object} data - API response data
+   * @param {import('../adapters').Adapter} [adapter] - API adapter (OpenAI-compatible by default)
    * @returns {string|null} Extracted content or null
    */
-  extractContent(data) {
-    if (data.choices?.[0]) {
-      const choice = data.choices[0];
-      return (
-        choice.message?.content ||
-        choice.text ||
-        choice.delta?.content ||
-        JSON.stringify(choice.message)
-      );
-    }
-    return data.response || data.output || data.result || null;
+  extractContent(data, adapter = adapterFor()) {
+    return adapter.extractContent(data);
   }
 }
 
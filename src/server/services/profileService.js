@@ -0,0 +1,259 @@
+/**
+ * Profile Service Module
+ *
+ * Manages named configuration profiles stored next to the OpenCode config
+ * file. A profile is a snapshot of the provider-related keys of the config
+ * that can later be activated back into the live config file.
+ *
+ * @module services/profileService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const configService = require('./configService');
+const encryptionService = require('./encryptionService');
+const Validator = require('../utils/validator');
+const { writeFileAtomic } = require('../utils/atomicFile');
+const Logger = require('../utils/logger');
+
+const logger = new Logger();
+
+/**
+ * Config keys captured in a profile and replaced on activation.
+ * All other top-level keys of the live config are left untouched.
+ * @constant {string[]}
+ */
+const PROFILE_KEYS = ['provider', 'model', 'small_model'];
+
+/** @constant {string} */
+const ACTIVE_FILE = '.active.json';
+
+/**
+ * Stored profile object
+ * @typedef {Object} Profile
+ * @property {string} name - Profile name
+ * @property {string} [description] - Optional description
+ * @property {string} createdAt - ISO timestamp of the first snapshot
+ * @property {string} updatedAt - ISO timestamp of the latest snapshot
+ * @property {Object} config - Snapshot of the provider-related config keys
+ */
+
+/**
+ * Profile summary returned by listProfiles
+ * @typedef {Object} ProfileSummary
+ * @property {string} name - Profile name
+ * @property {string} [description] - Optional description
+ * @property {number} providerCount - Number of providers in the snapshot
+ * @property {string} updatedAt - ISO timestamp of the latest snapshot
+ * @property {boolean} active - Whether this profile is currently active
+ */
+
+/**
+ * Service for managing named configuration profiles
+ *
+ * @class ProfileService
+ */
+class ProfileService {
+  /**
+   * Directory holding the profile files, next to the config file
+   * @type {string}
+   */
+  get profilesDir() {
+    return path.join(path.dirname(configService.configPath), 'profiles');
+  }
+
+  /**
+   * Resolves the file path of a profile
+   *
+   * @param {string} name - Profile name
+   * @returns {string} Absolute path of the profile file
+   * @throws {Error} If the profile name is invalid
+   */
+  getProfilePath(name) {
+    if (!Validator.isValidProfileName(name)) {
+      throw new Error(`无效的 Profile 名称: ${name}`);
+    }
+    return path.join(this.profilesDir, `${name}.json`);
+  }
+
+  /**
+   * Lists all saved profiles
+   *
+   * @returns {ProfileSummary[]} Profile summaries sorted by name
+   */
+  listProfiles() {
+    if (!fs.existsSync(this.profilesDir)) return [];
+
+    const active = this.getActiveProfile();
+
+    return fs
+      .readdirSync(this.profilesDir)
+      .filter((file) => file.endsWith('.json') && !file.startsWith('.'))
+      .map((file) => this.getProfile(path.basename(file, '.json')))
+      .filter(Boolean)
+      .map((profile) => ({
+        name: profile.name,
+        description: profile.description,
+        providerCount: Object.keys(profile.config.provider || {}).length,
+        updatedAt: profile.updatedAt,
+        active: profile.name === active,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Reads a profile with decrypted API keys
+   *
+   * @param {string} name - Profile name
+   * @returns {Profile|null} The profile or null if not found or unreadable
+   */
+  getProfile(name) {
+    try {
+      const filePath = this.getProfilePath(name);
+      if (!fs.existsSync(filePath)) return null;
+
+      const profile = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      profile.config = encryptionService.decryptConfig(profile.config || { provider: {} });
+      return profile;
+    } catch (error) {
+      logger.error('读取 Profile 失败', { name, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Snapshots the current live config as a profile
+   *
+   * Overwrites an existing profile of the same name but keeps its
+   * creation time. Nothing is saved when the config can't be read or
+   * parsed, so a broken file never becomes an empty profile.
+   *
+   * @param {string} name - Profile name
+   * @param {string} [description] - Optional description
+   * @returns {boolean} True if the profile was saved
+   */
+  saveProfile(name, description) {
+    try {
+      const filePath = this.getProfilePath(name);
+      const current = configService.loadConfig(false);
+      const existing = this.getProfile(name);
+      const now = new Date().toISOString();
+
+      const snapshot = {};
+      for (const key of PROFILE_KEYS) {
+        if (current[key] !== undefined) snapshot[key] = current[key];
+      }
+      if (!snapshot.provider) snapshot.provider = {};
+
+      const profile = {
+        name,
+        description: description ?? existing?.description,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        config: encryptionService.encryptConfig(snapshot),
+      };
+
+      fs.mkdirSync(this.profilesDir, { recursive: true });
+      writeFileAtomic(filePath, JSON.stringify(profile, null, 2));
+
+      logger.info('Profile 保存成功', { name });
+      return true;
+    } catch (error) {
+      logger.error('保存 Profile 失败', { name, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Activates a profile into the live config
+   *
+   * Replaces the provider-related keys of the live config with those of the
+   * profile in a single write, keeping every other key as is, and records
+   * the profile as active.
+   *
+   * @param {string} name - Profile name
+   * @returns {boolean} True if the profile was activated, false if not found or on error
+   */
+  activateProfile(name) {
+    const profile = this.getProfile(name);
+    if (!profile) return false;
+
+    const success = configService.updateConfig(
+      (config) => {
+        for (const key of PROFILE_KEYS) {
+          if (profile.config[key] !== undefined) {
+            config[key] = profile.config[key];
+          } else {
+            delete config[key];
+          }
+        }
+        if (!config.provider) config.provider = {};
+      },
+      { action: 'activate-profile', target: name }
+    );
+    if (!success) return false;
+
+    this.setActiveProfile(name);
+    logger.info('Profile 已激活', { name });
+    return true;
+  }
+
+  /**
+   * Deletes a profile
+   *
+   * @param {string} name - Profile name
+   * @returns {boolean} True if the profile was deleted, false if not found
+   */
+  deleteProfile(name) {
+    try {
+      const filePath = this.getProfilePath(name);
+      if (!fs.existsSync(filePath)) return false;
+
+      fs.unlinkSync(filePath);
+      if (this.getActiveProfile() === name) this.setActiveProfile(null);
+
+      logger.info('Profile 已删除', { name });
+      return true;
+    } catch (error) {
+      logger.error('删除 Profile 失败', { name, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Gets the name of the active profile
+   *
+   * @returns {string|null} Active profile name or null if none
+   */
+  getActiveProfile() {
+    try {
+      const state = JSON.parse(fs.readFileSync(path.join(this.profilesDir, ACTIVE_FILE), 'utf-8'));
+      return state.name || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Records the active profile
+   *
+   * @param {string|null} name - Profile name, or null to clear
+   */
+  setActiveProfile(name) {
+    const statePath = path.join(this.profilesDir, ACTIVE_FILE);
+
+    if (!name) {
+      if (fs.existsSync(statePath)) fs.unlinkSync(statePath);
+      return;
+    }
+
+    fs.mkdirSync(this.profilesDir, { recursive: true });
+    fs.writeFileSync(
+      statePath,
+      JSON.stringify({ name, activatedAt: new Date().toISOString() }, null, 2),
+      'utf-8'
+    );
+  }
+}
+
+module.exports = new ProfileService();
@@ -0,0 +1,396 @@
+/**
+ * Secret Migration Service Module
+ *
+ * Re-encrypts every stored API key — in the config file, the history
+ * versions and the profiles — under a different secret backend or a new
+ * key. The migration is all-or-nothing: every key is decrypted in memory
+ * before anything is written, the affected files and key material are
+ * backed up, every value is verified after the write, and the backup is
+ * restored on any failure. The backup holds the old keys and key material,
+ * so it is deleted once the migration has been verified or rolled back, and
+ * only kept (with a warning) when rolling back failed.
+ *
+ * @module services/secretMigrationService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const configService = require('./configService');
+const encryptionService = require('./encryptionService');
+const profileService = require('./profileService');
+const { BACKENDS, backendOf, SecretError } = require('../secrets');
+const { isReference } = require('../utils/references');
+const { isEqual } = require('../utils/diff');
+const jsonc = require('../utils/jsonc');
+const { writeFileAtomic, withFileLock } = require('../utils/atomicFile');
+const Logger = require('../utils/logger');
+
+const logger = new Logger();
+
+/**
+ * Migration options
+ * @typedef {Object} MigrationOptions
+ * @property {string} [backend] - Target backend (default: the active one, re-encrypting values written with others)
+ * @property {boolean} [rotate=false] - Replace the key of the target backend (keyfile, passphrase)
+ * @property {string} [passphrase] - Passphrase backend: the new passphrase when rotating or setting it up, otherwise used to unlock
+ */
+
+/**
+ * Migration result
+ * @typedef {Object} MigrationResult
+ * @property {boolean} success - Always true (failures throw)
+ * @property {string} backend - Backend the keys are now stored with
+ * @property {boolean} rotated - Whether the key was replaced
+ * @property {string[]} files - Migrated files, relative to the config directory
+ * @property {number} keys - Number of API keys stored with the backend
+ */
+
+/**
+ * A file holding API keys
+ * @typedef {Object} SecretDocument
+ * @property {string} file - Absolute path
+ * @property {string} label - Path relative to the config directory
+ * @property {'config'|'entry'} kind - The config file, or a JSON history/profile entry with a `config` key
+ * @property {string} content - Content before the migration
+ * @property {Object} config - Configuration in its stored form
+ * @property {Object} [plain] - Configuration with decrypted API keys
+ */
+
+/**
+ * Service for moving stored API keys between secret backends and keys
+ *
+ * @class SecretMigrationService
+ */
+class SecretMigrationService {
+  /**
+   * Directory holding the config file, history and profiles
+   * @type {string}
+   */
+  get baseDir() {
+    return path.dirname(configService.configPath);
+  }
+
+  /**
+   * Migrates all stored API keys
+   *
+   * Holds the config lock for the whole migration.
+   *
+   * @param {MigrationOptions} [options={}] - Target backend and key rotation
+   * @returns {MigrationResult}
+   * @throws {SecretError} If a key can't be decrypted beforehand (nothing is changed), or the
+   *   migration failed and was rolled back
+   */
+  migrate({ backend = encryptionService.backend, rotate = false, passphrase } = {}) {
+    if (!BACKENDS.includes(backend)) {
+      throw new SecretError(`未知的密钥存储方式: ${backend}（可选 ${BACKENDS.join('/')}）`);
+    }
+    if (rotate && !['keyfile', 'passphrase'].includes(backend)) {
+      throw new SecretError(`${backend} 方式没有可轮换的密钥`);
+    }
+
+    return withFileLock(configService.configPath, () => {
+      const documents = this.readDocuments();
+      this.decryptDocuments(documents, backend);
+
+      const backup = this.backup(documents);
+      const state = encryptionService.saveState();
+
+      try {
+        encryptionService.setBackend(backend);
+        if (rotate) {
+          encryptionService.rotateKey(passphrase);
+        } else if (passphrase && backend === 'passphrase' && encryptionService.isLocked()) {
+          encryptionService.unlock(passphrase);
+        }
+
+        const liveKeys = this.getLiveKeys(documents);
+        for (const document of documents) {
+          this.writeDocument(document, this.encryptDocument(document, backend, liveKeys));
+        }
+        for (const document of documents) {
+          this.verifyDocument(document, backend);
+        }
+      } catch (error) {
+        const restored = this.rollback(backup);
+        encryptionService.restoreState(state);
+        if (!restored) {
+          logger.warn('部分文件未能恢复，备份已保留（含旧的 API Key 和密钥，恢复后请删除）', { dir: backup.dir });
+          throw new SecretError(
+            `迁移失败，部分文件未能恢复，请从 ${backup.dir} 手动恢复: ${error.message}`,
+            error.details || []
+          );
+        }
+        this.removeBackup(backup);
+        logger.error('API Key 迁移失败，已回滚', { error: error.message });
+        throw new SecretError(`迁移失败，已恢复原文件: ${error.message}`, error.details || []);
+      }
+
+      this.removeBackup(backup);
+      const keys = documents.reduce((count, document) => count + this.countKeys(document.plain), 0);
+      logger.info('API Key 迁移完成', { backend, rotate, files: documents.length, keys });
+
+      return {
+        success: true,
+        backend,
+        rotated: rotate,
+        files: documents.map((document) => document.label),
+        keys,
+      };
+    });
+  }
+
+  /**
+   * Reads every file that may hold API keys
+   *
+   * @returns {SecretDocument[]}
+   * @throws {SecretError} If a file can't be parsed
+   */
+  readDocuments() {
+    const files = [
+      { file: configService.configPath, kind: 'config' },
+      ...configService.history
+        .getVersionNumbers()
+        .map((version) => ({ file: configService.history.getEntryPath(version), kind: 'entry' })),
+      ...this.listProfileFiles().map((file) => ({ file, kind: 'entry' })),
+    ];
+    const documents = [];
+    const failures = [];
+
+    for (const { file, kind } of files) {
+      if (!fs.existsSync(file)) continue;
+
+      const label = path.relative(this.baseDir, file);
+      try {
+        const content = fs.readFileSync(file, 'utf-8');
+        const config = kind === 'config' ? jsonc.parse(content) : JSON.parse(content).config;
+        documents.push({ file, label, kind, content, config: config || { provider: {} } });
+      } catch (error) {
+        failures.push(`${label}: ${error.message}`);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new SecretError(`无法读取以下文件，未做任何修改 — ${failures.join('; ')}`, failures);
+    }
+    return documents;
+  }
+
+  /**
+   * Lists the profile files
+   *
+   * @returns {string[]} Absolute paths
+   */
+  listProfileFiles() {
+    const dir = profileService.profilesDir;
+    if (!fs.existsSync(dir)) return [];
+
+    return fs
+      .readdirSync(dir)
+      .filter((file) => file.endsWith('.json') && !file.startsWith('.'))
+      .map((file) => path.join(dir, file));
+  }
+
+  /**
+   * Decrypts the API keys of every document into `plain`
+   *
+   * Keys held by the command backend are fetched, unless that is the
+   * target, in which case they stay references.
+   *
+   * @param {SecretDocument[]} documents - Documents (modified in place)
+   * @param {string} backend - Target backend
+   * @throws {SecretError} Listing every key that can't be decrypted
+   */
+  decryptDocuments(documents, backend) {
+    const failures = [];
+
+    for (const document of documents) {
+      try {
+        document.plain = this.decrypt(document.config, backend);
+      } catch (error) {
+        failures.push(...(error.details || [error.message]).map((detail) => `${document.label}: ${detail}`));
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new SecretError(`无法解密以下 API Key，未做任何修改 — ${failures.join('; ')}`, failures);
+    }
+  }
+
+  /**
+   * Decrypts the API keys of a configuration for migrating to a backend
+   *
+   * @param {Object} config - Configuration in its stored form
+   * @param {string} backend - Target backend
+   * @returns {Object}
+   */
+  decrypt(config, backend) {
+    return backend === 'command' ? encryptionService.decryptConfig(config) : encryptionService.resolveConfig(config);
+  }
+
+  /**
+   * Plaintext API keys of the live config, by provider ID
+   *
+   * @param {SecretDocument[]} documents - Decrypted documents
+   * @returns {Object.<string, string>}
+   */
+  getLiveKeys(documents) {
+    const live = documents.find((document) => document.kind === 'config');
+    const config = live ? encryptionService.resolveConfig(live.plain) : { provider: {} };
+
+    return Object.fromEntries(
+      Object.entries(config.provider || {})
+        .filter(([, provider]) => provider && provider.options && provider.options.apiKey)
+        .map(([id, provider]) => [id, provider.options.apiKey])
+    );
+  }
+
+  /**
+   * Encrypts the API keys of a document with the active backend
+   *
+   * The command backend stores keys under the provider ID. History versions
+   * and profiles holding a different key than the live config for the same
+   * provider use `<id>@<file>` (e.g. `openai@history-3`) instead, so they
+   * don't overwrite the live secret.
+   *
+   * @param {SecretDocument} document - Decrypted document
+   * @param {string} backend - Target backend
+   * @param {Object.<string, string>} liveKeys - Plaintext keys of the live config
+   * @returns {Object} Configuration in its new stored form
+   */
+  encryptDocument(document, backend, liveKeys) {
+    if (backend !== 'command' || document.kind === 'config') {
+      return encryptionService.encryptConfig(document.plain);
+    }
+
+    const tag = document.label.replace(/\.json$/, '').replace(/[^A-Za-z0-9]+/g, '-');
+    return encryptionService.mapKeys(document.plain, (apiKey, id) =>
+      encryptionService.encrypt(apiKey, liveKeys[id] === apiKey ? id : `${id}@${tag}`)
+    );
+  }
+
+  /**
+   * Copies the documents and the key material to a new backup directory
+   *
+   * Files are restored from the copies held in memory on rollback; key files
+   * that didn't exist yet are removed instead. The directory is only needed
+   * if that fails.
+   *
+   * @param {SecretDocument[]} documents - Documents to back up
+   * @returns {{dir: string, entries: {file: string, content: (Buffer|null)}[]}}
+   */
+  backup(documents) {
+    const dir = path.join(this.baseDir, 'backups', `secrets-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+    const { keyPath, passphrasePath } = encryptionService.getBackendOptions();
+    const entries = [
+      ...documents.map((document) => ({ file: document.file, label: document.label })),
+      { file: keyPath, label: path.join('keys', path.basename(keyPath)) },
+      { file: passphrasePath, label: path.join('keys', path.basename(passphrasePath)) },
+    ].map(({ file, label }) => ({ file, label, content: fs.existsSync(file) ? fs.readFileSync(file) : null }));
+
+    for (const { label, content } of entries) {
+      if (content === null) continue;
+      const target = path.join(dir, label);
+      fs.mkdirSync(path.dirname(target), { recursive: true, mode: 0o700 });
+      fs.writeFileSync(target, content, { mode: 0o600 });
+    }
+
+    logger.info('已备份 API Key 相关文件', { dir });
+    return { dir, entries };
+  }
+
+  /**
+   * Writes a document with re-encrypted API keys
+   *
+   * The config file is edited in place so comments survive.
+   *
+   * @param {SecretDocument} document - Document
+   * @param {Object} encrypted - Configuration in its new stored form
+   */
+  writeDocument(document, encrypted) {
+    if (document.kind === 'config') {
+      configService.writeRawContent(configService.formatContent(encrypted));
+    } else {
+      const entry = JSON.parse(document.content);
+      writeFileAtomic(document.file, JSON.stringify({ ...entry, config: encrypted }, null, 2));
+    }
+  }
+
+  /**
+   * Checks that a written document resolves to the same keys and uses the target backend
+   *
+   * @param {SecretDocument} document - Document
+   * @param {string} backend - Target backend
+   * @throws {SecretError} If a value doesn't match
+   */
+  verifyDocument(document, backend) {
+    const content = fs.readFileSync(document.file, 'utf-8');
+    const stored = document.kind === 'config' ? jsonc.parse(content) : JSON.parse(content).config;
+
+    if (!isEqual(encryptionService.resolveConfig(stored), encryptionService.resolveConfig(document.plain))) {
+      throw new SecretError(`${document.label} 校验失败：解密结果与迁移前不一致`);
+    }
+
+    const expected = backend === 'plaintext' ? null : backend;
+    for (const [id, provider] of Object.entries(stored.provider || {})) {
+      const apiKey = provider && provider.options && provider.options.apiKey;
+      if (!apiKey || isReference(apiKey) || backendOf(apiKey) === expected) continue;
+      throw new SecretError(`${document.label} 校验失败：Provider "${id}" 的 API Key 未以 ${backend} 方式存储`);
+    }
+  }
+
+  /**
+   * Deletes a backup directory
+   *
+   * A backup that can't be deleted is kept with a warning, as it holds the
+   * old API keys and key material.
+   *
+   * @param {{dir: string}} backup - Backup from `backup`
+   */
+  removeBackup({ dir }) {
+    try {
+      fs.rmSync(dir, { recursive: true, force: true });
+    } catch (error) {
+      logger.warn('无法删除备份，其中含有旧的 API Key 和密钥，请手动删除', { dir, error: error.message });
+    }
+  }
+
+  /**
+   * Restores the backed-up files
+   *
+   * @param {{entries: {file: string, content: (Buffer|null)}[]}} backup - Backup from `backup`
+   * @returns {boolean} Whether every file was restored
+   */
+  rollback({ entries }) {
+    let restored = true;
+    for (const { file, content } of entries) {
+      try {
+        if (content === null) {
+          if (fs.existsSync(file)) fs.unlinkSync(file);
+        } else if (file === configService.configPath) {
+          configService.writeRawContent(content.toString('utf-8'));
+        } else {
+          writeFileAtomic(file, content);
+        }
+      } catch (error) {
+        logger.error('恢复文件失败', { file, error: error.message });
+        restored = false;
+      }
+    }
+    return restored;
+  }
+
+  /**
+   * Counts the API keys stored with a backend (not references)
+   *
+   * @param {Object} config - Configuration with decrypted API keys
+   * @returns {number}
+   */
+  countKeys(config) {
+    return Object.values((config && config.provider) || {}).filter((provider) => {
+      const apiKey = provider && provider.options && provider.options.apiKey;
+      return apiKey && !isReference(apiKey);
+    }).length;
+  }
+}
+
+module.exports = new SecretMigrationService();
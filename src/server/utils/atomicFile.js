@@ -0,0 +1,398 @@
+/**
+ * Atomic File Utility
+ *
+ * Provides crash-safe file replacement (temp file + fsync + rename) and an
+ * advisory lock file so that several processes can serialize their
+ * read-modify-write cycles on the same file. The lock can be waited for
+ * synchronously (CLI) or asynchronously (server).
+ *
+ * @module utils/atomicFile
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/** @constant {number} Mode for files that don't exist yet */
+const DEFAULT_MODE = 0o600;
+
+/** @constant {number} */
+const LOCK_TIMEOUT = 10000;
+
+/** @constant {number} Locks of an owner that can't be checked are considered abandoned after this */
+const LOCK_STALE = 30000;
+
+/** @constant {number} */
+const LOCK_RETRY_INTERVAL = 50;
+
+/**
+ * Locks held by this process, for reentrancy: nesting depth, token written
+ * to the lock file and the timer refreshing it
+ * @type {Map<string, {count: number, token: string, heartbeat: NodeJS.Timeout|null}>}
+ */
+const heldLocks = new Map();
+
+/**
+ * Blocks the thread; only the synchronous wait of withFileLock uses it
+ *
+ * @param {number} ms - Milliseconds
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Writes a file atomically
+ *
+ * The content is written to a temporary file in the same directory, flushed
+ * to disk and renamed over the target, so readers see either the old or the
+ * new content. The mode and ownership of an existing target are preserved.
+ *
+ * @param {string} filePath - Target file path
+ * @param {string|Buffer} content - File content
+ * @param {Object} [options={}]
+ * @param {number} [options.mode] - Mode for a new file (default 0600)
+ */
+function writeFileAtomic(filePath, content, options = {}) {
+  const dir = path.dirname(filePath);
+  const tmpPath = path.join(
+    dir,
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+
+  let stat = null;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const mode = stat ? stat.mode & 0o7777 : options.mode || DEFAULT_MODE;
+
+  try {
+    const fd = fs.openSync(tmpPath, 'wx', mode);
+    try {
+      fs.writeFileSync(fd, content, 'utf-8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.chmodSync(tmpPath, mode);
+    if (stat && process.platform !== 'win32') {
+      try {
+        fs.chownSync(tmpPath, stat.uid, stat.gid);
+      } catch (error) {
+        // 非 root 用户无法修改属主，保留当前用户即可
+        if (error.code !== 'EPERM') throw error;
+      }
+    }
+
+    fs.renameSync(tmpPath, filePath);
+  } catch (error) {
+    try {
+      fs.unlinkSync(tmpPath);
+    } catch (e) {
+      // 临时文件可能尚未创建
+    }
+    throw error;
+  }
+
+  if (process.platform !== 'win32') {
+    try {
+      const dirFd = fs.openSync(dir, 'r');
+      try {
+        fs.fsyncSync(dirFd);
+      } finally {
+        fs.closeSync(dirFd);
+      }
+    } catch (e) {
+      // 部分文件系统不支持对目录 fsync
+    }
+  }
+}
+
+/**
+ * Contents of a lock file
+ * @typedef {Object} LockOwner
+ * @property {number} pid - Process holding the lock
+ * @property {string} hostname - Host of that process
+ * @property {string} token - Random value identifying this acquisition
+ * @property {string} createdAt - When the lock was taken
+ */
+
+/**
+ * Reads a lock file
+ *
+ * @param {string} lockPath - Lock file path
+ * @returns {{content: string, owner: LockOwner|null}|null} Null if there is no lock file
+ */
+function readLock(lockPath) {
+  let content;
+  try {
+    content = fs.readFileSync(lockPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  try {
+    const owner = JSON.parse(content);
+    return { content, owner: owner && typeof owner === 'object' ? owner : null };
+  } catch (error) {
+    // 锁文件刚创建、尚未写入内容
+    return { content, owner: null };
+  }
+}
+
+/**
+ * Checks whether an existing lock file has been abandoned
+ *
+ * The owner is checked first: the lock of a live process on this host is
+ * never stale however long it is held, and that of a dead process always
+ * is. Only locks whose owner can't be checked (other hosts, or a lock file
+ * still being written) are judged by their age.
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {LockOwner|null} owner - Contents of the lock file
+ * @param {number} staleAfter - Age in milliseconds after which such a lock is stale
+ * @returns {boolean}
+ */
+function isStaleLock(lockPath, owner, staleAfter) {
+  if (owner && owner.hostname === os.hostname() && Number.isInteger(owner.pid) && owner.pid > 0) {
+    try {
+      process.kill(owner.pid, 0);
+      return false;
+    } catch (error) {
+      // ESRCH: 持有锁的进程已退出；EPERM: 进程仍在运行，只是属于其他用户
+      return error.code === 'ESRCH';
+    }
+  }
+
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > staleAfter;
+  } catch (error) {
+    // ENOENT: 锁已被释放
+    return error.code === 'ENOENT';
+  }
+}
+
+/**
+ * Creates the lock file if it doesn't exist
+ *
+ * @param {string} lockPath - Lock file path
+ * @returns {string|null} Token of the new lock, or null if the file exists
+ */
+function createLock(lockPath) {
+  let fd;
+  try {
+    fd = fs.openSync(lockPath, 'wx', 0o600);
+  } catch (error) {
+    if (error.code === 'EEXIST') return null;
+    throw error;
+  }
+
+  const token = crypto.randomBytes(8).toString('hex');
+  try {
+    fs.writeFileSync(
+      fd,
+      JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        token,
+        createdAt: new Date().toISOString(),
+      })
+    );
+  } finally {
+    fs.closeSync(fd);
+  }
+  return token;
+}
+
+/**
+ * Removes an abandoned lock
+ *
+ * The lock file is first renamed away, which only one of several processes
+ * taking over the same lock can do. If what was renamed is no longer the
+ * abandoned lock (another process took over first and created its own), it
+ * is put back.
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {string} content - Contents of the abandoned lock file
+ */
+function removeStaleLock(lockPath, content) {
+  const claimed = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    fs.renameSync(lockPath, claimed);
+  } catch (error) {
+    // 其他进程已移除该锁
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  if (fs.readFileSync(claimed, 'utf-8') !== content) {
+    try {
+      fs.linkSync(claimed, lockPath);
+    } catch (error) {
+      // 已有更新的锁；被移走的锁的持有者在释放时会发现锁已不属于它
+    }
+  }
+  fs.unlinkSync(claimed);
+}
+
+/**
+ * Tries once to take the lock, taking over an abandoned one
+ *
+ * @param {string} lockPath - Lock file path
+ * @param {number} stale - Age after which a lock of an unknown owner is abandoned
+ * @returns {string|null} Token of the new lock, or null if another owner holds it
+ */
+function tryAcquire(lockPath, stale) {
+  const token = createLock(lockPath);
+  if (token) return token;
+
+  const lock = readLock(lockPath);
+  if (lock && !isStaleLock(lockPath, lock.owner, stale)) return null;
+  if (lock) removeStaleLock(lockPath, lock.content);
+  return createLock(lockPath);
+}
+
+/**
+ * Gives up a lock held by this process
+ *
+ * The lock file is only removed if it is still ours, so a lock taken over
+ * in the meantime is left alone.
+ *
+ * @param {string} lockPath - Lock file path
+ */
+function releaseLock(lockPath) {
+  const held = heldLocks.get(lockPath);
+  heldLocks.delete(lockPath);
+  if (held.heartbeat) clearInterval(held.heartbeat);
+
+  try {
+    const lock = readLock(lockPath);
+    if (lock && lock.owner && lock.owner.token === held.token) fs.unlinkSync(lockPath);
+  } catch (e) {
+    // 锁文件已被移除
+  }
+}
+
+/**
+ * Runs a function while holding an advisory lock on a file
+ *
+ * The lock is a `<file>.lock` file created exclusively. Other processes
+ * using this function wait for it to be released; locks left behind by
+ * dead processes are taken over. Nested calls in the same process for the
+ * same file, and calls while acquireFileLock holds the lock, are reentrant.
+ *
+ * Waiting blocks the thread, so servers take the lock with acquireFileLock
+ * before they get here.
+ *
+ * @template T
+ * @param {string} filePath - File to lock
+ * @param {function(): T} fn - Function to run while holding the lock
+ * @param {Object} [options={}]
+ * @param {number} [options.timeout=LOCK_TIMEOUT] - Maximum wait in milliseconds
+ * @param {number} [options.stale=LOCK_STALE] - Age after which a lock of an unknown owner is considered abandoned
+ * @returns {T} The function's return value
+ * @throws {Error} If the lock cannot be acquired within the timeout
+ */
+function withFileLock(filePath, fn, options = {}) {
+  const lockPath = `${filePath}.lock`;
+  const held = heldLocks.get(lockPath);
+
+  if (held) {
+    held.count++;
+    try {
+      return fn();
+    } finally {
+      held.count--;
+    }
+  }
+
+  const timeout = options.timeout ?? LOCK_TIMEOUT;
+  const stale = options.stale ?? LOCK_STALE;
+  const deadline = Date.now() + timeout;
+
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+  let token;
+  while (!(token = tryAcquire(lockPath, stale))) {
+    if (Date.now() >= deadline) {
+      throw new Error(`获取文件锁超时: ${lockPath}`);
+    }
+    sleep(LOCK_RETRY_INTERVAL);
+  }
+
+  heldLocks.set(lockPath, { count: 1, token, heartbeat: null });
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+/**
+ * Acquires the advisory lock on a file without blocking the event loop
+ *
+ * Waits between attempts with timers, so a server keeps serving other
+ * requests while another process holds the lock. Until the returned
+ * function is called, withFileLock calls for the same file in this process
+ * re-enter the lock instead of waiting. The lock file's time is refreshed
+ * while it is held, so processes on other hosts don't take it over.
+ *
+ * @param {string} filePath - File to lock
+ * @param {Object} [options={}]
+ * @param {number} [options.timeout=LOCK_TIMEOUT] - Maximum wait in milliseconds
+ * @param {number} [options.stale=LOCK_STALE] - Age after which a lock of an unknown owner is considered abandoned
+ * @returns {Promise<function(): void>} Releases the lock; further calls do nothing
+ * @throws {Error} If the lock cannot be acquired within the timeout
+ */
+async function acquireFileLock(filePath, options = {}) {
+  const lockPath = `${filePath}.lock`;
+  const timeout = options.timeout ?? LOCK_TIMEOUT;
+  const stale = options.stale ?? LOCK_STALE;
+  const deadline = Date.now() + timeout;
+
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+  for (;;) {
+    const held = heldLocks.get(lockPath);
+    if (held) {
+      held.count++;
+      break;
+    }
+
+    const token = tryAcquire(lockPath, stale);
+    if (token) {
+      const heartbeat = setInterval(() => {
+        try {
+          const now = new Date();
+          fs.utimesSync(lockPath, now, now);
+        } catch (e) {
+          // 锁文件已被移除
+        }
+      }, stale / 3);
+      heartbeat.unref();
+      heldLocks.set(lockPath, { count: 1, token, heartbeat });
+      break;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`获取文件锁超时: ${lockPath}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+  }
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+
+    const held = heldLocks.get(lockPath);
+    if (--held.count === 0) releaseLock(lockPath);
+  };
+}
+
+module.exports = { writeFileAtomic, withFileLock, acquireFileLock };
@@ -0,0 +1,108 @@
+/**
+ * Structural Diff Utility
+ *
+ * Computes a flat list of changes between two JSON-compatible values.
+ * Objects are compared key by key; arrays and primitives are compared
+ * as whole values.
+ *
+ * @module utils/diff
+ */
+
+/**
+ * A single change between two values
+ * @typedef {Object} Change
+ * @property {'added'|'removed'|'changed'} type - Kind of change
+ * @property {string[]} path - Key path of the changed value
+ * @property {*} [from] - Previous value (changed/removed)
+ * @property {*} [to] - New value (added/changed)
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether two JSON-compatible values are structurally equal
+ *
+ * Object keys may be in any order; keys holding `undefined` count as
+ * absent, as they would in JSON.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, index) => isEqual(item, b[index]))
+    );
+  }
+  if (!isPlainObject(a) || !isPlainObject(b)) return false;
+
+  const keys = Object.keys(a).filter((key) => a[key] !== undefined);
+  return (
+    keys.length === Object.keys(b).filter((key) => b[key] !== undefined).length &&
+    keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]))
+  );
+}
+
+/**
+ * Computes the structural diff between two values
+ *
+ * @param {*} from - Previous value
+ * @param {*} to - New value
+ * @param {string[]} [basePath=[]] - Key path prefix
+ * @returns {Change[]} List of changes, in key order
+ */
+function diff(from, to, basePath = []) {
+  if (!isPlainObject(from) || !isPlainObject(to)) {
+    if (isEqual(from, to)) return [];
+    return [{ type: 'changed', path: basePath, from, to }];
+  }
+
+  const changes = [];
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  for (const key of keys) {
+    const keyPath = [...basePath, key];
+
+    if (!(key in to)) {
+      changes.push({ type: 'removed', path: keyPath, from: from[key] });
+    } else if (!(key in from)) {
+      changes.push({ type: 'added', path: keyPath, to: to[key] });
+    } else {
+      changes.push(...diff(from[key], to[key], keyPath));
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Summarizes provider-level changes between two configs
+ *
+ * @param {Object} from - Previous config
+ * @param {Object} to - New config
+ * @returns {{added: string[], removed: string[], changed: string[]}} Provider IDs per change kind
+ */
+function summarizeProviders(from, to) {
+  const before = (from && from.provider) || {};
+  const after = (to && to.provider) || {};
+  const summary = { added: [], removed: [], changed: [] };
+
+  for (const id of Object.keys(after)) {
+    if (!(id in before)) summary.added.push(id);
+    else if (!isEqual(before[id], after[id])) summary.changed.push(id);
+  }
+  for (const id of Object.keys(before)) {
+    if (!(id in after)) summary.removed.push(id);
+  }
+
+  return summary;
+}
+
+module.exports = { diff, summarizeProviders, isEqual };
@@ -0,0 +1,31 @@
+/**
+ * ETag Utility
+ *
+ * Converts config revisions to and from HTTP entity tags, for the
+ * `ETag` response header and the `If-Match` request header.
+ *
+ * @module utils/etag
+ */
+
+/**
+ * Formats a revision as a strong entity tag
+ *
+ * @param {string} revision - Config revision
+ * @returns {string} Quoted entity tag
+ */
+function formatETag(revision) {
+  return `"${revision}"`;
+}
+
+/**
+ * Parses an If-Match header into revisions
+ *
+ * @param {string|undefined} header - Raw header value
+ * @returns {string[]|null} Revisions (weak prefix and quotes removed), or null if absent
+ */
+function parseIfMatch(header) {
+  if (!header) return null;
+  return header.split(',').map((tag) => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'));
+}
+
+module.exports = { formatETag, parseIfMatch };
@@ -0,0 +1,191 @@
+/**
+ * JSON Patch Utility
+ *
+ * Applies RFC 6902 JSON Patch operations (add, remove, replace, move, copy,
+ * test) to JSON documents. Paths are RFC 6901 JSON Pointers, so keys
+ * containing `/` or `~` are written as `~1` and `~0`.
+ *
+ * @module utils/jsonPatch
+ */
+
+const { isEqual } = require('./diff');
+
+/**
+ * A single JSON Patch operation
+ * @typedef {Object} PatchOperation
+ * @property {'add'|'remove'|'replace'|'move'|'copy'|'test'} op - Operation
+ * @property {string} path - Target JSON Pointer
+ * @property {string} [from] - Source JSON Pointer (move/copy)
+ * @property {*} [value] - Value (add/replace/test)
+ */
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Parses a JSON Pointer into reference tokens
+ *
+ * @param {string} pointer - JSON Pointer ('' for the whole document)
+ * @returns {string[]} Unescaped tokens
+ * @throws {Error} If the pointer is malformed
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new Error(`无效的 JSON Pointer: ${pointer}`);
+  }
+  if (pointer === '') return [];
+
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => {
+      const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (key === '__proto__') throw new Error(`不允许的路径: ${pointer}`);
+      return key;
+    });
+}
+
+/**
+ * Resolves an array index token
+ *
+ * @param {Array} array - Target array
+ * @param {string} token - Index token
+ * @param {boolean} allowEnd - Whether '-' and length (append position) are allowed
+ * @param {string} pointer - Full pointer for error messages
+ * @returns {number}
+ */
+function arrayIndex(array, token, allowEnd, pointer) {
+  if (token === '-' && allowEnd) return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) throw new Error(`无效的数组下标: ${pointer}`);
+
+  const index = parseInt(token, 10);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new Error(`数组下标越界: ${pointer}`);
+  }
+  return index;
+}
+
+/**
+ * Resolves the parent container and last token of a pointer
+ *
+ * @returns {{parent: Object|Array, key: string}}
+ */
+function resolveParent(document, pointer) {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+  let parent = document;
+
+  for (const token of tokens) {
+    if (!isContainer(parent)) throw new Error(`路径不存在: ${pointer}`);
+    parent = Array.isArray(parent) ? parent[arrayIndex(parent, token, false, pointer)] : parent[token];
+  }
+  if (!isContainer(parent)) throw new Error(`路径不存在: ${pointer}`);
+
+  return { parent, key };
+}
+
+function getValue(document, pointer) {
+  if (pointer === '') return document;
+
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) return parent[arrayIndex(parent, key, false, pointer)];
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) throw new Error(`路径不存在: ${pointer}`);
+  return parent[key];
+}
+
+function addValue(document, pointer, value) {
+  if (pointer === '') return value;
+
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, true, pointer), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+}
+
+function removeValue(document, pointer) {
+  if (pointer === '') throw new Error('不能删除整个文档');
+
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, false, pointer), 1);
+  } else {
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) throw new Error(`路径不存在: ${pointer}`);
+    delete parent[key];
+  }
+  return document;
+}
+
+/**
+ * Operation handlers; each mutates the document and returns the result
+ * (a new value only when the whole document is replaced)
+ * @type {Object.<string, function(*, PatchOperation): *>}
+ */
+const handlers = {
+  add: (document, { path, value }) => addValue(document, path, clone(value)),
+
+  remove: (document, { path }) => removeValue(document, path),
+
+  replace: (document, { path, value }) => {
+    getValue(document, path);
+    if (path === '') return clone(value);
+    return addValue(removeValue(document, path), path, clone(value));
+  },
+
+  move: (document, { path, from }) => {
+    if (path === from) return document;
+    if (path.startsWith(`${from}/`)) throw new Error(`不能将 ${from} 移动到其子路径`);
+
+    const value = getValue(document, from);
+    return addValue(removeValue(document, from), path, value);
+  },
+
+  copy: (document, { path, from }) => addValue(document, path, clone(getValue(document, from))),
+
+  test: (document, { path, value }) => {
+    if (!isEqual(getValue(document, path), value)) {
+      throw new Error(`test 失败: ${path}`);
+    }
+    return document;
+  },
+};
+
+/**
+ * Applies a JSON Patch to a document
+ *
+ * Operations are applied in order to a copy of the document; if any of them
+ * fails the whole patch fails and the input is left untouched.
+ *
+ * @param {*} document - Source document
+ * @param {PatchOperation[]} operations - Patch operations
+ * @returns {*} Patched copy of the document
+ * @throws {Error} If an operation cannot be applied, with its index in the message
+ */
+function applyPatch(document, operations) {
+  let result = clone(document);
+
+  operations.forEach((operation, index) => {
+    try {
+      if (!Object.prototype.hasOwnProperty.call(handlers, operation.op)) {
+        throw new Error('不支持的操作');
+      }
+      result = handlers[operation.op](result, operation);
+    } catch (error) {
+      throw new Error(`操作 #${index} (${operation.op} ${operation.path}) 失败: ${error.message}`);
+    }
+  });
+
+  return result;
+}
+
+/** @constant {string[]} */
+const OPERATIONS = Object.keys(handlers);
+
+module.exports = { OPERATIONS, applyPatch, parsePointer };
@@ -0,0 +1,456 @@
+/**
+ * JSONC Utility
+ *
+ * Parses JSON with comments and trailing commas, and edits JSONC text in
+ * place so that comments, key order and formatting of untouched parts are
+ * preserved. Edits are computed as a structural diff between the current
+ * text and the desired value, and applied as minimal text replacements.
+ *
+ * @module utils/jsonc
+ */
+const { diff } = require('./diff');
+
+/**
+ * Syntax tree node
+ * @typedef {Object} JsoncNode
+ * @property {'object'|'array'|'string'|'number'|'boolean'|'null'} type - Value type
+ * @property {number} offset - Start offset in the text
+ * @property {number} end - End offset (exclusive)
+ * @property {*} [value] - Parsed value of primitive nodes
+ * @property {JsoncProperty[]} [properties] - Properties of object nodes
+ * @property {JsoncNode[]} [items] - Items of array nodes
+ */
+
+/**
+ * Object property in the syntax tree
+ * @typedef {Object} JsoncProperty
+ * @property {string} key - Property key
+ * @property {number} offset - Offset of the key
+ * @property {JsoncNode} value - Value node
+ * @property {number} [commaOffset] - Offset of the comma following the value, if any
+ */
+
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Builds a syntax error with line and column information
+ *
+ * @param {string} text - Source text
+ * @param {number} pos - Error offset
+ * @param {string} message - Error description
+ * @returns {SyntaxError}
+ */
+function syntaxError(text, pos, message) {
+  const before = text.slice(0, pos).split('\n');
+  const line = before.length;
+  const column = before[before.length - 1].length + 1;
+  const error = new SyntaxError(`JSONC 解析失败 (第 ${line} 行, 第 ${column} 列): ${message}`);
+  error.offset = pos;
+  return error;
+}
+
+/**
+ * Parses JSONC text into a syntax tree
+ *
+ * @param {string} text - JSONC text
+ * @returns {JsoncNode} Root node
+ * @throws {SyntaxError} If the text is not valid JSONC
+ */
+function parseTree(text) {
+  let pos = 0;
+
+  const skipTrivia = () => {
+    for (;;) {
+      while (pos < text.length && /\s/.test(text[pos])) pos++;
+
+      if (text.startsWith('//', pos)) {
+        while (pos < text.length && text[pos] !== '\n') pos++;
+      } else if (text.startsWith('/*', pos)) {
+        const close = text.indexOf('*/', pos + 2);
+        if (close === -1) throw syntaxError(text, pos, '注释未闭合');
+        pos = close + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const parseString = () => {
+    const start = pos;
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      pos += text[pos] === '\\' ? 2 : 1;
+    }
+    if (pos >= text.length) throw syntaxError(text, start, '字符串未闭合');
+    pos++;
+
+    try {
+      return { type: 'string', offset: start, end: pos, value: JSON.parse(text.slice(start, pos)) };
+    } catch (error) {
+      throw syntaxError(text, start, '无效的字符串');
+    }
+  };
+
+  const parseValue = () => {
+    skipTrivia();
+    const start = pos;
+    const ch = text[pos];
+
+    if (ch === '{') return parseObject();
+    if (ch === '[') return parseArray();
+    if (ch === '"') return parseString();
+
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(literal, pos)) {
+        pos += literal.length;
+        return { type: value === null ? 'null' : 'boolean', offset: start, end: pos, value };
+      }
+    }
+
+    NUMBER_PATTERN.lastIndex = pos;
+    const match = NUMBER_PATTERN.exec(text);
+    if (match) {
+      pos += match[0].length;
+      return { type: 'number', offset: start, end: pos, value: Number(match[0]) };
+    }
+
+    throw syntaxError(text, pos, pos >= text.length ? '意外的文件结尾' : `意外的字符 "${ch}"`);
+  };
+
+  const parseObject = () => {
+    const node = { type: 'object', offset: pos, end: 0, properties: [] };
+    pos++;
+    skipTrivia();
+
+    while (text[pos] !== '}') {
+      if (text[pos] !== '"') throw syntaxError(text, pos, '应为属性名或 "}"');
+      const keyNode = parseString();
+      skipTrivia();
+      if (text[pos] !== ':') throw syntaxError(text, pos, '应为 ":"');
+      pos++;
+
+      const property = { key: keyNode.value, offset: keyNode.offset, value: parseValue() };
+      node.properties.push(property);
+      skipTrivia();
+
+      if (text[pos] === ',') {
+        property.commaOffset = pos;
+        pos++;
+        skipTrivia();
+      } else if (text[pos] !== '}') {
+        throw syntaxError(text, pos, '应为 "," 或 "}"');
+      }
+    }
+
+    pos++;
+    node.end = pos;
+    return node;
+  };
+
+  const parseArray = () => {
+    const node = { type: 'array', offset: pos, end: 0, items: [] };
+    pos++;
+    skipTrivia();
+
+    while (text[pos] !== ']') {
+      node.items.push(parseValue());
+      skipTrivia();
+
+      if (text[pos] === ',') {
+        pos++;
+        skipTrivia();
+      } else if (text[pos] !== ']') {
+        throw syntaxError(text, pos, '应为 "," 或 "]"');
+      }
+    }
+
+    pos++;
+    node.end = pos;
+    return node;
+  };
+
+  const root = parseValue();
+  skipTrivia();
+  if (pos < text.length) throw syntaxError(text, pos, '根值之后存在多余内容');
+
+  return root;
+}
+
+/**
+ * Converts a syntax tree node to a plain value
+ *
+ * @param {JsoncNode} node - Syntax tree node
+ * @returns {*} Plain value
+ */
+function toValue(node) {
+  if (node.type === 'object') {
+    const obj = {};
+    for (const property of node.properties) {
+      Object.defineProperty(obj, property.key, {
+        value: toValue(property.value),
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+    }
+    return obj;
+  }
+  if (node.type === 'array') return node.items.map(toValue);
+  return node.value;
+}
+
+/**
+ * Parses JSONC text
+ *
+ * @param {string} text - JSONC text (comments and trailing commas allowed)
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} If the text is not valid JSONC
+ */
+function parse(text) {
+  return toValue(parseTree(text));
+}
+
+function detectEol(text) {
+  return text.includes('\r\n') ? '\r\n' : '\n';
+}
+
+function detectIndent(text) {
+  const match = /^([ \t]+)\S/m.exec(text);
+  return match ? match[1] : '  ';
+}
+
+function lineStart(text, offset) {
+  return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+function lineEnd(text, offset) {
+  const index = text.indexOf('\n', offset);
+  if (index === -1) return text.length;
+  return text[index - 1] === '\r' ? index - 1 : index;
+}
+
+function lineIndent(text, offset) {
+  return /^[ \t]*/.exec(text.slice(lineStart(text, offset)))[0];
+}
+
+/**
+ * Extends a range to whole lines when nothing else is on those lines
+ *
+ * @returns {[number, number]} The (possibly) extended range
+ */
+function extendToLines(text, start, end) {
+  const from = lineStart(text, start);
+  const to = lineEnd(text, end);
+
+  if (text.slice(from, start).trim() === '' && text.slice(end, to).trim() === '') {
+    const next = text.startsWith('\r\n', to) ? to + 2 : to + 1;
+    return [from, Math.min(next, text.length)];
+  }
+  return [start, end];
+}
+
+/**
+ * Serializes a value for insertion at a given indentation
+ */
+function serialize(value, baseIndent, format) {
+  if (format.inline) return JSON.stringify(value);
+  return JSON.stringify(value, null, format.indent).split('\n').join(format.eol + baseIndent);
+}
+
+function applyEdits(text, edits) {
+  return edits
+    .sort((a, b) => b.offset - a.offset)
+    .reduce((result, edit) => result.slice(0, edit.offset) + edit.content + result.slice(edit.offset + edit.length), text);
+}
+
+function findNode(root, path) {
+  let node = root;
+  for (const key of path) {
+    if (!node || node.type !== 'object') return null;
+    const property = node.properties.find((p) => p.key === key);
+    node = property ? property.value : null;
+  }
+  return node;
+}
+
+function insertProperty(text, objectNode, key, value, format) {
+  const entry = (indent) => `${JSON.stringify(key)}: ${serialize(value, indent, format)}`;
+  const inline = !text.slice(objectNode.offset, objectNode.end).includes('\n');
+  const properties = objectNode.properties;
+
+  if (properties.length === 0 && format.inline) {
+    return [{ offset: objectNode.offset + 1, length: objectNode.end - objectNode.offset - 2, content: entry('') }];
+  }
+
+  if (properties.length === 0) {
+    const outer = lineIndent(text, objectNode.offset);
+    const inner = outer + format.indent;
+    const body = text.slice(objectNode.offset + 1, objectNode.end - 1);
+
+    if (body.trim() === '') {
+      return [
+        {
+          offset: objectNode.offset + 1,
+          length: body.length,
+          content: `${format.eol}${inner}${entry(inner)}${format.eol}${outer}`,
+        },
+      ];
+    }
+    return [{ offset: objectNode.offset + 1, length: 0, content: `${format.eol}${inner}${entry(inner)}` }];
+  }
+
+  const last = properties[properties.length - 1];
+  const hasTrailingComma = last.commaOffset !== undefined;
+  const afterLast = hasTrailingComma ? last.commaOffset + 1 : last.value.end;
+  const trailing = hasTrailingComma ? ',' : '';
+
+  let offset = afterLast;
+  let content = ` ${entry('')}${trailing}`;
+
+  if (!inline) {
+    // 插入到最后一个属性所在行的末尾，保留该行的行尾注释
+    const rest = text.slice(afterLast, lineEnd(text, afterLast)).trim();
+    const atLineEnd = rest === '' || rest.startsWith('//') || (rest.startsWith('/*') && rest.endsWith('*/'));
+    const indent = lineIndent(text, last.offset);
+
+    offset = atLineEnd ? lineEnd(text, afterLast) : afterLast;
+    content = `${format.eol}${indent}${entry(indent)}${trailing}`;
+  }
+
+  if (hasTrailingComma) {
+    return [{ offset, length: 0, content }];
+  }
+  if (offset === last.value.end) {
+    return [{ offset, length: 0, content: ',' + content }];
+  }
+  return [
+    { offset: last.value.end, length: 0, content: ',' },
+    { offset, length: 0, content },
+  ];
+}
+
+function removeProperty(text, objectNode, property) {
+  const properties = objectNode.properties;
+  const index = properties.indexOf(property);
+  const body = text.slice(objectNode.offset + 1, objectNode.end - 1);
+
+  if (properties.length === 1) {
+    const withoutProperty =
+      text.slice(objectNode.offset + 1, property.offset) +
+      text.slice(property.commaOffset !== undefined ? property.commaOffset + 1 : property.value.end, objectNode.end - 1);
+    if (withoutProperty.trim() === '') {
+      return [{ offset: objectNode.offset + 1, length: body.length, content: '' }];
+    }
+  }
+
+  const end = property.commaOffset !== undefined ? property.commaOffset + 1 : property.value.end;
+  const removesSeparator = index === properties.length - 1 && property.commaOffset === undefined && index > 0;
+  const [start, extendedEnd] = extendToLines(text, property.offset, end);
+
+  if (start === property.offset && extendedEnd === end) {
+    // 同一行内删除：连同前面的逗号或后面的空白一起删除
+    if (removesSeparator) {
+      const from = properties[index - 1].value.end;
+      return [{ offset: from, length: end - from, content: '' }];
+    }
+    const to = end + /^[ \t]*/.exec(text.slice(end))[0].length;
+    return [{ offset: start, length: to - start, content: '' }];
+  }
+
+  const edits = [{ offset: start, length: extendedEnd - start, content: '' }];
+  if (removesSeparator) {
+    // 删除最后一个属性时，同时删除前一个属性后的逗号
+    edits.push({ offset: properties[index - 1].commaOffset, length: 1, content: '' });
+  }
+  return edits;
+}
+
+/**
+ * Sets or removes a value at a path, editing the text in place
+ *
+ * @param {string} text - JSONC text
+ * @param {string[]} path - Key path; the parent must be an existing object
+ * @param {*} value - New value, or undefined to remove the property
+ * @returns {string} Edited text
+ * @throws {Error} If the parent of the path doesn't exist or isn't an object
+ */
+function modify(text, path, value) {
+  const root = parseTree(text);
+  const format = { indent: detectIndent(text), eol: detectEol(text), inline: false };
+
+  if (path.length === 0) {
+    return text.slice(0, root.offset) + serialize(value, '', format) + text.slice(root.end);
+  }
+
+  const parent = findNode(root, path.slice(0, -1));
+  if (!parent || parent.type !== 'object') {
+    throw new Error(`无法修改路径 ${path.join('.')}: 父级不是对象`);
+  }
+
+  const key = path[path.length - 1];
+  const property = parent.properties.find((p) => p.key === key);
+  // 单行（压缩）文件保持单行；多行文件中只有非空的单行对象保持单行
+  format.inline =
+    !text.includes('\n') || (!text.slice(parent.offset, parent.end).includes('\n') && parent.properties.length > 0);
+
+  let edits;
+  if (value === undefined) {
+    edits = property ? removeProperty(text, parent, property) : [];
+  } else if (property) {
+    edits = [
+      {
+        offset: property.value.offset,
+        length: property.value.end - property.value.offset,
+        content: serialize(value, lineIndent(text, property.offset), format),
+      },
+    ];
+  } else {
+    edits = insertProperty(text, parent, key, value, format);
+  }
+
+  return applyEdits(text, edits);
+}
+
+/**
+ * Renames a property in place, keeping its position, value and comments
+ *
+ * @param {string} text - JSONC text
+ * @param {string[]} path - Key path of the property to rename
+ * @param {string} newKey - New key
+ * @returns {string} Edited text (unchanged if the property doesn't exist)
+ */
+function renameKey(text, path, newKey) {
+  const parent = findNode(parseTree(text), path.slice(0, -1));
+  const property = parent && parent.type === 'object' && parent.properties.find((p) => p.key === path[path.length - 1]);
+  if (!property) return text;
+
+  let end = property.offset + 1;
+  while (text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+  return applyEdits(text, [{ offset: property.offset, length: end + 1 - property.offset, content: JSON.stringify(newKey) }]);
+}
+
+/**
+ * Rewrites JSONC text to represent a new value with minimal edits
+ *
+ * Only the parts that differ are changed; comments, key order and
+ * formatting elsewhere are preserved. New keys are appended to their
+ * object.
+ *
+ * @param {string|null} text - Current JSONC text (null or empty for a new file)
+ * @param {*} value - Desired value
+ * @returns {string} Updated text
+ * @throws {SyntaxError} If the current text is not valid JSONC
+ */
+function update(text, value) {
+  if (!text || text.trim() === '') {
+    return JSON.stringify(value, null, 2);
+  }
+
+  let result = text;
+  for (const change of diff(parse(text), value)) {
+    result = modify(result, change.path, change.type === 'removed' ? undefined : change.to);
+  }
+  return result;
+}
+
+module.exports = { parse, parseTree, modify, renameKey, update };
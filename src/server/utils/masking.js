@@ -0,0 +1,155 @@
+/**
+ * API Key Masking Utility
+ *
+ * Replaces API keys in configs sent to clients with a mask that shows at
+ * most the last four characters, plus a fingerprint that tells keys apart
+ * without revealing them. A client that sends the mask back unchanged keeps
+ * the stored key.
+ *
+ * `{env:...}` / `{file:...}` references and `enc:command:` secret names are
+ * not secrets themselves and are left as they are.
+ *
+ * @module utils/masking
+ */
+
+const crypto = require('crypto');
+const { isReference } = require('./references');
+const { backendOf } = require('../secrets');
+
+/** @constant {string} */
+const MASK = '••••••••';
+
+/** Placeholder for API keys left out of exports @constant {string} */
+const REDACTED = '<redacted>';
+
+/** Keys shorter than this are masked without showing any characters @constant {number} */
+const MIN_VISIBLE_LENGTH = 16;
+
+/** Top-level key that carries the fingerprints in masked configs @constant {string} */
+const FINGERPRINTS_KEY = '$apiKeyFingerprints';
+
+/**
+ * Whether a value is an API key that must be masked
+ *
+ * @param {*} value - Value of `options.apiKey`
+ * @returns {boolean}
+ */
+function isSecret(value) {
+  return typeof value === 'string' && value !== '' && !isReference(value) && !backendOf(value);
+}
+
+/**
+ * Whether a value is a mask produced by maskKey
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isMasked(value) {
+  return typeof value === 'string' && value.startsWith(MASK);
+}
+
+/**
+ * Masks an API key
+ *
+ * @param {string} key - API key
+ * @returns {string} Mask, e.g. `••••••••Ab12`
+ */
+function maskKey(key) {
+  return key.length >= MIN_VISIBLE_LENGTH ? `${MASK}${key.slice(-4)}` : MASK;
+}
+
+/**
+ * Fingerprint of an API key
+ *
+ * @param {string} key - API key
+ * @returns {string} `sha256:` followed by the first 12 hex digits of the hash
+ */
+function fingerprint(key) {
+  return `sha256:${crypto.createHash('sha256').update(key).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Masks the API keys of every provider
+ *
+ * @param {Object} config - Decrypted configuration
+ * @returns {Object} Copy with masked keys and a `$apiKeyFingerprints` map of provider ID to fingerprint
+ */
+function maskConfig(config) {
+  const masked = JSON.parse(JSON.stringify(config));
+  const fingerprints = {};
+
+  for (const [id, provider] of Object.entries(masked.provider || {})) {
+    const apiKey = provider && provider.options && provider.options.apiKey;
+    if (!isSecret(apiKey)) continue;
+
+    provider.options.apiKey = maskKey(apiKey);
+    fingerprints[id] = fingerprint(apiKey);
+  }
+
+  return { ...masked, [FINGERPRINTS_KEY]: fingerprints };
+}
+
+/**
+ * Replaces a mask with the stored key it was made from
+ *
+ * @param {*} value - Value sent by the client
+ * @param {*} stored - Stored (decrypted) value
+ * @returns {*} The stored key if value is its mask, value itself if it isn't a mask, undefined if it's a mask of a different key
+ */
+function unmaskKey(value, stored) {
+  if (!isMasked(value)) return value;
+  return isSecret(stored) && maskKey(stored) === value ? stored : undefined;
+}
+
+/**
+ * Replaces the masks in a config sent by a client with the stored keys
+ *
+ * Modifies the config in place and drops the `$apiKeyFingerprints` map.
+ * Masks are matched against the stored key of the same provider ID.
+ *
+ * `enc:` values are only accepted as the value already stored for the same
+ * provider: an `enc:command:<name>` value makes the server fetch the named
+ * secret, so a client must not be able to point a provider at another one.
+ *
+ * @param {Object} config - Configuration sent by the client
+ * @param {Object} stored - Stored (decrypted) configuration
+ * @returns {string[]} Errors for masks that don't match the stored key and new or changed `enc:` values
+ */
+function unmaskConfig(config, stored) {
+  const errors = [];
+  delete config[FINGERPRINTS_KEY];
+
+  for (const [id, provider] of Object.entries(config.provider || {})) {
+    const apiKey = provider && provider.options && provider.options.apiKey;
+    const storedProvider = stored.provider && stored.provider[id];
+    const storedKey = storedProvider && storedProvider.options && storedProvider.options.apiKey;
+
+    if (backendOf(apiKey) && apiKey !== storedKey) {
+      errors.push(`Provider "${id}": enc: 开头的 API Key 只能保留已保存的值，不能新建或修改`);
+      continue;
+    }
+    if (!isMasked(apiKey)) continue;
+
+    const restored = unmaskKey(apiKey, storedKey);
+    if (restored === undefined) {
+      errors.push(`Provider "${id}": API Key 是掩码，但与已保存的 Key 不一致，请重新输入`);
+    } else {
+      provider.options.apiKey = restored;
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  MASK,
+  REDACTED,
+  FINGERPRINTS_KEY,
+  isSecret,
+  isMasked,
+  maskKey,
+  fingerprint,
+  maskConfig,
+  unmaskKey,
+  unmaskConfig,
+};
@@ -0,0 +1,178 @@
+/**
+ * Outbound Network Utility
+ *
+ * Routes discovery and test requests through a proxy and applies a
+ * provider's TLS settings. The proxy is the provider's `options.proxy`, or
+ * else `HTTPS_PROXY` / `HTTP_PROXY` (or their lower-case forms) unless the
+ * host matches `NO_PROXY`; `proxy: false` always connects directly. Targets
+ * are reached through a CONNECT tunnel, so the proxy never sees the
+ * requests of HTTPS targets.
+ *
+ * `options.tls` names PEM files with extra CA certificates (trusted in
+ * addition to the default ones), a client certificate and its key, and can
+ * turn certificate verification off with `insecure: true`.
+ *
+ * @module utils/network
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { resolvePath } = require('./references');
+
+/** @constant {Object.<string, number>} */
+const DEFAULT_PORTS = { 'http:': 80, 'https:': 443 };
+
+/**
+ * TLS settings of a provider (`options.tls`)
+ * @typedef {Object} TLSSettings
+ * @property {string} [ca] - PEM file with extra CA certificates
+ * @property {string} [cert] - PEM file with the client certificate
+ * @property {string} [key] - PEM file with the client certificate's private key
+ * @property {boolean} [insecure] - Skip certificate verification
+ */
+
+/**
+ * Whether NO_PROXY excludes a URL from the environment proxy
+ *
+ * Entries are host names (matching the host and its subdomains, with or
+ * without a leading `.` or `*.`), optionally with a port, or `*`.
+ *
+ * @param {URL} url - Target URL
+ * @param {string} [noProxy] - Comma or space separated entries, NO_PROXY by default
+ * @returns {boolean}
+ */
+function isExcluded(url, noProxy = process.env.NO_PROXY || process.env.no_proxy || '') {
+  const hostname = url.hostname.toLowerCase();
+  const port = url.port || String(DEFAULT_PORTS[url.protocol]);
+
+  return noProxy
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .some((entry) => {
+      if (entry === '*') return true;
+      const [, host, entryPort] = /^(?:\*?\.)?(.+?)(?::(\d+))?$/.exec(entry.toLowerCase());
+      if (entryPort && entryPort !== port) return false;
+      return hostname === host || hostname.endsWith(`.${host}`);
+    });
+}
+
+/**
+ * Proxy to use for a URL
+ *
+ * @param {URL} url - Target URL
+ * @param {string|false} [proxy] - Provider proxy URL, false for none
+ * @returns {URL|null}
+ */
+function proxyFor(url, proxy) {
+  if (proxy === false) return null;
+  if (proxy) return new URL(proxy);
+
+  const names =
+    url.protocol === 'https:' ? ['HTTPS_PROXY', 'https_proxy'] : ['HTTP_PROXY', 'http_proxy'];
+  const fromEnv = names.map((name) => process.env[name]).find(Boolean);
+  return fromEnv && !isExcluded(url) ? new URL(fromEnv) : null;
+}
+
+/**
+ * Reads a PEM file named in the TLS settings
+ *
+ * @param {string} file - Path
+ * @param {string} label - What the file holds, for errors
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {Buffer}
+ * @throws {Error} If the file can't be read
+ */
+function readPEM(file, label, baseDir) {
+  try {
+    return fs.readFileSync(resolvePath(file, baseDir));
+  } catch (error) {
+    throw new Error(`${label}文件 ${file} 读取失败: ${error.code || error.message}`);
+  }
+}
+
+/**
+ * Loads TLS settings into options for tls.connect
+ *
+ * @param {TLSSettings} [settings] - TLS settings with references already resolved
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {tls.ConnectionOptions} `ca`, `cert`, `key` and `rejectUnauthorized` as set
+ * @throws {Error} If a file can't be read
+ */
+function loadTLS(settings, baseDir) {
+  const options = {};
+  if (!settings) return options;
+
+  if (settings.ca) options.ca = [...tls.rootCertificates, readPEM(settings.ca, 'CA 证书', baseDir)];
+  if (settings.cert) options.cert = readPEM(settings.cert, '客户端证书', baseDir);
+  if (settings.key) options.key = readPEM(settings.key, '客户端私钥', baseDir);
+  if (settings.insecure) options.rejectUnauthorized = false;
+  return options;
+}
+
+/**
+ * Agent that opens each connection through a CONNECT tunnel
+ *
+ * Sockets aren't reused; discovery and tests send few requests.
+ */
+class TunnelAgent extends http.Agent {
+  /**
+   * @param {URL} proxy - Proxy URL; credentials are sent as Proxy-Authorization
+   * @param {boolean} secure - Whether the target is HTTPS
+   * @param {tls.ConnectionOptions} [tlsOptions={}] - Options for the TLS connection to the target
+   */
+  constructor(proxy, secure, tlsOptions = {}) {
+    super({ keepAlive: false, ...tlsOptions });
+    this.proxy = proxy;
+    this.secure = secure;
+    this.protocol = secure ? 'https:' : 'http:';
+  }
+
+  createConnection(options, callback) {
+    const target = `${options.host}:${options.port}`;
+    const headers = { Host: target };
+    if (this.proxy.username) {
+      const credentials = `${decodeURIComponent(this.proxy.username)}:${decodeURIComponent(this.proxy.password)}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const client = this.proxy.protocol === 'https:' ? https : http;
+    const req = client.request({
+      host: this.proxy.hostname,
+      port: this.proxy.port || DEFAULT_PORTS[this.proxy.protocol],
+      method: 'CONNECT',
+      path: target,
+      headers,
+    });
+
+    req.once('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        callback(new Error(`代理拒绝连接: HTTP ${res.statusCode}`));
+        return;
+      }
+      callback(null, this.secure ? tls.connect({ ...options, socket }) : socket);
+    });
+    req.once('error', (error) => callback(new Error(`无法连接代理: ${error.message}`)));
+    req.end();
+  }
+}
+
+/**
+ * Request options that apply the proxy and TLS settings to a request
+ *
+ * @param {string} url - Request URL
+ * @param {{proxy?: string|false, tls?: tls.ConnectionOptions}} settings - Proxy URL and loaded TLS options
+ * @returns {Object} Options to merge into the http(s).request options
+ */
+function requestOptions(url, { proxy, tls: tlsOptions = {} }) {
+  const target = new URL(url);
+  const secure = target.protocol === 'https:';
+  const tunnel = proxyFor(target, proxy);
+
+  if (tunnel) return { agent: new TunnelAgent(tunnel, secure, tlsOptions) };
+  return secure ? tlsOptions : {};
+}
+
+module.exports = { isExcluded, proxyFor, loadTLS, requestOptions, TunnelAgent };
@@ -0,0 +1,34 @@
+/**
+ * Prompt Utility
+ *
+ * Reads a line from the terminal without echoing it, for passphrases.
+ *
+ * @module utils/prompt
+ */
+
+const readline = require('readline');
+
+/**
+ * Asks a question on the terminal and reads the answer without echo
+ *
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} The answer
+ */
+function askHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    let muted = false;
+
+    rl._writeToOutput = (text) => {
+      if (!muted) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+module.exports = { askHidden };
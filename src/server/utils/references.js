@@ -0,0 +1,150 @@
+/**
+ * References Utility
+ *
+ * Resolves the `{env:VAR}` and `{file:path}` substitutions opencode supports
+ * in config values, so requests made on behalf of a provider use the same
+ * values opencode would. File paths may start with `~` or be relative to
+ * the directory of the config file; file contents are trimmed.
+ *
+ * @module utils/references
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/** @constant {RegExp} */
+const REFERENCE_PATTERN = /\{(env|file):([^}]+)\}/g;
+
+/**
+ * Status of one reference in a provider
+ * @typedef {Object} ReferenceStatus
+ * @property {string} path - Dotted path of the value (e.g. 'options.apiKey')
+ * @property {string} reference - The reference, e.g. `{env:OPENAI_API_KEY}`
+ * @property {boolean} resolved - Whether it currently resolves
+ * @property {string} [error] - Why it doesn't resolve
+ */
+
+/**
+ * Whether a value is exactly one `{env:...}` / `{file:...}` reference
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isReference(value) {
+  return typeof value === 'string' && /^\{(env|file):[^}]+\}$/.test(value);
+}
+
+/**
+ * Lists the references contained in a string
+ *
+ * @param {string} text - Config value
+ * @returns {string[]} References in order of appearance
+ */
+function findReferences(text) {
+  return typeof text === 'string' ? text.match(REFERENCE_PATTERN) || [] : [];
+}
+
+/**
+ * Resolves a file path the way `{file:...}` references are resolved
+ *
+ * @param {string} target - Path, absolute, starting with `~/` or relative
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {string} Absolute path
+ */
+function resolvePath(target, baseDir) {
+  return target.startsWith('~/') ? path.join(os.homedir(), target.slice(2)) : path.resolve(baseDir, target);
+}
+
+/**
+ * Resolves a single reference target
+ *
+ * @param {'env'|'file'} type - Reference type
+ * @param {string} target - Variable name or file path
+ * @param {string} baseDir - Directory relative file paths are resolved against
+ * @returns {string} Resolved value
+ * @throws {Error} If the variable is not set or the file can't be read
+ */
+function resolveTarget(type, target, baseDir) {
+  if (type === 'env') {
+    const value = process.env[target];
+    if (value === undefined || value === '') throw new Error(`环境变量 ${target} 未设置`);
+    return value;
+  }
+
+  try {
+    return fs.readFileSync(resolvePath(target, baseDir), 'utf8').trim();
+  } catch (error) {
+    throw new Error(`无法读取文件 ${target}: ${error.code || error.message}`);
+  }
+}
+
+/**
+ * Replaces all references in a string with their values
+ *
+ * @param {string} text - Config value
+ * @param {string} baseDir - Directory relative file paths are resolved against
+ * @returns {string} Resolved value
+ * @throws {Error} If a reference doesn't resolve
+ */
+function resolveString(text, baseDir) {
+  if (typeof text !== 'string') return text;
+  return text.replace(REFERENCE_PATTERN, (match, type, target) => resolveTarget(type, target.trim(), baseDir));
+}
+
+/**
+ * Replaces references in the values of a string map (e.g. headers)
+ *
+ * @param {Object.<string, string>} [values] - String map
+ * @param {string} baseDir - Directory relative file paths are resolved against
+ * @returns {Object.<string, string>|undefined} Resolved copy
+ * @throws {Error} If a reference doesn't resolve
+ */
+function resolveMap(values, baseDir) {
+  if (!values) return values;
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, resolveString(value, baseDir)]));
+}
+
+/**
+ * Checks every reference in the connection settings of the providers
+ *
+ * Only `options.baseURL`, `options.apiKey`, `options.headers`,
+ * `options.proxy` and the `options.tls` paths are checked; resolved values
+ * are never returned.
+ *
+ * @param {Object} config - Configuration
+ * @param {string} baseDir - Directory relative file paths are resolved against
+ * @returns {Object.<string, ReferenceStatus[]>} Statuses per provider ID (providers without references are omitted)
+ */
+function checkReferences(config, baseDir) {
+  const result = {};
+
+  for (const [id, provider] of Object.entries((config && config.provider) || {})) {
+    const options = (provider && provider.options) || {};
+    const values = [
+      ['options.baseURL', options.baseURL],
+      ['options.apiKey', options.apiKey],
+      ...Object.entries(options.headers || {}).map(([name, value]) => [`options.headers.${name}`, value]),
+      ['options.proxy', options.proxy],
+      ...Object.entries(options.tls || {}).map(([name, value]) => [`options.tls.${name}`, value]),
+    ];
+    const statuses = [];
+
+    for (const [valuePath, value] of values) {
+      for (const reference of findReferences(value)) {
+        try {
+          resolveString(reference, baseDir);
+          statuses.push({ path: valuePath, reference, resolved: true });
+        } catch (error) {
+          statuses.push({ path: valuePath, reference, resolved: false, error: error.message });
+        }
+      }
+    }
+
+    if (statuses.length > 0) result[id] = statuses;
+  }
+
+  return result;
+}
+
+module.exports = { isReference, findReferences, resolvePath, resolveString, resolveMap, checkReferences };
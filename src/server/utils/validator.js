@@ -7,6 +7,75 @@
  *
  * @module utils/validator
  */
+const { OPERATIONS } = require('./jsonPatch');
+const { findReferences } = require('./references');
+const { FORMATS: IMPORT_FORMATS } = require('../importers');
+const { BACKENDS: SECRET_BACKENDS } = require('../secrets');
+
+/** @constant {string[]} */
+const IMPORT_STRATEGIES = ['replace', 'merge', 'skip-existing'];
+
+/** @constant {string[]} */
+const EXPORT_FORMATS = ['json', 'jsonc', 'yaml', 'env'];
+
+/** @constant {string[]} */
+const EXPORT_SECRETS = ['redact', 'env', 'plain'];
+
+/**
+ * 模型的能力开关（opencode 模型配置）
+ * @constant {string[]}
+ */
+const MODEL_FLAGS = ['attachment', 'reasoning', 'temperature', 'tool_call'];
+
+/** @constant {string[]} */
+const MODEL_MODALITIES = ['text', 'image', 'audio', 'video', 'pdf'];
+
+/** @constant {string[]} */
+const MODEL_LIMIT_KEYS = ['context', 'output'];
+
+/** 探查和连接测试最多的重试次数 @constant {number} */
+const MAX_RETRIES = 5;
+
+/** options.tls 中的文件路径 @constant {string[]} */
+const TLS_FILE_KEYS = ['ca', 'cert', 'key'];
+
+/** @constant {string[]} */
+const MODEL_COST_KEYS = ['input', 'output', 'cache_read', 'cache_write'];
+
+/** opencode 要求 cost 中必须有的价格 @constant {string[]} */
+const MODEL_COST_REQUIRED = ['input', 'output'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * HTTP 头名称（RFC 7230 token）
+ * @constant {RegExp}
+ */
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * npm 包名（可带 scope）
+ * @constant {RegExp}
+ */
+const NPM_PACKAGE_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+
+/**
+ * 模板占位符，如 Azure 的 {resource}（{env:...} 引用含冒号，不会匹配）
+ * @constant {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /\{[A-Za-z][A-Za-z0-9_]*\}/g;
+
+/**
+ * Azure OpenAI 的 api-version，如 2024-10-21 或 2025-01-01-preview
+ * @constant {RegExp}
+ */
+const API_VERSION_PATTERN = /^[0-9A-Za-z.-]{1,32}$/;
+
+/** @constant {number} */
+const MAX_IMPORT_FILE_SIZE = 1024 * 1024;
+
 const Validator = {
   /**
    * 验证 Provider ID
@@ -26,6 +95,9 @@ const Validator = {
    */
   isValidBaseURL(url) {
     if (!url || typeof url !== 'string') return false;
+    if (this.findPlaceholders(url).length > 0) return false;
+    // {env:...} / {file:...} 引用在使用时才解析
+    if (findReferences(url).length > 0) return true;
     try {
       const parsed = new URL(url);
       return parsed.protocol === 'http:' || parsed.protocol === 'https:';
@@ -34,6 +106,15 @@ const Validator = {
     }
   },
 
+  /**
+   * 查找未填写的模板占位符
+   * @param {string} value - 如 Base URL
+   * @returns {string[]} 占位符，如 ['{resource}']
+   */
+  findPlaceholders(value) {
+    return typeof value === 'string' ? value.match(PLACEHOLDER_PATTERN) || [] : [];
+  },
+
   /**
    * 验证 API Key
    * @param {string} key - API Key
@@ -54,6 +135,27 @@ const Validator = {
     return modelId.length >= 1 && modelId.length <= 256;
   },
 
+  /**
+   * 验证 npm 包名
+   * @param {string} name - 包名（如 @ai-sdk/anthropic）
+   * @returns {boolean}
+   */
+  isValidNpmPackage(name) {
+    if (!name || typeof name !== 'string') return false;
+    return NPM_PACKAGE_PATTERN.test(name) && name.length <= 214;
+  },
+
+  /**
+   * 验证 Profile 名称
+   * @param {string} name - Profile 名称
+   * @returns {boolean}
+   */
+  isValidProfileName(name) {
+    if (!name || typeof name !== 'string') return false;
+    // 与 Provider ID 规则一致，同时保证可以安全地作为文件名
+    return /^[\u4e00-\u9fa5a-zA-Z0-9_-]+$/.test(name) && name.length <= 64;
+  },
+
   /**
    * 验证 Provider 配置对象
    * @param {Object} config - 配置对象
@@ -76,17 +178,17 @@ const Validator = {
       errors.push('Provider 名称不能超过128字符');
     }
 
+    // 验证 npm（如果提供）
+    if (config.npm !== undefined && !this.isValidNpmPackage(config.npm)) {
+      errors.push('npm 包名无效');
+    }
+
     // 验证 options
     if (config.options) {
-      if (typeof config.options !== 'object') {
+      if (!isPlainObject(config.options)) {
         errors.push('options 必须是对象');
       } else {
-        if (config.options.baseURL && !this.isValidBaseURL(config.options.baseURL)) {
-          errors.push('Base URL 格式无效，必须是有效的 http/https URL');
-        }
-        if (config.options.apiKey && !this.isValidApiKey(config.options.apiKey)) {
-          errors.push('API Key 长度无效（1-2048字符）');
-        }
+        errors.push(...this.validateProviderOptions(config.options));
       }
     }
 
@@ -99,13 +201,390 @@ const Validator = {
           if (!this.isValidModelId(modelId)) {
             errors.push(`模型 ID "${modelId}" 无效（长度1-256字符）`);
           }
-          if (modelConfig && typeof modelConfig !== 'object') {
-            errors.push(`模型 "${modelId}" 的配置必须是对象`);
+          errors.push(...this.validateModelConfig(modelConfig).map((error) => `模型 "${modelId}" ${error}`));
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * 验证 Provider 的 options
+   *
+   * 检查 baseURL、apiKey、headers、timeout、apiVersion、proxy 和 tls，其余键原样保留给 SDK。
+   *
+   * @param {Object} options - Provider options
+   * @returns {string[]} 错误信息
+   */
+  validateProviderOptions(options) {
+    const errors = [];
+    const placeholders = this.findPlaceholders(options.baseURL);
+
+    if (placeholders.length > 0) {
+      errors.push(`Base URL 包含未填写的占位符: ${placeholders.join(', ')}`);
+    } else if (options.baseURL && !this.isValidBaseURL(options.baseURL)) {
+      errors.push('Base URL 格式无效，必须是有效的 http/https URL');
+    }
+    if (options.apiKey && !this.isValidApiKey(options.apiKey)) {
+      errors.push('API Key 长度无效（1-2048字符）');
+    }
+
+    if (options.headers !== undefined) {
+      if (!isPlainObject(options.headers)) {
+        errors.push('headers 必须是对象');
+      } else {
+        for (const [name, value] of Object.entries(options.headers)) {
+          if (!HEADER_NAME_PATTERN.test(name)) {
+            errors.push(`Header 名称 "${name}" 无效`);
+          } else if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+            errors.push(`Header "${name}" 的值必须是单行字符串`);
+          }
+        }
+      }
+    }
+
+    if (
+      options.timeout !== undefined &&
+      options.timeout !== false &&
+      !(Number.isInteger(options.timeout) && options.timeout > 0)
+    ) {
+      errors.push('timeout 必须是正整数（毫秒）或 false');
+    }
+
+    if (
+      options.apiVersion !== undefined &&
+      (typeof options.apiVersion !== 'string' || !API_VERSION_PATTERN.test(options.apiVersion))
+    ) {
+      errors.push('apiVersion 格式无效');
+    }
+
+    if (options.proxy !== undefined && options.proxy !== false && !this.isValidBaseURL(options.proxy)) {
+      errors.push('proxy 必须是 http/https URL 或 false');
+    }
+
+    if (options.tls !== undefined) {
+      if (!isPlainObject(options.tls)) {
+        errors.push('tls 必须是对象');
+      } else {
+        for (const [name, value] of Object.entries(options.tls)) {
+          if (TLS_FILE_KEYS.includes(name)) {
+            if (typeof value !== 'string' || !value.trim()) errors.push(`tls.${name} 必须是文件路径`);
+          } else if (name === 'insecure') {
+            if (typeof value !== 'boolean') errors.push('tls.insecure 必须是布尔值');
+          } else {
+            errors.push(`tls 不支持 "${name}"`);
+          }
+        }
+        if (Boolean(options.tls.cert) !== Boolean(options.tls.key)) {
+          errors.push('tls.cert 和 tls.key 必须同时设置');
+        }
+      }
+    }
+
+    return errors;
+  },
+
+  /**
+   * 验证探查和连接测试请求的连接设置
+   *
+   * @param {Object} settings - 请求设置 ({connectTimeout?, retries?})
+   * @returns {string[]} 错误信息
+   */
+  validateRequestSettings(settings) {
+    const errors = [];
+    const { connectTimeout, retries } = settings;
+
+    if (
+      connectTimeout !== undefined &&
+      connectTimeout !== false &&
+      !(Number.isInteger(connectTimeout) && connectTimeout > 0)
+    ) {
+      errors.push('connectTimeout 必须是正整数（毫秒）或 false');
+    }
+    if (retries !== undefined && !(Number.isInteger(retries) && retries >= 0 && retries <= MAX_RETRIES)) {
+      errors.push(`retries 必须是 0-${MAX_RETRIES} 的整数`);
+    }
+
+    return errors;
+  },
+
+  /**
+   * 验证单个模型的配置
+   *
+   * 支持 name、limit（context/output）、cost（每百万 token 价格）、
+   * 能力开关、modalities、options 和 headers。与 opencode 一致，limit
+   * 必须同时包含 context 和 output，cost 必须同时包含 input 和 output。
+   *
+   * @param {Object} model - 模型配置
+   * @returns {string[]} 错误信息（不含模型 ID 前缀）
+   */
+  validateModelConfig(model) {
+    if (model === undefined || model === null) return [];
+    if (!isPlainObject(model)) return ['的配置必须是对象'];
+
+    const errors = [];
+    const checkNumbers = (section, keys, required, integer) => {
+      if (model[section] === undefined) return;
+      if (!isPlainObject(model[section])) {
+        errors.push(`的 ${section} 必须是对象`);
+        return;
+      }
+      const missing = required.filter((key) => model[section][key] === undefined);
+      if (missing.length > 0) {
+        errors.push(`的 ${section} 缺少 ${missing.join('、')}`);
+      }
+      for (const key of keys) {
+        const value = model[section][key];
+        if (value === undefined) continue;
+        if (typeof value !== 'number' || value < 0 || (integer && !Number.isInteger(value))) {
+          errors.push(`的 ${section}.${key} 必须是非负${integer ? '整数' : '数字'}`);
+        }
+      }
+    };
+
+    if (model.name !== undefined && (typeof model.name !== 'string' || model.name.length > 256)) {
+      errors.push('的名称必须是不超过256字符的字符串');
+    }
+
+    checkNumbers('limit', MODEL_LIMIT_KEYS, MODEL_LIMIT_KEYS, true);
+    checkNumbers('cost', MODEL_COST_KEYS, MODEL_COST_REQUIRED, false);
+
+    for (const flag of MODEL_FLAGS) {
+      if (model[flag] !== undefined && typeof model[flag] !== 'boolean') {
+        errors.push(`的 ${flag} 必须是布尔值`);
+      }
+    }
+
+    if (model.modalities !== undefined) {
+      if (!isPlainObject(model.modalities)) {
+        errors.push('的 modalities 必须是对象');
+      } else {
+        for (const direction of ['input', 'output']) {
+          const list = model.modalities[direction];
+          if (list === undefined) continue;
+          if (!Array.isArray(list) || list.some((item) => !MODEL_MODALITIES.includes(item))) {
+            errors.push(`的 modalities.${direction} 只能包含 ${MODEL_MODALITIES.join('/')}`);
           }
         }
       }
     }
 
+    if (model.options !== undefined && !isPlainObject(model.options)) {
+      errors.push('的 options 必须是对象');
+    }
+    if (
+      model.headers !== undefined &&
+      (!isPlainObject(model.headers) || Object.values(model.headers).some((value) => typeof value !== 'string'))
+    ) {
+      errors.push('的 headers 必须是字符串键值对');
+    }
+
+    return errors;
+  },
+
+  /**
+   * 验证重命名/复制 Provider 的请求
+   * @param {Object} data - 请求体 ({newId, name?})
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validateProviderCopy(data) {
+    if (!data || typeof data !== 'object') {
+      return { valid: false, errors: ['请求体必须是对象'] };
+    }
+
+    const errors = [];
+    if (!this.isValidProviderId(data.newId)) {
+      errors.push('Provider ID 只能包含字母、数字、下划线和连字符，长度1-64字符');
+    }
+    if (data.name !== undefined && (typeof data.name !== 'string' || data.name.length > 128)) {
+      errors.push('Provider 名称不能超过128字符');
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * 验证完整配置文档
+   * @param {Object} config - 配置文档
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return { valid: false, errors: ['配置必须是对象'] };
+    }
+
+    const errors = [];
+
+    for (const key of ['model', 'small_model']) {
+      if (config[key] !== undefined && typeof config[key] !== 'string') {
+        errors.push(`${key} 必须是字符串`);
+      }
+    }
+
+    if (config.provider !== undefined) {
+      if (!config.provider || typeof config.provider !== 'object' || Array.isArray(config.provider)) {
+        errors.push('provider 必须是对象');
+      } else {
+        for (const [providerId, providerConfig] of Object.entries(config.provider)) {
+          if (!providerConfig || typeof providerConfig !== 'object' || Array.isArray(providerConfig)) {
+            errors.push(`Provider "${providerId}": 配置必须是对象`);
+            continue;
+          }
+          const result = this.validateProviderConfig({ providerId, ...providerConfig });
+          errors.push(...result.errors.map((error) => `Provider "${providerId}": ${error}`));
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * 验证 JSON Patch 操作列表（RFC 6902）
+   * @param {Array} operations - Patch 操作
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validatePatch(operations) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return { valid: false, errors: ['Patch 必须是非空数组'] };
+    }
+
+    const errors = [];
+
+    operations.forEach((operation, index) => {
+      if (!operation || typeof operation !== 'object') {
+        errors.push(`操作 #${index} 必须是对象`);
+        return;
+      }
+      if (!OPERATIONS.includes(operation.op)) {
+        errors.push(`操作 #${index}: op 必须是 ${OPERATIONS.join('/')} 之一`);
+      }
+      if (typeof operation.path !== 'string' || (operation.path !== '' && !operation.path.startsWith('/'))) {
+        errors.push(`操作 #${index}: path 必须是 JSON Pointer`);
+      }
+      if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+        errors.push(`操作 #${index}: ${operation.op} 需要 from`);
+      }
+      if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+        errors.push(`操作 #${index}: ${operation.op} 需要 value`);
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * 验证导入请求
+   * @param {Object} data - 请求体 {config, strategy, modelStrategy, overrides, dryRun}
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validateImport(data) {
+    if (!data || typeof data !== 'object') {
+      return { valid: false, errors: ['请求体必须是对象'] };
+    }
+
+    const errors = [...this.validateConfig(data.config).errors];
+    const checkStrategy = (value, name) => {
+      if (value !== undefined && !IMPORT_STRATEGIES.includes(value)) {
+        errors.push(`${name} 必须是 ${IMPORT_STRATEGIES.join('/')} 之一`);
+      }
+    };
+
+    checkStrategy(data.strategy, 'strategy');
+    checkStrategy(data.modelStrategy, 'modelStrategy');
+
+    if (data.overrides !== undefined) {
+      if (!data.overrides || typeof data.overrides !== 'object' || Array.isArray(data.overrides)) {
+        errors.push('overrides 必须是对象');
+      } else {
+        for (const [providerId, override] of Object.entries(data.overrides)) {
+          checkStrategy(override && override.strategy, `overrides.${providerId}.strategy`);
+          checkStrategy(override && override.modelStrategy, `overrides.${providerId}.modelStrategy`);
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * 验证导入文件转换请求
+   * @param {Object} data - 请求体 ({content, filename?, format?})
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validateImportConvert(data) {
+    if (!data || typeof data !== 'object') {
+      return { valid: false, errors: ['请求体必须是对象'] };
+    }
+
+    const errors = [];
+    if (typeof data.content !== 'string' || data.content.trim() === '') {
+      errors.push('content 必须是非空字符串');
+    } else if (Buffer.byteLength(data.content) > MAX_IMPORT_FILE_SIZE) {
+      errors.push('文件不能超过 1 MB');
+    }
+    if (data.filename !== undefined && typeof data.filename !== 'string') {
+      errors.push('filename 必须是字符串');
+    }
+    if (data.format !== undefined && !IMPORT_FORMATS.includes(data.format)) {
+      errors.push(`format 必须是 ${IMPORT_FORMATS.join('/')} 之一`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * 验证导出选项
+   * @param {Object} options - 导出选项 ({format?, secrets?, providers?})
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validateExport(options) {
+    const errors = [];
+
+    if (options.format !== undefined && !EXPORT_FORMATS.includes(options.format)) {
+      errors.push(`format 必须是 ${EXPORT_FORMATS.join('/')} 之一`);
+    }
+    if (options.secrets !== undefined && !EXPORT_SECRETS.includes(options.secrets)) {
+      errors.push(`secrets 必须是 ${EXPORT_SECRETS.join('/')} 之一`);
+    }
+    if (options.providers !== undefined) {
+      if (!Array.isArray(options.providers)) {
+        errors.push('providers 必须是数组');
+      } else {
+        for (const selector of options.providers) {
+          const id = typeof selector === 'string' ? selector.split('/')[0] : null;
+          if (!this.isValidProviderId(id)) {
+            errors.push(`无效的 Provider 选择: ${selector}`);
+          }
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  /**
+   * 验证 API Key 迁移选项
+   * @param {Object} options - 迁移选项 ({backend?, rotate?, passphrase?})
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validateSecretMigration(options) {
+    const errors = [];
+
+    if (!isPlainObject(options)) {
+      return { valid: false, errors: ['迁移选项必须是对象'] };
+    }
+    if (options.backend !== undefined && !SECRET_BACKENDS.includes(options.backend)) {
+      errors.push(`backend 必须是 ${SECRET_BACKENDS.join('/')} 之一`);
+    }
+    if (options.rotate !== undefined && typeof options.rotate !== 'boolean') {
+      errors.push('rotate 必须是布尔值');
+    }
+    if (options.passphrase !== undefined && (typeof options.passphrase !== 'string' || !options.passphrase)) {
+      errors.push('passphrase 必须是非空字符串');
+    }
+
     return { valid: errors.length === 0, errors };
   },
 
@@ -0,0 +1,314 @@
+/**
+ * YAML Utility
+ *
+ * Parses the subset of YAML used by AI tool configs (block mappings and
+ * sequences, plain and quoted scalars, simple flow collections and
+ * comments). Anchors, tags, block scalars and multi-line flow collections
+ * are not supported and raise a syntax error. Serializes JSON values to
+ * block-style YAML within the same subset.
+ *
+ * @module utils/yaml
+ */
+
+/**
+ * Preprocessed line
+ * @typedef {Object} YamlLine
+ * @property {number} indent - Leading spaces
+ * @property {string} text - Content without indentation and comments
+ * @property {number} number - 1-based line number
+ */
+
+function setKey(target, key, value) {
+  Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+function syntaxError(line, message) {
+  return new SyntaxError(`YAML 解析失败 (第 ${line.number} 行): ${message}`);
+}
+
+/**
+ * Removes a trailing comment outside of quotes
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+/**
+ * Splits text into meaningful lines
+ *
+ * @param {string} text - YAML text
+ * @returns {YamlLine[]}
+ */
+function toLines(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = { number: index + 1 };
+    if (/^\s*\t/.test(raw)) throw syntaxError(line, '不允许使用 Tab 缩进');
+
+    const content = stripComment(raw).trimEnd();
+    const trimmed = content.trim();
+    if (trimmed === '' || trimmed === '---' || trimmed === '...') return;
+
+    lines.push({ ...line, indent: content.length - content.trimStart().length, text: trimmed });
+  });
+  return lines;
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+/**
+ * Splits `key: value` into key and value text
+ *
+ * @returns {{key: string, rest: string}|null} Null if the text is not a mapping entry
+ */
+function splitKey(text) {
+  const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^'"\s][^:]*?)\s*:(?:\s+(.*))?$/.exec(text);
+  if (!match) return null;
+
+  const rawKey = match[1];
+  const key = /^["']/.test(rawKey) ? parseScalar(rawKey) : rawKey;
+  return { key: String(key), rest: (match[2] || '').trim() };
+}
+
+/**
+ * Splits a flow collection body on top-level commas
+ */
+function splitFlow(body) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(body.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(body.slice(start));
+  return parts.map((part) => part.trim()).filter((part) => part !== '');
+}
+
+/**
+ * Parses a scalar or single-line flow collection
+ *
+ * @param {string} text - Value text
+ * @returns {*} Parsed value
+ */
+function parseScalar(text) {
+  if (text.startsWith('"')) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(text)) throw new SyntaxError(`无效的字符串: ${text}`);
+    return JSON.parse(text);
+  }
+  if (text.startsWith('\'')) {
+    if (!/^'(?:[^']|'')*'$/.test(text)) throw new SyntaxError(`无效的字符串: ${text}`);
+    return text.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) throw new SyntaxError(`不支持多行集合: ${text}`);
+    return splitFlow(text.slice(1, -1)).map(parseScalar);
+  }
+  if (text.startsWith('{')) {
+    if (!text.endsWith('}')) throw new SyntaxError(`不支持多行集合: ${text}`);
+    const result = {};
+    for (const part of splitFlow(text.slice(1, -1))) {
+      const entry = splitKey(part);
+      if (!entry) throw new SyntaxError(`无效的映射项: ${part}`);
+      setKey(result, entry.key, entry.rest === '' ? null : parseScalar(entry.rest));
+    }
+    return result;
+  }
+  if (/^[|>&*!]/.test(text)) {
+    throw new SyntaxError(`不支持的语法: ${text}`);
+  }
+
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^(null|Null|NULL|~)$/.test(text)) return null;
+  if (/^[-+]?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Parses YAML text
+ *
+ * @param {string} text - YAML text
+ * @returns {*} Parsed value (null for an empty document)
+ * @throws {SyntaxError} If the text is invalid or uses unsupported syntax
+ */
+function parse(text) {
+  const lines = toLines(text);
+  let index = 0;
+
+  const scalarAt = (line, value) => {
+    try {
+      return parseScalar(value);
+    } catch (error) {
+      throw syntaxError(line, error.message);
+    }
+  };
+
+  function parseNode(indent) {
+    return isSequenceItem(lines[index].text) ? parseSequence(indent) : parseMapping(indent);
+  }
+
+  /**
+   * Parses the value of an entry whose inline part is empty
+   */
+  function parseNested(parentIndent, allowSequenceAtSameIndent) {
+    const next = lines[index];
+    if (!next) return null;
+    if (next.indent > parentIndent) return parseNode(next.indent);
+    if (allowSequenceAtSameIndent && next.indent === parentIndent && isSequenceItem(next.text)) {
+      return parseSequence(parentIndent);
+    }
+    return null;
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+
+    while (index < lines.length && lines[index].indent === indent && isSequenceItem(lines[index].text)) {
+      const line = lines[index];
+      const rest = line.text.slice(1).trimStart();
+
+      if (rest === '') {
+        index++;
+        items.push(parseNested(indent, false));
+      } else if (isSequenceItem(rest) || splitKey(rest)) {
+        // "- key: value" 开始一个缩进更深的映射
+        const childIndent = indent + (line.text.length - rest.length);
+        lines[index] = { ...line, indent: childIndent, text: rest };
+        items.push(parseNode(childIndent));
+      } else {
+        index++;
+        items.push(scalarAt(line, rest));
+      }
+    }
+
+    return items;
+  }
+
+  function parseMapping(indent) {
+    const result = {};
+
+    while (index < lines.length && lines[index].indent === indent && !isSequenceItem(lines[index].text)) {
+      const line = lines[index];
+      const entry = splitKey(line.text);
+      if (!entry) throw syntaxError(line, `应为 "key: value": ${line.text}`);
+
+      index++;
+      setKey(result, entry.key, entry.rest === '' ? parseNested(indent, true) : scalarAt(line, entry.rest));
+    }
+
+    return result;
+  }
+
+  if (lines.length === 0) return null;
+
+  const first = lines[0];
+  let value;
+  if (isSequenceItem(first.text) || splitKey(first.text)) {
+    value = parseNode(first.indent);
+  } else {
+    value = scalarAt(first, first.text);
+    index = 1;
+  }
+
+  if (index < lines.length) {
+    throw syntaxError(lines[index], '缩进无效');
+  }
+  return value;
+}
+
+/**
+ * Whether a string can be written without quotes and read back unchanged
+ */
+function isPlain(text) {
+  return (
+    /^[A-Za-z0-9_./$(][A-Za-z0-9_./@$() +=:-]*$/.test(text) &&
+    !/:( |$)/.test(text) &&
+    !text.endsWith(' ') &&
+    typeof parseScalar(text) === 'string'
+  );
+}
+
+function stringifyScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return isPlain(value) ? value : JSON.stringify(value);
+  return String(value);
+}
+
+function isCollection(value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+/**
+ * Serializes a value to block-style lines
+ *
+ * @param {*} value - JSON value
+ * @param {number} indent - Indentation of the block
+ * @returns {string[]} Lines
+ */
+function toBlock(value, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (!isCollection(value)) {
+    if (Array.isArray(value)) return [`${pad}[]`];
+    if (value !== null && typeof value === 'object') return [`${pad}{}`];
+    return [pad + stringifyScalar(value)];
+  }
+
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      if (!isCollection(item)) return [`${pad}- ${toBlock(item, 0)[0]}`];
+      // 第一行与 "- " 写在同一行，其余行缩进到 "- " 之后
+      const lines = toBlock(item, indent + 2);
+      return [`${pad}- ${lines[0].trimStart()}`, ...lines.slice(1)];
+    });
+  }
+
+  return Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .flatMap(([key, item]) => {
+      const name = `${pad}${key.includes(':') ? JSON.stringify(key) : stringifyScalar(key)}:`;
+      if (!isCollection(item)) return [`${name} ${toBlock(item, 0)[0]}`];
+      return [name, ...toBlock(item, indent + 2)];
+    });
+}
+
+/**
+ * Serializes a JSON value to YAML
+ *
+ * @param {*} value - JSON value
+ * @returns {string} YAML text ending with a newline
+ */
+function stringify(value) {
+  return `${toBlock(value, 0).join('\n')}\n`;
+}
+
+module.exports = { parse, stringify };
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, withFileLock, acquireFileLock } = require('../../src/server/utils/atomicFile');
+
+describe('atomicFile', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-atomic-'));
+    filePath = path.join(tmpDir, 'opencode.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('writeFileAtomic', () => {
+    test('writes new files with private permissions', () => {
+      writeFileAtomic(filePath, '{}');
+
+      expect(fs.readFileSync(filePath, 'utf-8')).toBe('{}');
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+      }
+    });
+
+    test('preserves the mode of an existing file and leaves no temp files', () => {
+      fs.writeFileSync(filePath, 'old');
+      fs.chmodSync(filePath, 0o640);
+
+      writeFileAtomic(filePath, 'new');
+
+      expect(fs.readFileSync(filePath, 'utf-8')).toBe('new');
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(filePath).mode & 0o777).toBe(0o640);
+      }
+      expect(fs.readdirSync(tmpDir)).toEqual(['opencode.json']);
+    });
+  });
+
+  describe('withFileLock', () => {
+    const lockPath = () => `${filePath}.lock`;
+
+    test('holds the lock file while running and removes it afterwards', () => {
+      const result = withFileLock(filePath, () => {
+        expect(fs.existsSync(lockPath())).toBe(true);
+        return withFileLock(filePath, () => 'nested');
+      });
+
+      expect(result).toBe('nested');
+      expect(fs.existsSync(lockPath())).toBe(false);
+    });
+
+    test('releases the lock when the function throws', () => {
+      expect(() =>
+        withFileLock(filePath, () => {
+          throw new Error('boom');
+        })
+      ).toThrow('boom');
+      expect(fs.existsSync(lockPath())).toBe(false);
+    });
+
+    test('times out while another live process holds the lock', () => {
+      fs.writeFileSync(lockPath(), JSON.stringify({ pid: process.pid, hostname: os.hostname() }));
+
+      expect(() => withFileLock(filePath, () => 'never', { timeout: 100 })).toThrow('获取文件锁超时');
+    });
+
+    test('takes over a lock left by a dead process', () => {
+      fs.writeFileSync(lockPath(), JSON.stringify({ pid: 2147483646, hostname: os.hostname() }));
+
+      expect(withFileLock(filePath, () => 'ok', { timeout: 100 })).toBe('ok');
+    });
+
+    test('keeps the lock of a live process however old it is', () => {
+      fs.writeFileSync(lockPath(), JSON.stringify({ pid: process.pid, hostname: os.hostname() }));
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(lockPath(), old, old);
+
+      expect(() => withFileLock(filePath, () => 'never', { timeout: 100, stale: 1000 })).toThrow('获取文件锁超时');
+    });
+
+    test('takes over old locks of owners it cannot check', () => {
+      fs.writeFileSync(lockPath(), JSON.stringify({ pid: 1, hostname: 'other-host' }));
+      expect(() => withFileLock(filePath, () => 'never', { timeout: 100, stale: 1000 })).toThrow('获取文件锁超时');
+
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(lockPath(), old, old);
+      expect(withFileLock(filePath, () => 'ok', { timeout: 100, stale: 1000 })).toBe('ok');
+      expect(fs.readdirSync(tmpDir)).toEqual([]);
+    });
+
+    test('leaves a lock taken over by another process in place', () => {
+      withFileLock(filePath, () => {
+        fs.writeFileSync(lockPath(), JSON.stringify({ pid: process.pid, hostname: os.hostname(), token: 'other' }));
+      });
+
+      expect(JSON.parse(fs.readFileSync(lockPath(), 'utf-8')).token).toBe('other');
+    });
+  });
+
+  describe('acquireFileLock', () => {
+    const lockPath = () => `${filePath}.lock`;
+
+    test('waits without blocking the event loop', async () => {
+      fs.writeFileSync(lockPath(), JSON.stringify({ pid: process.pid, hostname: os.hostname() }));
+      let ticks = 0;
+      const timer = setInterval(() => ticks++, 10);
+
+      await expect(acquireFileLock(filePath, { timeout: 200 })).rejects.toThrow('获取文件锁超时');
+      clearInterval(timer);
+      expect(ticks).toBeGreaterThan(5);
+
+      setTimeout(() => fs.unlinkSync(lockPath()), 100);
+      const release = await acquireFileLock(filePath, { timeout: 1000 });
+      expect(JSON.parse(fs.readFileSync(lockPath(), 'utf-8')).pid).toBe(process.pid);
+      release();
+      expect(fs.existsSync(lockPath())).toBe(false);
+    });
+
+    test('lets withFileLock re-enter the lock until it is released', async () => {
+      const release = await acquireFileLock(filePath);
+      const again = await acquireFileLock(filePath, { timeout: 100 });
+
+      expect(withFileLock(filePath, () => 'nested', { timeout: 100 })).toBe('nested');
+      again();
+      again();
+      expect(fs.existsSync(lockPath())).toBe(true);
+      release();
+      expect(fs.existsSync(lockPath())).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+describe('Config routes', () => {
+  let tmpDir;
+  let configPath;
+  let server;
+
+  const stored = {
+    provider: {
+      openai: { options: { baseURL: 'https://api.openai.com/v1', apiKey: 'sk-live-0123456789abcdef' } },
+      groq: { options: { apiKey: 'gsk-live-0123456789abcdef' }, models: { llama: {} } },
+    },
+  };
+  const readConfig = () => JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-routes-'));
+    configPath = path.join(tmpDir, 'opencode.json');
+    process.env.HOME = tmpDir;
+    process.env.OPENCODE_CONFIG_PATH = configPath;
+    fs.writeFileSync(configPath, JSON.stringify(stored, null, 2));
+
+    ({ server } = require('../../src/server/index'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('returns the revision as an ETag and changes it on writes', async () => {
+    const read = await request(server).get('/api/config');
+    expect(read.headers.etag).toMatch(/^"[0-9a-f]+"$/);
+
+    const patch = [{ op: 'add', path: '/theme', value: 'dark' }];
+    const write = await request(server).patch('/api/config').set('If-Match', read.headers.etag).send(patch);
+
+    expect(write.status).toBe(200);
+    expect(write.headers.etag).toBe(`"${write.body.revision}"`);
+    expect(write.headers.etag).not.toBe(read.headers.etag);
+    expect((await request(server).get('/api/config')).headers.etag).toBe(write.headers.etag);
+  });
+
+  test('rejects writes based on an older revision with 412', async () => {
+    const { etag } = (await request(server).get('/api/config')).headers;
+    await request(server).patch('/api/config').send([{ op: 'add', path: '/theme', value: 'dark' }]);
+    const current = readConfig();
+
+    const stale = [
+      request(server).patch('/api/config').set('If-Match', etag).send([{ op: 'remove', path: '/theme' }]),
+      request(server).put('/api/config').set('If-Match', etag).send({ provider: {} }),
+      request(server).delete('/api/config/groq').set('If-Match', etag),
+    ];
+    for (const response of await Promise.all(stale)) {
+      expect(response.status).toBe(412);
+      expect(response.body).toMatchObject({ success: false, conflict: true });
+      expect(response.headers.etag).toBe(`"${response.body.revision}"`);
+      expect(response.headers.etag).not.toBe(etag);
+    }
+    expect(readConfig()).toEqual(current);
+
+    const unconditional = [{ op: 'remove', path: '/theme' }];
+    expect((await request(server).patch('/api/config').set('If-Match', '*').send(unconditional)).status).toBe(200);
+  });
+
+  test('does not let patches copy API keys out of options.apiKey', async () => {
+    const leak = [{ op: 'copy', from: '/provider/openai/options/apiKey', path: '/theme' }];
+    const response = await request(server).patch('/api/config').send(leak);
+
+    expect(response.status).toBe(422);
+    expect(response.body.errors).toEqual(['操作会把 API Key 复制到 /theme，只能复制到 options.apiKey']);
+    expect(readConfig()).toEqual(stored);
+
+    const copyProvider = [{ op: 'copy', from: '/provider/openai', path: '/backup' }];
+    expect((await request(server).patch('/api/config').send(copyProvider)).status).toBe(422);
+
+    const masked = (await request(server).get('/api/config')).body.provider.openai.options.apiKey;
+    const probe = [{ op: 'test', path: '/provider/openai/options/apiKey', value: masked }];
+    expect((await request(server).patch('/api/config').send(probe)).status).toBe(200);
+  });
+
+  test('lets patches move providers together with their keys', async () => {
+    const rename = [{ op: 'move', from: '/provider/groq', path: '/provider/groq-fast' }];
+    const response = await request(server).patch('/api/config').send(rename);
+
+    expect(response.status).toBe(200);
+    expect(readConfig().provider['groq-fast']).toEqual(stored.provider.groq);
+  });
+
+  test('applies patches next to invalid entries and returns their errors as warnings', async () => {
+    fs.writeFileSync(configPath, JSON.stringify({ provider: { groq: { models: { llama: { limit: { context: 8192 } } } } } }));
+
+    const response = await request(server)
+      .patch('/api/config')
+      .send([{ op: 'add', path: '/theme', value: 'dark' }]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.warnings).toEqual(['Provider "groq": 模型 "llama" 的 limit 缺少 output']);
+    expect(readConfig().theme).toBe('dark');
+  });
+
+  test('reveals API keys only with the confirmation header', async () => {
+    const unconfirmed = await request(server).post('/api/config/openai/reveal-key');
+    expect(unconfirmed.status).toBe(403);
+    expect(unconfirmed.body.apiKey).toBeUndefined();
+
+    const confirmed = await request(server).post('/api/config/openai/reveal-key').set('X-Confirm-Reveal', 'true');
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.apiKey).toBe('sk-live-0123456789abcdef');
+  });
+
+  test('fails to reveal API keys when the config cannot be read', async () => {
+    fs.writeFileSync(configPath, '{ "provider": ');
+
+    const response = await request(server).post('/api/config/openai/reveal-key').set('X-Confirm-Reveal', 'true');
+
+    expect(response.status).toBe(500);
+    expect(response.body.success).toBe(false);
+    expect(response.body.apiKey).toBeUndefined();
+  });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('ConfigService', () => {
+  let tmpDir;
+  let configPath;
+  let configService;
+
+  const nextChange = () => new Promise((resolve) => configService.once('change', resolve));
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-config-'));
+    configPath = path.join(tmpDir, 'opencode.json');
+    process.env.HOME = tmpDir;
+    process.env.OPENCODE_CONFIG_PATH = configPath;
+    fs.writeFileSync(configPath, JSON.stringify({ provider: { a: {} } }));
+
+    configService = require('../../src/server/services/configService');
+  });
+
+  afterEach(() => {
+    configService.unwatch();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('patchConfig', () => {
+    test('applies a valid patch in a single write', () => {
+      const result = configService.patchConfig([
+        { op: 'add', path: '/provider/a/name', value: 'A' },
+        { op: 'add', path: '/model', value: 'a/m' },
+      ]);
+
+      expect(result).toEqual({ success: true, errors: [], warnings: [] });
+      expect(JSON.parse(fs.readFileSync(configPath, 'utf-8'))).toEqual({ provider: { a: { name: 'A' } }, model: 'a/m' });
+    });
+
+    test('writes nothing when an operation fails or the result is invalid', () => {
+      const before = fs.readFileSync(configPath, 'utf-8');
+
+      expect(configService.patchConfig([{ op: 'remove', path: '/provider/b' }]).success).toBe(false);
+      const invalid = configService.patchConfig([{ op: 'add', path: '/provider/a/options', value: { baseURL: 'nope' } }]);
+
+      expect(invalid.success).toBe(false);
+      expect(invalid.errors[0]).toMatch('Provider "a"');
+      expect(fs.readFileSync(configPath, 'utf-8')).toBe(before);
+    });
+
+    test('reports errors the config already had without failing the patch', () => {
+      const limit = { context: 8192 };
+      fs.writeFileSync(configPath, JSON.stringify({ provider: { a: { models: { m: { limit } } } } }));
+      const warning = 'Provider "a": 模型 "m" 的 limit 缺少 output';
+
+      const result = configService.patchConfig([{ op: 'add', path: '/theme', value: 'dark' }]);
+      const invalid = configService.patchConfig([{ op: 'add', path: '/provider/a/models/n', value: { limit } }]);
+
+      expect(result).toEqual({ success: true, errors: [], warnings: [warning] });
+      expect(invalid).toEqual({ success: false, errors: ['Provider "a": 模型 "n" 的 limit 缺少 output'], warnings: [] });
+      expect(configService.readConfig(false)).toEqual({ provider: { a: { models: { m: { limit } } } }, theme: 'dark' });
+    });
+
+    test('keeps the stored API key when the patch sets its mask', () => {
+      configService.addOrUpdateProvider('a', { options: { apiKey: 'sk-0123456789abcdef' } });
+
+      const result = configService.patchConfig([
+        { op: 'replace', path: '/provider/a/options/apiKey', value: '••••••••cdef' },
+        { op: 'add', path: '/provider/a/name', value: 'A' },
+      ]);
+      const mismatch = configService.patchConfig([
+        { op: 'replace', path: '/provider/a/options/apiKey', value: '••••••••0000' },
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(mismatch.errors).toEqual(['Provider "a": API Key 是掩码，但与已保存的 Key 不一致，请重新输入']);
+      expect(configService.readConfig(false).provider.a).toEqual({ options: { apiKey: 'sk-0123456789abcdef' }, name: 'A' });
+    });
+  });
+
+  describe('unmaskApiKeys', () => {
+    test('replaces masks with the stored keys', () => {
+      configService.addOrUpdateProvider('a', { options: { apiKey: 'sk-0123456789abcdef' } });
+      const config = { provider: { a: { options: { apiKey: '••••••••cdef' } } } };
+
+      expect(configService.unmaskApiKeys(config)).toEqual([]);
+      expect(config.provider.a.options.apiKey).toBe('sk-0123456789abcdef');
+    });
+  });
+
+  describe('renameProvider', () => {
+    test('keeps the position of the provider and rewrites model references', () => {
+      fs.writeFileSync(
+        configPath,
+        JSON.stringify({
+          model: 'a/gpt-4o',
+          small_model: 'ab/mini',
+          agent: { build: { model: 'a/o1' } },
+          disabled_providers: ['a'],
+          provider: { a: { name: 'A' }, b: {} },
+        })
+      );
+
+      expect(configService.renameProvider('a', 'c')).toEqual({ success: true, error: undefined });
+
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      expect(Object.keys(config.provider)).toEqual(['c', 'b']);
+      expect(config.provider.c).toEqual({ name: 'A' });
+      expect(config.model).toBe('c/gpt-4o');
+      expect(config.small_model).toBe('ab/mini');
+      expect(config.agent.build.model).toBe('c/o1');
+      expect(config.disabled_providers).toEqual(['c']);
+    });
+
+    test('refuses unknown providers and existing targets', () => {
+      fs.writeFileSync(configPath, JSON.stringify({ provider: { a: {}, b: {} } }));
+
+      expect(configService.renameProvider('x', 'y')).toEqual({ success: false, error: 'not-found' });
+      expect(configService.renameProvider('a', 'b')).toEqual({ success: false, error: 'exists' });
+      expect(JSON.parse(fs.readFileSync(configPath, 'utf-8'))).toEqual({ provider: { a: {}, b: {} } });
+    });
+  });
+
+  describe('cloneProvider', () => {
+    test('copies a provider under a new ID and name', () => {
+      fs.writeFileSync(configPath, JSON.stringify({ provider: { a: { name: 'A', models: { m: {} } } } }));
+
+      expect(configService.cloneProvider('a', 'a-copy', 'A (副本)').success).toBe(true);
+      expect(configService.cloneProvider('a', 'a-copy').error).toBe('exists');
+
+      expect(JSON.parse(fs.readFileSync(configPath, 'utf-8')).provider).toEqual({
+        a: { name: 'A', models: { m: {} } },
+        'a-copy': { name: 'A (副本)', models: { m: {} } },
+      });
+    });
+  });
+
+  describe('writeIfRevision', () => {
+    test('writes when the expected revision matches', () => {
+      const revision = configService.getRevision();
+
+      const result = configService.writeIfRevision([revision], () => configService.deleteProvider('a'));
+
+      expect(result.conflict).toBe(false);
+      expect(result.result).toBe(true);
+      expect(result.revision).not.toBe(revision);
+      expect(result.revision).toBe(configService.readConfigWithRevision().revision);
+    });
+
+    test('rejects a stale revision without writing', () => {
+      const stale = configService.getRevision();
+      fs.writeFileSync(configPath, JSON.stringify({ provider: { a: {}, b: {} } }));
+      const write = jest.fn(() => true);
+
+      const result = configService.writeIfRevision([stale], write);
+
+      expect(result).toEqual({ conflict: true, result: false, revision: configService.getRevision() });
+      expect(write).not.toHaveBeenCalled();
+    });
+
+    test('accepts any revision for * and skips the check without one', () => {
+      expect(configService.writeIfRevision(['*'], () => true).conflict).toBe(false);
+      expect(configService.writeIfRevision(null, () => true).conflict).toBe(false);
+
+      fs.unlinkSync(configPath);
+      expect(configService.writeIfRevision(['*'], () => true).conflict).toBe(true);
+    });
+  });
+
+  describe('watch', () => {
+    test('emits an external change and refreshes the cache', async () => {
+      configService.watch();
+      expect(configService.readConfig().provider).toEqual({ a: {} });
+
+      const change = nextChange();
+      fs.writeFileSync(configPath, JSON.stringify({ provider: { a: {}, b: {} } }));
+
+      await expect(change).resolves.toEqual({
+        source: 'external',
+        summary: { added: ['b'], removed: [], changed: [] },
+      });
+      expect(configService.readConfig().provider).toEqual({ a: {}, b: {} });
+    });
+
+    test('reports own writes once as internal changes', async () => {
+      configService.watch();
+      const events = [];
+      configService.on('change', (event) => events.push(event));
+
+      configService.deleteProvider('a');
+      await wait(300);
+
+      expect(events).toEqual([
+        { source: 'internal', action: 'delete-provider', target: 'a', summary: { added: [], removed: ['a'], changed: [] } },
+      ]);
+    });
+  });
+});
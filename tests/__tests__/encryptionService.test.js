@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('EncryptionService', () => {
+  let tmpDir;
+  let keyPath;
+  let encryptionService;
+
+  const config = {
+    provider: {
+      openai: { options: { baseURL: 'https://api.openai.com/v1', apiKey: 'sk-openai' } },
+      groq: { options: { apiKey: '{env:GROQ_API_KEY}' } },
+    },
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-secrets-'));
+    keyPath = path.join(tmpDir, '.key');
+    process.env.HOME = tmpDir;
+    delete process.env.OCS_PASSPHRASE;
+    delete process.env.OCS_SECRET_BACKEND;
+
+    encryptionService = require('../../src/server/services/encryptionService');
+  });
+
+  afterEach(() => {
+    delete process.env.OCS_PASSPHRASE;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('stores plaintext by default without creating a key file', () => {
+    expect(encryptionService.backend).toBe('plaintext');
+    expect(encryptionService.encryptConfig(config)).toEqual(config);
+    expect(fs.existsSync(path.join(tmpDir, '.config/opencode/.key'))).toBe(false);
+  });
+
+  test('encrypts with the key file, creating it on first use', () => {
+    encryptionService.configure({ backend: 'keyfile', keyPath });
+
+    const encrypted = encryptionService.encryptConfig(config);
+    expect(encrypted.provider.openai.options.apiKey).toMatch(/^enc:keyfile:/);
+    expect(encrypted.provider.groq.options.apiKey).toBe('{env:GROQ_API_KEY}');
+    expect(fs.statSync(keyPath).mode & 0o777).toBe(0o600);
+
+    expect(encryptionService.encrypt(encrypted.provider.openai.options.apiKey)).toBe(
+      encrypted.provider.openai.options.apiKey
+    );
+    expect(encryptionService.decryptConfig(encrypted)).toEqual(config);
+
+    // 切换回明文后仍可解密已有的值
+    encryptionService.configure({ backend: 'plaintext', keyPath });
+    expect(encryptionService.decryptConfig(encrypted)).toEqual(config);
+  });
+
+  test('decrypts the legacy salt:iv:tag:ciphertext format', () => {
+    const key = crypto.randomBytes(32);
+    fs.writeFileSync(keyPath, key);
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = cipher.update('sk-legacy', 'utf8', 'hex') + cipher.final('hex');
+    const value = [crypto.randomBytes(64).toString('hex'), iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted].join(':');
+
+    encryptionService.configure({ backend: 'plaintext', keyPath });
+    expect(encryptionService.decrypt(value)).toBe('sk-legacy');
+  });
+
+  test('reports which providers cannot be decrypted', () => {
+    encryptionService.configure({ backend: 'keyfile', keyPath });
+    const encrypted = encryptionService.encryptConfig(config);
+    fs.writeFileSync(keyPath, crypto.randomBytes(32));
+    encryptionService.configure({ backend: 'keyfile', keyPath });
+
+    expect(() => encryptionService.decryptConfig(encrypted)).toThrow(
+      '无法解密 API Key — Provider "openai": 认证失败，密钥不匹配或数据已损坏'
+    );
+
+    fs.unlinkSync(keyPath);
+    encryptionService.configure({ backend: 'plaintext', keyPath });
+    try {
+      encryptionService.decryptConfig(encrypted);
+      throw new Error('should have thrown');
+    } catch (error) {
+      expect(error.name).toBe('SecretError');
+      expect(error.details).toEqual([`Provider "openai": 密钥文件 ${keyPath} 不存在`]);
+    }
+  });
+
+  test('requires the passphrase backend to be unlocked', () => {
+    encryptionService.configure({ backend: 'passphrase', keyPath });
+    expect(encryptionService.isLocked()).toBe(true);
+    expect(encryptionService.hasPassphrase()).toBe(false);
+    expect(() => encryptionService.encrypt('sk-openai')).toThrow('passphrase 尚未解锁');
+
+    encryptionService.unlock('correct horse');
+    expect(encryptionService.hasPassphrase()).toBe(true);
+    const value = encryptionService.encrypt('sk-openai');
+    expect(value).toMatch(/^enc:passphrase:/);
+
+    encryptionService.configure({ backend: 'passphrase', keyPath });
+    expect(() => encryptionService.unlock('wrong')).toThrow('口令错误');
+
+    process.env.OCS_PASSPHRASE = 'correct horse';
+    expect(encryptionService.decrypt(value)).toBe('sk-openai');
+  });
+
+  describe('command backend', () => {
+    let storePath;
+    let getCommand;
+    let setCommand;
+
+    beforeEach(() => {
+      // 模拟 pass 之类的密码库：get 输出第一行为 Secret，set 从 stdin 读取
+      storePath = path.join(tmpDir, 'store.json');
+      const script = path.join(tmpDir, 'store.js');
+      fs.writeFileSync(storePath, JSON.stringify({ openai: 'sk-from-store' }));
+      fs.writeFileSync(
+        script,
+        `const fs = require('fs');
+const [action, name] = process.argv.slice(2);
+const store = JSON.parse(fs.readFileSync(${JSON.stringify(storePath)}, 'utf8'));
+if (action === 'get') {
+  if (!store[name]) { console.error('not found: ' + name); process.exit(1); }
+  console.log(store[name] + '\\nmetadata');
+} else {
+  store[name] = fs.readFileSync(0, 'utf8').trim();
+  fs.writeFileSync(${JSON.stringify(storePath)}, JSON.stringify(store));
+}`
+      );
+      getCommand = `"${process.execPath}" "${script}" get`;
+      setCommand = `"${process.execPath}" "${script}" set {name}`;
+    });
+
+    test('builds arguments without a shell', () => {
+      const command = require('../../src/server/secrets/command');
+      expect(command.buildArgs('pass show opencode/{name}', 'openai')).toEqual(['pass', 'show', 'opencode/openai']);
+      expect(command.buildArgs("secret get --vault 'My Keys'", 'openai')).toEqual([
+        'secret',
+        'get',
+        '--vault',
+        'My Keys',
+        'openai',
+      ]);
+    });
+
+    test('stores secret names in the config and fetches keys on demand', () => {
+      encryptionService.configure({ backend: 'command', keyPath, getCommand, setCommand });
+
+      const encrypted = encryptionService.encryptConfig({
+        provider: { groq: { options: { apiKey: 'sk-groq' } }, openai: { options: { apiKey: 'enc:command:openai' } } },
+      });
+      expect(encrypted.provider.groq.options.apiKey).toBe('enc:command:groq');
+      expect(JSON.parse(fs.readFileSync(storePath, 'utf8')).groq).toBe('sk-groq');
+
+      // 读取配置时保留引用，需要时才执行命令
+      expect(encryptionService.decryptConfig(encrypted)).toEqual(encrypted);
+      expect(encryptionService.isSecretReference('enc:command:openai')).toBe(true);
+      expect(encryptionService.resolve('enc:command:openai')).toBe('sk-from-store');
+
+      fs.writeFileSync(storePath, '{}');
+      expect(encryptionService.resolve('enc:command:openai')).toBe('sk-from-store');
+      expect(() => encryptionService.resolve('enc:command:missing')).toThrow('not found: missing');
+    });
+
+    test('stores keys of providers with Chinese IDs under their ID', () => {
+      encryptionService.configure({ backend: 'command', keyPath, getCommand, setCommand });
+
+      expect(encryptionService.encrypt('sk-moonshot', '月之暗面')).toBe('enc:command:月之暗面');
+      expect(JSON.parse(fs.readFileSync(storePath, 'utf8'))['月之暗面']).toBe('sk-moonshot');
+      expect(() => encryptionService.encrypt('sk-other', '-rf')).toThrow('Secret 名称 "-rf" 无效');
+    });
+
+    test('needs a get command, and a set command to store plaintext keys', () => {
+      expect(() => encryptionService.configure({ backend: 'command', keyPath })).toThrow(
+        'command 模式需要设置 OCS_SECRET_GET_COMMAND'
+      );
+
+      encryptionService.configure({ backend: 'command', keyPath, getCommand });
+      expect(() => encryptionService.encrypt('sk-groq', 'groq')).toThrow('未设置 OCS_SECRET_SET_COMMAND');
+    });
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => encryptionService.configure({ backend: 'vault' })).toThrow('未知的密钥存储方式: vault');
+  });
+});
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+describe('Export routes', () => {
+  let tmpDir;
+  let server;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-export-routes-'));
+    const configPath = path.join(tmpDir, 'opencode.json');
+    process.env.HOME = tmpDir;
+    process.env.OPENCODE_CONFIG_PATH = configPath;
+    const config = { provider: { openai: { options: { apiKey: 'sk-live-0123456789' } } } };
+    fs.writeFileSync(configPath, JSON.stringify(config));
+
+    ({ server } = require('../../src/server/index'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('fails instead of exporting an empty config when the file cannot be read', async () => {
+    fs.writeFileSync(process.env.OPENCODE_CONFIG_PATH, '{ "provider": ');
+
+    const response = await request(server).get('/api/export');
+
+    expect(response.status).toBe(500);
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toBeTruthy();
+  });
+
+  test('exports plaintext keys only with the confirmation header', async () => {
+    for (const query of ['secrets=plain', 'format=env']) {
+      const unconfirmed = await request(server).get(`/api/export?${query}`);
+      expect(unconfirmed.status).toBe(403);
+      expect(JSON.stringify(unconfirmed.body)).not.toContain('sk-live-0123456789');
+
+      const confirmed = await request(server).get(`/api/export?${query}`).set('X-Confirm-Reveal', 'true');
+      expect(confirmed.status).toBe(200);
+      expect(confirmed.text).toContain('sk-live-0123456789');
+    }
+  });
+
+  test('exports redacted keys without confirmation', async () => {
+    const response = await request(server).get('/api/export');
+
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.text).provider.openai.options.apiKey).toBe('<redacted>');
+  });
+});
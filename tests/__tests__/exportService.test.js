@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('../../src/server/utils/yaml');
+const importers = require('../../src/server/importers');
+
+describe('ExportService', () => {
+  let tmpDir;
+  let exportService;
+
+  const config = {
+    $schema: 'https://opencode.ai/config.json',
+    model: 'openai/gpt-4o',
+    small_model: 'groq/llama',
+    provider: {
+      openai: {
+        name: 'OpenAI',
+        options: { baseURL: 'https://api.openai.com/v1', apiKey: 'sk-openai' },
+        models: { 'gpt-4o': {}, 'gpt-4o-mini': {} },
+      },
+      groq: { options: { apiKey: '{env:GROQ_KEY}' }, models: { llama: {} } },
+      'my-proxy': { options: { apiKey: 'sk proxy' }, models: {} },
+    },
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-export-'));
+    const configPath = path.join(tmpDir, 'opencode.json');
+    process.env.HOME = tmpDir;
+    process.env.OPENCODE_CONFIG_PATH = configPath;
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+
+    exportService = require('../../src/server/services/exportService');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('redacts API keys by default and keeps references', () => {
+    const { success, file } = exportService.exportConfig();
+    const exported = JSON.parse(file.content);
+
+    expect(success).toBe(true);
+    expect(file.filename).toBe('opencode.json');
+    expect(exported.provider.openai.options.apiKey).toBe('<redacted>');
+    expect(exported.provider.groq.options.apiKey).toBe('{env:GROQ_KEY}');
+    expect(file.content).not.toContain('sk-openai');
+  });
+
+  test('exports selected providers and models only', () => {
+    const { file } = exportService.exportConfig({ providers: ['openai/gpt-4o', 'my-proxy'] });
+    const exported = JSON.parse(file.content);
+
+    expect(Object.keys(exported.provider)).toEqual(['openai', 'my-proxy']);
+    expect(exported.provider.openai.models).toEqual({ 'gpt-4o': {} });
+    expect(exported.model).toBe('openai/gpt-4o');
+    expect(exported.small_model).toBeUndefined();
+    expect(exported.$schema).toBe(config.$schema);
+  });
+
+  test('reports unknown providers and models', () => {
+    expect(exportService.exportConfig({ providers: ['openai/o1', 'nope', 'groq'] })).toEqual({
+      success: false,
+      missing: ['openai/o1', 'nope'],
+      file: null,
+    });
+  });
+
+  test('writes env references in YAML and the matching .env file', () => {
+    const { file } = exportService.exportConfig({ format: 'yaml', secrets: 'env' });
+    const exported = yaml.parse(file.content);
+
+    expect(exported.provider.openai.options.apiKey).toBe('{env:OPENAI_API_KEY}');
+    expect(exported.provider['my-proxy'].options.apiKey).toBe('{env:MY_PROXY_API_KEY}');
+
+    const env = exportService.exportConfig({ format: 'env' }).file.content;
+    expect(env).toContain('OPENAI_API_KEY=sk-openai\n');
+    expect(env).toContain('MY_PROXY_API_KEY="sk proxy"\n');
+    expect(env).not.toContain('GROQ');
+  });
+
+  test('produces exports the importers read back', () => {
+    const jsonc = exportService.exportConfig({ format: 'jsonc', secrets: 'plain' }).file.content;
+
+    expect(jsonc.startsWith('//')).toBe(true);
+    expect(importers.convert(jsonc).config).toEqual({ provider: config.provider });
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diff } = require('../../src/server/utils/diff');
+
+describe('diff', () => {
+  test('reports added, removed and changed paths', () => {
+    const changes = diff(
+      { provider: { a: { name: 'A' }, b: {} }, model: 'a/x' },
+      { provider: { a: { name: 'A2' }, c: {} }, model: 'a/x' }
+    );
+
+    expect(changes).toEqual([
+      { type: 'changed', path: ['provider', 'a', 'name'], from: 'A', to: 'A2' },
+      { type: 'removed', path: ['provider', 'b'], from: {} },
+      { type: 'added', path: ['provider', 'c'], to: {} },
+    ]);
+  });
+
+  test('returns no changes for equal values', () => {
+    expect(diff({ a: [1, 2] }, { a: [1, 2] })).toEqual([]);
+  });
+});
+
+describe('ConfigService history', () => {
+  let tmpDir;
+  let configPath;
+  let configService;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-history-'));
+    configPath = path.join(tmpDir, 'opencode.json');
+    process.env.HOME = tmpDir;
+    process.env.OPENCODE_CONFIG_PATH = configPath;
+
+    configService = require('../../src/server/services/configService');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('records the original file and every write', () => {
+    fs.writeFileSync(configPath, JSON.stringify({ provider: { a: {} } }));
+
+    configService.addOrUpdateProvider('b', { name: 'B' });
+    configService.deleteProvider('a');
+
+    const versions = configService.history.listVersions();
+    expect(versions.map((v) => v.action)).toEqual(['delete-provider', 'save-provider', 'initial']);
+    expect(versions[0]).toMatchObject({ version: 3, target: 'a', providerCount: 1 });
+    expect(versions[1].summary).toEqual({ added: ['b'], removed: [], changed: [] });
+  });
+
+  test('skips writes that do not change the config', () => {
+    configService.writeConfig({ provider: { a: {} } });
+    configService.writeConfig({ provider: { a: {} } });
+
+    expect(configService.history.listVersions()).toHaveLength(1);
+  });
+
+  test('restoring a version replaces the whole config', () => {
+    configService.addOrUpdateProvider('a', { name: 'A' });
+    configService.addOrUpdateProvider('b', { name: 'B' });
+
+    expect(configService.restoreVersion(1)).toBe(true);
+    expect(JSON.parse(fs.readFileSync(configPath, 'utf-8'))).toEqual({ provider: { a: { name: 'A' } } });
+
+    const [latest] = configService.history.listVersions();
+    expect(latest).toMatchObject({ version: 3, action: 'restore', target: '1' });
+    expect(latest.summary.removed).toEqual(['b']);
+  });
+
+  test('restoring an unknown version fails', () => {
+    expect(configService.restoreVersion(42)).toBe(false);
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { maskKey } = require('../../src/server/utils/masking');
+
+describe('ImportService', () => {
+  let tmpDir;
+  let configPath;
+  let importService;
+
+  const current = {
+    model: 'openai/gpt-4',
+    provider: {
+      openai: {
+        name: 'OpenAI',
+        options: { baseURL: 'https://api.openai.com/v1', apiKey: 'sk-old' },
+        models: { 'gpt-4': { name: 'GPT-4' }, 'gpt-3.5': {} },
+      },
+    },
+  };
+  const incoming = {
+    provider: {
+      openai: {
+        options: { apiKey: 'sk-new' },
+        models: { 'gpt-4': { name: 'gpt-4 (imported)' }, 'gpt-4o': {} },
+      },
+      groq: { options: { baseURL: 'https://api.groq.com/openai/v1' }, models: { llama: {} } },
+    },
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-import-'));
+    configPath = path.join(tmpDir, 'opencode.json');
+    process.env.HOME = tmpDir;
+    process.env.OPENCODE_CONFIG_PATH = configPath;
+    fs.writeFileSync(configPath, JSON.stringify(current, null, 2));
+
+    importService = require('../../src/server/services/importService');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('merges providers and models by default and reports conflicts', () => {
+    const { provider, report } = importService.planImport(current, incoming);
+
+    expect(provider.openai).toEqual({
+      name: 'OpenAI',
+      options: { baseURL: 'https://api.openai.com/v1', apiKey: 'sk-new' },
+      models: { 'gpt-4': { name: 'gpt-4 (imported)' }, 'gpt-3.5': {}, 'gpt-4o': {} },
+    });
+    expect(provider.groq).toEqual(incoming.provider.groq);
+    expect(report.summary).toEqual({ added: 1, updated: 1, skipped: 0, unchanged: 0, conflicts: 2 });
+    expect(report.providers[0]).toMatchObject({
+      id: 'openai',
+      action: 'update',
+      models: { added: ['gpt-4o'], updated: ['gpt-4'], removed: [], skipped: [] },
+      conflicts: [
+        { path: 'options.apiKey', resolution: 'incoming' },
+        { path: 'models.gpt-4.name', resolution: 'incoming' },
+      ],
+    });
+  });
+
+  test('applies per-provider and per-model strategies', () => {
+    const { provider, report } = importService.planImport(current, incoming, {
+      modelStrategy: 'skip-existing',
+      overrides: { groq: { strategy: 'replace' } },
+    });
+
+    expect(provider.openai.models['gpt-4']).toEqual({ name: 'GPT-4' });
+    expect(provider.openai.models['gpt-4o']).toEqual({});
+    expect(report.providers[0].models.skipped).toEqual(['gpt-4']);
+
+    const skipped = importService.planImport(current, incoming, { strategy: 'skip-existing' });
+    expect(skipped.provider.openai).toEqual(current.provider.openai);
+    expect(skipped.report.providers[0].action).toBe('skip');
+
+    const replaced = importService.planImport(current, incoming, { strategy: 'replace' });
+    expect(replaced.provider.openai).toEqual(incoming.provider.openai);
+    expect(replaced.report.providers[0].models.removed).toEqual(['gpt-3.5']);
+  });
+
+  test('writes the whole import at once and keeps other keys', () => {
+    const { success, report } = importService.importConfig(incoming);
+
+    expect(success).toBe(true);
+    expect(report.summary.added).toBe(1);
+
+    const written = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    expect(written.model).toBe('openai/gpt-4');
+    expect(Object.keys(written.provider)).toEqual(['openai', 'groq']);
+  });
+
+  test('restores masked API keys and imports nothing when a mask does not match the stored key', () => {
+    const masked = { provider: { openai: { options: { apiKey: maskKey('sk-old') } } }, $apiKeyFingerprints: {} };
+    const { provider, errors } = importService.planImport(current, masked);
+    expect(errors).toEqual([]);
+    expect(provider.openai.options.apiKey).toBe('sk-old');
+
+    const other = { provider: { groq: { options: { apiKey: maskKey('gsk-0123456789abcdef') } } } };
+    const result = importService.importConfig(other);
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual(['Provider "groq": API Key 是掩码，但与已保存的 Key 不一致，请重新输入']);
+    expect(JSON.parse(fs.readFileSync(configPath, 'utf-8'))).toEqual(current);
+  });
+
+  test('keeps the existing keys for redacted keys of exports', () => {
+    const exported = { provider: { openai: { options: { apiKey: '<redacted>' }, models: { 'gpt-4': {} } } } };
+    const { provider, report, errors } = importService.planImport(current, exported, { strategy: 'replace' });
+    expect(errors).toEqual([]);
+    expect(provider.openai.options.apiKey).toBe('sk-old');
+    expect(report.providers[0].conflicts).toEqual([]);
+
+    const added = { provider: { groq: { options: { apiKey: '<redacted>' } } } };
+    expect(importService.planImport(current, added).errors).toEqual([
+      'Provider "groq": API Key 已隐藏（<redacted>），且没有已保存的 Key 可保留，请填写 API Key',
+    ]);
+    expect(importService.importConfig(added).success).toBe(false);
+    expect(JSON.parse(fs.readFileSync(configPath, 'utf-8'))).toEqual(current);
+  });
+});
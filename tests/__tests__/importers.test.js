@@ -0,0 +1,87 @@
+const importers = require('../../src/server/importers');
+
+describe('importers', () => {
+  test('converts a LiteLLM model list, grouping models by endpoint', () => {
+    const { format, config, warnings } = importers.convert(`
+model_list:
+  - model_name: gpt-4o
+    litellm_params:
+      model: openai/gpt-4o
+      api_key: os.environ/OPENAI_API_KEY
+  - model_name: gpt-4o-mini
+    litellm_params:
+      model: openai/gpt-4o-mini
+      api_key: os.environ/OPENAI_API_KEY
+  - model_name: local
+    litellm_params:
+      model: openai/llama3
+      api_base: http://localhost:8000/v1
+`);
+
+    expect(format).toBe('litellm');
+    expect(config.provider.openai.options).toEqual({
+      baseURL: 'https://api.openai.com/v1',
+      apiKey: '{env:OPENAI_API_KEY}',
+    });
+    expect(Object.keys(config.provider.openai.models)).toEqual(['gpt-4o', 'gpt-4o-mini']);
+    expect(config.provider['openai-2']).toMatchObject({
+      options: { baseURL: 'http://localhost:8000/v1' },
+      models: { llama3: { name: 'local' } },
+    });
+    expect(warnings).toEqual(['Provider "openai-2" 没有 API Key']);
+  });
+
+  test('converts a .env file with aider model variables', () => {
+    const { format, config, warnings } = importers.convert(
+      [
+        '# keys',
+        'export DEEPSEEK_API_KEY="sk-ds" # 注释',
+        'MYPROXY_API_KEY=sk-proxy',
+        'MYPROXY_BASE_URL=https://proxy.example.com/v1',
+        'AIDER_MODEL=deepseek/deepseek-chat',
+        'AIDER_WEAK_MODEL=groq/llama3',
+      ].join('\n'),
+      { filename: '.env' }
+    );
+
+    expect(format).toBe('dotenv');
+    expect(config.provider.deepseek).toMatchObject({
+      name: 'DeepSeek',
+      options: { baseURL: 'https://api.deepseek.com/v1', apiKey: 'sk-ds' },
+      models: { 'deepseek-chat': {} },
+    });
+    expect(config.provider.myproxy.options).toEqual({ baseURL: 'https://proxy.example.com/v1', apiKey: 'sk-proxy' });
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatch(/AIDER_WEAK_MODEL/);
+  });
+
+  test('converts Continue models including the autocomplete model', () => {
+    const { format, config } = importers.convert(
+      JSON.stringify({
+        models: [
+          { title: 'GPT-4o', provider: 'openai', model: 'gpt-4o', apiKey: 'sk-1' },
+          { title: 'Gemini', provider: 'gemini', model: 'gemini-1.5-pro', apiKey: 'g-1' },
+        ],
+        tabAutocompleteModel: { title: 'Qwen', provider: 'ollama', model: 'qwen2.5-coder' },
+      })
+    );
+
+    expect(format).toBe('continue');
+    expect(Object.keys(config.provider)).toEqual(['openai', 'google', 'ollama']);
+    expect(config.provider.google.npm).toBe('@ai-sdk/google');
+    expect(config.provider.ollama.models).toEqual({ 'qwen2.5-coder': { name: 'Qwen' } });
+  });
+
+  test('passes opencode configs through', () => {
+    const provider = { openai: { options: { apiKey: 'sk' }, models: {} } };
+    const result = importers.convert(`// opencode\n${JSON.stringify({ model: 'openai/gpt-4o', provider })}`);
+
+    expect(result.format).toBe('opencode');
+    expect(result.config).toEqual({ provider });
+  });
+
+  test('rejects unrecognised content and unknown formats', () => {
+    expect(() => importers.convert('just some text')).toThrow('无法识别的配置文件格式');
+    expect(() => importers.convert('{}', { format: 'toml' })).toThrow(/不支持的导入格式/);
+  });
+});
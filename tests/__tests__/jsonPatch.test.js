@@ -0,0 +1,64 @@
+const { applyPatch } = require('../../src/server/utils/jsonPatch');
+
+describe('jsonPatch', () => {
+  const config = {
+    model: 'openai/gpt-4',
+    provider: {
+      openai: { options: { apiKey: 'sk-1' }, models: { 'gpt-4': {}, 'openai/o1': {} } },
+    },
+  };
+
+  test('applies operations in order without touching the input', () => {
+    const result = applyPatch(config, [
+      { op: 'add', path: '/provider/openai/models/gpt-4/limit', value: { context: 128000 } },
+      { op: 'remove', path: '/provider/openai/models/openai~1o1' },
+      { op: 'replace', path: '/model', value: 'work/gpt-4' },
+      { op: 'move', from: '/provider/openai', path: '/provider/work' },
+      { op: 'copy', from: '/provider/work/options', path: '/provider/work/backup' },
+      { op: 'test', path: '/provider/work/options/apiKey', value: 'sk-1' },
+    ]);
+
+    expect(result).toEqual({
+      model: 'work/gpt-4',
+      provider: {
+        work: {
+          options: { apiKey: 'sk-1' },
+          models: { 'gpt-4': { limit: { context: 128000 } } },
+          backup: { apiKey: 'sk-1' },
+        },
+      },
+    });
+    expect(config.provider.openai.models['openai/o1']).toEqual({});
+  });
+
+  test('supports array indices and append', () => {
+    expect(applyPatch({ a: [1, 3] }, [
+      { op: 'add', path: '/a/1', value: 2 },
+      { op: 'add', path: '/a/-', value: 4 },
+      { op: 'remove', path: '/a/0' },
+    ])).toEqual({ a: [2, 3, 4] });
+  });
+
+  test('fails with the index of the failing operation', () => {
+    expect(() => applyPatch(config, [
+      { op: 'test', path: '/model', value: 'openai/gpt-4' },
+      { op: 'replace', path: '/provider/missing/name', value: 'x' },
+    ])).toThrow('操作 #1');
+    expect(() => applyPatch(config, [{ op: 'test', path: '/model', value: 'x' }])).toThrow('test 失败');
+  });
+
+  test('compares objects in test operations regardless of key order', () => {
+    const document = { a: { x: 1, y: [{ p: 1, q: 2 }] } };
+    const reordered = { y: [{ q: 2, p: 1 }], x: 1 };
+
+    expect(applyPatch(document, [{ op: 'test', path: '/a', value: reordered }])).toEqual(document);
+    expect(() => applyPatch(document, [{ op: 'test', path: '/a', value: { x: 1 } }])).toThrow('test 失败');
+    expect(() => applyPatch(document, [{ op: 'test', path: '/a/y', value: [{ p: 1, q: 2 }, 3] }])).toThrow('test 失败');
+    expect(() => applyPatch({ a: [] }, [{ op: 'test', path: '/a', value: {} }])).toThrow('test 失败');
+  });
+
+  test('rejects prototype paths', () => {
+    expect(() => applyPatch({}, [{ op: 'add', path: '/__proto__/polluted', value: true }])).toThrow('不允许的路径');
+    expect({}.polluted).toBeUndefined();
+  });
+});
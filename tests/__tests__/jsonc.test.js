@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jsonc = require('../../src/server/utils/jsonc');
+
+const SAMPLE = `{
+  // 默认模型
+  "model": "openai/gpt-4",
+  "provider": {
+    /* 主要服务商 */
+    "openai": {
+      "options": { "baseURL": "https://api.openai.com/v1" },
+      "models": {},
+    },
+  },
+}
+`;
+
+describe('jsonc', () => {
+  describe('parse', () => {
+    test('accepts comments and trailing commas', () => {
+      expect(jsonc.parse(SAMPLE)).toEqual({
+        model: 'openai/gpt-4',
+        provider: { openai: { options: { baseURL: 'https://api.openai.com/v1' }, models: {} } },
+      });
+    });
+
+    test('does not treat comment markers inside strings as comments', () => {
+      expect(jsonc.parse('{"url": "http://a//b", "c": "/* x */"}')).toEqual({ url: 'http://a//b', c: '/* x */' });
+    });
+
+    test('reports the line and column of syntax errors', () => {
+      expect(() => jsonc.parse('{\n  "a": 1\n  "b": 2\n}')).toThrow(/第 3 行/);
+    });
+  });
+
+  describe('renameKey', () => {
+    test('renames a property in place', () => {
+      const result = jsonc.renameKey(SAMPLE, ['provider', 'openai'], 'openai-work');
+
+      expect(result).toBe(SAMPLE.replace('"openai": {', '"openai-work": {'));
+      expect(jsonc.renameKey(SAMPLE, ['provider', 'missing'], 'x')).toBe(SAMPLE);
+    });
+  });
+
+  describe('update', () => {
+    test('preserves comments while changing, adding and removing values', () => {
+      const value = jsonc.parse(SAMPLE);
+      value.model = 'openai/gpt-4o';
+      value.provider.openai.options.apiKey = 'sk-1';
+      value.provider.groq = { models: {} };
+      delete value.provider.openai.models;
+
+      const result = jsonc.update(SAMPLE, value);
+
+      expect(jsonc.parse(result)).toEqual(value);
+      expect(result).toContain('// 默认模型');
+      expect(result).toContain('/* 主要服务商 */');
+      expect(result).toContain('"options": { "baseURL": "https://api.openai.com/v1", "apiKey": "sk-1" }');
+    });
+
+    test('leaves the text untouched when nothing changed', () => {
+      expect(jsonc.update(SAMPLE, jsonc.parse(SAMPLE))).toBe(SAMPLE);
+    });
+
+    test('keeps the indentation of the file', () => {
+      const result = jsonc.update('{\n\t"a": 1 // one\n}', { a: 1, b: { c: 2 } });
+
+      expect(result).toBe('{\n\t"a": 1, // one\n\t"b": {\n\t\t"c": 2\n\t}\n}');
+    });
+
+    test('serializes new files as plain JSON', () => {
+      expect(jsonc.update(null, { a: 1 })).toBe('{\n  "a": 1\n}');
+    });
+  });
+});
+
+describe('ConfigService with JSONC', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-jsonc-'));
+    process.env.HOME = tmpDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('falls back to opencode.jsonc and keeps its comments on write', () => {
+    const jsoncPath = path.join(tmpDir, 'opencode.jsonc');
+    fs.writeFileSync(jsoncPath, SAMPLE);
+    process.env.OPENCODE_CONFIG_PATH = path.join(tmpDir, 'opencode.json');
+
+    const configService = require('../../src/server/services/configService');
+    expect(configService.configPath).toBe(jsoncPath);
+
+    expect(configService.deleteProvider('openai')).toBe(true);
+
+    const content = fs.readFileSync(jsoncPath, 'utf-8');
+    expect(content).toContain('// 默认模型');
+    expect(jsonc.parse(content)).toEqual({ model: 'openai/gpt-4', provider: {} });
+  });
+
+  test('refuses to modify a file it cannot parse', () => {
+    const configPath = path.join(tmpDir, 'opencode.json');
+    fs.writeFileSync(configPath, '{ "provider": { "a": {} ');
+    process.env.OPENCODE_CONFIG_PATH = configPath;
+
+    const configService = require('../../src/server/services/configService');
+
+    expect(configService.deleteProvider('a')).toBe(false);
+    expect(fs.readFileSync(configPath, 'utf-8')).toBe('{ "provider": { "a": {} ');
+  });
+});
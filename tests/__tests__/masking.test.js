@@ -0,0 +1,72 @@
+const {
+  maskKey,
+  fingerprint,
+  maskConfig,
+  unmaskConfig,
+} = require('../../src/server/utils/masking');
+
+describe('masking', () => {
+  const KEY = 'sk-proj-0123456789abcdef';
+  const stored = {
+    provider: {
+      openai: { options: { apiKey: KEY } },
+      short: { options: { apiKey: 'abc' } },
+      env: { options: { apiKey: '{env:GROQ_API_KEY}' } },
+      command: { options: { apiKey: 'enc:command:command' } },
+    },
+  };
+
+  test('masks keys and adds fingerprints', () => {
+    const masked = maskConfig(stored);
+
+    expect(masked.provider.openai.options.apiKey).toBe('••••••••cdef');
+    expect(masked.provider.short.options.apiKey).toBe('••••••••');
+    expect(masked.provider.env.options.apiKey).toBe('{env:GROQ_API_KEY}');
+    expect(masked.provider.command.options.apiKey).toBe('enc:command:command');
+    expect(masked.$apiKeyFingerprints).toEqual({
+      openai: fingerprint(KEY),
+      short: fingerprint('abc'),
+    });
+    expect(fingerprint(KEY)).toMatch(/^sha256:[0-9a-f]{12}$/);
+    expect(stored.provider.openai.options.apiKey).toBe(KEY);
+  });
+
+  test('restores unchanged masks and keeps new keys', () => {
+    const config = maskConfig(stored);
+    config.provider.short.options.apiKey = 'new-key';
+
+    expect(unmaskConfig(config, stored)).toEqual([]);
+    expect(config.provider.openai.options.apiKey).toBe(KEY);
+    expect(config.provider.short.options.apiKey).toBe('new-key');
+    expect(config.$apiKeyFingerprints).toBeUndefined();
+  });
+
+  test('rejects masks that do not match the stored key of the provider', () => {
+    const config = {
+      provider: {
+        other: { options: { apiKey: maskKey(KEY) } },
+        env: { options: { apiKey: '••••••••' } },
+      },
+    };
+
+    expect(unmaskConfig(config, stored)).toEqual([
+      'Provider "other": API Key 是掩码，但与已保存的 Key 不一致，请重新输入',
+      'Provider "env": API Key 是掩码，但与已保存的 Key 不一致，请重新输入',
+    ]);
+  });
+
+  test('accepts enc: values only as the stored value of the provider', () => {
+    const config = {
+      provider: {
+        command: { options: { apiKey: 'enc:command:github' } },
+        other: { options: { apiKey: 'enc:command:command' } },
+      },
+    };
+
+    expect(unmaskConfig(config, stored)).toEqual([
+      'Provider "command": enc: 开头的 API Key 只能保留已保存的值，不能新建或修改',
+      'Provider "other": enc: 开头的 API Key 只能保留已保存的值，不能新建或修改',
+    ]);
+    expect(unmaskConfig(maskConfig(stored), stored)).toEqual([]);
+  });
+});
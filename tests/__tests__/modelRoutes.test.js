@@ -0,0 +1,66 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+describe('Model routes', () => {
+  let tmpDir;
+  let server;
+  let upstream;
+  let requests;
+
+  const listen = (target) =>
+    new Promise((resolve) => target.listen(0, '127.0.0.1', () => resolve(target.address().port)));
+  const close = (target) => new Promise((resolve) => target.close(resolve));
+  const nextRequest = () => new Promise((resolve) => upstream.once('request', resolve));
+
+  /** Sends a request to the app and returns it, so the test can disconnect */
+  const send = (port, route, body) => {
+    const client = http.request({ port, host: '127.0.0.1', method: 'POST', path: route });
+    client.setHeader('Content-Type', 'application/json');
+    client.on('error', () => {});
+    client.end(JSON.stringify(body));
+    return client;
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-model-routes-'));
+    process.env.HOME = tmpDir;
+    process.env.OPENCODE_CONFIG_PATH = path.join(tmpDir, 'opencode.json');
+    fs.writeFileSync(process.env.OPENCODE_CONFIG_PATH, JSON.stringify({ provider: {} }));
+
+    ({ server } = require('../../src/server/index'));
+    requests = [];
+    // 上游收到请求后不响应，直到客户端断开
+    upstream = http.createServer((req) => requests.push(req));
+  });
+
+  afterEach(async () => {
+    upstream.closeAllConnections?.();
+    await close(upstream);
+    if (server.listening) await close(server);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test.each([
+    ['/api/discover-models', '/v1/models'],
+    ['/api/test-model', '/v1/chat/completions'],
+  ])('cancels the upstream request of %s when the client disconnects', async (route, upstreamPath) => {
+    const baseURL = `http://127.0.0.1:${await listen(upstream)}/v1`;
+    const port = await listen(server);
+
+    const arrived = nextRequest();
+    const client = send(port, route, { baseURL, apiKey: 'sk-test', modelId: 'gpt-4o', retries: 2 });
+    const request = await arrived;
+    expect(request.url).toBe(upstreamPath);
+
+    const cancelled = new Promise((resolve) => request.socket.once('close', resolve));
+    client.destroy();
+    await cancelled;
+
+    // 取消后不再重试
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(requests).toHaveLength(1);
+  });
+});
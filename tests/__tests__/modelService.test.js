@@ -0,0 +1,417 @@
+const http = require('http');
+const modelService = require('../../src/server/services/modelService');
+const configService = require('../../src/server/services/configService');
+const { maskKey } = require('../../src/server/utils/masking');
+
+describe('ModelService', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let delay;
+  let failures;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body });
+        const failure = failures.shift();
+        setTimeout(() => {
+          if (failure) {
+            res.writeHead(failure.status, failure.headers);
+            if (failure.stall) res.write('{');
+            else res.end('{}');
+            return;
+          }
+          res.writeHead(req.url === '/api/show' && JSON.parse(body).model === 'broken' ? 404 : 200, {
+            'Content-Type': 'application/json',
+          });
+          if (req.url === '/api/tags') {
+            res.end(
+              JSON.stringify({
+                models: [
+                  {
+                    name: 'llama3:8b',
+                    details: { family: 'llama', parameter_size: '8.0B', quantization_level: 'Q4_0' },
+                  },
+                  { name: 'qwen2:7b', details: { family: 'qwen2' } },
+                  { name: 'broken', details: { family: 'x' } },
+                ],
+              })
+            );
+          } else if (req.url === '/api/show') {
+            const show = {
+              'llama3:8b': { model_info: { 'general.architecture': 'llama', 'llama.context_length': 8192 } },
+              'qwen2:7b': {
+                details: { family: 'qwen2', parameter_size: '7.6B', quantization_level: 'Q4_K_M' },
+                parameters: 'stop "<|im_end|>"\nnum_ctx 32768\nnum_predict 4096',
+                model_info: { 'general.architecture': 'qwen2', 'qwen2.context_length': 131072 },
+              },
+            };
+            res.end(JSON.stringify(show[JSON.parse(body).model] || {}));
+          } else if (req.url === '/api/chat') {
+            res.end(JSON.stringify({ message: { role: 'assistant', content: 'Hi!' }, done: true }));
+          } else if (req.url.startsWith('/openai/deployments?')) {
+            res.end(
+              JSON.stringify({ data: [{ id: 'gpt4-prod', status: 'succeeded' }, { id: 'new', status: 'creating' }] })
+            );
+          } else if (req.url.startsWith('/v1beta/models?')) {
+            res.end(
+              JSON.stringify({
+                models: [
+                  {
+                    name: 'models/gemini-pro',
+                    displayName: 'Gemini Pro',
+                    supportedGenerationMethods: ['generateContent'],
+                  },
+                  { name: 'models/embedding-001', supportedGenerationMethods: ['embedContent'] },
+                ],
+              })
+            );
+          } else if (req.url.startsWith('/v1beta/models/')) {
+            res.end(JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Hi' }, { text: ' there' }] } }] }));
+          } else if (req.url === '/catalog/v1/models') {
+            res.end(
+              JSON.stringify({
+                data: [
+                  {
+                    id: 'openai/gpt-4o',
+                    context_length: 128000,
+                    pricing: { prompt: '0.0000025', completion: '0.00001', input_cache_read: '0.00000125' },
+                    architecture: { input_modalities: ['text', 'image', 'file'], output_modalities: ['text'] },
+                    top_provider: { context_length: 128000, max_completion_tokens: 16384 },
+                  },
+                  { id: 'openrouter/auto', context_length: 2000000, pricing: { prompt: '-1', completion: '-1' } },
+                  { id: 'partial', max_completion_tokens: 4096, pricing: { prompt: '0.000001' } },
+                  {
+                    id: 'meta-llama/Llama-3-70b',
+                    owned_by: 'meta',
+                    context_length: 8192,
+                    pricing: { input: 0.88, output: 0.88 },
+                  },
+                  { id: 'pixtral-large', max_context_length: 131072, capabilities: { vision: true } },
+                  { id: 'plain', owned_by: '' },
+                ],
+              })
+            );
+          } else if (req.url.split('?')[0].endsWith('/models')) {
+            res.end(JSON.stringify({ data: [{ id: 'gpt-4o', display_name: 'GPT-4o' }] }));
+          } else if (req.url === '/v1/messages') {
+            res.end(JSON.stringify({ content: [{ type: 'text', text: 'Hi there' }] }));
+          } else {
+            res.end(JSON.stringify({ choices: [{ message: { content: 'Hello' } }] }));
+          }
+        }, delay);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    delay = 0;
+    failures = [];
+  });
+
+  test('sends provider headers with discovery requests', async () => {
+    const models = await modelService.discoverModels(baseURL, 'sk-test', {
+      headers: { 'HTTP-Referer': 'https://example.com', 'X-Title': 'My App' },
+    });
+
+    expect(models).toEqual({ 'gpt-4o': { name: 'gpt-4o' } });
+    expect(requests[0].headers).toMatchObject({
+      authorization: 'Bearer sk-test',
+      'http-referer': 'https://example.com',
+      'x-title': 'My App',
+    });
+  });
+
+  test('keeps the context length, complete limits and prices, and modalities listed with the models', async () => {
+    const models = await modelService.discoverModels(baseURL.replace(/\/v1$/, '/catalog/v1'), 'sk-test');
+
+    expect(models).toEqual({
+      'openai/gpt-4o': {
+        name: 'openai/gpt-4o',
+        details: { contextLength: 128000, vision: true },
+        limit: { context: 128000, output: 16384 },
+        cost: { input: 2.5, output: 10, cache_read: 1.25 },
+        modalities: { input: ['text', 'image', 'pdf'], output: ['text'] },
+      },
+      'openrouter/auto': { name: 'openrouter/auto', details: { contextLength: 2000000 } },
+      partial: { name: 'partial' },
+      'meta-llama/Llama-3-70b': {
+        name: 'meta-llama/Llama-3-70b',
+        details: { owner: 'meta', contextLength: 8192 },
+        cost: { input: 0.88, output: 0.88 },
+      },
+      'pixtral-large': {
+        name: 'pixtral-large',
+        details: { contextLength: 131072, vision: true },
+        modalities: { input: ['text', 'image'] },
+      },
+      plain: { name: 'plain' },
+    });
+  });
+
+  test('lets provider headers override the defaults in connection tests', async () => {
+    const result = await modelService.testConnection(baseURL, 'sk-test', 'gpt-4o', {
+      headers: { Authorization: 'Token custom' },
+    });
+
+    expect(result).toMatchObject({ success: true, message: 'Hello', model: 'gpt-4o' });
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].headers.authorization).toBe('Token custom');
+  });
+
+  test('resolves env references before sending', async () => {
+    process.env.OCS_TEST_KEY = 'sk-from-env';
+    try {
+      await modelService.discoverModels(baseURL, '{env:OCS_TEST_KEY}', { headers: { 'X-Key': '{env:OCS_TEST_KEY}' } });
+    } finally {
+      delete process.env.OCS_TEST_KEY;
+    }
+
+    expect(requests[0].headers).toMatchObject({ authorization: 'Bearer sk-from-env', 'x-key': 'sk-from-env' });
+
+    const result = await modelService.testConnection(baseURL, '{env:OCS_TEST_KEY}', 'gpt-4o');
+    expect(result).toEqual({ success: false, error: '环境变量 OCS_TEST_KEY 未设置', model: 'gpt-4o' });
+    expect(requests).toHaveLength(1);
+  });
+
+  test('only accepts references from clients as the stored settings of the provider', () => {
+    const options = { baseURL, apiKey: '{env:OCS_TEST_KEY}', headers: { 'X-Team': 'a' } };
+    const models = { 'gpt-4o': { headers: { 'X-Model': 'b' } } };
+    const config = { provider: { openai: { options, models } } };
+    const readConfig = jest.spyOn(configService, 'readConfig').mockReturnValue(config);
+    try {
+      const stored = modelService.clientConnection(baseURL, '{env:OCS_TEST_KEY}', {
+        headers: { 'X-Team': 'a', 'X-Model': 'b' },
+        timeout: 5000,
+      }, { providerId: 'openai', modelId: 'gpt-4o' });
+      expect(stored).toEqual({
+        baseURL,
+        apiKey: '{env:OCS_TEST_KEY}',
+        connection: { headers: { 'X-Team': 'a', 'X-Model': 'b' }, timeout: 5000, proxy: undefined, tls: undefined },
+      });
+
+      const source = { providerId: 'openai' };
+      expect(() => modelService.clientConnection('http://attacker.test', '{env:OCS_TEST_KEY}', options, source))
+        .toThrow('必须与已保存的一致');
+      expect(() => modelService.clientConnection(baseURL, '{file:~/.ssh/id_rsa}', options, source))
+        .toThrow('API Key 与已保存的不一致');
+      expect(() => modelService.clientConnection(baseURL, 'sk-1', { headers: { 'X-Key': '{env:HOME}' } }, source))
+        .toThrow('必须与已保存的一致');
+      expect(() => modelService.clientConnection(baseURL, '{env:OCS_TEST_KEY}')).toThrow('只能来自已保存的 Provider');
+      expect(modelService.clientConnection('http://other.test', 'sk-1', { proxy: 'http://proxy.test' })).toEqual({
+        baseURL: 'http://other.test',
+        apiKey: 'sk-1',
+        connection: { proxy: 'http://proxy.test' },
+      });
+    } finally {
+      readConfig.mockRestore();
+    }
+  });
+
+  test('only accepts enc: keys from clients as the stored key of the provider', () => {
+    const config = { provider: { work: { options: { baseURL, apiKey: 'enc:command:work' } } } };
+    const readConfig = jest.spyOn(configService, 'readConfig').mockReturnValue(config);
+    const source = { providerId: 'work' };
+    try {
+      expect(modelService.clientConnection(baseURL, 'enc:command:work', {}, source).apiKey).toBe('enc:command:work');
+      expect(() => modelService.clientConnection(baseURL, 'enc:command:personal', {}, source))
+        .toThrow('API Key 与已保存的不一致');
+      expect(() => modelService.clientConnection('http://attacker.test', 'enc:command:work', {}, source))
+        .toThrow('必须与已保存的一致');
+      expect(() => modelService.clientConnection('http://attacker.test', 'enc:command:work'))
+        .toThrow('只能来自已保存的 Provider');
+    } finally {
+      readConfig.mockRestore();
+    }
+  });
+
+  test('only replaces masked keys for requests to the stored destination of the provider', () => {
+    const apiKey = 'sk-live-0123456789abcdef';
+    const config = { provider: { openai: { options: { baseURL, apiKey, headers: { 'X-Team': 'a' } } } } };
+    const readConfig = jest.spyOn(configService, 'readConfig').mockReturnValue(config);
+    const source = { providerId: 'openai' };
+    const headers = { 'X-Team': 'a' };
+    try {
+      expect(modelService.clientConnection(baseURL, maskKey(apiKey), { headers }, source).apiKey).toBe(apiKey);
+      expect(() => modelService.clientConnection('http://attacker.test', maskKey(apiKey), { headers }, source))
+        .toThrow('必须与已保存的一致');
+      const proxy = 'http://attacker.test';
+      expect(() => modelService.clientConnection(baseURL, maskKey(apiKey), { headers, proxy }, source))
+        .toThrow('必须与已保存的一致');
+      expect(() => modelService.clientConnection(baseURL, maskKey('sk-other-0123456789wxyz'), { headers }, source))
+        .toThrow('与已保存的 Key 不一致');
+      expect(() => modelService.clientConnection(baseURL, maskKey(apiKey), { headers })).toThrow('只能来自已保存的 Provider');
+    } finally {
+      readConfig.mockRestore();
+    }
+  });
+
+  test('uses the Anthropic API for @ai-sdk/anthropic providers', async () => {
+    const connection = { npm: '@ai-sdk/anthropic' };
+
+    const models = await modelService.discoverModels(baseURL, 'sk-ant', connection);
+    const result = await modelService.testConnection(baseURL, 'sk-ant', 'claude', connection);
+
+    expect(models).toEqual({ 'gpt-4o': { name: 'GPT-4o' } });
+    expect(result).toMatchObject({ success: true, message: 'Hi there', model: 'claude' });
+    expect(requests.map((request) => request.url)).toEqual(['/v1/models?limit=1000', '/v1/messages']);
+    expect(requests[1].headers).toMatchObject({ 'x-api-key': 'sk-ant', 'anthropic-version': '2023-06-01' });
+    expect(requests[1].headers.authorization).toBeUndefined();
+  });
+
+  test('uses the Gemini API for @ai-sdk/google providers', async () => {
+    const geminiURL = baseURL.replace(/\/v1$/, '/v1beta');
+    const connection = { npm: '@ai-sdk/google' };
+
+    const models = await modelService.discoverModels(geminiURL, 'AIza-key', connection);
+    const result = await modelService.testConnection(geminiURL, 'AIza-key', 'gemini-pro', connection);
+
+    expect(models).toEqual({ 'gemini-pro': { name: 'Gemini Pro' } });
+    expect(result).toMatchObject({ success: true, message: 'Hi there', model: 'gemini-pro' });
+    expect(requests.map((request) => request.url)).toEqual([
+      '/v1beta/models?pageSize=1000&key=AIza-key',
+      '/v1beta/models/gemini-pro:generateContent?key=AIza-key',
+    ]);
+    expect(requests[1].headers.authorization).toBeUndefined();
+  });
+
+  test('uses the Azure OpenAI API for @ai-sdk/azure providers', async () => {
+    const azureURL = baseURL.replace(/\/v1$/, '/openai/deployments/gpt4-prod');
+    const connection = { npm: '@ai-sdk/azure', apiVersion: '2025-01-01-preview' };
+
+    const models = await modelService.discoverModels(azureURL, 'azure-key', connection);
+    const result = await modelService.testConnection(azureURL, 'azure-key', 'gpt4-prod', connection);
+
+    expect(models).toEqual({ 'gpt4-prod': { name: 'gpt4-prod' } });
+    expect(result).toMatchObject({ success: true, message: 'Hello', model: 'gpt4-prod' });
+    expect(requests.map((request) => request.url)).toEqual([
+      '/openai/deployments?api-version=2022-12-01',
+      '/openai/deployments/gpt4-prod/chat/completions?api-version=2025-01-01-preview',
+    ]);
+    expect(requests[1].headers['api-key']).toBe('azure-key');
+    expect(requests[1].headers.authorization).toBeUndefined();
+  });
+
+  test('describes models with the native Ollama API', async () => {
+    const connection = { npm: 'ollama-ai-provider-v2' };
+
+    const models = await modelService.discoverModels(baseURL, 'ollama', connection);
+    const result = await modelService.testConnection(baseURL, 'ollama', 'llama3:8b', connection);
+
+    expect(models).toEqual({
+      'llama3:8b': {
+        name: 'llama3:8b',
+        details: { family: 'llama', parameterSize: '8.0B', quantization: 'Q4_0', contextLength: 8192 },
+        limit: { context: 8192 },
+      },
+      'qwen2:7b': {
+        name: 'qwen2:7b',
+        details: { family: 'qwen2', parameterSize: '7.6B', quantization: 'Q4_K_M', contextLength: 32768 },
+        limit: { context: 32768, output: 4096 },
+      },
+      broken: { name: 'broken', details: { family: 'x' } },
+    });
+    expect(result).toMatchObject({ success: true, message: 'Hi!', model: 'llama3:8b' });
+    expect(requests.map((request) => request.url).sort()).toEqual([
+      '/api/chat',
+      '/api/show',
+      '/api/show',
+      '/api/show',
+      '/api/tags',
+    ]);
+    expect(JSON.parse(requests.find((request) => request.url === '/api/chat').body)).toMatchObject({
+      model: 'llama3:8b',
+      stream: false,
+    });
+  });
+
+  test('aborts requests that exceed the timeout', async () => {
+    delay = 200;
+    const result = await modelService.testConnection(baseURL, 'sk-test', 'gpt-4o', { timeout: 50 });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('请求失败: 请求超时 (50ms)');
+  });
+
+  test('retries 429 and 503 responses as Retry-After asks', async () => {
+    failures = [
+      { status: 503, headers: { 'Retry-After': '0' } },
+      { status: 429, headers: { 'Retry-After': new Date(Date.now() - 1000).toUTCString() } },
+    ];
+    const result = await modelService.testConnection(baseURL, 'sk-test', 'gpt-4o');
+
+    expect(result).toMatchObject({ success: true, message: 'Hello', attempts: 3 });
+    expect(requests).toHaveLength(3);
+  });
+
+  test('stops retrying after the configured retries', async () => {
+    failures = [503, 503, 503].map((status) => ({ status, headers: { 'Retry-After': '0' } }));
+
+    const result = await modelService.testConnection(baseURL, 'sk-test', 'gpt-4o', { retries: 1 });
+    await expect(modelService.discoverModels(baseURL, 'sk-test', { retries: 0 })).resolves.toEqual({
+      'gpt-4o': { name: 'gpt-4o' },
+    });
+
+    expect(result).toMatchObject({ success: false, error: 'HTTP 503', attempts: 2 });
+    expect(requests.map((request) => request.url)).toEqual([
+      '/v1/chat/completions',
+      '/v1/chat/completions',
+      '/v1/models',
+      '/v1/models',
+    ]);
+  });
+
+  test('does not wait for a Retry-After longer than 30 seconds', async () => {
+    failures = [{ status: 429, headers: { 'Retry-After': '120' } }];
+    const result = await modelService.testConnection(baseURL, 'sk-test', 'gpt-4o');
+
+    expect(result).toMatchObject({ success: false, error: 'HTTP 429', attempts: 1 });
+  });
+
+  test('backs off exponentially without Retry-After', () => {
+    expect([1, 2, 3].map((attempt) => modelService.retryDelay(attempt))).toEqual([500, 1000, 2000]);
+    expect(modelService.retryDelay(1, '2')).toBe(2000);
+    expect(modelService.retryDelay(2, 'soon')).toBe(1000);
+    expect(modelService.retryDelay(1, '31')).toBeNull();
+  });
+
+  test('cancels in-flight requests and pending retries', async () => {
+    delay = 500;
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    const started = Date.now();
+
+    const result = await modelService.testConnection(baseURL, 'sk-test', 'gpt-4o', { signal: controller.signal });
+
+    expect(result).toMatchObject({ success: false, error: '请求失败: 请求已取消' });
+    expect(Date.now() - started).toBeLessThan(400);
+
+    delay = 0;
+    failures = [{ status: 503, headers: { 'Retry-After': '10' } }];
+    const retrying = new AbortController();
+    setTimeout(() => retrying.abort(), 50);
+
+    await expect(modelService.discoverModels(baseURL, 'sk-test', { signal: retrying.signal })).rejects.toThrow(
+      '请求已取消'
+    );
+    expect(requests.map((request) => request.url)).toEqual(['/v1/chat/completions', '/v1/models']);
+  });
+
+  test('cancels requests whose response has already started', async () => {
+    failures = [{ status: 200, headers: { 'Content-Type': 'application/json' }, stall: true }];
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    const result = await modelService.testConnection(baseURL, 'sk-test', 'gpt-4o', { signal: controller.signal });
+
+    expect(result).toMatchObject({ success: false, error: '请求失败: 请求已取消' });
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('ProfileService', () => {
+  let tmpDir;
+  let configPath;
+  let configService;
+  let profileService;
+
+  const writeConfig = (config) => {
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    configService.clearCache();
+  };
+  const readConfig = () => JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-profile-'));
+    configPath = path.join(tmpDir, 'opencode.json');
+    process.env.HOME = tmpDir;
+    process.env.OPENCODE_CONFIG_PATH = configPath;
+
+    configService = require('../../src/server/services/configService');
+    profileService = require('../../src/server/services/profileService');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('saves the current providers as a profile', () => {
+    writeConfig({ provider: { openai: { options: { apiKey: 'sk-1' } } }, model: 'openai/gpt-4' });
+
+    expect(profileService.saveProfile('work', 'Work account')).toBe(true);
+
+    const profiles = profileService.listProfiles();
+    expect(profiles).toHaveLength(1);
+    expect(profiles[0]).toMatchObject({ name: 'work', description: 'Work account', providerCount: 1 });
+    expect(profileService.getProfile('work').config.model).toBe('openai/gpt-4');
+  });
+
+  test('does not save a profile when the config cannot be parsed', () => {
+    writeConfig({ provider: { openai: { options: { apiKey: 'sk-1' } } } });
+    profileService.saveProfile('work');
+    fs.writeFileSync(configPath, '{ "provider": ');
+    configService.clearCache();
+
+    expect(profileService.saveProfile('work')).toBe(false);
+    expect(profileService.saveProfile('broken')).toBe(false);
+
+    expect(profileService.getProfile('work').config.provider.openai.options.apiKey).toBe('sk-1');
+    expect(profileService.getProfile('broken')).toBeNull();
+  });
+
+  test('activating a profile replaces providers and keeps other keys', () => {
+    writeConfig({ provider: { ollama: {} }, model: 'ollama/llama3', theme: 'dark' });
+    profileService.saveProfile('offline');
+
+    writeConfig({ provider: { openai: {} }, theme: 'light' });
+
+    expect(profileService.activateProfile('offline')).toBe(true);
+    expect(readConfig()).toEqual({ provider: { ollama: {} }, model: 'ollama/llama3', theme: 'light' });
+    expect(profileService.getActiveProfile()).toBe('offline');
+    expect(profileService.listProfiles()[0].active).toBe(true);
+  });
+
+  test('rejects unknown and invalid profile names', () => {
+    expect(profileService.activateProfile('missing')).toBe(false);
+    expect(profileService.saveProfile('../escape')).toBe(false);
+    expect(profileService.deleteProfile('missing')).toBe(false);
+  });
+
+  test('deleting the active profile clears the active marker', () => {
+    writeConfig({ provider: {} });
+    profileService.saveProfile('personal');
+    profileService.activateProfile('personal');
+
+    expect(profileService.deleteProfile('personal')).toBe(true);
+    expect(profileService.getActiveProfile()).toBeNull();
+    expect(profileService.listProfiles()).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const references = require('../../src/server/utils/references');
+
+describe('references', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-references-'));
+    fs.writeFileSync(path.join(tmpDir, 'key.txt'), 'sk-from-file\n');
+    process.env.OCS_TEST_KEY = 'sk-from-env';
+  });
+
+  afterEach(() => {
+    delete process.env.OCS_TEST_KEY;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('detects references', () => {
+    expect(references.isReference('{env:OPENAI_API_KEY}')).toBe(true);
+    expect(references.isReference('{file:~/.secrets/key}')).toBe(true);
+    expect(references.isReference('sk-{env:X}')).toBe(false);
+    expect(references.findReferences('https://{env:HOST}/{env:VERSION}')).toEqual(['{env:HOST}', '{env:VERSION}']);
+  });
+
+  test('resolves env and file references, relative to the config directory', () => {
+    expect(references.resolveString('{env:OCS_TEST_KEY}', tmpDir)).toBe('sk-from-env');
+    expect(references.resolveString('{file:key.txt}', tmpDir)).toBe('sk-from-file');
+    expect(references.resolveString(`Bearer {file:${path.join(tmpDir, 'key.txt')}}`, '/')).toBe('Bearer sk-from-file');
+    expect(references.resolveMap({ 'X-Key': '{env:OCS_TEST_KEY}' }, tmpDir)).toEqual({ 'X-Key': 'sk-from-env' });
+  });
+
+  test('reports references that do not resolve', () => {
+    expect(() => references.resolveString('{env:OCS_MISSING}', tmpDir)).toThrow('环境变量 OCS_MISSING 未设置');
+    expect(() => references.resolveString('{file:missing.txt}', tmpDir)).toThrow('无法读取文件 missing.txt: ENOENT');
+  });
+
+  test('checks the references of each provider without exposing values', () => {
+    const config = {
+      provider: {
+        openai: { options: { apiKey: '{env:OCS_TEST_KEY}', headers: { 'X-Org': '{file:org.txt}' } } },
+        plain: { options: { apiKey: 'sk-plain' } },
+      },
+    };
+
+    expect(references.checkReferences(config, tmpDir)).toEqual({
+      openai: [
+        { path: 'options.apiKey', reference: '{env:OCS_TEST_KEY}', resolved: true },
+        {
+          path: 'options.headers.X-Org',
+          reference: '{file:org.txt}',
+          resolved: false,
+          error: '无法读取文件 org.txt: ENOENT',
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('SecretMigrationService', () => {
+  let tmpDir;
+  let configPath;
+  let keyPath;
+  let configService;
+  let encryptionService;
+  let profileService;
+  let secretMigrationService;
+
+  const CONFIG = `{
+  // providers
+  "provider": {
+    "openai": { "options": { "apiKey": "sk-live" } },
+    "groq": { "options": { "apiKey": "{env:GROQ_API_KEY}" } }
+  }
+}
+`;
+  const read = (file) => fs.readFileSync(path.join(tmpDir, file), 'utf-8');
+  const apiKeyOf = (file) => {
+    const content = JSON.parse(read(file).replace('// providers', ''));
+    return (content.config || content).provider.openai.options.apiKey;
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-migrate-'));
+    configPath = path.join(tmpDir, 'opencode.json');
+    keyPath = path.join(tmpDir, '.key');
+    process.env.HOME = tmpDir;
+    process.env.OPENCODE_CONFIG_PATH = configPath;
+    process.env.OCS_KEY_FILE = keyPath;
+
+    configService = require('../../src/server/services/configService');
+    encryptionService = require('../../src/server/services/encryptionService');
+    profileService = require('../../src/server/services/profileService');
+    secretMigrationService = require('../../src/server/services/secretMigrationService');
+
+    fs.writeFileSync(configPath, CONFIG);
+    profileService.saveProfile('work');
+    configService.addOrUpdateProvider('openai', { options: { apiKey: 'sk-new' } });
+  });
+
+  afterEach(() => {
+    delete process.env.OCS_KEY_FILE;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('re-encrypts the config, history and profiles and deletes the backup', () => {
+    const backup = jest.spyOn(secretMigrationService, 'backup');
+    const result = secretMigrationService.migrate({ backend: 'keyfile' });
+
+    expect(result).toMatchObject({ success: true, backend: 'keyfile', rotated: false, keys: 4 });
+    expect(result.files).toEqual(['opencode.json', 'history/1.json', 'history/2.json', 'profiles/work.json']);
+    for (const file of result.files) {
+      expect(apiKeyOf(file)).toMatch(/^enc:keyfile:/);
+    }
+    expect(read('opencode.json')).toContain('// providers');
+    expect(read('opencode.json')).toContain('{env:GROQ_API_KEY}');
+
+    expect(configService.readConfig(false).provider.openai.options.apiKey).toBe('sk-new');
+    expect(profileService.getProfile('work').config.provider.openai.options.apiKey).toBe('sk-live');
+    expect(configService.history.getVersion(1).config.provider.openai.options.apiKey).toBe('sk-live');
+
+    // 备份中含有明文 Key，校验通过后即删除
+    expect(backup.mock.results[0].value.entries.map((entry) => entry.label)).toContain('profiles/work.json');
+    expect(fs.readdirSync(path.join(tmpDir, 'backups'))).toEqual([]);
+  });
+
+  test('rotates the key file', () => {
+    secretMigrationService.migrate({ backend: 'keyfile' });
+    const oldKey = fs.readFileSync(keyPath);
+    const backup = jest.spyOn(secretMigrationService, 'backup');
+
+    const result = secretMigrationService.migrate({ rotate: true });
+
+    expect(result.rotated).toBe(true);
+    expect(fs.readFileSync(keyPath).equals(oldKey)).toBe(false);
+    expect(backup.mock.results[0].value.entries.find((entry) => entry.label === 'keys/.key').content).toEqual(oldKey);
+    expect(fs.readdirSync(path.join(tmpDir, 'backups'))).toEqual([]);
+    expect(configService.readConfig(false).provider.openai.options.apiKey).toBe('sk-new');
+    expect(fs.readdirSync(path.join(tmpDir, 'backups'))).toEqual([]);
+  });
+
+  test('keeps the backup when files cannot be restored', () => {
+    jest.spyOn(secretMigrationService, 'verifyDocument').mockImplementation(() => {
+      throw new Error('boom');
+    });
+    jest.spyOn(secretMigrationService, 'rollback').mockReturnValue(false);
+
+    expect(() => secretMigrationService.migrate({ backend: 'keyfile' })).toThrow(
+      /部分文件未能恢复，请从 .*secrets-.* 手动恢复: boom/
+    );
+
+    const [dir] = fs.readdirSync(path.join(tmpDir, 'backups'));
+    expect(apiKeyOf(path.join('backups', dir, 'profiles/work.json'))).toBe('sk-live');
+    expect(fs.statSync(path.join(tmpDir, 'backups', dir, 'opencode.json')).mode & 0o777).toBe(0o600);
+  });
+
+  test('changes nothing when a key cannot be decrypted', () => {
+    secretMigrationService.migrate({ backend: 'keyfile' });
+    fs.unlinkSync(keyPath);
+    encryptionService.configure({ backend: 'keyfile', keyPath });
+    const before = read('opencode.json');
+
+    expect(() => secretMigrationService.migrate({ backend: 'plaintext' })).toThrow(
+      `无法解密以下 API Key，未做任何修改 — opencode.json: Provider "openai": 密钥文件 ${keyPath} 不存在`
+    );
+    expect(read('opencode.json')).toBe(before);
+    expect(fs.readdirSync(path.join(tmpDir, 'backups'))).toEqual([]);
+  });
+
+  test('rolls back every file when verification fails', () => {
+    const before = ['opencode.json', 'history/1.json', 'profiles/work.json'].map(read);
+    jest.spyOn(secretMigrationService, 'verifyDocument').mockImplementation((document) => {
+      if (document.label === 'profiles/work.json') throw new Error('boom');
+    });
+
+    expect(() => secretMigrationService.migrate({ backend: 'keyfile' })).toThrow('迁移失败，已恢复原文件: boom');
+
+    expect(['opencode.json', 'history/1.json', 'profiles/work.json'].map(read)).toEqual(before);
+    expect(fs.existsSync(keyPath)).toBe(false);
+    expect(encryptionService.backend).toBe('plaintext');
+    expect(configService.readConfig(false).provider.openai.options.apiKey).toBe('sk-new');
+  });
+
+  test('stores older keys under separate names with the command backend', () => {
+    const store = path.join(tmpDir, 'store');
+    const script = path.join(tmpDir, 'store.js');
+    fs.mkdirSync(store);
+    fs.writeFileSync(
+      script,
+      `const fs = require('fs');
+const file = require('path').join(${JSON.stringify(store)}, process.argv[3]);
+if (process.argv[2] === 'get') console.log(fs.readFileSync(file, 'utf8'));
+else fs.writeFileSync(file, fs.readFileSync(0, 'utf8').trim());`
+    );
+    encryptionService.configure({
+      backend: 'plaintext',
+      keyPath,
+      getCommand: `"${process.execPath}" "${script}" get`,
+      setCommand: `"${process.execPath}" "${script}" set`,
+    });
+
+    secretMigrationService.migrate({ backend: 'command' });
+
+    expect(apiKeyOf('opencode.json')).toBe('enc:command:openai');
+    expect(apiKeyOf('history/2.json')).toBe('enc:command:openai');
+    expect(apiKeyOf('history/1.json')).toBe('enc:command:openai@history-1');
+    expect(apiKeyOf('profiles/work.json')).toBe('enc:command:openai@profiles-work');
+    expect(fs.readFileSync(path.join(store, 'openai'), 'utf8')).toBe('sk-new');
+    expect(fs.readFileSync(path.join(store, 'openai@profiles-work'), 'utf8')).toBe('sk-live');
+  });
+});
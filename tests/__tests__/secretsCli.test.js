@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('secrets CLI', () => {
+  const argv = process.argv;
+  let tmpDir;
+  let secrets;
+  let secretMigrationService;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocs-secrets-cli-'));
+    process.env.HOME = tmpDir;
+    process.env.OPENCODE_CONFIG_PATH = path.join(tmpDir, 'opencode.json');
+    fs.writeFileSync(process.env.OPENCODE_CONFIG_PATH, JSON.stringify({ provider: {} }));
+
+    secrets = require('../../src/cli/secrets');
+    secretMigrationService = require('../../src/server/services/secretMigrationService');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.argv = argv;
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('rejects unknown flags and prints usage without migrating', async () => {
+    const migrate = jest.spyOn(secretMigrationService, 'migrate');
+    process.argv = ['node', 'opencode-switch', 'secrets', 'migrate', '--backend=keyfile'];
+
+    expect(await secrets.run(['migrate'])).toBe(1);
+    expect(migrate).not.toHaveBeenCalled();
+    expect(console.error.mock.calls[0][0]).toMatch(/^未知参数: --backend=keyfile\n\n用法:/);
+
+    process.argv = ['node', 'opencode-switch', 'secrets', 'status', '--rotate'];
+    expect(await secrets.run(['status'])).toBe(1);
+  });
+
+  test('accepts the migrate flags and the global ones', async () => {
+    const migrate = jest
+      .spyOn(secretMigrationService, 'migrate')
+      .mockReturnValue({ success: true, backend: 'keyfile', rotated: false, files: [], keys: 0 });
+    process.argv = ['node', 'opencode-switch', 'secrets', 'migrate', '--to=keyfile', '--config=x.json'];
+
+    expect(await secrets.run(['migrate'])).toBe(0);
+    expect(migrate).toHaveBeenCalledWith({ backend: 'keyfile', rotate: false });
+  });
+});
@@ -0,0 +1,61 @@
+const yaml = require('../../src/server/utils/yaml');
+
+describe('yaml', () => {
+  test('parses nested mappings and sequences', () => {
+    const text = `# LiteLLM
+model_list:
+  - model_name: gpt-4o   # 主模型
+    litellm_params:
+      model: openai/gpt-4o
+      rpm: 60
+  - model_name: "local: llama"
+    litellm_params: { model: 'ollama/llama3', stream: true }
+general_settings:
+  tags: [a, "b, c"]
+  master_key: ~
+`;
+
+    expect(yaml.parse(text)).toEqual({
+      model_list: [
+        { model_name: 'gpt-4o', litellm_params: { model: 'openai/gpt-4o', rpm: 60 } },
+        { model_name: 'local: llama', litellm_params: { model: 'ollama/llama3', stream: true } },
+      ],
+      general_settings: { tags: ['a', 'b, c'], master_key: null },
+    });
+  });
+
+  test('accepts sequences at the indentation of their key', () => {
+    expect(yaml.parse('models:\n- a\n- b\nother: 1')).toEqual({ models: ['a', 'b'], other: 1 });
+  });
+
+  test('does not pollute prototypes', () => {
+    const value = yaml.parse('__proto__:\n  polluted: true');
+
+    expect({}.polluted).toBeUndefined();
+    expect(Object.keys(value)).toEqual(['__proto__']);
+  });
+
+  test('stringifies values that parse back unchanged', () => {
+    const value = {
+      provider: {
+        ollama: {
+          options: { baseURL: 'http://localhost:11434/v1', apiKey: '{env:KEY}' },
+          models: { 'qwen2.5:7b': {}, 'a/b': { name: 'true' } },
+        },
+      },
+      list: [1, 'two: 2', [3, []], { a: null, b: ' #c' }],
+      empty: '',
+    };
+
+    const text = yaml.stringify(value);
+
+    expect(text).toContain('  ollama:\n    options:\n      baseURL: http://localhost:11434/v1\n');
+    expect(yaml.parse(text)).toEqual(value);
+  });
+
+  test('rejects unsupported syntax with the line number', () => {
+    expect(() => yaml.parse('a: 1\nb: |\n  text')).toThrow(/第 2 行/);
+    expect(() => yaml.parse('a:\n\t- b')).toThrow(/Tab/);
+    expect(() => yaml.parse('a: 1\n  b: 2')).toThrow(/缩进/);
+  });
+});